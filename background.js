@@ -2,78 +2,971 @@
  * background.js — VoiceControl Browser
  * Service Worker (Manifest V3)
  *
- * Responsibilities (to be implemented):
+ * Responsibilities:
  *  - Listen for messages from content.js and popup.js
  *  - Manage voice recognition state across tabs
  *  - Execute tab/scripting commands based on recognized speech
  *  - Handle TTS (text-to-speech) feedback via chrome.tts API
  */
 
-// Listen for tab closed or refreshed to reset mic state
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    // If the page reloaded, the content script lost its state, so reset the button
-    if (changeInfo.status === 'loading') {
-        chrome.storage.local.remove(`listening_${tabId}`);
+// ===== Listening State =====
+// Two modes, both owned by the service worker so they survive page loads:
+//  - per tab: `listening_<tabId>` in storage.local, kept across navigations in that tab
+//  - always listening: `alwaysListening` in storage.local; the mic follows the active tab
+// `armedTabId` (storage.session) remembers which tab holds the mic in always-listening mode.
+
+// Must match the content_scripts list in manifest.json
+const CONTENT_SCRIPTS = ["commands.js", "locales.js", "sitepacks.js", "settings.js", "recognizers.js", "content.js"];
+
+const RESTRICTED_URL = /^(chrome|edge|about|devtools|view-source|chrome-extension):|^https:\/\/chrome\.google\.com\/webstore/;
+
+function canRunIn(tab) {
+    return Boolean(tab && tab.url && !RESTRICTED_URL.test(tab.url));
+}
+
+// Message the tab's content script, injecting it first if the page predates the extension
+async function sendToContent(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (err) {
+        console.debug("VoiceControl: Injecting content script into tab", tabId);
+        await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPTS });
+        await chrome.scripting.insertCSS({ target: { tabId }, files: ["styles/content.css"] });
+        return chrome.tabs.sendMessage(tabId, message);
+    }
+}
+
+async function setTabListening(tabId, listening) {
+    await sendToContent(tabId, { action: listening ? "startListening" : "stopListening" });
+    await chrome.storage.local.set({ [`listening_${tabId}`]: listening });
+}
+
+// Stop the tab holding the mic (if any) and start it in `tab`
+async function armTab(tab) {
+    const { armedTabId } = await chrome.storage.session.get("armedTabId");
+    if (armedTabId && armedTabId !== tab.id) {
+        // The old tab may be gone or on a restricted page; nothing to stop then
+        chrome.tabs.sendMessage(armedTabId, { action: "stopListening" }).catch(() => {});
+    }
+
+    if (!canRunIn(tab)) {
+        await chrome.storage.session.remove("armedTabId");
+        return;
+    }
+
+    try {
+        await sendToContent(tab.id, { action: "startListening" });
+        await chrome.storage.session.set({ armedTabId: tab.id });
+    } catch (err) {
+        console.warn("VoiceControl: Could not start listening in tab", tab.id, err);
+    }
+}
+
+async function isAlwaysListening() {
+    const { alwaysListening } = await chrome.storage.local.get("alwaysListening");
+    return alwaysListening === true;
+}
+
+async function setAlwaysListening(enabled) {
+    await chrome.storage.local.set({ alwaysListening: enabled });
+
+    if (enabled) {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (tab) await armTab(tab);
+    } else {
+        const { armedTabId } = await chrome.storage.session.get("armedTabId");
+        if (armedTabId) {
+            chrome.tabs.sendMessage(armedTabId, { action: "stopListening" }).catch(() => {});
+            chrome.storage.local.remove(`listening_${armedTabId}`);
+        }
+        await chrome.storage.session.remove("armedTabId");
+    }
+}
+
+// What the popup should show for a tab: ask the content script, since only it knows for sure
+async function getListeningState(tabId) {
+    const alwaysListening = await isAlwaysListening();
+    let listening = false;
+    try {
+        const status = await chrome.tabs.sendMessage(tabId, { action: "getStatus" });
+        listening = Boolean(status && status.listening);
+    } catch (err) {
+        // No content script in the tab, so nothing is listening there
     }
+    return { listening, alwaysListening };
+}
+
+// Whether a freshly loaded content script should start the mic straight away
+async function shouldListen(tab) {
+    if (await isAlwaysListening()) return tab.active;
+    const key = `listening_${tab.id}`;
+    const result = await chrome.storage.local.get(key);
+    return result[key] === true;
+}
+
+// Follow the user across tab switches
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+    if (!(await isAlwaysListening())) return;
+    const tab = await chrome.tabs.get(tabId);
+    await armTab(tab);
+});
+
+// ...and across windows
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE || !(await isAlwaysListening())) return;
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) await armTab(tab);
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
     chrome.storage.local.remove(`listening_${tabId}`);
 });
 
+// Push-to-talk shortcut (chrome.commands): the page takes commands without the wake word for
+// the follow-up window, switching the mic on just for that if it was off
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command !== "push-to-talk") return;
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!canRunIn(tab)) return;
+
+    try {
+        await sendToContent(tab.id, { action: "pushToTalk" });
+    } catch (err) {
+        console.warn("VoiceControl: Push-to-talk failed in tab", tab.id, err);
+    }
+});
+// ==========================
+
+// ===== Site Resolution =====
+// "go to github" should land on the GitHub the user actually uses, so look through
+// bookmarks, top sites and history before content.js falls back to guessing a domain.
+const SITE_MATCH_THRESHOLD = 0.7;
+
+function compact(text) {
+    return (text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// How well a candidate page matches the spoken name, 0..1
+function scoreSite(query, candidate) {
+    let url;
+    try {
+        url = new URL(candidate.url);
+    } catch (err) {
+        return { score: 0 };
+    }
+    if (!/^https?:$/.test(url.protocol)) return { score: 0 };
+
+    const wanted = compact(query);
+    const hostParts = url.hostname.replace(/^www\./, "").split(".");
+    const siteName = compact(hostParts.length > 2 ? hostParts.slice(0, -2).join("") + hostParts[hostParts.length - 2] : hostParts[0]);
+    const title = (candidate.title || "").toLowerCase();
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (siteName === wanted || compact(hostParts[0]) === wanted) return { score: 1, byHost: true, url };
+    if (siteName.includes(wanted) && wanted.length >= 4) return { score: 0.8, byHost: true, url };
+    if (compact(title) === wanted) return { score: 0.9, byHost: false, url };
+    if (words.length && words.every(w => title.includes(w))) return { score: 0.7, byHost: false, url };
+    return { score: 0 };
+}
+
+async function resolveSite(query) {
+    const [bookmarks, topSites, history] = await Promise.all([
+        chrome.bookmarks.search(query).catch(() => []),
+        chrome.topSites.get().catch(() => []),
+        chrome.history.search({ text: query, startTime: 0, maxResults: 25 }).catch(() => [])
+    ]);
+
+    let best = null;
+    const consider = (candidate, bonus, keepPath) => {
+        if (!candidate.url) return;
+        const match = scoreSite(query, candidate);
+        if (match.score < SITE_MATCH_THRESHOLD) return;
+
+        const score = match.score + bonus + Math.min(0.05, (candidate.visitCount || 0) / 2000);
+        // A host match means "the site", so go to its front page — unless it's a bookmark
+        const url = match.byHost && !keepPath ? match.url.origin + "/" : candidate.url;
+        if (!best || score > best.score) best = { url, score };
+    };
+
+    bookmarks.forEach(b => consider(b, 0.1, true));
+    topSites.forEach(t => consider(t, 0.05, false));
+    history.forEach(h => consider(h, 0, false));
+
+    return best ? best.url : null;
+}
+// ==========================
+
+// ===== Command History =====
+// Recent commands from every tab, newest first, in storage.local as `commandHistory`.
+// Entry: { id, timestamp, tabId, url, transcript, commandText, commandId, slots, target, success, undo, undone }
+const HISTORY_LIMIT = 100;
+let historyWrite = Promise.resolve(); // serialise read-modify-write so entries aren't lost
+
+function updateHistory(mutate) {
+    historyWrite = historyWrite.catch(() => {}).then(async () => {
+        const { commandHistory = [] } = await chrome.storage.local.get("commandHistory");
+        const result = mutate(commandHistory);
+        await chrome.storage.local.set({ commandHistory: commandHistory.slice(0, HISTORY_LIMIT) });
+        return result;
+    });
+    return historyWrite;
+}
+
+function addHistoryEntry(entry, tab) {
+    return updateHistory(history => {
+        history.unshift({
+            ...entry,
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            timestamp: Date.now(),
+            tabId: tab ? tab.id : null,
+            url: tab ? tab.url : null
+        });
+    });
+}
+
+async function getHistory(limit) {
+    const { commandHistory = [] } = await chrome.storage.local.get("commandHistory");
+    return commandHistory.slice(0, limit || HISTORY_LIMIT);
+}
+
+// Claim the newest undoable entry; tab restores are done here, page-level undo by the caller.
+// Page-level undo only works from the tab it happened in, so the entry stays unclaimed elsewhere.
+async function takeUndo(tab) {
+    const claim = await updateHistory(history => {
+        const found = history.find(e => e.success && e.undo && !e.undone);
+        if (!found) return null;
+        if (found.undo.type !== "closeTab" && (!tab || found.tabId !== tab.id)) return { entry: found, elsewhere: true };
+        found.undone = true;
+        return { entry: found };
+    });
+
+    if (!claim) return fail("Nothing to undo");
+    if (claim.elsewhere) return fail("The last action was in another tab");
+    const entry = claim.entry;
+
+    if (entry.undo.type === "closeTab") {
+        if (!entry.undo.sessionId) return fail("Could not reopen the tab");
+        try {
+            await chrome.sessions.restore(entry.undo.sessionId);
+            return ok("Reopened closed tab");
+        } catch (err) {
+            return fail("Could not reopen the tab");
+        }
+    }
+
+    return { status: "ok", undo: entry.undo, url: entry.url, commandText: entry.commandText };
+}
+
+// Close a tab and note its session id on the "close tab" entry the page logged, so undo
+// reopens this tab rather than whatever was closed last
+async function closeTabForUndo(tab) {
+    await chrome.tabs.remove(tab.id);
+    const closed = await chrome.sessions.getRecentlyClosed({ maxResults: 5 }).catch(() => []);
+    const session = closed.find(s => s.tab && s.tab.url === tab.url);
+    if (!session) return;
+    await updateHistory(history => {
+        const entry = history.find(e => e.tabId === tab.id && e.undo && e.undo.type === "closeTab" && !e.undone);
+        if (entry && !entry.undo.sessionId) entry.undo.sessionId = session.tab.sessionId;
+    });
+}
+
+async function replayHistory(id, tabId) {
+    const entry = (await getHistory()).find(e => e.id === id);
+    if (!entry || !entry.commandText) return fail("That command is no longer in the history");
+    return runTypedCommand(tabId, entry.commandText);
+}
+
+// Typed text runs in the page exactly as if it had been spoken after the wake word
+async function runTypedCommand(tabId, text) {
+    const response = await sendToContent(tabId, { action: "runCommand", text });
+    return response && response.status === "ok" ? ok("Ran {command}", { command: text }) : fail("Could not run {command}", { command: text });
+}
+// ==========================
+
+// ===== Recognizer Relay =====
+// The local and HTTP recognizers (recognizers.js) do their work outside the page;
+// their results reach the listening tab as { action: "recognizerEvent", source, type, detail }.
+// `recognizerTarget` (storage.session) is the { tabId, frameId } the offscreen engine reports to.
+const OFFSCREEN_URL = "offscreen.html";
+
+function relayRecognizerEvent(target, source, type, detail) {
+    chrome.tabs.sendMessage(target.tabId, { action: "recognizerEvent", source, type, detail }, { frameId: target.frameId })
+        .catch(() => {}); // tab closed or navigated mid-utterance
+}
+
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["USER_MEDIA"],
+        justification: "Runs the on-device speech recognizer"
+    });
+}
+
+// The offscreen document holds the mic for one tab at a time; the newest caller takes it over
+async function startLocalRecognizer(sender, lang) {
+    await chrome.storage.session.set({ recognizerTarget: { tabId: sender.tab.id, frameId: sender.frameId } });
+    await ensureOffscreenDocument();
+    return chrome.runtime.sendMessage({ target: "offscreen", action: "start", lang });
+}
+
+async function stopLocalRecognizer(sender) {
+    const { recognizerTarget } = await chrome.storage.session.get("recognizerTarget");
+    if (!recognizerTarget || recognizerTarget.tabId !== sender.tab.id) return; // another tab took over
+    await chrome.storage.session.remove("recognizerTarget");
+    if (await chrome.offscreen.hasDocument()) {
+        await chrome.runtime.sendMessage({ target: "offscreen", action: "stop" });
+    }
+}
+
+async function forwardLocalRecognizerEvent(type, detail) {
+    const { recognizerTarget } = await chrome.storage.session.get("recognizerTarget");
+    if (recognizerTarget) relayRecognizerEvent(recognizerTarget, "local", type, detail);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// Accepts { transcript, final?, confidence?, alternatives? }; anything without `final: false` is final
+function normalizeServerResult(result) {
+    const transcript = String(result.transcript || "").trim();
+    const alternatives = Array.isArray(result.alternatives) && result.alternatives.length
+        ? result.alternatives.map(alt => ({ transcript: String(alt.transcript || "").trim(), confidence: alt.confidence }))
+        : [{ transcript, confidence: result.confidence }];
+    return { transcript: transcript || alternatives[0].transcript, isFinal: result.final !== false, alternatives };
+}
+
+// HTTP recognizer protocol (see README): POST the utterance as audio/wav to the endpoint with
+// ?lang=<BCP 47>. The reply is one JSON result, or newline-delimited JSON results to stream
+// interim text before the final one.
+async function transcribeAudio(request, sender) {
+    const target = { tabId: sender.tab.id, frameId: sender.frameId };
+    const url = new URL(request.endpoint);
+    url.searchParams.set("lang", request.lang);
+
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "audio/wav" },
+        body: base64ToBytes(request.audio)
+    });
+    if (!response.ok) throw new Error(`Recognizer server replied ${response.status}`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = "";
+    const emitLine = (line) => {
+        if (!line.trim()) return;
+        const result = normalizeServerResult(JSON.parse(line));
+        if (result.transcript) relayRecognizerEvent(target, "http", "transcript", result);
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += value;
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        lines.forEach(emitLine);
+    }
+    emitLine(buffered);
+}
+// ==========================
+
+// ===== Speech Output =====
+// Voice, rate and pitch come from options and apply to confirmations and page reading alike.
+const TTS_DEFAULTS = { ttsVoice: "", ttsRate: 1.2, ttsPitch: 1.0 };
+
+function ttsOptions(settings, lang, rateFactor = 1) {
+    const options = {
+        rate: Math.min(10, Math.max(0.1, settings.ttsRate * rateFactor)),
+        pitch: settings.ttsPitch,
+        volume: 0.8
+    };
+    // A chosen voice speaks one language; asking for another as well would find no voice at all
+    if (settings.ttsVoice) {
+        options.voiceName = settings.ttsVoice;
+    } else if (lang) {
+        options.lang = lang;
+    }
+    return options;
+}
+
+// Speak one block for the tab's reader and tell it how that went, so it can move on or stop
+function readAloud(tabId, request) {
+    chrome.storage.sync.get(TTS_DEFAULTS, (settings) => {
+        chrome.tts.speak(request.text, {
+            ...ttsOptions(settings, request.lang, request.rateFactor || 1),
+            onEvent: (event) => {
+                if (!["end", "interrupted", "cancelled", "error"].includes(event.type) || !tabId) return;
+                chrome.tabs.sendMessage(tabId, {
+                    action: "readingEvent",
+                    id: request.id,
+                    type: event.type,
+                    message: event.errorMessage
+                }).catch(() => {}); // the tab may have navigated away
+            }
+        });
+    });
+}
+// ==========================
+
+// Every tab command replies with { status: "ok" | "error", message } so the
+// content script can show the outcome in the HUD and speak it back. `message` may
+// hold {name} placeholders filled from `vars`; the template and vars travel along
+// so the page can translate the reply (see locales.js).
+function reply(status, template, vars) {
+    const message = vars
+        ? template.replace(/\{(\w+)\}/g, (whole, name) => vars[name] !== undefined ? vars[name] : whole)
+        : template;
+    return { status, message, template, vars };
+}
+
+function ok(message, vars) {
+    return reply("ok", message, vars);
+}
+
+function fail(message, vars) {
+    return reply("error", message, vars);
+}
+
+// Activate a tab in the sender's window, either by 1-based position or by title text
+function switchToTab(senderTabId, request, sendResponse) {
+    chrome.tabs.query({ currentWindow: true }, (tabs) => {
+        let target = null;
+
+        if (request.index) {
+            // -1 means "last tab", as in "switch to tab last"
+            target = request.index === -1 ? tabs[tabs.length - 1] : tabs[request.index - 1];
+            if (!target) {
+                sendResponse(fail("There is no tab {number}", { number: request.index }));
+                return;
+            }
+        } else if (request.title) {
+            const query = request.title.toLowerCase();
+            target = tabs.find(t => t.id !== senderTabId && (t.title || "").toLowerCase().includes(query))
+                || tabs.find(t => (t.url || "").toLowerCase().includes(query.replace(/\s/g, "")));
+            if (!target) {
+                sendResponse(fail("No tab matching {title}", { title: request.title }));
+                return;
+            }
+        }
+
+        if (!target) {
+            sendResponse(fail("No tab specified"));
+            return;
+        }
+
+        chrome.tabs.update(target.id, { active: true }, () => {
+            sendResponse(ok("Switched to {title}", { title: target.title || "tab " + (target.index + 1) }));
+        });
+    });
+}
+
+// Move focus to the tab `offset` places away from the sender, wrapping around
+function cycleTab(senderTabId, offset, sendResponse) {
+    chrome.tabs.query({ currentWindow: true }, (tabs) => {
+        if (!tabs.length || !senderTabId) {
+            sendResponse(fail("No tab to switch to"));
+            return;
+        }
+        if (tabs.length === 1) {
+            sendResponse(fail("This is the only tab"));
+            return;
+        }
+        const currentIndex = tabs.findIndex(t => t.id === senderTabId);
+        const targetIndex = (currentIndex + offset + tabs.length) % tabs.length;
+        chrome.tabs.update(tabs[targetIndex].id, { active: true }, () => {
+            sendResponse(ok(offset > 0 ? "Next tab" : "Previous tab"));
+        });
+    });
+}
+
+// ===== Windows, Bookmarks & Downloads =====
+// Chrome's own zoom steps, so voice zoom lands where Ctrl+plus/minus would
+const ZOOM_LEVELS = [0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4, 5];
+
+async function openWindow(incognito) {
+    try {
+        await chrome.windows.create({ incognito });
+        return ok(incognito ? "Opened incognito window" : "Opened new window");
+    } catch (err) {
+        return fail(incognito ? "Incognito windows are turned off" : "Could not open a window");
+    }
+}
+
+// `preFullscreenStates` (storage.session) remembers what to restore per window
+async function setWindowFullscreen(windowId, fullscreen) {
+    const { preFullscreenStates = {} } = await chrome.storage.session.get("preFullscreenStates");
+    if (fullscreen) {
+        const win = await chrome.windows.get(windowId);
+        if (win.state !== "fullscreen") {
+            preFullscreenStates[windowId] = win.state;
+            await chrome.storage.session.set({ preFullscreenStates });
+            await chrome.windows.update(windowId, { state: "fullscreen" });
+        }
+        return ok("Fullscreen");
+    }
+    if (preFullscreenStates[windowId]) {
+        await chrome.windows.update(windowId, { state: preFullscreenStates[windowId] });
+        delete preFullscreenStates[windowId];
+        await chrome.storage.session.set({ preFullscreenStates });
+    }
+    return ok("Left fullscreen");
+}
+
+async function bookmarkPage(tab) {
+    if (!tab || !/^(https?|file|ftp):/.test(tab.url || "")) return fail("This page can't be bookmarked");
+    const existing = await chrome.bookmarks.search({ url: tab.url }).catch(() => []);
+    if (existing.length) return ok("Already bookmarked");
+    await chrome.bookmarks.create({ title: tab.title || tab.url, url: tab.url });
+    return ok("Bookmarked {title}", { title: tab.title || tab.url });
+}
+
+// Best title match among bookmarks whose title or address mentions `name`; bookmarklets don't count
+async function openBookmark(tabId, name) {
+    const query = name.toLowerCase();
+    const found = (await chrome.bookmarks.search(name).catch(() => []))
+        .filter(b => b.url && !/^javascript:/i.test(b.url));
+    if (!found.length) return fail("No bookmark called {name}", { name });
+
+    const rank = b => {
+        const title = (b.title || "").toLowerCase();
+        return title === query ? 0 : title.startsWith(query) ? 1 : title.includes(query) ? 2 : 3;
+    };
+    const best = found.sort((a, b) => rank(a) - rank(b))[0];
+    await chrome.tabs.update(tabId, { url: best.url });
+    return ok("Opening bookmark {title}", { title: best.title || best.url });
+}
+
+// Opening a file needs a user gesture, which a voice command isn't; showing it in its folder doesn't
+async function openLastDownload() {
+    const [item] = await chrome.downloads.search({ orderBy: ["-startTime"], state: "complete", exists: true, limit: 1 });
+    if (!item) return fail("No downloads yet");
+    const file = item.filename.split(/[\\/]/).pop();
+    try {
+        await chrome.downloads.open(item.id);
+        return ok("Opening {file}", { file });
+    } catch (err) {
+        chrome.downloads.show(item.id);
+        return ok("Showing {file} in its folder", { file });
+    }
+}
+
+// `direction` 1 or -1 steps through ZOOM_LEVELS, 0 goes back to the default
+async function stepZoom(tabId, direction) {
+    if (!direction) {
+        await chrome.tabs.setZoom(tabId, 0);
+        return ok("Zoom reset");
+    }
+    const current = await chrome.tabs.getZoom(tabId);
+    const next = direction > 0
+        ? ZOOM_LEVELS.find(level => level > current + 0.001)
+        : ZOOM_LEVELS.slice().reverse().find(level => level < current - 0.001);
+    if (!next) return fail(direction > 0 ? "Already zoomed in all the way" : "Already zoomed out all the way");
+    await chrome.tabs.setZoom(tabId, next);
+    return ok("Zoom {percent}%", { percent: Math.round(next * 100) });
+}
+// ==========================
+
+// ===== Tab Sessions =====
+// Named sets of tabs in storage.local as `tabSessions`: [{ name, saved, tabs: [{ url, title, pinned }] }].
+// Windows a session was saved from or opened into are kept in storage.session as
+// `sessionWindows` ({ windowId: name }), so "close session" knows which session it is in.
+
+// Session names are matched the way they are spoken: case, spacing and punctuation don't count
+function findSession(sessions, name) {
+    const key = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+    return sessions.find(session => key(session.name) === key(name)) || null;
+}
+
+async function getSessions() {
+    const { tabSessions = [] } = await chrome.storage.local.get("tabSessions");
+    return tabSessions;
+}
+
+async function rememberSessionWindow(windowId, name) {
+    const { sessionWindows = {} } = await chrome.storage.session.get("sessionWindows");
+    sessionWindows[windowId] = name;
+    await chrome.storage.session.set({ sessionWindows });
+}
+
+// The window's tabs under `name`, replacing a session of the same name; pages that can't be
+// reopened from a URL (chrome://, the Web Store) are left out
+async function saveSession(windowId, name) {
+    const tabs = (await chrome.tabs.query({ windowId })).filter(tab => /^(https?|file|ftp):/.test(tab.url || ""));
+    if (!tabs.length) return fail("No tabs here that can be saved");
+
+    const sessions = await getSessions();
+    const existing = findSession(sessions, name);
+    const session = {
+        name: existing ? existing.name : name.trim(),
+        saved: new Date().toISOString(),
+        tabs: tabs.map(tab => ({ url: tab.url, title: tab.title || "", pinned: tab.pinned }))
+    };
+    await chrome.storage.local.set({
+        tabSessions: existing ? sessions.map(s => (s === existing ? session : s)) : sessions.concat(session)
+    });
+    await rememberSessionWindow(windowId, session.name);
+    return ok("Saved {count} tabs as {name}", { count: tabs.length, name: session.name });
+}
+
+async function listSessions() {
+    const sessions = await getSessions();
+    if (!sessions.length) return fail("No saved sessions yet");
+    return ok("Sessions: {names}", { names: sessions.map(session => session.name).join(", ") });
+}
+
+async function openSession(name) {
+    const session = findSession(await getSessions(), name);
+    if (!session) return fail("No session called {name}", { name });
+
+    const win = await chrome.windows.create({ url: session.tabs.map(tab => tab.url) });
+    await Promise.all(win.tabs
+        .filter((tab, i) => session.tabs[i] && session.tabs[i].pinned)
+        .map(tab => chrome.tabs.update(tab.id, { pinned: true })));
+    await rememberSessionWindow(win.id, session.name);
+    return ok("Opened session {name}", { name: session.name });
+}
+
+// Saves the session window as it is now, so it reopens the way it was left; the caller closes it
+async function leaveSession(windowId) {
+    const { sessionWindows = {} } = await chrome.storage.session.get("sessionWindows");
+    const name = sessionWindows[windowId];
+    if (!name) return fail("This window isn't a saved session");
+    // Nothing saveable left: keep the window rather than close it with the session out of date
+    const saved = await saveSession(windowId, name);
+    if (saved.status !== "ok") return saved;
+    return ok("Closing session {name}", { name });
+}
+
+// "others" or "right" of `tab`, in its window; pinned tabs stay, as with Chrome's own menu items
+async function closeTabsBeside(tab, which) {
+    const doomed = (await chrome.tabs.query({ windowId: tab.windowId }))
+        .filter(t => t.id !== tab.id && !t.pinned && (which === "others" || t.index > tab.index));
+    if (!doomed.length) return fail(which === "others" ? "No other tabs to close" : "No tabs to the right");
+    await chrome.tabs.remove(doomed.map(t => t.id));
+    return ok("Closed {count} tabs", { count: doomed.length });
+}
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+    const { sessionWindows = {} } = await chrome.storage.session.get("sessionWindows");
+    if (!(windowId in sessionWindows)) return;
+    delete sessionWindows[windowId];
+    chrome.storage.session.set({ sessionWindows });
+});
+// ==========================
+
 // Handle tab commands from content.js
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const senderTabId = sender.tab ? sender.tab.id : null;
 
     switch (request.command) {
         case "newTab":
-            chrome.tabs.create({});
-            sendResponse({ status: "ok" });
+            chrome.tabs.create({}, () => sendResponse(ok("Opened new tab")));
             break;
 
         case "closeTab":
-            if (senderTabId) {
-                chrome.tabs.remove(senderTabId);
+            if (!senderTabId) {
+                sendResponse(fail("No tab to close"));
+                break;
             }
-            sendResponse({ status: "ok" });
+            // Reply first — once the tab is gone nobody is left to hear it
+            sendResponse(ok("Closing tab"));
+            closeTabForUndo(sender.tab).catch(err => console.warn("VoiceControl: Could not close the tab", err));
             break;
 
         case "nextTab":
-            chrome.tabs.query({ currentWindow: true }, (tabs) => {
-                if (!tabs.length || !senderTabId) return;
-                const currentIndex = tabs.findIndex(t => t.id === senderTabId);
-                const nextIndex = (currentIndex + 1) % tabs.length;
-                chrome.tabs.update(tabs[nextIndex].id, { active: true });
-            });
-            sendResponse({ status: "ok" });
+            cycleTab(senderTabId, 1, sendResponse);
             break;
 
         case "previousTab":
-            chrome.tabs.query({ currentWindow: true }, (tabs) => {
-                if (!tabs.length || !senderTabId) return;
-                const currentIndex = tabs.findIndex(t => t.id === senderTabId);
-                const prevIndex = (currentIndex - 1 + tabs.length) % tabs.length;
-                chrome.tabs.update(tabs[prevIndex].id, { active: true });
-            });
-            sendResponse({ status: "ok" });
+            cycleTab(senderTabId, -1, sendResponse);
+            break;
+
+        case "switchTab":
+            switchToTab(senderTabId, request, sendResponse);
             break;
 
         case "openSite":
-            if (request.url) {
-                chrome.tabs.create({ url: request.url });
+            if (!request.url) {
+                sendResponse(fail("No site given"));
+                break;
+            }
+            chrome.tabs.create({ url: request.url }, () => {
+                if (chrome.runtime.lastError) {
+                    sendResponse(fail("Could not open {url}", { url: request.url }));
+                } else {
+                    sendResponse(ok("Opened {url}", { url: request.url }));
+                }
+            });
+            break;
+
+        case "reopenTab":
+            chrome.sessions.restore(() => {
+                if (chrome.runtime.lastError) {
+                    sendResponse(fail("No closed tab to reopen"));
+                } else {
+                    sendResponse(ok("Reopened closed tab"));
+                }
+            });
+            break;
+
+        case "pinTab": {
+            if (!sender.tab) {
+                sendResponse(fail("No tab to pin"));
+                break;
+            }
+            // "pin tab" / "unpin tab" send an explicit state, anything else toggles
+            const pinned = typeof request.pinned === "boolean" ? request.pinned : !sender.tab.pinned;
+            chrome.tabs.update(senderTabId, { pinned }, () => {
+                sendResponse(ok(pinned ? "Pinned tab" : "Unpinned tab"));
+            });
+            break;
+        }
+
+        case "muteTab": {
+            if (!sender.tab) {
+                sendResponse(fail("No tab to mute"));
+                break;
+            }
+            const wasMuted = sender.tab.mutedInfo ? sender.tab.mutedInfo.muted : false;
+            const muted = typeof request.muted === "boolean" ? request.muted : !wasMuted;
+            chrome.tabs.update(senderTabId, { muted }, () => {
+                sendResponse(ok(muted ? "Muted tab" : "Unmuted tab"));
+            });
+            break;
+        }
+
+        case "setWindowFullscreen":
+            // Fallback for "fullscreen" when the page refuses requestFullscreen() without a click
+            if (!sender.tab) {
+                sendResponse(fail("No window to make fullscreen"));
+                break;
+            }
+            setWindowFullscreen(sender.tab.windowId, Boolean(request.fullscreen))
+                .then(sendResponse)
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "newWindow":
+            openWindow(Boolean(request.incognito)).then(sendResponse);
+            break;
+
+        case "closeWindow":
+            if (!sender.tab) {
+                sendResponse(fail("No window to close"));
+                break;
+            }
+            sendResponse(ok("Closing window"));
+            chrome.windows.remove(sender.tab.windowId);
+            break;
+
+        case "bookmarkPage":
+            bookmarkPage(sender.tab).then(sendResponse, () => sendResponse(fail("Could not bookmark this page")));
+            break;
+
+        case "openBookmark":
+            if (!senderTabId) {
+                sendResponse(fail("No tab to open it in"));
+                break;
+            }
+            openBookmark(senderTabId, request.name).then(sendResponse, () => sendResponse(fail("Could not open that bookmark")));
+            break;
+
+        case "showDownloads":
+            chrome.tabs.create({ url: "chrome://downloads" }, () => sendResponse(ok("Opened downloads")));
+            break;
+
+        case "openLastDownload":
+            openLastDownload().then(sendResponse, () => sendResponse(fail("Could not open the download")));
+            break;
+
+        case "zoom":
+            if (!senderTabId) {
+                sendResponse(fail("No tab to zoom"));
+                break;
+            }
+            stepZoom(senderTabId, request.direction).then(sendResponse, () => sendResponse(fail("This page can't be zoomed")));
+            break;
+
+        case "duplicateTab":
+            if (!senderTabId) {
+                sendResponse(fail("No tab to duplicate"));
+                break;
+            }
+            chrome.tabs.duplicate(senderTabId, () => sendResponse(ok("Duplicated tab")));
+            break;
+
+        case "saveSession":
+            if (!sender.tab) {
+                sendResponse(fail("No window to save"));
+                break;
+            }
+            saveSession(sender.tab.windowId, request.name).then(sendResponse, () => sendResponse(fail("Could not save the session")));
+            break;
+
+        case "listSessions":
+            listSessions().then(sendResponse, () => sendResponse(fail("Could not read the sessions")));
+            break;
+
+        case "openSession":
+            openSession(request.name).then(sendResponse, () => sendResponse(fail("Could not open the session")));
+            break;
+
+        case "closeSession":
+            if (!sender.tab) {
+                sendResponse(fail("No session to close"));
+                break;
+            }
+            leaveSession(sender.tab.windowId).then(response => {
+                // Reply first, as with "close window"
+                sendResponse(response);
+                if (response.status === "ok") chrome.windows.remove(sender.tab.windowId);
+            }, () => sendResponse(fail("Could not close the session")));
+            break;
+
+        case "closeOtherTabs":
+        case "closeTabsToRight":
+            if (!sender.tab) {
+                sendResponse(fail("No tabs to close"));
+                break;
+            }
+            closeTabsBeside(sender.tab, request.command === "closeOtherTabs" ? "others" : "right")
+                .then(sendResponse, () => sendResponse(fail("Could not close the tabs")));
+            break;
+
+        case "contentReady":
+            // A content script just loaded (navigation, reload or on-demand injection)
+            if (!sender.tab) {
+                sendResponse({ listen: false });
+                break;
+            }
+            shouldListen(sender.tab).then(listen => {
+                if (listen && sender.tab.active) chrome.storage.session.set({ armedTabId: senderTabId });
+                sendResponse({ listen });
+            });
+            break;
+
+        case "listeningChanged":
+            // Reported by content.js, e.g. mic denied or "stop listening" said by voice
+            if (senderTabId) chrome.storage.local.set({ [`listening_${senderTabId}`]: request.listening });
+            if (!request.listening && request.userInitiated) {
+                isAlwaysListening().then(enabled => {
+                    if (enabled) setAlwaysListening(false);
+                });
             }
             sendResponse({ status: "ok" });
             break;
 
+        case "getListeningState":
+            getListeningState(request.tabId).then(sendResponse);
+            break;
+
+        case "setListening":
+            setTabListening(request.tabId, request.listening)
+                .then(() => sendResponse(ok(request.listening ? "Listening" : "Stopped listening")))
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "setAlwaysListening":
+            setAlwaysListening(request.enabled)
+                .then(() => sendResponse(ok(request.enabled ? "Always listening on" : "Always listening off")))
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "recordHistory":
+            addHistoryEntry(request.entry, sender.tab).then(() => sendResponse({ status: "ok" }));
+            break;
+
+        case "getHistory":
+            getHistory(request.limit).then(history => sendResponse({ history }));
+            break;
+
+        case "clearHistory":
+            updateHistory(history => history.splice(0)).then(() => sendResponse(ok("History cleared")));
+            break;
+
+        case "takeUndo":
+            takeUndo(sender.tab).then(sendResponse);
+            break;
+
+        case "replayHistory":
+            replayHistory(request.id, request.tabId)
+                .then(sendResponse)
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "runCommand":
+            runTypedCommand(request.tabId, request.text)
+                .then(sendResponse)
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "resolveSite":
+            resolveSite(request.query || "")
+                .then(url => sendResponse({ url }))
+                .catch(err => {
+                    console.warn("VoiceControl: Site lookup failed", err);
+                    sendResponse({ url: null });
+                });
+            break;
+
+        case "startLocalRecognizer":
+            startLocalRecognizer(sender, request.lang)
+                .then(response => sendResponse(response || fail("Local engine did not respond")))
+                .catch(err => sendResponse(fail(err.message)));
+            break;
+
+        case "stopLocalRecognizer":
+            stopLocalRecognizer(sender).finally(() => sendResponse({ status: "ok" }));
+            break;
+
+        case "localRecognizerEvent":
+            forwardLocalRecognizerEvent(request.type, request.detail).finally(() => sendResponse({ status: "ok" }));
+            break;
+
+        case "transcribeAudio":
+            transcribeAudio(request, sender)
+                .then(() => sendResponse({ status: "ok" }))
+                .catch(err => {
+                    console.warn("VoiceControl: Recognizer server failed", err);
+                    sendResponse(fail(err.message));
+                });
+            break;
+
         case "speak":
-            chrome.storage.sync.get(['ttsEnabled'], (result) => {
+            chrome.storage.sync.get({ ttsEnabled: true, ...TTS_DEFAULTS }, (settings) => {
                 // Since default is true, check strictly for explicit false
-                if (result.ttsEnabled !== false) {
-                    chrome.tts.speak(request.text, { rate: 1.2, pitch: 1.0, volume: 0.8 });
+                if (settings.ttsEnabled !== false) {
+                    chrome.tts.speak(request.text, ttsOptions(settings, request.lang));
                 }
             });
             sendResponse({ status: "ok" });
             break;
+
+        case "readAloud":
+            // Reading was asked for explicitly, so it ignores the voice feedback switch
+            readAloud(senderTabId, request);
+            sendResponse({ status: "ok" });
+            break;
+
+        case "pauseReading":
+            chrome.tts.pause();
+            sendResponse({ status: "ok" });
+            break;
+
+        case "resumeReading":
+            chrome.tts.resume();
+            sendResponse({ status: "ok" });
+            break;
+
+        case "stopReading":
+            chrome.tts.stop();
+            sendResponse({ status: "ok" });
+            break;
     }
 
     return true; // keep channel open for async responses
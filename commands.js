@@ -0,0 +1,1683 @@
+/**
+ * commands.js — VoiceControl Browser
+ * Command Grammar & Registry (loaded before content.js)
+ *
+ * Every voice command is declared once here with its phrase patterns,
+ * a priority, a handler and a help string. parseCommand, the on-screen
+ * commands overlay and the README table are all generated from this list.
+ *
+ * Pattern syntax:
+ *  - plain words must be said exactly:        "scroll down"
+ *  - {slot} captures part of the phrase:      "go to {site}"
+ *  - [word] or [a|the] is optional:           "close [this] tab"
+ *  - (a|b) accepts either word:               "(pin|unpin) tab"
+ *
+ * Slots named in `typedSlots` only match their own vocabulary (e.g. {number}
+ * only matches "3" or "three"), every other slot matches free text.
+ */
+
+const spokenNumbers = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1
+};
+
+// "3", "three" or "third" -> 3; returns null if the text is not a number
+function parseSpokenNumber(text) {
+    const word = text.trim();
+    if (/^\d+$/.test(word)) return parseInt(word, 10);
+    return spokenNumbers[word] !== undefined ? spokenNumbers[word] : null;
+}
+
+// "a little" -> "little"; how far each size goes is up to the scrolling code
+const spokenScrollSizes = {
+    "a little": "little", "a little bit": "little", "a bit": "little", "slightly": "little",
+    "a lot": "lot", "a long way": "lot",
+    "half a page": "half", "half page": "half", "half a screen": "half"
+};
+
+// Longest phrases first, so "a little bit" isn't cut short at "a little"
+function phrasePattern(phrases) {
+    return phrases.slice().sort((a, b) => b.length - a.length).map(escapeRegex).join("|");
+}
+
+const typedSlots = {
+    number: {
+        pattern: "\\d+|" + Object.keys(spokenNumbers).join("|"),
+        parse: parseSpokenNumber
+    },
+    scrollSize: {
+        pattern: phrasePattern(Object.keys(spokenScrollSizes)),
+        parse: text => spokenScrollSizes[text]
+    },
+    // "1.5" or "0,75" (as some languages write it)
+    decimal: {
+        pattern: "\\d+[.,]\\d+",
+        parse: text => parseFloat(text.replace(",", "."))
+    }
+};
+
+// Categories appear in the overlay and README in this order
+const commandCategories = ["Navigation", "Scrolling", "Tabs", "Browser", "Interaction & Forms", "Page Structure", "Dictation", "Selection & Clipboard", "Reading", "Media", "History", "System"];
+
+const commandRegistry = [];
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Compile one phrase pattern into an anchored RegExp plus the data needed to rank matches
+function compilePattern(pattern) {
+    const slots = [];
+    let literalLength = 0;
+    let source = "";
+    let needsSeparator = false;
+
+    pattern.trim().split(/\s+/).forEach(rawToken => {
+        let token = rawToken;
+        const optional = /^\[.+\]$/.test(token);
+        if (optional) token = token.slice(1, -1);
+
+        let piece;
+        const slot = token.match(/^\{(\w+)\}$/);
+        if (slot) {
+            slots.push(slot[1]);
+            piece = "(" + (typedSlots[slot[1]] ? typedSlots[slot[1]].pattern : ".+?") + ")";
+        } else {
+            const alternatives = token.replace(/^\((.+)\)$/, "$1").split("|");
+            piece = "(?:" + alternatives.map(escapeRegex).join("|") + ")";
+            if (!optional) literalLength += Math.min(...alternatives.map(a => a.length));
+        }
+
+        const separator = needsSeparator ? "\\s+" : "";
+        if (optional) {
+            // Keep the separator inside the optional group so "close tab" matches "close [this] tab"
+            source += needsSeparator ? `(?:${separator}${piece})?` : `(?:${piece}\\s+)?`;
+        } else {
+            source += separator + piece;
+            needsSeparator = true;
+        }
+    });
+
+    return { regex: new RegExp("^" + source + "$"), slots, literalLength };
+}
+
+/**
+ * Add a command to the registry.
+ * @param {Object} def
+ * @param {string} def.id        Stable identifier (used by history, macros and translations)
+ * @param {string} def.category  One of commandCategories
+ * @param {string[]} def.patterns Phrase patterns, see syntax above
+ * @param {Function} def.handler (slots, context) => false when the command could not be carried out
+ * @param {string} def.help      One-line description for the overlay and README (translations in locales.js)
+ * @param {number} [def.priority=0] Higher wins over specificity when two commands both match
+ * @param {boolean} [def.dictation] Also accepted without the wake word while dictating
+ * @param {Function} [def.undo] (slots) => how to reverse the command, captured just before it runs:
+ *        { type: "scroll", x, y, container } | { type: "navigation" } | { type: "historyBack" } |
+ *        { type: "historyForward" } | { type: "closeTab" } (the worker adds the closed tab's sessionId)
+ * @param {boolean} [def.history=true] false keeps the command out of the history log (e.g. "repeat")
+ * @param {string} [def.risk] Needs a spoken "confirm" first: "leave" when it navigates away
+ *        and the page has unsaved changes, "always" when it can't be taken back
+ * @param {string} [def.confirmQuestion] What an "always" command asks, as a message template
+ */
+function registerCommand(def) {
+    commandRegistry.push({
+        priority: 0,
+        ...def,
+        compiled: def.patterns.map(compilePattern)
+    });
+}
+
+/**
+ * Find every command whose pattern matches the whole phrase, best first.
+ * Ranking is by priority, then specificity: how much of the phrase was
+ * literal words, with typed slots ({number}) beating free-text slots.
+ */
+function matchCommands(text, commands = commandRegistry) {
+    const matches = [];
+
+    commands.forEach(command => {
+        let best = null;
+
+        command.compiled.forEach(({ regex, slots, literalLength }) => {
+            const m = text.match(regex);
+            if (!m) return;
+
+            const values = {};
+            let typedLength = 0;
+            slots.forEach((name, i) => {
+                const raw = m[i + 1].trim();
+                if (typedSlots[name]) {
+                    values[name] = typedSlots[name].parse(raw);
+                    typedLength += raw.length;
+                } else {
+                    values[name] = raw;
+                }
+            });
+
+            const specificity = literalLength * 2 + typedLength;
+            if (!best || specificity > best.specificity) {
+                best = { command, slots: values, specificity };
+            }
+        });
+
+        if (best) matches.push(best);
+    });
+
+    return matches.sort((a, b) => (b.command.priority - a.command.priority) || (b.specificity - a.specificity));
+}
+
+// "go to {site}" -> "go to [site]", "(pin|unpin) [this] tab" -> "pin/unpin tab"
+function describePattern(pattern) {
+    return pattern.trim().split(/\s+/)
+        .filter(token => !/^\[.+\]$/.test(token))
+        .map(token => token.replace(/^\{(\w+)\}$/, "[$1]").replace(/^\((.+)\)$/, "$1").replace(/\|/g, "/"))
+        .join(" ");
+}
+
+// Sayable phrases for autocomplete: "(pin|unpin) [this] tab" -> ["pin tab", "unpin tab"],
+// "go to {site}" -> ["go to [site]"]
+function patternPhrases(pattern) {
+    return pattern.trim().split(/\s+/)
+        .filter(token => !/^\[.+\]$/.test(token))
+        .reduce((phrases, token) => {
+            const choices = /^\(.+\)$/.test(token) ? token.slice(1, -1).split("|") : [token.replace(/^\{(\w+)\}$/, "[$1]")];
+            return phrases.flatMap(phrase => choices.map(choice => phrase ? phrase + " " + choice : choice));
+        }, [""]);
+}
+
+// Commands grouped by category in display order, for the overlay and README
+function getCommandHelp(commands = commandRegistry) {
+    const categories = commandCategories.concat(
+        commands.map(c => c.category).filter(c => !commandCategories.includes(c))
+    );
+
+    return categories
+        .map(category => ({
+            category,
+            commands: commands
+                .filter(c => c.category === category && !c.hidden)
+                .map(c => ({ phrases: c.patterns.map(describePattern), help: c.help }))
+        }))
+        .filter(group => group.commands.length);
+}
+
+// ===== Custom Commands =====
+// User-defined phrases from the options page, stored in chrome.storage.sync as
+// { id, phrase, type, value, newTab } and matched alongside the built-ins.
+
+const customActionTypes = {
+    url: "Open a URL",
+    click: "Click an element (CSS selector)",
+    sequence: "Run built-in commands in order",
+    keys: "Press a keyboard shortcut"
+};
+
+function patternSlots(pattern) {
+    return (pattern.match(/\{(\w+)\}/g) || []).map(slot => slot.slice(1, -1));
+}
+
+function sequenceSteps(value) {
+    return value.split(/[\n;]+/).map(step => step.trim().toLowerCase()).filter(Boolean);
+}
+
+// Returns a list of human-readable problems; empty means the definition is usable
+function validateCustomCommand(def) {
+    const errors = [];
+    const phrase = (def.phrase || "").trim();
+    const value = (def.value || "").trim();
+
+    if (!phrase) {
+        errors.push("Phrase is required.");
+    } else {
+        if (!/[\p{L}\p{N}]/u.test(phrase.replace(/\{\w+\}/g, ""))) {
+            errors.push("Phrase needs at least one word besides {slots}.");
+        }
+        try {
+            compilePattern(normalizeSpeech(phrase));
+        } catch (err) {
+            errors.push("Phrase is not a valid pattern: " + err.message);
+        }
+    }
+
+    if (!customActionTypes[def.type]) {
+        errors.push(`Unknown action type "${def.type}".`);
+        return errors;
+    }
+    if (!value) {
+        errors.push("Action is required.");
+        return errors;
+    }
+
+    const slots = patternSlots(phrase);
+    if (def.type === "url") {
+        if (!/^https?:\/\//i.test(value)) errors.push("URL must start with http:// or https://.");
+        patternSlots(value).forEach(slot => {
+            if (!slots.includes(slot)) errors.push(`URL uses {${slot}} but the phrase has no {${slot}}.`);
+        });
+    } else if (def.type === "click") {
+        try {
+            document.createDocumentFragment().querySelector(value);
+        } catch (err) {
+            errors.push(`"${value}" is not a valid CSS selector.`);
+        }
+    } else if (def.type === "sequence") {
+        const steps = sequenceSteps(value);
+        if (!steps.length) errors.push("Add at least one command to run.");
+        // A step the phrase itself matches would run this macro again, forever
+        if (!errors.length) {
+            const self = { compiled: [compilePattern(normalizeSpeech(phrase))] };
+            steps.filter(step => matchCommands(normalizeSpeech(step), [self]).length).forEach(step => {
+                errors.push(`Step "${step}" runs this command again.`);
+            });
+        }
+    } else if (def.type === "keys") {
+        if (!/^((ctrl|control|alt|option|shift|meta|cmd|command)\s*\+\s*)*[^+\s]+$/i.test(value)) {
+            errors.push(`"${value}" is not a shortcut like ctrl+shift+k.`);
+        }
+    }
+
+    return errors;
+}
+
+function describeCustomCommand(def) {
+    const value = def.value.trim();
+    if (def.type === "url") return (def.newTab ? "Open in new tab: " : "Open: ") + value;
+    if (def.type === "click") return "Click " + value;
+    if (def.type === "sequence") return "Run: " + sequenceSteps(value).join(" → ");
+    return "Press " + value;
+}
+
+// Registry entry for a stored definition; user commands outrank built-ins with the same words.
+// Site packs reuse this with their own id, category and a higher priority.
+function buildCustomCommand(def, overrides = {}) {
+    const phrase = normalizeSpeech(def.phrase.trim()); // the same folding as what is heard
+    return {
+        id: "custom:" + def.id,
+        category: "Custom Commands",
+        patterns: [phrase],
+        help: describeCustomCommand(def),
+        priority: 1,
+        custom: def,
+        risk: def.type === "url" && !def.newTab ? "leave" : undefined,
+        handler: (slots, { depth }) => runCustomAction(def, slots, depth),
+        compiled: [compilePattern(phrase)],
+        ...overrides
+    };
+}
+// ==========================
+
+// ===== Web Search =====
+// Engines are stored as text, one "name = url" per line, with {query} where the search goes
+const defaultSearchEngines = [
+    "Google = https://www.google.com/search?q={query}",
+    "Bing = https://www.bing.com/search?q={query}",
+    "DuckDuckGo = https://duckduckgo.com/?q={query}",
+    "YouTube = https://www.youtube.com/results?search_query={query}",
+    "Wikipedia = https://en.wikipedia.org/w/index.php?search={query}",
+    "Stack Overflow = https://stackoverflow.com/search?q={query}",
+    "GitHub = https://github.com/search?q={query}",
+    "Amazon = https://www.amazon.com/s?k={query}"
+].join("\n");
+
+// Returns [{ name, url }], skipping lines that don't parse; `errors` collects why
+function parseSearchEngines(text, errors = []) {
+    const engines = [];
+    text.split("\n").forEach((line, i) => {
+        if (!line.trim()) return;
+        const m = line.match(/^\s*([^=]+?)\s*=\s*(\S+)\s*$/);
+        if (!m) {
+            errors.push(`Line ${i + 1}: use "Name = https://example.com/search?q={query}".`);
+        } else if (!/^https?:\/\//.test(m[2]) || !m[2].includes("{query}")) {
+            errors.push(`Line ${i + 1}: the URL must start with https:// and contain {query}.`);
+        } else {
+            engines.push({ name: m[1], url: m[2] });
+        }
+    });
+    return engines;
+}
+
+function buildSearchUrl(engine, query) {
+    return engine.url.replace(/\{query\}/g, encodeURIComponent(query));
+}
+// ==========================
+
+// ===== Built-in Commands =====
+// Handlers call into content.js, which is loaded after this file. HUD and spoken
+// text goes through t() so it follows the recognition language (see locales.js).
+
+registerCommand({
+    id: "repeat",
+    category: "History",
+    patterns: ["repeat [that]", "do that again", "again", "once more"],
+    help: "Run the last command again",
+    history: false,
+    handler: () => repeatLastCommand(1)
+});
+
+registerCommand({
+    id: "repeatTimes",
+    category: "History",
+    patterns: ["(repeat|do) [that] {number} times", "(repeat|do) [that] {number} more times"],
+    help: "Run the last command several times, e.g. \"do that 5 times\"",
+    history: false,
+    handler: ({ number }) => {
+        if (number < 1) return false;
+        repeatLastCommand(number);
+    }
+});
+
+registerCommand({
+    id: "undo",
+    category: "History",
+    patterns: ["undo", "undo that", "take that back"],
+    help: "Reverse the last scroll, navigation or closed tab",
+    history: false,
+    handler: () => undoLastCommand()
+});
+
+registerCommand({
+    id: "stopListening",
+    category: "System",
+    patterns: ["stop listening", "go to sleep", "turn off [the] (mic|microphone)"],
+    help: "Turn the microphone off (also ends always-listening mode)",
+    handler: () => {
+        speak(t("Stopped listening"));
+        stop(true);
+    }
+});
+
+registerCommand({
+    id: "endSession",
+    category: "System",
+    patterns: ["stop", "that's all", "that is all", "done", "never mind"],
+    help: "End the follow-up window, so the next command needs the wake word again",
+    history: false,
+    handler: () => {
+        // A bare "stop" while the page is auto-scrolling is meant for the scrolling (see stopAutoScroll)
+        if (autoScroll || !endSession()) return false;
+        updateHUD("👋", t("Done — say the wake word when you need me"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "showCommands",
+    category: "System",
+    patterns: ["show commands", "show help", "options"],
+    help: "Show this list of commands",
+    handler: () => {
+        updateHUD("✅", t("Showing commands"), "status-success");
+        showCommandsOverlay();
+    }
+});
+
+registerCommand({
+    id: "hideCommands",
+    category: "System",
+    patterns: ["hide commands", "close commands", "close help"],
+    help: "Hide the list of commands",
+    handler: () => {
+        updateHUD("✅", t("Hiding commands"), "status-success");
+        hideCommandsOverlay();
+    }
+});
+
+registerCommand({
+    id: "whatDidYouHear",
+    category: "System",
+    patterns: ["what did you (hear|get)", "what did you just hear", "show alternatives"],
+    help: "Show every way the last thing you said was heard, with the one acted on ticked",
+    history: false,
+    handler: () => showWhatWasHeard()
+});
+
+registerCommand({
+    id: "switchProfile",
+    category: "System",
+    patterns: ["switch to [the] {name} profile", "switch to profile {name}", "use [the] {name} profile", "use profile {name}"],
+    help: "Switch to a settings profile saved in the options, e.g. \"switch to the presenting profile\"",
+    handler: ({ name }) => useProfile(name)
+});
+
+registerCommand({
+    id: "listProfiles",
+    category: "System",
+    patterns: ["list profiles", "show profiles", "which profile am i using", "what profile am i using"],
+    help: "Say which settings profiles there are and which one is in use",
+    history: false,
+    handler: () => announceProfiles()
+});
+
+registerCommand({
+    id: "goTo",
+    category: "Navigation",
+    patterns: ["go to {site}", "open {site}", "navigate to {site}"],
+    help: "Navigate to a website, bookmark or site you visit, e.g. \"go to netflix\"",
+    risk: "leave",
+    undo: () => ({ type: "navigation" }),
+    handler: ({ site }) => navigateTo(site)
+});
+
+registerCommand({
+    id: "search",
+    category: "Navigation",
+    patterns: ["search [for] {query}", "look up {query}", "google {query}"],
+    help: "Search the web with your default engine",
+    risk: "leave",
+    undo: () => ({ type: "navigation" }),
+    handler: ({ query }) => searchWeb(query)
+});
+
+registerCommand({
+    id: "searchEngine",
+    category: "Navigation",
+    patterns: ["search {engine} for {query}", "search for {query} on {engine}"],
+    help: "Search a specific engine, e.g. \"search youtube for cats\"",
+    risk: "leave",
+    undo: () => ({ type: "navigation" }),
+    handler: ({ engine, query }) => {
+        // Not an engine name ("search for pizza on main street") — let plain search take the whole phrase
+        const found = findSearchEngine(engine);
+        if (!found) return false;
+        searchWeb(query, found);
+    }
+});
+
+registerCommand({
+    id: "goBack",
+    category: "Navigation",
+    patterns: ["go back", "back"],
+    help: "Go back in tab history",
+    risk: "leave",
+    undo: () => ({ type: "historyBack" }),
+    handler: () => {
+        updateHUD("✅", t("Going back"), "status-success");
+        setTimeout(() => window.history.back(), 800);
+    }
+});
+
+registerCommand({
+    id: "goForward",
+    category: "Navigation",
+    patterns: ["go forward", "forward"],
+    help: "Go forward in tab history",
+    risk: "leave",
+    undo: () => ({ type: "historyForward" }),
+    handler: () => {
+        updateHUD("✅", t("Going forward"), "status-success");
+        setTimeout(() => window.history.forward(), 800);
+    }
+});
+
+registerCommand({
+    id: "reload",
+    category: "Navigation",
+    patterns: ["reload", "refresh", "reload [the] page", "refresh [the] page"],
+    help: "Reload the current page",
+    risk: "leave",
+    handler: () => {
+        updateHUD("✅", t("Reloading"), "status-success");
+        setTimeout(() => window.location.reload(), 800);
+    }
+});
+
+registerCommand({
+    id: "scrollDown",
+    category: "Scrolling",
+    patterns: ["scroll down", "page down"],
+    help: "Scroll down by the configured amount",
+    undo: () => captureScroll(),
+    handler: () => {
+        updateHUD("✅", t("Scrolled down"), "status-success");
+        scrollTargetBy(currentScrollAmount);
+    }
+});
+
+registerCommand({
+    id: "scrollUp",
+    category: "Scrolling",
+    patterns: ["scroll up", "page up"],
+    help: "Scroll up by the configured amount",
+    undo: () => captureScroll(),
+    handler: () => {
+        updateHUD("✅", t("Scrolled up"), "status-success");
+        scrollTargetBy(-currentScrollAmount);
+    }
+});
+
+registerCommand({
+    id: "scrollDownBy",
+    category: "Scrolling",
+    patterns: ["scroll down {scrollSize}"],
+    help: "Scroll down a little, a lot or half a page",
+    undo: () => captureScroll(),
+    handler: ({ scrollSize }) => {
+        updateHUD("✅", t("Scrolled down"), "status-success");
+        scrollTargetBy(scrollDistance(scrollSize));
+    }
+});
+
+registerCommand({
+    id: "scrollUpBy",
+    category: "Scrolling",
+    patterns: ["scroll up {scrollSize}"],
+    help: "Scroll up a little, a lot or half a page",
+    undo: () => captureScroll(),
+    handler: ({ scrollSize }) => {
+        updateHUD("✅", t("Scrolled up"), "status-success");
+        scrollTargetBy(-scrollDistance(scrollSize));
+    }
+});
+
+registerCommand({
+    id: "scrollDownPages",
+    category: "Scrolling",
+    patterns: ["scroll down {number} (page|pages|screens)"],
+    help: "Scroll down several screens, e.g. \"scroll down 3 pages\"",
+    undo: () => captureScroll(),
+    handler: ({ number }) => {
+        if (number < 1) return false;
+        updateHUD("✅", t("Scrolled down {count} pages", { count: number }), "status-success");
+        scrollTargetBy(scrollDistance(null, number));
+    }
+});
+
+registerCommand({
+    id: "scrollUpPages",
+    category: "Scrolling",
+    patterns: ["scroll up {number} (page|pages|screens)"],
+    help: "Scroll up several screens",
+    undo: () => captureScroll(),
+    handler: ({ number }) => {
+        if (number < 1) return false;
+        updateHUD("✅", t("Scrolled up {count} pages", { count: number }), "status-success");
+        scrollTargetBy(-scrollDistance(null, number));
+    }
+});
+
+registerCommand({
+    id: "scrollLeft",
+    category: "Scrolling",
+    patterns: ["scroll left"],
+    help: "Scroll left, e.g. in a wide table or board",
+    undo: () => captureScroll("x"),
+    handler: () => {
+        updateHUD("✅", t("Scrolled left"), "status-success");
+        scrollTargetBy(0, -currentScrollAmount);
+    }
+});
+
+registerCommand({
+    id: "scrollRight",
+    category: "Scrolling",
+    patterns: ["scroll right"],
+    help: "Scroll right",
+    undo: () => captureScroll("x"),
+    handler: () => {
+        updateHUD("✅", t("Scrolled right"), "status-success");
+        scrollTargetBy(0, currentScrollAmount);
+    }
+});
+
+registerCommand({
+    id: "scrollTop",
+    category: "Scrolling",
+    patterns: ["scroll to [the] top", "go to [the] top"],
+    help: "Scroll to the start of the page",
+    undo: () => captureScroll(),
+    handler: () => {
+        updateHUD("✅", t("Scrolled to top"), "status-success");
+        scrollTargetTo("top");
+    }
+});
+
+registerCommand({
+    id: "scrollBottom",
+    category: "Scrolling",
+    patterns: ["scroll to [the] bottom", "go to [the] bottom"],
+    help: "Scroll to the end of the page",
+    undo: () => captureScroll(),
+    handler: () => {
+        updateHUD("✅", t("Scrolled to bottom"), "status-success");
+        scrollTargetTo("bottom");
+    }
+});
+
+registerCommand({
+    id: "autoScrollDown",
+    category: "Scrolling",
+    patterns: ["keep scrolling [down]", "auto scroll [down]", "start scrolling [down]"],
+    help: "Scroll down steadily until you say \"stop\"",
+    handler: () => startAutoScroll(1)
+});
+
+registerCommand({
+    id: "autoScrollUp",
+    category: "Scrolling",
+    patterns: ["keep scrolling up", "auto scroll up", "start scrolling up"],
+    help: "Scroll up steadily until you say \"stop\"",
+    handler: () => startAutoScroll(-1)
+});
+
+registerCommand({
+    id: "stopAutoScroll",
+    category: "Scrolling",
+    patterns: ["stop scrolling", "stop"],
+    help: "Stop scrolling",
+    history: false,
+    handler: () => {
+        if (!stopAutoScroll()) return false;
+        updateHUD("✅", t("Stopped scrolling"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "scrollFaster",
+    category: "Scrolling",
+    patterns: ["scroll faster", "faster"],
+    help: "Speed up scrolling",
+    handler: () => changeAutoScrollSpeed(1)
+});
+
+registerCommand({
+    id: "scrollSlower",
+    category: "Scrolling",
+    patterns: ["scroll slower", "slower"],
+    help: "Slow down scrolling",
+    handler: () => changeAutoScrollSpeed(-1)
+});
+
+registerCommand({
+    id: "newTab",
+    category: "Tabs",
+    patterns: ["new tab", "open [a] new tab"],
+    help: "Open a new empty tab",
+    handler: () => sendBackgroundCommand({ command: "newTab" }, t("Opening new tab"))
+});
+
+registerCommand({
+    id: "closeTab",
+    category: "Tabs",
+    patterns: ["close [this] tab"],
+    help: "Close the current tab",
+    risk: "always",
+    confirmQuestion: "Close this tab?",
+    undo: () => ({ type: "closeTab" }),
+    handler: () => sendBackgroundCommand({ command: "closeTab" }, t("Closing tab"))
+});
+
+registerCommand({
+    id: "nextTab",
+    category: "Tabs",
+    patterns: ["next tab"],
+    help: "Switch to the next tab",
+    handler: () => sendBackgroundCommand({ command: "nextTab" }, t("Switching tab"))
+});
+
+registerCommand({
+    id: "previousTab",
+    category: "Tabs",
+    patterns: ["previous tab", "prev tab", "last tab"],
+    help: "Switch to the previous tab",
+    handler: () => sendBackgroundCommand({ command: "previousTab" }, t("Switching tab"))
+});
+
+registerCommand({
+    id: "switchTabNumber",
+    category: "Tabs",
+    patterns: ["(switch|go) to tab {number}", "tab {number}"],
+    help: "Switch to the tab at that position",
+    handler: ({ number }) => {
+        if (number === 0) return false;
+        sendBackgroundCommand({ command: "switchTab", index: number }, number === -1 ? t("Switching to last tab") : t("Switching to tab {number}", { number }));
+    }
+});
+
+registerCommand({
+    id: "switchTabTitle",
+    category: "Tabs",
+    patterns: ["(switch|go) to tab {title}"],
+    help: "Switch to the tab whose title contains the words",
+    handler: ({ title }) => sendBackgroundCommand({ command: "switchTab", title }, t("Switching to {title}", { title }))
+});
+
+registerCommand({
+    id: "openInNewTab",
+    category: "Tabs",
+    patterns: ["open {site} in [a] new tab"],
+    help: "Open a website in a new tab",
+    handler: ({ site }) => openInNewTab(site)
+});
+
+registerCommand({
+    id: "reopenTab",
+    category: "Tabs",
+    patterns: ["(reopen|restore) [the] [last] closed tab", "undo close tab"],
+    help: "Reopen the most recently closed tab",
+    handler: () => sendBackgroundCommand({ command: "reopenTab" }, t("Reopening closed tab"))
+});
+
+registerCommand({
+    id: "pinTab",
+    category: "Tabs",
+    patterns: ["pin [this] tab"],
+    help: "Pin the current tab",
+    handler: () => sendBackgroundCommand({ command: "pinTab", pinned: true }, t("Pinning tab"))
+});
+
+registerCommand({
+    id: "unpinTab",
+    category: "Tabs",
+    patterns: ["unpin [this] tab"],
+    help: "Unpin the current tab",
+    handler: () => sendBackgroundCommand({ command: "pinTab", pinned: false }, t("Unpinning tab"))
+});
+
+registerCommand({
+    id: "muteTab",
+    category: "Tabs",
+    patterns: ["mute [this] tab"],
+    help: "Mute the current tab",
+    handler: () => sendBackgroundCommand({ command: "muteTab", muted: true }, t("Muting tab"))
+});
+
+registerCommand({
+    id: "unmuteTab",
+    category: "Tabs",
+    patterns: ["unmute [this] tab"],
+    help: "Unmute the current tab",
+    handler: () => sendBackgroundCommand({ command: "muteTab", muted: false }, t("Unmuting tab"))
+});
+
+registerCommand({
+    id: "duplicateTab",
+    category: "Tabs",
+    patterns: ["duplicate [this] tab"],
+    help: "Open a copy of the current tab",
+    handler: () => sendBackgroundCommand({ command: "duplicateTab" }, t("Duplicating tab"))
+});
+
+registerCommand({
+    id: "closeOtherTabs",
+    category: "Tabs",
+    patterns: ["close [all] [the] other tabs"],
+    help: "Close every tab in this window but this one (pinned tabs stay)",
+    risk: "always",
+    confirmQuestion: "Close all other tabs?",
+    handler: () => sendBackgroundCommand({ command: "closeOtherTabs" }, t("Closing tabs"))
+});
+
+registerCommand({
+    id: "closeTabsToRight",
+    category: "Tabs",
+    patterns: ["close [all] [the] tabs (to|on) the right"],
+    help: "Close the tabs after this one",
+    risk: "always",
+    confirmQuestion: "Close the tabs to the right?",
+    handler: () => sendBackgroundCommand({ command: "closeTabsToRight" }, t("Closing tabs"))
+});
+
+registerCommand({
+    id: "saveSession",
+    category: "Tabs",
+    patterns: ["save [the] session as {name}", "save [these] tabs as {name}"],
+    help: "Keep this window's tabs under a name, e.g. \"save session as taxes\"",
+    handler: ({ name }) => sendBackgroundCommand({ command: "saveSession", name }, t("Saving session"))
+});
+
+registerCommand({
+    id: "listSessions",
+    category: "Tabs",
+    patterns: ["(list|show) [my] [saved] sessions"],
+    help: "Say the names of your saved sessions",
+    history: false,
+    handler: () => sendBackgroundCommand({ command: "listSessions" }, t("Checking sessions"))
+});
+
+registerCommand({
+    id: "openSession",
+    category: "Tabs",
+    patterns: ["(open|restore|load) [the] session {name}"],
+    help: "Open a saved session's tabs in a new window",
+    handler: ({ name }) => sendBackgroundCommand({ command: "openSession", name }, t("Opening session {name}", { name }))
+});
+
+registerCommand({
+    id: "closeSession",
+    category: "Tabs",
+    patterns: ["close [this] session"],
+    help: "Save the session this window holds and close the window",
+    risk: "always",
+    confirmQuestion: "Save this session and close its window?",
+    handler: () => sendBackgroundCommand({ command: "closeSession" }, t("Closing session"))
+});
+
+registerCommand({
+    id: "newWindow",
+    category: "Browser",
+    patterns: ["new window", "open [a] new window"],
+    help: "Open a new browser window",
+    handler: () => sendBackgroundCommand({ command: "newWindow" }, t("Opening new window"))
+});
+
+registerCommand({
+    id: "newIncognitoWindow",
+    category: "Browser",
+    patterns: ["new (incognito|private) window", "open [a] new (incognito|private) window", "go incognito"],
+    help: "Open a new incognito window",
+    handler: () => sendBackgroundCommand({ command: "newWindow", incognito: true }, t("Opening incognito window"))
+});
+
+registerCommand({
+    id: "closeWindow",
+    category: "Browser",
+    patterns: ["close [this] window"],
+    help: "Close this window and all its tabs",
+    risk: "always",
+    confirmQuestion: "Close this window and all its tabs?",
+    handler: () => sendBackgroundCommand({ command: "closeWindow" }, t("Closing window"))
+});
+
+registerCommand({
+    id: "bookmarkPage",
+    category: "Browser",
+    patterns: ["bookmark [this] page", "bookmark this", "add [a] bookmark"],
+    help: "Bookmark the current page",
+    handler: () => sendBackgroundCommand({ command: "bookmarkPage" }, t("Bookmarking"))
+});
+
+registerCommand({
+    id: "openBookmark",
+    category: "Browser",
+    patterns: ["open bookmark {name}", "go to bookmark {name}"],
+    help: "Open a bookmark by its name, e.g. \"open bookmark team wiki\"",
+    risk: "leave",
+    undo: () => ({ type: "navigation" }),
+    handler: ({ name }) => sendBackgroundCommand({ command: "openBookmark", name }, t("Looking for bookmark {name}", { name }))
+});
+
+registerCommand({
+    id: "showDownloads",
+    category: "Browser",
+    patterns: ["(show|open) [my] downloads"],
+    help: "Open the downloads page",
+    handler: () => sendBackgroundCommand({ command: "showDownloads" }, t("Opening downloads"))
+});
+
+registerCommand({
+    id: "openLastDownload",
+    category: "Browser",
+    patterns: ["open [the] (last|latest) download"],
+    help: "Open the most recently downloaded file (or show it in its folder)",
+    handler: () => sendBackgroundCommand({ command: "openLastDownload" }, t("Opening last download"))
+});
+
+registerCommand({
+    id: "zoomIn",
+    category: "Browser",
+    patterns: ["zoom in"],
+    help: "Make the page bigger",
+    handler: () => sendBackgroundCommand({ command: "zoom", direction: 1 }, t("Zooming in"))
+});
+
+registerCommand({
+    id: "zoomOut",
+    category: "Browser",
+    patterns: ["zoom out"],
+    help: "Make the page smaller",
+    handler: () => sendBackgroundCommand({ command: "zoom", direction: -1 }, t("Zooming out"))
+});
+
+registerCommand({
+    id: "zoomReset",
+    category: "Browser",
+    patterns: ["reset zoom", "zoom reset", "actual size"],
+    help: "Put the zoom back to normal",
+    handler: () => sendBackgroundCommand({ command: "zoom", direction: 0 }, t("Resetting zoom"))
+});
+
+registerCommand({
+    id: "copyPageLink",
+    category: "Browser",
+    patterns: ["copy [the|this] page (link|url|address)", "copy [the] (link|url|address) [of|to] [this] page"],
+    help: "Copy the address of this page to the clipboard",
+    handler: () => copyPageLink()
+});
+
+registerCommand({
+    id: "click",
+    category: "Interaction & Forms",
+    patterns: ["click [on] {element}"],
+    help: "Click a link, button or element by name, e.g. \"click sign in\"",
+    handler: ({ element }) => interactWithElement(element, false)
+});
+
+registerCommand({
+    id: "focus",
+    category: "Interaction & Forms",
+    patterns: ["focus [on] {element}"],
+    help: "Focus a text input or element by name, e.g. \"focus search\"",
+    handler: ({ element }) => interactWithElement(element, true)
+});
+
+registerCommand({
+    id: "showHints",
+    category: "Interaction & Forms",
+    patterns: ["show (numbers|hints|labels)", "number [the] elements"],
+    help: "Put a numbered badge on every clickable element",
+    handler: () => {
+        showHints();
+        updateHUD("🔢", t("Showing {count} numbers", { count: getInteractiveElements().length }), "status-success");
+    }
+});
+
+registerCommand({
+    id: "hideHints",
+    category: "Interaction & Forms",
+    patterns: ["(hide|clear|remove) (numbers|hints|labels)"],
+    help: "Remove the numbered badges",
+    handler: () => {
+        hideHints();
+        updateHUD("✅", t("Numbers hidden"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "clickHint",
+    category: "Interaction & Forms",
+    patterns: ["click [number] {number}"],
+    help: "Click the element with that number badge",
+    handler: ({ number }) => activateHint(number, "click")
+});
+
+registerCommand({
+    id: "focusHint",
+    category: "Interaction & Forms",
+    patterns: ["focus [number] {number}"],
+    help: "Focus the element with that number badge",
+    handler: ({ number }) => activateHint(number, "focus")
+});
+
+registerCommand({
+    id: "openHintInNewTab",
+    category: "Interaction & Forms",
+    patterns: ["open [number] {number} in [a] new tab"],
+    help: "Open the link with that number badge in a new tab",
+    handler: ({ number }) => activateHint(number, "newTab")
+});
+
+registerCommand({
+    id: "showGrid",
+    category: "Interaction & Forms",
+    patterns: ["(show|open) [the] [mouse] grid", "mouse grid"],
+    help: "Split the screen into numbered cells, to click places that have no name",
+    handler: () => showGrid()
+});
+
+registerCommand({
+    id: "hideGrid",
+    category: "Interaction & Forms",
+    patterns: ["(cancel|hide|close|exit) [the] [mouse] grid"],
+    help: "Remove the mouse grid (Escape does the same)",
+    handler: () => {
+        hideGrid();
+        updateHUD("✅", t("Grid closed"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "gridZoom",
+    category: "Interaction & Forms",
+    patterns: ["[cell] {number}"],
+    help: "With the grid up, zoom into that cell",
+    history: false,
+    handler: ({ number }) => zoomGrid(number)
+});
+
+// Ahead of the browser's "zoom out" only while the grid is up
+registerCommand({
+    id: "gridZoomOut",
+    category: "Interaction & Forms",
+    patterns: ["zoom out", "grid back"],
+    help: "With the grid up, go back to the larger area",
+    priority: 1,
+    history: false,
+    handler: () => zoomOutGrid()
+});
+
+registerCommand({
+    id: "gridClick",
+    category: "Interaction & Forms",
+    patterns: ["click", "click [cell] {number}"],
+    help: "With the grid up, click the middle of it (or of a cell)",
+    handler: ({ number }) => gridAction("click", number)
+});
+
+registerCommand({
+    id: "gridDoubleClick",
+    category: "Interaction & Forms",
+    patterns: ["double click", "double click [cell] {number}"],
+    help: "With the grid up, double-click there",
+    handler: ({ number }) => gridAction("double", number)
+});
+
+registerCommand({
+    id: "gridRightClick",
+    category: "Interaction & Forms",
+    patterns: ["right click", "right click [cell] {number}"],
+    help: "With the grid up, right-click there",
+    handler: ({ number }) => gridAction("right", number)
+});
+
+registerCommand({
+    id: "gridHover",
+    category: "Interaction & Forms",
+    patterns: ["hover", "hover [over] [cell] {number}", "mouse over"],
+    help: "With the grid up, move the mouse there",
+    handler: ({ number }) => gridAction("hover", number)
+});
+
+registerCommand({
+    id: "gridDragFrom",
+    category: "Interaction & Forms",
+    patterns: ["drag from here", "start drag"],
+    help: "With the grid up, pin where a drag starts and pick where it ends",
+    handler: () => markDragStart()
+});
+
+registerCommand({
+    id: "gridDragTo",
+    category: "Interaction & Forms",
+    patterns: ["drag to [cell] {number}", "drop [it] [here]"],
+    help: "With the grid up, drag from the pinned point (or the middle) to that cell",
+    handler: ({ number }) => dragTo(number)
+});
+
+registerCommand({
+    id: "check",
+    category: "Interaction & Forms",
+    patterns: ["(check|tick) {element}"],
+    help: "Tick a checkbox or radio button by its label",
+    handler: ({ element }) => setChecked(element, true)
+});
+
+registerCommand({
+    id: "uncheck",
+    category: "Interaction & Forms",
+    patterns: ["(uncheck|untick) {element}"],
+    help: "Untick a checkbox by its label",
+    handler: ({ element }) => setChecked(element, false)
+});
+
+registerCommand({
+    id: "selectOption",
+    category: "Interaction & Forms",
+    patterns: ["(select|choose) {option} (in|from) {element}", "(select|choose) {option}"],
+    help: "Pick an option in a dropdown, e.g. \"select canada in country\"",
+    handler: ({ option, element }) => selectOption(option, element)
+});
+
+registerCommand({
+    id: "pressKey",
+    category: "Interaction & Forms",
+    patterns: ["press {key}", "hit {key}"],
+    help: "Press enter, tab, escape, backspace, space or an arrow key",
+    dictation: true,
+    handler: ({ key }) => pressKey(key)
+});
+
+registerCommand({
+    id: "submitForm",
+    category: "Interaction & Forms",
+    patterns: ["submit [the] form", "submit"],
+    help: "Submit the form you are in",
+    risk: "always",
+    confirmQuestion: "Submit this form?",
+    handler: () => submitForm()
+});
+
+registerCommand({
+    id: "nextHeading",
+    category: "Page Structure",
+    patterns: ["next heading"],
+    help: "Move to the next heading",
+    handler: () => moveToStructure("heading", 1, t("No more headings"))
+});
+
+registerCommand({
+    id: "previousHeading",
+    category: "Page Structure",
+    patterns: ["(previous|prev) heading"],
+    help: "Move to the previous heading",
+    handler: () => moveToStructure("heading", -1, t("No earlier headings"))
+});
+
+registerCommand({
+    id: "headingLevel",
+    category: "Page Structure",
+    patterns: ["[next] heading level {number}", "[next] level {number} heading"],
+    help: "Move to the next heading of that level, e.g. \"heading level 2\"",
+    handler: ({ number }) => goToHeadingLevel(number)
+});
+
+registerCommand({
+    id: "goToMain",
+    category: "Page Structure",
+    patterns: ["(go|skip|jump) to [the] main [content]", "main content"],
+    help: "Move to the main content",
+    handler: () => goToLandmark("main")
+});
+
+registerCommand({
+    id: "goToNavigation",
+    category: "Page Structure",
+    patterns: ["(go|jump) to [the] (navigation|nav)"],
+    help: "Move to the (next) navigation menu",
+    handler: () => goToLandmark("navigation")
+});
+
+registerCommand({
+    id: "goToSearch",
+    category: "Page Structure",
+    patterns: ["(go|jump) to [the] search (box|landmark|region)"],
+    help: "Move to the site's search area",
+    handler: () => goToLandmark("search")
+});
+
+registerCommand({
+    id: "nextLandmark",
+    category: "Page Structure",
+    patterns: ["next (landmark|region)"],
+    help: "Move to the next landmark",
+    handler: () => moveToStructure("landmark", 1, t("No more landmarks"))
+});
+
+registerCommand({
+    id: "previousLandmark",
+    category: "Page Structure",
+    patterns: ["(previous|prev) (landmark|region)"],
+    help: "Move to the previous landmark",
+    handler: () => moveToStructure("landmark", -1, t("No earlier landmarks"))
+});
+
+registerCommand({
+    id: "listLandmarks",
+    category: "Page Structure",
+    patterns: ["(list|show) [the] landmarks", "(list|show) [the] regions"],
+    help: "Number the page's landmarks and read them out, then say a number to go there",
+    handler: () => listLandmarks()
+});
+
+registerCommand({
+    id: "goToSection",
+    category: "Page Structure",
+    patterns: ["(go|jump|skip) to [the] section {name}", "(go|jump|skip) to [the] {name} section"],
+    help: "Move to the heading or region with that name, e.g. \"go to section pricing\"",
+    handler: ({ name }) => goToSection(name)
+});
+
+registerCommand({
+    id: "nextFormField",
+    category: "Page Structure",
+    patterns: ["next [form] field"],
+    help: "Move to the next form field",
+    handler: () => moveToStructure("formField", 1, t("No more form fields"))
+});
+
+registerCommand({
+    id: "previousFormField",
+    category: "Page Structure",
+    patterns: ["(previous|prev) [form] field"],
+    help: "Move to the previous form field",
+    handler: () => moveToStructure("formField", -1, t("No earlier form fields"))
+});
+
+registerCommand({
+    id: "nextTable",
+    category: "Page Structure",
+    patterns: ["next table"],
+    help: "Move to the next table",
+    handler: () => moveToStructure("table", 1, t("No more tables"))
+});
+
+registerCommand({
+    id: "previousTable",
+    category: "Page Structure",
+    patterns: ["(previous|prev) table"],
+    help: "Move to the previous table",
+    handler: () => moveToStructure("table", -1, t("No earlier tables"))
+});
+
+registerCommand({
+    id: "nextLink",
+    category: "Page Structure",
+    patterns: ["next link"],
+    help: "Move to the next link",
+    handler: () => moveToStructure("link", 1, t("No more links"))
+});
+
+registerCommand({
+    id: "previousLink",
+    category: "Page Structure",
+    patterns: ["(previous|prev) link"],
+    help: "Move to the previous link",
+    handler: () => moveToStructure("link", -1, t("No earlier links"))
+});
+
+registerCommand({
+    id: "findText",
+    category: "Page Structure",
+    patterns: ["find {text} on [the|this] page", "search [the|this] page for {text}", "find {text}"],
+    help: "Highlight every place the text appears and jump to the first, e.g. \"find refund policy\"",
+    handler: ({ text }) => findInPage(text)
+});
+
+registerCommand({
+    id: "nextMatch",
+    category: "Page Structure",
+    patterns: ["next (match|result)", "find next"],
+    help: "Jump to the next place the text was found",
+    handler: () => moveFindMatch(1)
+});
+
+registerCommand({
+    id: "previousMatch",
+    category: "Page Structure",
+    patterns: ["(previous|prev) (match|result)", "find previous"],
+    help: "Jump to the previous place the text was found",
+    handler: () => moveFindMatch(-1)
+});
+
+registerCommand({
+    id: "clearFind",
+    category: "Page Structure",
+    patterns: ["(clear|hide) (matches|results|highlights)", "stop finding"],
+    help: "Remove the find highlights",
+    handler: () => stopFinding()
+});
+
+registerCommand({
+    id: "type",
+    category: "Dictation",
+    patterns: ["type {text}", "write {text}"],
+    help: "Type text into the focused field; punctuation can be spoken",
+    handler: ({ text }, { transcript }) => {
+        // Slots are lower-cased; recover the original casing from the raw transcript
+        const start = transcript.toLowerCase().lastIndexOf(text);
+        typeIntoFocused(start === -1 ? text : transcript.slice(start, start + text.length));
+    }
+});
+
+registerCommand({
+    id: "startDictation",
+    category: "Dictation",
+    patterns: ["start (dictation|dictating|typing)", "dictate"],
+    help: "Type everything you say into the focused field",
+    handler: () => startDictation()
+});
+
+registerCommand({
+    id: "stopDictation",
+    category: "Dictation",
+    patterns: ["(stop|end|finish) (dictation|dictating|typing)"],
+    help: "Leave dictation mode",
+    dictation: true,
+    handler: () => stopDictation()
+});
+
+registerCommand({
+    id: "deleteLastWord",
+    category: "Dictation",
+    patterns: ["delete [the] last word", "delete word"],
+    help: "Delete the word before the cursor",
+    dictation: true,
+    handler: () => deleteLastWord()
+});
+
+registerCommand({
+    id: "undoTyping",
+    category: "Dictation",
+    patterns: ["undo typing", "undo", "scratch that"],
+    help: "Undo the last edit in the field",
+    dictation: true,
+    handler: (slots, { text }) => {
+        // Outside dictation a bare "undo" means the last voice action (see "undo" under History)
+        if (!dictationActive && matchCommands(text, getActiveCommands()).some(match => match.command.id === "undo")) return false;
+        if (!getFocusedTextField()) return false;
+        document.execCommand('undo');
+        updateHUD("↩️", t("Undone"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "redoTyping",
+    category: "Dictation",
+    patterns: ["redo typing", "redo"],
+    help: "Redo the last undone edit",
+    dictation: true,
+    handler: () => {
+        if (!getFocusedTextField()) return false;
+        document.execCommand('redo');
+        updateHUD("↪️", t("Redone"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "selectAll",
+    category: "Dictation",
+    patterns: ["select all"],
+    help: "Select all text in the field or page",
+    dictation: true,
+    handler: () => {
+        const el = getFocusedTextField();
+        if (el) el.focus();
+        (el ? el.ownerDocument : document).execCommand('selectAll');
+        updateHUD("✅", t("Selected all"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "clearField",
+    category: "Dictation",
+    patterns: ["clear [the] (field|text|input)", "clear all"],
+    help: "Empty the focused field",
+    dictation: true,
+    handler: () => {
+        if (!clearField()) return false;
+        updateHUD("🧹", t("Field cleared"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "selectParagraph",
+    category: "Selection & Clipboard",
+    patterns: ["select [this|the] paragraph"],
+    help: "Select the paragraph (or line, in a field) around the caret",
+    dictation: true,
+    handler: () => selectBlock("paragraph")
+});
+
+registerCommand({
+    id: "selectSentence",
+    category: "Selection & Clipboard",
+    patterns: ["select [this|the] sentence"],
+    help: "Select the sentence around the caret",
+    dictation: true,
+    handler: () => selectBlock("sentence")
+});
+
+registerCommand({
+    id: "selectBetween",
+    category: "Selection & Clipboard",
+    patterns: ["select from {start} to {end}"],
+    help: "Select everything from one phrase to another, e.g. \"select from dear to regards\"",
+    handler: ({ start, end }) => selectBetween(start, end)
+});
+
+// Last resort for "select ...": selectOption gets it first when a dropdown is focused or named
+registerCommand({
+    id: "selectText",
+    category: "Selection & Clipboard",
+    patterns: ["select {text}"],
+    priority: -1,
+    help: "Select a phrase in the focused field or on the page, e.g. \"select terms of service\"",
+    handler: ({ text }) => selectText(text)
+});
+
+registerCommand({
+    id: "extendSelection",
+    category: "Selection & Clipboard",
+    patterns: ["extend [the] selection", "extend [the] selection by [a|one] word", "extend [the] selection by {number} words"],
+    help: "Add the next word (or words) to the selection",
+    dictation: true,
+    handler: ({ number = 1 }) => {
+        if (number < 1) return false;
+        extendSelection(number);
+    }
+});
+
+registerCommand({
+    id: "copySelection",
+    category: "Selection & Clipboard",
+    patterns: ["copy", "copy (that|this|it)", "copy [the] selection"],
+    help: "Copy the selected text",
+    dictation: true,
+    handler: () => copySelection()
+});
+
+registerCommand({
+    id: "cutSelection",
+    category: "Selection & Clipboard",
+    patterns: ["cut", "cut (that|this|it)", "cut [the] selection"],
+    help: "Cut the selected text out of the field",
+    dictation: true,
+    handler: () => cutSelection()
+});
+
+registerCommand({
+    id: "paste",
+    category: "Selection & Clipboard",
+    patterns: ["paste", "paste (it|that|here)"],
+    help: "Paste the clipboard at the caret",
+    dictation: true,
+    handler: () => pasteClipboard()
+});
+
+registerCommand({
+    id: "copyLink",
+    category: "Selection & Clipboard",
+    patterns: ["copy [the] link [to|for] {name}"],
+    help: "Copy the address of a link by its name, e.g. \"copy link pricing\"",
+    handler: ({ name }) => copyLinkByName(name)
+});
+
+registerCommand({
+    id: "readPage",
+    category: "Reading",
+    patterns: ["read [this|the] (page|article)", "read [it] aloud"],
+    help: "Read the page's main article aloud, highlighting each paragraph",
+    handler: () => readPage()
+});
+
+registerCommand({
+    id: "readHeadings",
+    category: "Reading",
+    patterns: ["read [the] headings"],
+    help: "Read out the headings on the page",
+    handler: () => readHeadings()
+});
+
+registerCommand({
+    id: "readLinks",
+    category: "Reading",
+    patterns: ["read [the] links"],
+    help: "Read out the links on screen",
+    handler: () => readLinks()
+});
+
+registerCommand({
+    id: "readSelection",
+    category: "Reading",
+    patterns: ["read [the] selection", "read selected [text]"],
+    help: "Read the selected text",
+    handler: () => readSelection()
+});
+
+registerCommand({
+    id: "readFromHere",
+    category: "Reading",
+    patterns: ["read from here", "start reading"],
+    help: "Read from the focused element or the top of the screen onwards",
+    handler: () => readFromHere()
+});
+
+registerCommand({
+    id: "nextParagraph",
+    category: "Reading",
+    patterns: ["next paragraph", "skip [this] paragraph"],
+    help: "Read the next paragraph",
+    handler: () => moveParagraph(1)
+});
+
+registerCommand({
+    id: "previousParagraph",
+    category: "Reading",
+    patterns: ["previous paragraph", "prev paragraph"],
+    help: "Read the previous paragraph",
+    handler: () => moveParagraph(-1)
+});
+
+// The playback commands only apply while something is being read
+registerCommand({
+    id: "pauseReading",
+    category: "Reading",
+    patterns: ["pause [reading]"],
+    help: "Pause reading",
+    history: false,
+    handler: () => pauseReading()
+});
+
+registerCommand({
+    id: "resumeReading",
+    category: "Reading",
+    patterns: ["resume [reading]", "continue reading"],
+    help: "Carry on reading after a pause",
+    history: false,
+    handler: () => resumeReading()
+});
+
+registerCommand({
+    id: "stopReading",
+    category: "Reading",
+    patterns: ["stop reading", "stop talking", "be quiet"],
+    help: "Stop reading",
+    history: false,
+    handler: () => {
+        if (!stopReading()) return false;
+        updateHUD("⏹️", t("Stopped reading"), "status-success");
+    }
+});
+
+registerCommand({
+    id: "readFaster",
+    category: "Reading",
+    patterns: ["faster", "read faster", "speed up"],
+    help: "Read faster",
+    handler: () => changeReadingRate(1)
+});
+
+registerCommand({
+    id: "readSlower",
+    category: "Reading",
+    patterns: ["slower", "read slower", "slow down"],
+    help: "Read slower",
+    handler: () => changeReadingRate(-1)
+});
+
+registerCommand({
+    id: "playMedia",
+    category: "Media",
+    patterns: ["play [the] [video|audio|music]", "resume [the] (video|audio|music)"],
+    help: "Play the video or audio on the page",
+    handler: () => playMedia()
+});
+
+registerCommand({
+    id: "pauseMedia",
+    category: "Media",
+    patterns: ["pause [the] [video|audio|music]"],
+    help: "Pause the video or audio (\"pause\" pauses reading first if the page is being read)",
+    handler: () => pauseMedia()
+});
+
+registerCommand({
+    id: "muteMedia",
+    category: "Media",
+    patterns: ["mute [the] [video|audio|sound]"],
+    help: "Mute the video, or the tab if the page has none",
+    handler: () => setMediaMuted(true)
+});
+
+registerCommand({
+    id: "unmuteMedia",
+    category: "Media",
+    patterns: ["unmute [the] [video|audio|sound]"],
+    help: "Unmute the video, or the tab if the page has none",
+    handler: () => setMediaMuted(false)
+});
+
+registerCommand({
+    id: "volumeUp",
+    category: "Media",
+    patterns: ["volume up", "louder", "turn it up"],
+    help: "Turn the volume up",
+    handler: () => setMediaVolume(volume => volume + VOLUME_STEP)
+});
+
+registerCommand({
+    id: "volumeDown",
+    category: "Media",
+    patterns: ["volume down", "quieter", "turn it down"],
+    help: "Turn the volume down",
+    handler: () => setMediaVolume(volume => volume - VOLUME_STEP)
+});
+
+registerCommand({
+    id: "setVolume",
+    category: "Media",
+    patterns: ["[set] volume [to] {number} [percent]"],
+    help: "Set the volume in percent, e.g. \"volume 50\"",
+    handler: ({ number }) => {
+        if (number < 0 || number > 100) return false;
+        setMediaVolume(() => number / 100);
+    }
+});
+
+registerCommand({
+    id: "skipForward",
+    category: "Media",
+    patterns: ["skip [forward|ahead] {number} (second|seconds)", "fast forward {number} (second|seconds)", "skip (forward|ahead)"],
+    help: "Jump ahead, e.g. \"skip 30 seconds\" (10 seconds if you don't say)",
+    handler: ({ number }) => skipMedia(number > 0 ? number : DEFAULT_SKIP_SECONDS)
+});
+
+registerCommand({
+    id: "skipBack",
+    category: "Media",
+    patterns: ["(skip|go|jump) back {number} (second|seconds)", "rewind {number} (second|seconds)", "rewind", "skip back"],
+    help: "Jump back, e.g. \"go back 10 seconds\"",
+    handler: ({ number }) => skipMedia(-(number > 0 ? number : DEFAULT_SKIP_SECONDS))
+});
+
+registerCommand({
+    id: "mediaSpeed",
+    category: "Media",
+    patterns: ["[playback|play] speed {decimal}", "[playback|play] speed {number}", "normal speed"],
+    help: "Set the playback speed, e.g. \"speed 1.5\" or \"normal speed\"",
+    handler: ({ decimal, number }) => setMediaSpeed(decimal || number || 1)
+});
+
+registerCommand({
+    id: "fullscreen",
+    category: "Media",
+    patterns: ["[go] (fullscreen|full-screen)", "[go] full screen"],
+    help: "Show the video fullscreen",
+    handler: () => enterMediaFullscreen()
+});
+
+registerCommand({
+    id: "exitFullscreen",
+    category: "Media",
+    patterns: ["(exit|leave) (fullscreen|full-screen)", "(exit|leave) full screen"],
+    help: "Leave fullscreen",
+    handler: () => exitMediaFullscreen()
+});
+
+// Let scripts/generate-readme.js read the registry under Node
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        commandRegistry, commandCategories, getCommandHelp, matchCommands, describePattern,
+        patternPhrases, validateCustomCommand, buildCustomCommand
+    };
+}
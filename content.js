@@ -3,7 +3,7 @@
  * Content Script (injected into all pages)
  */
 
-let recognition = null;
+let recognizer = null;
 let isListening = false;
 let hudElement = null;
 let hudTextElement = null;
@@ -14,143 +14,453 @@ let fadeTimeout = null;
 let currentWakeWord = "hey browser";
 let currentLang = "en-US";
 let currentScrollAmount = 400;
+let currentFollowUpSeconds = 8; // bare commands are accepted this long after the wake word; 0 = off
 let currentHudPosition = "bottom-right";
 let currentHudOpacity = 0.88;
+let currentDefaultTld = "com";
+let currentSearchEngines = defaultSearchEngines;
+let currentDefaultEngine = "google";
+let currentRecognizer = "webspeech"; // backend from recognizers.js
+let currentRecognizerEndpoint = "";
+let currentFakeTranscript = "";
+let currentConfirmRisky = true; // ask before risky voice actions (see Safety Checks)
+let currentSafetyAllowSites = [];
+let currentSafetyDenySites = [];
+let currentNoClickSites = [];
+
+// The options page's values for settings a site can override; this site's entry in
+// the per-site settings (settings.js) wins over them, see applySiteSettings
+const globalSettings = { language: "en-US", scrollAmount: 400, hudPosition: "bottom-right" };
+let currentSiteSettings = {};
+let voiceDisabledHere = false;
 
 // Fetch initial settings
-chrome.storage.sync.get(['wakeWord', 'language', 'scrollAmount', 'hudPosition', 'hudOpacity'], (result) => {
+chrome.storage.sync.get(['wakeWord', 'language', 'scrollAmount', 'followUpSeconds', 'hudPosition', 'hudOpacity', 'customCommands', 'defaultTld', 'searchEngines', 'defaultEngine', 'recognizer', 'recognizerEndpoint', 'confirmRiskyActions', 'safetyAllowSites', 'safetyDenySites', 'noClickSites', 'siteSettings'], (result) => {
     if (result.wakeWord) currentWakeWord = result.wakeWord;
-    if (result.language) currentLang = result.language;
-    if (result.scrollAmount) currentScrollAmount = parseInt(result.scrollAmount, 10);
-    if (result.hudPosition) currentHudPosition = result.hudPosition;
+    if (result.language) globalSettings.language = result.language;
+    if (result.scrollAmount) globalSettings.scrollAmount = result.scrollAmount;
+    if (result.followUpSeconds !== undefined) currentFollowUpSeconds = parseInt(result.followUpSeconds, 10);
+    if (result.hudPosition) globalSettings.hudPosition = result.hudPosition;
     if (result.hudOpacity) currentHudOpacity = parseFloat(result.hudOpacity);
+    if (result.defaultTld) currentDefaultTld = result.defaultTld;
+    if (result.searchEngines) currentSearchEngines = result.searchEngines;
+    if (result.defaultEngine) currentDefaultEngine = result.defaultEngine;
+    if (result.recognizer) currentRecognizer = result.recognizer;
+    if (result.recognizerEndpoint) currentRecognizerEndpoint = result.recognizerEndpoint;
+    if (result.confirmRiskyActions !== undefined) currentConfirmRisky = result.confirmRiskyActions;
+    if (result.safetyAllowSites) currentSafetyAllowSites = result.safetyAllowSites;
+    if (result.safetyDenySites) currentSafetyDenySites = result.safetyDenySites;
+    if (result.noClickSites) currentNoClickSites = result.noClickSites;
+    currentSiteSettings = getSiteSettings(location.hostname, result.siteSettings);
+    applySiteSettings();
+    loadCustomCommands(result.customCommands);
+});
+
+chrome.storage.local.get('fakeTranscript', (result) => {
+    if (result.fakeTranscript) currentFakeTranscript = result.fakeTranscript;
 });
 
 // Listen for live setting changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace === 'sync') {
         if (changes.wakeWord) currentWakeWord = changes.wakeWord.newValue;
-        if (changes.language) currentLang = changes.language.newValue;
-        if (changes.scrollAmount) currentScrollAmount = parseInt(changes.scrollAmount.newValue, 10);
-        if (changes.hudPosition) {
-            currentHudPosition = changes.hudPosition.newValue;
-            applyHudStyles(); // update immediately if visible
-        }
+        if (changes.language) globalSettings.language = changes.language.newValue || "en-US";
+        if (changes.scrollAmount) globalSettings.scrollAmount = changes.scrollAmount.newValue || 400;
+        if (changes.hudPosition) globalSettings.hudPosition = changes.hudPosition.newValue || "bottom-right";
+        if (changes.siteSettings) currentSiteSettings = getSiteSettings(location.hostname, changes.siteSettings.newValue);
+        if (changes.language || changes.scrollAmount || changes.hudPosition || changes.siteSettings) applySiteSettings();
+        if (changes.followUpSeconds) currentFollowUpSeconds = parseInt(changes.followUpSeconds.newValue, 10) || 0;
         if (changes.hudOpacity) {
             currentHudOpacity = parseFloat(changes.hudOpacity.newValue);
             applyHudStyles(); // update immediately if visible
         }
+        if (changes.customCommands) loadCustomCommands(changes.customCommands.newValue);
+        if (changes.defaultTld) currentDefaultTld = changes.defaultTld.newValue || "com";
+        if (changes.searchEngines) currentSearchEngines = changes.searchEngines.newValue || defaultSearchEngines;
+        if (changes.defaultEngine) currentDefaultEngine = changes.defaultEngine.newValue || "google";
+        if (changes.recognizer || changes.recognizerEndpoint) {
+            if (changes.recognizer) currentRecognizer = changes.recognizer.newValue || "webspeech";
+            if (changes.recognizerEndpoint) currentRecognizerEndpoint = changes.recognizerEndpoint.newValue || "";
+            resetRecognizer();
+        }
+        if (changes.confirmRiskyActions) currentConfirmRisky = changes.confirmRiskyActions.newValue !== false;
+        if (changes.safetyAllowSites) currentSafetyAllowSites = changes.safetyAllowSites.newValue || [];
+        if (changes.safetyDenySites) currentSafetyDenySites = changes.safetyDenySites.newValue || [];
+        if (changes.noClickSites) currentNoClickSites = changes.noClickSites.newValue || [];
+    }
+    // The test script can be long, so it lives in local storage
+    if (namespace === 'local' && changes.fakeTranscript) {
+        currentFakeTranscript = changes.fakeTranscript.newValue || "";
+        if (currentRecognizer === "fake") resetRecognizer();
     }
 });
 
-// ===== Element Registry & Observer =====
-let interactiveElements = [];
-let registryDebounce = null;
+// ===== Per-Site Settings & Profiles =====
+// Work out the settings in effect here: this site's overrides, else the global values
+function applySiteSettings() {
+    currentScrollAmount = parseInt(currentSiteSettings.scrollAmount || globalSettings.scrollAmount, 10);
+    currentHudPosition = currentSiteSettings.hudPosition || globalSettings.hudPosition;
+    applyHudStyles(); // update immediately if visible
+
+    voiceDisabledHere = Boolean(currentSiteSettings.disabled);
+    if (voiceDisabledHere) stop();
+
+    const lang = currentSiteSettings.language || globalSettings.language;
+    if (lang !== currentLang) {
+        // A running recognizer keeps the language it started with, so restart it
+        currentLang = lang;
+        resetRecognizer();
+        if (commandsOverlay) {
+            commandsOverlay.remove();
+            commandsOverlay = null;
+            showCommandsOverlay();
+        }
+    }
+}
+
+async function useProfile(name) {
+    const profile = await switchProfile(name);
+    const message = profile
+        ? t("Switched to the {name} profile", { name: profile.name })
+        : t("No profile called {name}", { name });
+    updateHUD(profile ? "✅" : "❌", message, profile ? "status-success" : "status-error");
+    speak(message);
+}
 
-function buildElementRegistry() {
-    // Standard interactives + ARIA roles
-    const selectors = [
-        'a', 'button', 'input', 'select', 'textarea',
-        '[aria-label]', '[aria-labelledby]',
-        '[role="button"]', '[role="link"]', '[role="menuitem"]', '[role="tab"]',
-        '[aria-placeholder]'
-    ].join(', ');
+async function announceProfiles() {
+    const { profiles, activeProfile } = await chrome.storage.sync.get({ profiles: [], activeProfile: "" });
+    const names = profiles.map(profile => profile.name).join(", ");
+    let message = t("No profiles saved yet");
+    if (profiles.length) {
+        message = activeProfile ? t("Profiles: {names}. Using {name}", { names, name: activeProfile }) : t("Profiles: {names}", { names });
+    }
+    updateHUD("👤", message, profiles.length ? "status-success" : "status-error");
+    speak(message);
+}
+// ==========================
 
-    const nodes = document.querySelectorAll(selectors);
-    interactiveElements = [];
+// ===== Language =====
+// HUD text, spoken feedback and command phrases follow the recognition language (locales.js)
+function t(text, vars) {
+    return translate(text, vars, currentLang);
+}
 
-    nodes.forEach(node => {
-        // Skip hidden or unclickable nodes
-        if (node.offsetParent === null || node.disabled || node.style.display === 'none' || node.style.visibility === 'hidden') return;
+// Worker replies carry their English template so they can be shown in the page's language
+function replyText(response) {
+    return response.template ? t(response.template, response.vars) : response.message;
+}
 
-        let name = "";
+// A wake word still at some language's default follows the recognition language
+function getWakeWord() {
+    return isDefaultWakeWord(currentWakeWord)
+        ? normalizeSpeech(getLocale(currentLang).wakeWord)
+        : normalizeSpeech(currentWakeWord.trim());
+}
+// =======================================
 
-        // 1. Check aria-labelledby
-        const labelledBy = node.getAttribute('aria-labelledby');
-        if (labelledBy) {
-            const labelNode = document.getElementById(labelledBy);
-            if (labelNode) name = labelNode.innerText || labelNode.textContent;
+// ===== Element Registry & Observer =====
+// Every control the page can be spoken to, kept up to date from MutationRecords rather than
+// rebuilt, and only while we are on screen (listening, a typed command's HUD, or hints).
+// Names are worked out on first use and visibility comes from an IntersectionObserver,
+// so indexing never forces a layout.
+const REGISTRY_SELECTORS = [
+    'a', 'button', 'input', 'select', 'textarea',
+    '[aria-label]', '[aria-labelledby]',
+    '[role="button"]', '[role="link"]', '[role="menuitem"]', '[role="tab"]',
+    '[aria-placeholder]'
+].join(', ');
+// Text in these runs on without a break ("<b>Sub</b>mit" is "Submit"); reading CSS would force layout
+const INLINE_TAGS = /^(A|ABBR|B|BDI|BDO|CITE|CODE|DATA|DFN|EM|FONT|I|KBD|MARK|Q|S|SAMP|SMALL|SPAN|STRONG|SUB|SUP|TIME|U|VAR)$/;
+const OWN_LAYERS = '#vc-hints-layer, #vc-choice-layer, #vc-grid-layer, #vc-hud-container, #vc-commands-overlay';
+// Attributes that change whether an element is indexed or what it is called
+const NAME_ATTRIBUTES = [
+    'aria-label', 'aria-labelledby', 'aria-placeholder', 'aria-hidden', 'role',
+    'placeholder', 'title', 'alt', 'value', 'for', 'id', 'hidden'
+];
+
+const registry = new Map(); // element -> { element, name, hint, onScreen }
+let interactiveElements = null; // registry entries in order, rebuilt on demand after a change
+let registryObserver = null;
+let visibilityObserver = null;
+let namesVersion = 0; // bumped when a <label> or an aria-labelledby target changes
+const labelledByIds = new Set(); // ids some control takes its name from
+
+// Documents and open shadow roots to index: the page, same-origin iframes and open shadow DOM
+function collectSearchRoots(root, roots = []) {
+    roots.push(root);
+
+    root.querySelectorAll('*').forEach(node => {
+        if (node.shadowRoot) collectSearchRoots(node.shadowRoot, roots);
+
+        if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+            let frameDoc = null;
+            try {
+                frameDoc = node.contentDocument;
+            } catch (err) {
+                // Cross-origin frame — its own content script instance handles it
+            }
+            if (frameDoc && frameDoc.body) collectSearchRoots(frameDoc, roots);
         }
+    });
+
+    return roots;
+}
 
-        // 2. Check aria-label
-        if (!name) name = node.getAttribute('aria-label');
+// The name a control is spoken to by, lower-cased; "" if it has none.
+// Follows the accessible name computation: aria-labelledby (every id, in order), aria-label,
+// the native label (<label for>, wrapping <label>, alt, button value), then the control's
+// own content for links and buttons, and finally its placeholder or title.
+function getAccessibleName(node) {
+    const name = computeName(node, new Set(), false) || node.value || "";
+    return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().toLowerCase() : "";
+}
 
-        // 3. Check placeholder/aria-placeholder
-        if (!name) name = node.getAttribute('placeholder') || node.getAttribute('aria-placeholder');
+function computeName(node, visited, inReference) {
+    if (visited.has(node)) return "";
+    visited.add(node);
+
+    // 1. aria-labelledby, resolved in the node's own document or shadow root (not followed twice)
+    const labelledBy = (node.getAttribute('aria-labelledby') || '').trim();
+    if (labelledBy && !inReference) {
+        const root = node.getRootNode();
+        const name = labelledBy.split(/\s+/)
+            .map(id => {
+                labelledByIds.add(id);
+                const labelNode = root.getElementById ? root.getElementById(id) : null;
+                return labelNode ? computeName(labelNode, visited, true) : "";
+            })
+            .filter(Boolean)
+            .join(' ');
+        if (name.trim()) return name;
+    }
 
-        // 4. Check title attribute
-        if (!name) name = node.title;
+    // 2. aria-label
+    const ariaLabel = (node.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) return ariaLabel;
 
-        // 5. Check inner text or value
-        if (!name) name = node.innerText || node.value || node.textContent;
+    // 3. What the markup itself names it by
+    const nativeName = nativeLabel(node, visited);
+    if (nativeName) return nativeName;
 
-        if (name && typeof name === 'string') {
-            const cleanName = name.replace(/[\n\r]+/g, ' ').trim().toLowerCase();
-            if (cleanName) {
-                interactiveElements.push({
-                    name: cleanName,
-                    element: node
-                });
+    // 4. Its content, for links, buttons and anything reached through a reference
+    if (inReference || namedByContent(node)) {
+        const text = contentText(node, visited);
+        if (text.trim()) return text;
+    }
+
+    // 5. Placeholder, then the tooltip
+    return node.getAttribute('placeholder') || node.getAttribute('aria-placeholder') || node.getAttribute('title') || "";
+}
+
+function nativeLabel(node, visited) {
+    const tag = node.tagName;
+    if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(node.type)) return node.value || "";
+    if ((tag === 'INPUT' && node.type === 'image') || tag === 'IMG' || tag === 'AREA') return node.getAttribute('alt') || "";
+
+    // <label for="id"> and a wrapping <label>; node.labels only exists on native form controls
+    let labels = node.labels ? Array.from(node.labels) : [];
+    if (!labels.length && node.id) {
+        const root = node.getRootNode();
+        if (root.querySelectorAll) labels = Array.from(root.querySelectorAll(`label[for="${CSS.escape(node.id)}"]`));
+    }
+    return labels.map(label => contentText(label, visited)).filter(Boolean).join(' ');
+}
+
+function namedByContent(node) {
+    const role = node.getAttribute('role');
+    if (role) return ['button', 'link', 'menuitem', 'tab', 'option', 'checkbox', 'radio', 'switch'].includes(role);
+    return ['A', 'BUTTON', 'SUMMARY', 'OPTION', 'LABEL', 'LEGEND'].includes(node.tagName);
+}
+
+// Text of a subtree as it would be read: each child by its own name, skipping hidden parts
+function contentText(node, visited) {
+    return Array.from(node.childNodes).map(child => {
+        if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+        if (child.nodeType !== Node.ELEMENT_NODE || visited.has(child)) return "";
+        if (child.hidden || child.getAttribute('aria-hidden') === 'true' || /^(SCRIPT|STYLE|TEMPLATE|NOSCRIPT)$/.test(child.tagName)) return "";
+
+        // A control inside a label reads as its current value
+        if (child.tagName === 'SELECT') return child.selectedOptions.length ? child.selectedOptions[0].textContent : "";
+        if (child.tagName === 'TEXTAREA' || (child.tagName === 'INPUT' && !['button', 'submit', 'reset', 'image'].includes(child.type))) return child.value || "";
+
+        const display = child.getAttribute('aria-label') || child.tagName === 'IMG'
+            ? computeName(child, visited, true)
+            : contentText(child, visited);
+        return INLINE_TAGS.test(child.tagName) ? display : ' ' + display + ' ';
+    }).join('');
+}
+
+function registerElement(element) {
+    if (registry.has(element) || element.closest(OWN_LAYERS)) return;
+
+    registry.set(element, {
+        element,
+        hint: 0,
+        onScreen: false,
+        cachedName: null,
+        cachedVersion: -1,
+        get name() {
+            if (this.cachedName === null || this.cachedVersion !== namesVersion) {
+                this.cachedName = getAccessibleName(this.element);
+                this.cachedVersion = namesVersion;
             }
+            return this.cachedName;
         }
     });
+    visibilityObserver.observe(element);
+    interactiveElements = null;
 }
 
-function initObserver() {
-    buildElementRegistry(); // Build initial
+function unregisterElement(element) {
+    if (!registry.delete(element)) return;
+    visibilityObserver.unobserve(element);
+    interactiveElements = null;
+}
+
+// Index a document, shadow root or newly added subtree, and watch any roots found inside it
+function indexSubtree(node) {
+    collectSearchRoots(node).forEach(root => {
+        if (root !== node) watchRoot(root);
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(REGISTRY_SELECTORS)) registerElement(root);
+        root.querySelectorAll(REGISTRY_SELECTORS).forEach(registerElement);
+    });
 
-    const observer = new MutationObserver((mutations) => {
-        // Debounce rebuilds to prevent lagging on heavy mutations
-        clearTimeout(registryDebounce);
-        registryDebounce = setTimeout(() => {
-            buildElementRegistry();
-        }, 250);
+    // Frames added now load later; index their document once it arrives
+    const frames = node.querySelectorAll('iframe, frame');
+    (node.tagName === 'IFRAME' || node.tagName === 'FRAME' ? [node, ...frames] : frames).forEach(frame => {
+        frame.addEventListener('load', () => {
+            if (!registryObserver) return;
+            try {
+                const frameDoc = frame.contentDocument;
+                if (!frameDoc || !frameDoc.body) return;
+                watchRoot(frameDoc);
+                indexSubtree(frameDoc);
+            } catch (err) {
+                // Cross-origin
+            }
+        }, { once: true });
     });
+}
 
-    observer.observe(document.body, {
+function watchRoot(root) {
+    registryObserver.observe(root, {
         childList: true,
         subtree: true,
+        characterData: true,
         attributes: true,
-        attributeFilter: ['aria-label', 'aria-labelledby', 'role', 'class', 'style']
+        attributeFilter: NAME_ATTRIBUTES
     });
 }
 
-// Ensure observer starts when script loads
-if (document.readyState === "complete" || document.readyState === "interactive") {
-    initObserver();
-} else {
-    document.addEventListener("DOMContentLoaded", initObserver);
+// A change inside a control renames it; a change inside a <label> or a labelledby target may rename anything
+function invalidateNames(node) {
+    for (let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement; el; el = el.parentElement) {
+        const entry = registry.get(el);
+        if (entry) entry.cachedName = null;
+        if (el.tagName === 'LABEL' || (el.id && labelledByIds.has(el.id))) namesVersion++;
+    }
 }
-// =======================================
-function initRecognition() {
-    if (recognition) return;
 
-    // Check for browser support
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-        console.error("VoiceControl: SpeechRecognition API not supported in this browser.");
-        return;
+function handleMutations(mutations) {
+    let removed = false;
+
+    mutations.forEach(mutation => {
+        const target = mutation.target;
+        const targetElement = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+        if (targetElement && targetElement.closest(OWN_LAYERS)) return; // our own badges and HUD
+
+        if (mutation.type === 'childList') {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) indexSubtree(node);
+            });
+            if (mutation.removedNodes.length) removed = true;
+        } else if (mutation.type === 'attributes') {
+            if (['for', 'id'].includes(mutation.attributeName)) namesVersion++;
+            if (target.matches(REGISTRY_SELECTORS)) registerElement(target);
+            else unregisterElement(target);
+        }
+        invalidateNames(target);
+    });
+
+    // Removed subtrees can hold any number of entries; sweep once per batch
+    if (removed) {
+        registry.forEach((entry, element) => {
+            if (!element.isConnected) unregisterElement(element);
+        });
     }
 
-    recognition = new SpeechRecognition();
-    recognition.continuous = true;
-    recognition.interimResults = false;
-    recognition.lang = currentLang;
+    if (hintsVisible && !interactiveElements) scheduleHintReposition(); // new controls get numbers
+}
+
+function handleVisibility(changes) {
+    changes.forEach(change => {
+        const entry = registry.get(change.target);
+        if (entry) entry.onScreen = change.isIntersecting;
+    });
+    if (hintsVisible) scheduleHintReposition();
+}
+
+// Registry entries in the order they were found, as the page stood at the last mutation
+function getInteractiveElements() {
+    if (!interactiveElements) interactiveElements = Array.from(registry.values());
+    return interactiveElements;
+}
+
+// Rendered and enabled right now; checked only for the entries a command is about to use
+function isUsable(element) {
+    if (element.disabled) return false;
+    return element.checkVisibility ? element.checkVisibility({ visibilityProperty: true }) : element.offsetParent !== null;
+}
+
+function startIndexing() {
+    if (registryObserver || !document.body) return;
+    registryObserver = new MutationObserver(handleMutations);
+    visibilityObserver = new IntersectionObserver(handleVisibility);
+    watchRoot(document.body);
+    indexSubtree(document.body);
+}
+
+// Nothing of ours is showing, so stop paying for a registry nobody will use
+function pauseIndexingIfIdle() {
+    if (!registryObserver || isListening || hintsVisible || hudElement) return;
+    registryObserver.disconnect();
+    visibilityObserver.disconnect();
+    registryObserver = null;
+    visibilityObserver = null;
+    registry.clear();
+    labelledByIds.clear();
+    interactiveElements = null;
+}
+// =======================================
+function initRecognition() {
+    if (recognizer) return;
+
+    recognizer = createRecognizer(currentRecognizer, {
+        lang: currentLang,
+        endpoint: currentRecognizerEndpoint,
+        script: currentFakeTranscript
+    });
 
-    recognition.onstart = () => {
+    recognizer.onstart = () => {
         setupHUD();
-        updateHUD("🎙️", "Listening...", "status-listening");
+        showIdleHUD();
     };
 
-    recognition.onresult = (event) => {
-        // Extract the latest final transcript
-        const lastResultIndex = event.results.length - 1;
-        const finalTranscript = event.results[lastResultIndex][0].transcript.trim();
-        console.log("VoiceControl Heard:", finalTranscript);
-        parseCommand(finalTranscript);
+    recognizer.ontranscript = ({ transcript, isFinal, alternatives }) => {
+        // Only act on final transcripts; interim ones just preview what is being said
+        if (isFinal) {
+            console.log("VoiceControl Heard:", transcript);
+            parseCommand(transcript, alternatives);
+        } else if (dictationActive) {
+            showInterimText(transcript);
+        } else {
+            showHeardText(transcript);
+        }
     };
 
-    recognition.onerror = (event) => {
+    recognizer.onlevel = ({ level }) => showMicLevel(level);
+
+    recognizer.onerror = (event) => {
         if (event.error === 'aborted' || event.error === 'audio-capture') {
             // These are normal during restarts or brief mic pauses, simply ignore
             console.debug("VoiceControl: Ignored non-fatal error:", event.error);
@@ -159,21 +469,24 @@ function initRecognition() {
 
         if (event.error === 'no-speech') {
             console.warn("VoiceControl Error: No speech detected.");
-            updateHUD("🎙️", "Listening...", "status-listening");
+            updateHUD("🎙️", t("Listening..."), "status-listening");
         } else if (event.error === 'network') {
-            console.warn("VoiceControl Error: Network issues.");
-            updateHUD("❌", "Network error", "status-error");
-        } else if (event.error === 'not-allowed') {
-            console.warn("VoiceControl Error: Microphone access not allowed.");
-            updateHUD("❌", "Mic access denied", "status-error");
+            console.warn("VoiceControl Error: Network issues.", event.message);
+            updateHUD("❌", currentRecognizer === "webspeech" || !event.message ? t("Network error") : event.message, "status-error");
+        } else if (event.error === 'not-allowed' || event.error === 'unavailable') {
+            // Fatal for this backend — stop rather than restarting into the same failure
+            console.warn("VoiceControl Error:", event.error, event.message);
+            setupHUD();
+            updateHUD("❌", event.error === 'not-allowed' ? t("Mic access denied") : event.message, "status-error");
             isListening = false;
+            reportListening(false);
         } else {
             console.warn("VoiceControl Error:", event.error);
-            updateHUD("❌", "Error: " + event.error, "status-error");
+            updateHUD("❌", t("Error: {error}", { error: event.error }), "status-error");
         }
     };
 
-    recognition.onend = () => {
+    recognizer.onend = () => {
         console.log("VoiceControl: Recognition ended.");
         if (isListening) {
             // Auto-restart — Chrome kills recognition after silence/timeouts
@@ -182,7 +495,7 @@ function initRecognition() {
                     try {
                         console.log("VoiceControl: Auto-restarting recognition...");
                         initRecognition();
-                        if (recognition) recognition.start();
+                        recognizer.start();
                     } catch (err) {
                         console.error("VoiceControl: Failed to restart:", err);
                     }
@@ -194,36 +507,60 @@ function initRecognition() {
     };
 }
 
-async function start() {
-    if (!recognition) initRecognition();
-    if (!recognition || isListening) return;
+// Rebuild the recognizer after a backend or language change, carrying on listening if we were.
+// The replacement starts once the old one has ended: Chrome allows one recognition at a time.
+function resetRecognizer() {
+    if (!recognizer) return;
+
+    const old = recognizer;
+    recognizer = null;
+    old.onerror = null;
+    old.ontranscript = null;
+    old.onend = () => {
+        if (!isListening) return;
+        initRecognition();
+        recognizer.start();
+    };
 
-    // Request mic permission first — this triggers Chrome's "Allow" prompt
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        stream.getTracks().forEach(track => track.stop());
+        old.stop();
     } catch (err) {
-        console.error("VoiceControl: Microphone permission denied.", err);
-        setupHUD();
-        updateHUD("❌", "Mic access denied", "status-error");
+        old.onend(); // never started, nothing to wait for
+    }
+}
+
+async function start() {
+    if (isListening) return;
+    if (voiceDisabledHere) {
+        console.log("VoiceControl: Turned off on this site.");
         return;
     }
+    initRecognition();
 
     try {
-        recognition.start();
         isListening = true;
+        if (!pushToTalkMic) reportListening(true); // a push-to-talk mic shouldn't survive a reload
+        await recognizer.start();
         console.log("VoiceControl: Listening started.");
     } catch (err) {
         console.error("VoiceControl: Error starting recognition", err);
+        // Don't leave the tab and popup showing a mic that never opened
+        isListening = false;
+        reportListening(false);
     }
 }
 
-function stop() {
-    if (!recognition || !isListening) return;
+// `userInitiated` marks a stop the user asked for by voice, which also ends always-listening mode
+function stop(userInitiated = false) {
+    if (!isListening) return;
 
     try {
         isListening = false;
-        recognition.stop();
+        sessionActive = false;
+        pushToTalkMic = false;
+        clearTimeout(sessionTimer);
+        reportListening(false, userInitiated);
+        if (recognizer) recognizer.stop(); // may be mid-swap in resetRecognizer
         console.log("VoiceControl: Listening stopped.");
         removeHUD();
     } catch (err) {
@@ -231,7 +568,15 @@ function stop() {
     }
 }
 
+// Keep the service worker's view of this tab in sync (it owns the persisted state)
+function reportListening(listening, userInitiated = false) {
+    chrome.runtime.sendMessage({ command: "listeningChanged", listening, userInitiated }, () => {
+        void chrome.runtime.lastError; // worker may be restarting; the next report catches up
+    });
+}
+
 function setupHUD() {
+    startIndexing(); // commands are coming, so keep the element registry current
     if (document.getElementById("vc-hud-container")) return;
 
     hudElement = document.createElement("div");
@@ -243,8 +588,21 @@ function setupHUD() {
     hudTextElement = document.createElement("span");
     hudTextElement.id = "vc-hud-text";
 
+    // Under the status line: what is being heard, and how loud the mic is
+    const bodySpan = document.createElement("span");
+    bodySpan.id = "vc-hud-body";
+
+    hudHeardElement = document.createElement("span");
+    hudHeardElement.id = "vc-hud-heard";
+
+    hudLevelElement = document.createElement("span");
+    hudLevelElement.id = "vc-hud-level";
+
+    bodySpan.appendChild(hudTextElement);
+    bodySpan.appendChild(hudHeardElement);
     hudElement.appendChild(iconSpan);
-    hudElement.appendChild(hudTextElement);
+    hudElement.appendChild(bodySpan);
+    hudElement.appendChild(hudLevelElement);
     document.body.appendChild(hudElement);
 
     applyHudStyles();
@@ -292,10 +650,73 @@ function removeHUD() {
             }
             hudElement = null;
             hudTextElement = null;
+            hudHeardElement = null;
+            hudLevelElement = null;
+            pauseIndexingIfIdle();
         }, 300); // match CSS transition duration
     }
 }
 
+// ===== Live Transcript =====
+// The HUD previews speech as it is recognized, then shows the final text with the
+// recognizer's confidence. Every final result's alternatives are kept for "what did you hear?".
+const HEARD_DISPLAY_MS = 4000;
+const LOW_CONFIDENCE = 0.5; // final results below this are flagged
+
+let hudHeardElement = null;
+let hudLevelElement = null;
+let heardTimeout = null;
+let lastHeard = null;     // { alternatives, used } for the latest final result
+let previousHeard = null; // the one before, which "what did you hear?" is asking about
+
+function showMicLevel(level) {
+    if (!hudLevelElement) return;
+    hudLevelElement.style.transform = `scaleX(${Math.max(0, Math.min(1, level))})`;
+}
+
+// Known confidence as "92%", or "" when the backend didn't give one
+function formatConfidence(confidence) {
+    return typeof confidence === "number" && confidence > 0 ? Math.round(confidence * 100) + "%" : "";
+}
+
+// Interim text while `confidence` is undefined; final text stays up for a few seconds
+function showHeardText(text, confidence) {
+    if (!hudHeardElement) return;
+    const isFinal = confidence !== undefined;
+    const percent = isFinal ? formatConfidence(confidence) : "";
+
+    hudHeardElement.textContent = `“${text}${isFinal ? "" : "…"}”` + (percent ? ` · ${percent}` : "");
+    hudHeardElement.classList.toggle("interim", !isFinal);
+    hudHeardElement.classList.toggle("low-confidence", isFinal && confidence > 0 && confidence < LOW_CONFIDENCE);
+
+    clearTimeout(heardTimeout);
+    if (isFinal) heardTimeout = setTimeout(clearHeardText, HEARD_DISPLAY_MS);
+}
+
+function clearHeardText() {
+    clearTimeout(heardTimeout);
+    if (hudHeardElement) hudHeardElement.textContent = "";
+}
+
+function rememberHeard(alternatives, used) {
+    previousHeard = lastHeard;
+    lastHeard = { alternatives, used };
+}
+
+function showWhatWasHeard() {
+    if (!previousHeard) {
+        updateHUD("👂", t("Nothing heard yet"), "status-error");
+        return;
+    }
+    const list = previousHeard.alternatives.map(alt => {
+        const percent = formatConfidence(alt.confidence);
+        return `“${alt.transcript}”` + (percent ? ` ${percent}` : "") + (alt.transcript === previousHeard.used ? " ✓" : "");
+    }).join(" / ");
+    updateHUD("👂", t("Heard: {alternatives}", { alternatives: list }), "status-success");
+    speak(t("Heard: {alternatives}", { alternatives: previousHeard.used }));
+}
+// ==========================
+
 // ===== Commands Overlay =====
 function showCommandsOverlay() {
     if (document.getElementById("vc-commands-overlay")) return;
@@ -303,45 +724,21 @@ function showCommandsOverlay() {
     commandsOverlay = document.createElement("div");
     commandsOverlay.id = "vc-commands-overlay";
 
-    commandsOverlay.innerHTML = `
-        <div class="vc-overlay-content">
-            <button id="vc-close-overlay" aria-label="Close Commands">✕</button>
-            <h1>🎙️ Voice Commands</h1>
-            <p>Say <strong>"hide commands"</strong> or press <strong>Escape</strong> to close this menu.</p>
-            
-            <div class="vc-command-category">
-                <h2>Navigation</h2>
-                <ul>
-                    <li><span>go to [website]</span> — Navigate to a URL</li>
-                    <li><span>go back</span> / <span>go forward</span> — Navigate history</li>
-                    <li><span>reload</span> / <span>refresh</span> — Reload page</li>
-                </ul>
-            </div>
-
+    // Built from the command registry so the help always matches what the parser accepts
+    const categoriesHtml = getCommandHelp(getActiveCommands()).map(group => `
             <div class="vc-command-category">
-                <h2>Scrolling</h2>
+                <h2>${escapeHtml(translateCategory(group.category, currentLang))}</h2>
                 <ul>
-                    <li><span>scroll down</span> / <span>scroll up</span> — Scroll by configured amount</li>
-                    <li><span>scroll to top</span> / <span>go to top</span> — Scroll to page start</li>
-                    <li><span>scroll to bottom</span> / <span>go to bottom</span> — Scroll to page end</li>
+                    ${group.commands.map(cmd => `<li>${cmd.phrases.map(p => `<span>${escapeHtml(p)}</span>`).join(" / ")} — ${escapeHtml(cmd.help)}</li>`).join("")}
                 </ul>
-            </div>
+            </div>`).join("");
 
-            <div class="vc-command-category">
-                <h2>Interaction & Forms</h2>
-                <ul>
-                    <li><span>click [name]</span> — Click a link, button, or element by name</li>
-                    <li><span>focus [name]</span> — Focus on a text input or element by name</li>
-                </ul>
-            </div>
-            
-            <div class="vc-command-category">
-                <h2>System</h2>
-                <ul>
-                    <li><span>show commands</span> / <span>show help</span> — Show this menu</li>
-                    <li><span>hide commands</span> / <span>close help</span> — Hide this menu</li>
-                </ul>
-            </div>
+    commandsOverlay.innerHTML = `
+        <div class="vc-overlay-content">
+            <button id="vc-close-overlay" aria-label="Close Commands">✕</button>
+            <h1>🎙️ ${escapeHtml(t("Voice Commands"))}</h1>
+            <p>${escapeHtml(t("Say \"hide commands\" or press Escape to close this menu."))}</p>
+            ${categoriesHtml}
         </div>
     `;
 
@@ -377,8 +774,25 @@ function handleOverlayEscape(e) {
         hideCommandsOverlay();
     }
 }
+
+function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+}
 // ==========================
 
+// The resting HUD state between commands
+function showIdleHUD() {
+    if (dictationActive) {
+        updateHUD("✍️", t("Dictating... say \"stop dictation\" to finish"), "status-dictation");
+    } else if (sessionActive) {
+        updateHUD("💬", t("Go ahead — say a command (\"stop\" to finish)"), "status-session");
+    } else {
+        updateHUD("🎙️", t("Listening..."), "status-listening");
+    }
+}
+
 function updateHUD(icon, text, statusClass) {
     if (!hudElement || !hudTextElement) return;
 
@@ -398,131 +812,3051 @@ function updateHUD(icon, text, statusClass) {
     }, 150); // wait for fade out to complete before changing text
 }
 
-function parseCommand(transcript) {
-    const text = transcript.toLowerCase();
-    let recognized = false;
+// ===== Background Commands =====
+// Ask background.js to speak a confirmation (it checks the TTS setting itself)
+function speak(text) {
+    chrome.runtime.sendMessage({ command: "speak", text, lang: currentLang });
+}
+
+// Tab-level actions live in the service worker; it replies with the outcome
+function sendBackgroundCommand(message, pendingText) {
+    updateHUD("⏳", pendingText, "status-listening");
+
+    chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            console.warn("VoiceControl: Background did not respond", chrome.runtime.lastError);
+            updateHUD("❌", t("Extension not responding"), "status-error");
+            return;
+        }
+
+        const message = replyText(response);
+        if (response.status === "ok") {
+            updateHUD("✅", message, "status-success");
+        } else {
+            updateHUD("❌", message, "status-error");
+        }
+        speak(message);
+    });
+}
+
+// ===== Site Resolution =====
+// Spoken address words, applied as whole words: "localhost colon 3000 slash admin"
+const spokenAddressWords = [
+    ["forward slash", "/"], ["slash", "/"], ["backslash", "/"],
+    ["dot", "."], ["period", "."], ["point", "."],
+    ["colon", ":"], ["dash", "-"], ["hyphen", "-"], ["underscore", "_"]
+];
+
+// "the bbc" -> "bbc", "localhost 3000" -> "localhost:3000", "bbc dot co dot uk" -> "bbc.co.uk"
+function spokenToAddress(spoken) {
+    let text = " " + spoken.toLowerCase().trim() + " ";
+    text = text.replace(/^\s*(the|a|an|my)\s+/, " ").replace(/\s+(website|web site|site|homepage|home page)\s*$/, " ");
+    spokenAddressWords.forEach(([word, symbol]) => {
+        text = text.replace(new RegExp(`\\s${word}(?=\\s)`, "g"), ` ${symbol} `);
+    });
+    text = text
+        .replace(/\s+port\s+(\d+)/, ":$1")
+        .replace(/^(\s*(localhost|\d{1,3}(\.\d{1,3}){3}))\s+(\d+)/, "$1:$4");
+    return text.replace(/\s+/g, "");
+}
+
+function looksLikeAddress(address) {
+    return /^(https?:\/\/)?(localhost|\d{1,3}(\.\d{1,3}){3})(:\d+)?(\/|$)/.test(address)
+        || /^(https?:\/\/)?[^/\s]+\.[a-z]{2,}(:\d+)?(\/|$)/.test(address);
+}
+
+// Turn a spoken site name into a URL without looking anything up: "google" -> https://google.com
+function resolveUrl(spoken) {
+    let address = spokenToAddress(spoken);
+    if (/^https?:\/\//.test(address)) return address;
 
-    if (!text.includes(currentWakeWord)) {
-        console.log(`VoiceControl: Wake word '${currentWakeWord}' not detected in:`, transcript);
-        return; // Ignore speech that doesn't include the wake word
+    if (!looksLikeAddress(address)) {
+        // If they just say "go to google", append the preferred ending (.com unless configured)
+        address = address.replace(/[^a-z0-9-]/g, "") + "." + currentDefaultTld;
     }
+    const isLocal = /^(localhost|\d{1,3}(\.\d{1,3}){3})/.test(address);
+    return (isLocal ? "http://" : "https://") + address;
+}
 
-    // Extract the actual command after the wake word
-    const commandText = text.substring(text.indexOf(currentWakeWord) + currentWakeWord.length).trim();
+// Resolve against the user's bookmarks, history and top sites before guessing a domain
+function resolveDestination(spoken, callback) {
+    const address = spokenToAddress(spoken);
+    if (looksLikeAddress(address)) {
+        callback(resolveUrl(spoken));
+        return;
+    }
 
-    if (commandText === "show commands" || commandText === "show help" || commandText === "options") {
-        recognized = true;
-        updateHUD("✅", "Showing commands", "status-success");
-        showCommandsOverlay();
-    } else if (commandText === "hide commands" || commandText === "close commands" || commandText === "close help") {
-        recognized = true;
-        updateHUD("✅", "Hiding commands", "status-success");
-        hideCommandsOverlay();
-    } else if (commandText.includes("go to ")) {
-        let urlPart = commandText.split("go to ")[1].trim().replace(/\s/g, "");
-        if (!urlPart.includes(".")) {
-            // If they just say "go to google", append .com
-            urlPart += ".com";
-        }
-        let url = urlPart;
-        if (!url.startsWith("http")) {
-            url = "https://" + url;
-        }
-        recognized = true;
-        updateHUD("✅", "Navigating to " + url, "status-success");
+    const query = spoken.replace(/^(the|a|an|my)\s+/, "").trim();
+    chrome.runtime.sendMessage({ command: "resolveSite", query }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.url) {
+            callback(resolveUrl(spoken));
+        } else {
+            callback(response.url);
+        }
+    });
+}
+
+function navigateTo(spoken) {
+    updateHUD("⏳", t("Finding {name}", { name: spoken }), "status-listening");
+    resolveDestination(spoken, (url) => {
+        updateHUD("✅", t("Navigating to {url}", { url }), "status-success");
         setTimeout(() => window.location.href = url, 800);
-    } else if (commandText.includes("scroll down")) {
-        recognized = true;
-        updateHUD("✅", "Scrolled down", "status-success");
-        window.scrollBy({ top: currentScrollAmount, behavior: 'smooth' });
-    } else if (commandText.includes("scroll up")) {
-        recognized = true;
-        updateHUD("✅", "Scrolled up", "status-success");
-        window.scrollBy({ top: -currentScrollAmount, behavior: 'smooth' });
-    } else if (commandText.includes("scroll to top") || commandText.includes("go to top")) {
-        recognized = true;
-        updateHUD("✅", "Scrolled to top", "status-success");
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-    } else if (commandText.includes("scroll to bottom") || commandText.includes("go to bottom")) {
-        recognized = true;
-        updateHUD("✅", "Scrolled to bottom", "status-success");
-        window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-    } else if (commandText.includes("go back")) {
-        recognized = true;
-        updateHUD("✅", "Going back", "status-success");
-        setTimeout(() => window.history.back(), 800);
-    } else if (commandText.includes("go forward")) {
-        recognized = true;
-        updateHUD("✅", "Going forward", "status-success");
-        setTimeout(() => window.history.forward(), 800);
-    } else if (commandText.includes("reload") || commandText.includes("refresh")) {
-        recognized = true;
-        updateHUD("✅", "Reloading", "status-success");
-        setTimeout(() => window.location.reload(), 800);
-    } else if (commandText.startsWith("click ") || commandText.startsWith("focus ")) {
-        // Handle Interactions
-        const isFocus = commandText.startsWith("focus ");
-        const targetName = commandText.substring(isFocus ? 6 : 6).trim(); // Remove "click " or "focus "
-
-        // Try exact match first, then fuzzy includes
-        let bestMatch = interactiveElements.find(el => el.name === targetName);
-        if (!bestMatch) {
-            bestMatch = interactiveElements.find(el => el.name.includes(targetName) || targetName.includes(el.name));
-        }
-
-        if (bestMatch) {
-            recognized = true;
-            const targetEl = bestMatch.element;
-
-            // Visual feedback
-            const prevOutline = targetEl.style.outline;
-            targetEl.style.outline = "4px solid #3b82f6";
-
-            // Ensure element is visible before interacting
-            targetEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+}
 
-            setTimeout(() => {
-                targetEl.style.outline = prevOutline;
-
-                if (isFocus) {
-                    updateHUD("🎯", `Focused: ${targetName}`, "status-success");
-                    targetEl.focus();
-                } else {
-                    updateHUD("👆", `Clicked: ${targetName}`, "status-success");
-                    targetEl.click();
-                }
-            }, 500); // Wait for scroll and show outline before clicking
+function openInNewTab(spoken) {
+    resolveDestination(spoken, (url) => {
+        sendBackgroundCommand({ command: "openSite", url }, t("Opening {name}", { name: spoken }));
+    });
+}
+
+function getDefaultEngine() {
+    const engines = parseSearchEngines(currentSearchEngines);
+    return engines.find(e => e.name.toLowerCase() === currentDefaultEngine.toLowerCase()) || engines[0]
+        || parseSearchEngines(defaultSearchEngines)[0];
+}
+
+// Engine by spoken name ("stack overflow"); "the web" / "the internet" mean the default one
+function findSearchEngine(spokenName) {
+    const wanted = spokenName.replace(/^the\s+/, "").replace(/\s+/g, "");
+    if (/^(web|internet|online)$/.test(wanted)) return getDefaultEngine();
+    return parseSearchEngines(currentSearchEngines).find(e => e.name.toLowerCase().replace(/\s+/g, "") === wanted) || null;
+}
+
+function searchWeb(query, engine = getDefaultEngine()) {
+    const url = buildSearchUrl(engine, query);
+    updateHUD("🔍", t("Searching {engine} for {query}", { engine: engine.name, query }), "status-success");
+    setTimeout(() => window.location.href = url, 800);
+}
+// ==========================
+
+// ===== Fuzzy Matching =====
+// Scores how well a spoken name matches a registry entry, so "click in" no longer
+// grabs whatever 2-letter label happens to come first in the DOM.
+const MATCH_THRESHOLD = 0.55; // minimum name score to be considered at all
+const AMBIGUITY_MARGIN = 0.06; // candidates this close to the best one trigger "which one?"
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
         }
+        prev = curr;
     }
+    return prev[b.length];
+}
 
-    if (!recognized) {
-        console.log("VoiceControl: Command not recognized:", commandText);
-        updateHUD("❌", "Not recognized: " + commandText, "status-error");
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+// Classic Soundex — catches misheard words like "sine in" / "sign in"
+function soundex(word) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+    if (!letters) return "";
+
+    let result = letters[0].toUpperCase();
+    let last = codes[letters[0]] || 0;
+    for (let i = 1; i < letters.length && result.length < 4; i++) {
+        const code = codes[letters[i]] || 0;
+        if (code && code !== last) result += code;
+        // h and w don't separate equal codes, vowels do
+        if (letters[i] !== "h" && letters[i] !== "w") last = code;
     }
+    return result.padEnd(4, "0");
+}
 
-    // Reset to listening state after a few seconds if everything keeps going
-    if (isListening) {
-        setTimeout(() => {
-            if (isListening) {
-                updateHUD("🎙️", "Listening...", "status-listening");
+function tokenize(text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Fraction of spoken tokens that have a close (spelling or sound) counterpart in the name
+function tokenOverlap(queryTokens, nameTokens) {
+    if (!queryTokens.length || !nameTokens.length) return { spelled: 0, phonetic: 0 };
+
+    let spelled = 0;
+    let phonetic = 0;
+    queryTokens.forEach(q => {
+        let best = 0;
+        let sounds = false;
+        nameTokens.forEach(n => {
+            const sim = q === n ? 1 : (q.length > 3 && n.length > 3 ? similarity(q, n) : 0);
+            if (sim > best) best = sim;
+            if (soundex(q) && soundex(q) === soundex(n)) sounds = true;
+        });
+        spelled += best >= 0.75 ? best : 0;
+        phonetic += sounds ? 1 : 0;
+    });
+
+    // Penalise names with many extra words, but only lightly
+    const coverage = queryTokens.length / Math.max(queryTokens.length, nameTokens.length);
+    return {
+        spelled: (spelled / queryTokens.length) * (0.7 + 0.3 * coverage),
+        phonetic: (phonetic / queryTokens.length) * (0.7 + 0.3 * coverage)
+    };
+}
+
+// How well the spoken text matches the element's name alone, 0..1
+function scoreName(query, name) {
+    if (!name) return 0;
+    if (name === query) return 1;
+
+    const queryTokens = tokenize(query);
+    const nameTokens = tokenize(name);
+    const overlap = tokenOverlap(queryTokens, nameTokens);
+    const whole = similarity(query, name);
+
+    let score = Math.max(
+        overlap.spelled * 0.9,
+        overlap.phonetic * 0.8,
+        whole * 0.85
+    );
+
+    // Whole-word prefix ("sign" -> "sign in") is a strong signal
+    if (name.startsWith(query + " ")) score = Math.max(score, 0.8);
+
+    // Very short labels only count on an exact match
+    if (name.length <= 2 || query.length <= 2) score = Math.min(score, 0.4);
+
+    return score;
+}
+
+function roleWeight(el, isFocus) {
+    const tag = el.tagName.toLowerCase();
+    const role = el.getAttribute('role');
+    const isField = tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
+    const isClickable = tag === 'a' || tag === 'button' || ['button', 'link', 'menuitem', 'tab'].includes(role);
+
+    if (isFocus) return isField ? 1 : 0.3;
+    if (isClickable) return 1;
+    return isField ? 0.6 : 0.4;
+}
+
+function viewportWeight(rect) {
+    const inView = rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+    return inView ? 1 : 0;
+}
+
+function sizeWeight(rect) {
+    if (rect.width < 8 || rect.height < 8) return 0;
+    return Math.min(1, Math.sqrt(rect.width * rect.height) / 80);
+}
+
+// Every entry scoring above the threshold, best first; `filter` narrows the candidates
+function rankElements(query, isFocus, filter) {
+    const ranked = [];
+
+    getInteractiveElements().forEach(entry => {
+        if (filter && !filter(entry.element)) return;
+        const nameScore = scoreName(query, entry.name);
+        if (nameScore < MATCH_THRESHOLD || !isUsable(entry.element)) return;
+
+        const rect = entry.element.getBoundingClientRect();
+        const score = nameScore
+            + 0.1 * roleWeight(entry.element, isFocus)
+            + 0.06 * viewportWeight(rect)
+            + 0.03 * sizeWeight(rect);
+        ranked.push({ entry, score });
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+}
+// ==========================
+
+// ===== Element Interaction =====
+// Click or focus the element best matching `targetName`; false if nothing matched
+function interactWithElement(targetName, isFocus) {
+    // Site pack aliases know the page better than its labels do
+    const alias = resolveSiteAlias(targetName);
+    if (alias) {
+        activateElement(alias.element, alias.name, isFocus);
+        return true;
+    }
+
+    const ranked = rankElements(targetName, isFocus);
+    if (!ranked.length) return false;
+
+    const close = ranked.filter(r => ranked[0].score - r.score <= AMBIGUITY_MARGIN).slice(0, 9);
+    if (close.length > 1) {
+        askWhichElement(close.map(r => r.entry), isFocus);
+        return true;
+    }
+
+    activateElement(ranked[0].entry.element, targetName, isFocus);
+    return true;
+}
+
+// Outline, scroll into view, then click or focus. Clicks pass the safety checks first.
+function activateElement(targetEl, label, isFocus) {
+    lastTargetName = label;
+
+    if (!isFocus) {
+        if (siteListed(currentNoClickSites)) {
+            updateHUD("⛔", t("Voice clicking is turned off on this site"), "status-error");
+            return;
+        }
+        const question = clickRiskQuestion(targetEl, label);
+        if (question) {
+            guardAction(question, () => highlightAndActivate(targetEl, label, isFocus));
+            return;
+        }
+    }
+    highlightAndActivate(targetEl, label, isFocus);
+}
+
+function highlightAndActivate(targetEl, label, isFocus) {
+    // Visual feedback
+    const prevOutline = targetEl.style.outline;
+    targetEl.style.outline = "4px solid #3b82f6";
+
+    // Ensure element is visible before interacting
+    targetEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    setTimeout(() => {
+        targetEl.style.outline = prevOutline;
+
+        if (isFocus) {
+            updateHUD("🎯", t("Focused: {name}", { name: label }), "status-success");
+            targetEl.focus();
+        } else {
+            updateHUD("👆", t("Clicked: {name}", { name: label }), "status-success");
+            targetEl.click();
+        }
+    }, 500); // Wait for scroll and show outline before clicking
+}
+// ==========================
+
+// ===== Dictation & Forms =====
+let dictationActive = false;
+let dictationTarget = null;
+
+// Spoken punctuation, longest phrases first so "new paragraph" wins over "new"
+const spokenPunctuation = [
+    ["new paragraph", "\n\n"], ["new line", "\n"], ["next line", "\n"],
+    ["question mark", "?"], ["exclamation mark", "!"], ["exclamation point", "!"],
+    ["full stop", "."], ["period", "."], ["comma", ","], ["semicolon", ";"], ["colon", ":"],
+    ["open quote", "\u201C"], ["close quote", "\u201D"], ["open bracket", "("], ["close bracket", ")"],
+    ["open paren", "("], ["close paren", ")"], ["hyphen", "-"], ["dash", " \u2013 "],
+    ["apostrophe", "'"], ["ellipsis", "\u2026"]
+];
+
+// Focused element, looking inside open shadow roots and same-origin iframes
+function getDeepActiveElement() {
+    let el = document.activeElement;
+    while (el) {
+        if (el.shadowRoot && el.shadowRoot.activeElement) {
+            el = el.shadowRoot.activeElement;
+        } else if ((el.tagName === 'IFRAME' || el.tagName === 'FRAME')) {
+            let inner = null;
+            try {
+                inner = el.contentDocument && el.contentDocument.activeElement;
+            } catch (err) {
+                // Cross-origin frame
             }
-        }, 3000);
+            if (!inner || inner === el.contentDocument.body) break;
+            el = inner;
+        } else {
+            break;
+        }
+    }
+    return el;
+}
+
+function isTextField(el) {
+    if (!el) return false;
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA') return !el.readOnly && !el.disabled;
+    if (el.tagName !== 'INPUT') return false;
+    const textTypes = ['text', 'search', 'email', 'url', 'tel', 'password', 'number', ''];
+    return textTypes.includes((el.getAttribute('type') || '').toLowerCase()) && !el.readOnly && !el.disabled;
+}
+
+function getFocusedTextField() {
+    const el = getDeepActiveElement();
+    return isTextField(el) ? el : null;
+}
+
+// Turn "hello comma world new line" into "hello, world\n"
+function formatDictation(text) {
+    let result = " " + text.trim() + " ";
+    spokenPunctuation.forEach(([phrase, symbol]) => {
+        result = result.replace(new RegExp(`\\s${phrase}(?=\\s)`, "gi"), " " + symbol);
+    });
+
+    return result
+        .replace(/\s+([,.?!:;)\u201D\u2026])/g, "$1") // no space before closing punctuation
+        .replace(/([(\u201C])\s+/g, "$1")               // or after opening punctuation
+        .replace(/ *\n */g, "\n")
+        .replace(/^ +| +$/g, "");
+}
+
+function charBeforeCaret(el) {
+    if (el.isContentEditable) {
+        const selection = el.ownerDocument.getSelection();
+        if (!selection.rangeCount) return "";
+        const range = selection.getRangeAt(0).cloneRange();
+        range.collapse(true);
+        range.setStart(el, 0);
+        const before = range.toString();
+        return before.slice(-1);
     }
+    const caret = el.selectionStart === null ? el.value.length : el.selectionStart;
+    return el.value.slice(caret - 1, caret);
 }
 
+// Spacing and sentence case relative to what is already in the field
+function fitToCaret(el, text) {
+    const before = charBeforeCaret(el);
+    let fitted = text;
 
-// Ensure the functions can be triggered via messages from popup/background
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "startListening") {
-        start();
-        sendResponse({ status: "started" });
-    } else if (request.action === "stopListening") {
-        stop();
-        sendResponse({ status: "stopped" });
+    if (!before || /[.!?]\s*$/.test(before) || before === "\n") {
+        fitted = fitted.charAt(0).toUpperCase() + fitted.slice(1);
     }
-    return true;
+    if (before && !/\s/.test(before) && !/^[\s,.?!:;)\u2026]/.test(fitted)) {
+        fitted = " " + fitted;
+    }
+    return fitted;
+}
+
+// Assign through the prototype setter so React's value tracker sees the change
+function setNativeValue(el, value) {
+    const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function insertText(el, text) {
+    el.focus();
+
+    // execCommand goes through the browser's own editing path: it fires beforeinput/input
+    // like real typing (so React/Vue fields update) and keeps the native undo stack
+    if (el.ownerDocument.execCommand('insertText', false, text)) return;
+
+    if (el.isContentEditable) {
+        const selection = el.ownerDocument.getSelection();
+        if (!selection.rangeCount) return;
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(el.ownerDocument.createTextNode(text));
+        range.collapse(false);
+        el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+        return;
+    }
+
+    const start = el.selectionStart === null ? el.value.length : el.selectionStart;
+    const end = el.selectionEnd === null ? el.value.length : el.selectionEnd;
+    setNativeValue(el, el.value.slice(0, start) + text + el.value.slice(end));
+    if (el.selectionStart !== null) el.setSelectionRange(start + text.length, start + text.length);
+}
+
+// Frameworks that listen to "change" (e.g. Vue's v-model.lazy) need it once typing is done
+function commitField(el) {
+    if (el && !el.isContentEditable) {
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
+function typeIntoFocused(text) {
+    const el = getFocusedTextField();
+    if (!el) {
+        updateHUD("❌", t("Focus a text field first"), "status-error");
+        return;
+    }
+    insertText(el, fitToCaret(el, formatDictation(text)));
+    commitField(el);
+    updateHUD("⌨️", t("Typed: {text}", { text }), "status-success");
+}
+
+function deleteLastWord() {
+    const el = getFocusedTextField();
+    if (!el) return false;
+
+    if (el.isContentEditable) {
+        el.ownerDocument.getSelection().modify('extend', 'backward', 'word');
+    } else if (el.selectionStart !== null) {
+        const caret = el.selectionStart;
+        const match = el.value.slice(0, caret).match(/\S+\s*$/);
+        if (!match) return true;
+        el.setSelectionRange(caret - match[0].length, caret);
+    }
+
+    if (!el.ownerDocument.execCommand('delete')) {
+        setNativeValue(el, el.value.replace(/\S+\s*$/, ""));
+    }
+    return true;
+}
+
+function clearField() {
+    const el = getFocusedTextField();
+    if (!el) return false;
+
+    el.focus();
+    el.ownerDocument.execCommand('selectAll');
+    if (!el.ownerDocument.execCommand('delete') && !el.isContentEditable) {
+        setNativeValue(el, "");
+    }
+    commitField(el);
+    return true;
+}
+
+function startDictation() {
+    const el = getFocusedTextField();
+    if (!el) {
+        updateHUD("❌", t("Focus a text field first"), "status-error");
+        return;
+    }
+    dictationActive = true;
+    dictationTarget = el;
+    updateHUD("✍️", t("Dictation started"), "status-dictation");
+    speak(t("Dictation started"));
+}
+
+function stopDictation() {
+    if (!dictationActive) return false;
+    dictationActive = false;
+    commitField(dictationTarget);
+    dictationTarget = null;
+    updateHUD("✅", t("Dictation stopped"), "status-success");
+    speak(t("Dictation stopped"));
+    return true;
+}
+
+// Interim results are shown in the HUD only; the field is written once the phrase is final
+function showInterimText(text) {
+    if (!hudTextElement) return;
+    clearTimeout(fadeTimeout);
+    hudTextElement.classList.remove("vc-fade-out");
+    hudTextElement.textContent = "✍️ " + text + "…";
+}
+
+function handleDictation(transcript) {
+    const text = normalizeCommandText(normalizeSpeech(transcript));
+
+    // Editing commands ("delete last word", "stop dictation") work without the wake word here,
+    // in the page's language as well as English
+    const match = matchCommands(text, localizeCommands(commandRegistry, currentLang).filter(c => c.dictation))[0];
+    if (match && match.command.handler(match.slots, { text, transcript }) !== false) return;
+
+    // Keep typing into the field dictation started in, even if focus wandered to the page
+    const el = dictationTarget && dictationTarget.isConnected ? dictationTarget : getFocusedTextField();
+    if (!el) {
+        updateHUD("❌", t("Dictation field was removed"), "status-error");
+        stopDictation();
+        return;
+    }
+
+    insertText(el, fitToCaret(el, formatDictation(transcript)));
+    updateHUD("✍️", transcript, "status-dictation");
+}
+
+// Synthetic key events don't trigger browser defaults, so the common ones are emulated
+const pressableKeys = {
+    enter: { key: "Enter", code: "Enter", keyCode: 13 },
+    return: { key: "Enter", code: "Enter", keyCode: 13 },
+    tab: { key: "Tab", code: "Tab", keyCode: 9 },
+    escape: { key: "Escape", code: "Escape", keyCode: 27 },
+    esc: { key: "Escape", code: "Escape", keyCode: 27 },
+    backspace: { key: "Backspace", code: "Backspace", keyCode: 8 },
+    delete: { key: "Delete", code: "Delete", keyCode: 46 },
+    space: { key: " ", code: "Space", keyCode: 32 },
+    up: { key: "ArrowUp", code: "ArrowUp", keyCode: 38 },
+    down: { key: "ArrowDown", code: "ArrowDown", keyCode: 40 },
+    left: { key: "ArrowLeft", code: "ArrowLeft", keyCode: 37 },
+    right: { key: "ArrowRight", code: "ArrowRight", keyCode: 39 },
+    home: { key: "Home", code: "Home", keyCode: 36 },
+    end: { key: "End", code: "End", keyCode: 35 }
+};
+
+function dispatchKey(target, keyInfo, options = {}) {
+    const init = { ...keyInfo, which: keyInfo.keyCode, bubbles: true, cancelable: true, composed: true, ...options };
+    const notCancelled = target.dispatchEvent(new KeyboardEvent('keydown', init));
+    if (keyInfo.key.length === 1 || keyInfo.key === "Enter") {
+        target.dispatchEvent(new KeyboardEvent('keypress', init));
+    }
+    target.dispatchEvent(new KeyboardEvent('keyup', init));
+    return notCancelled;
+}
+
+// Move focus like Tab / Shift+Tab would
+function moveFocus(from, backwards) {
+    const focusable = Array.from(document.querySelectorAll(
+        'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]'
+    )).filter(el => el.tabIndex >= 0 && !el.disabled && el.offsetParent !== null);
+    if (!focusable.length) return;
+
+    const index = focusable.indexOf(from);
+    const next = backwards
+        ? focusable[(index - 1 + focusable.length) % focusable.length]
+        : focusable[(index + 1) % focusable.length];
+    next.focus();
+}
+
+function pressKey(name) {
+    const spokenKey = name.replace(/\s*(key|arrow)$/, "").replace(/^arrow\s*/, "");
+    const keyInfo = pressableKeys[spokenKey] || pressableKeys[getLocale(currentLang).keys[spokenKey]];
+    if (!keyInfo) return false;
+
+    const target = getDeepActiveElement() || document.body;
+    const submits = keyInfo.key === "Enter" && target.form && target.tagName === 'INPUT';
+    const press = () => {
+        const notCancelled = dispatchKey(target, keyInfo);
+
+        if (notCancelled) {
+            if (submits) {
+                target.form.requestSubmit();
+            } else if (keyInfo.key === "Tab") {
+                moveFocus(target, false);
+            } else if (keyInfo.key === "Escape" && target !== document.body) {
+                target.blur();
+            } else if (keyInfo.key === "Backspace" && isTextField(target)) {
+                target.ownerDocument.execCommand('delete');
+            }
+        }
+
+        updateHUD("⌨️", t("Pressed {key}", { key: keyInfo.key.replace(" ", "Space") }), "status-success");
+    };
+
+    // Enter in a form field submits it, so it asks first like "submit" and submit buttons do
+    if (submits && !isSearchForm(target.form)) {
+        guardAction(t("Submit this form?"), press);
+    } else {
+        press();
+    }
+    return true;
+}
+
+function isCheckable(el) {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    return (el.tagName === 'INPUT' && (type === 'checkbox' || type === 'radio'))
+        || ['checkbox', 'radio', 'switch', 'menuitemcheckbox'].includes(el.getAttribute('role'));
+}
+
+function isChecked(el) {
+    return el.tagName === 'INPUT' ? el.checked : el.getAttribute('aria-checked') === 'true';
+}
+
+function setChecked(targetName, checked) {
+    const ranked = rankElements(targetName, false, isCheckable);
+    if (!ranked.length) return false;
+
+    const entry = ranked[0].entry;
+    if (isChecked(entry.element) === checked) {
+        updateHUD("✅", t(checked ? "{name} is already checked" : "{name} is already unchecked", { name: entry.name }), "status-success");
+        return true;
+    }
+    // A real click fires input/change the way frameworks expect
+    activateElement(entry.element, entry.name, false);
+    return true;
+}
+
+function selectOption(optionName, selectName) {
+    let select = null;
+    if (selectName) {
+        const ranked = rankElements(selectName, true, el => el.tagName === 'SELECT');
+        select = ranked.length ? ranked[0].entry.element : null;
+    } else {
+        const focused = getDeepActiveElement();
+        select = focused && focused.tagName === 'SELECT' ? focused : null;
+    }
+    if (!select) return false;
+
+    const options = Array.from(select.options);
+    let best = null;
+    let bestScore = 0;
+    options.forEach(option => {
+        const score = scoreName(optionName, option.text.trim().toLowerCase());
+        if (score > bestScore) {
+            best = option;
+            bestScore = score;
+        }
+    });
+
+    if (!best || bestScore < MATCH_THRESHOLD) {
+        updateHUD("❌", t("No option \"{option}\"", { option: optionName }), "status-error");
+        return true;
+    }
+
+    select.focus();
+    setNativeSelectValue(select, best.value);
+    updateHUD("✅", t("Selected {option}", { option: best.text.trim() }), "status-success");
+    return true;
+}
+
+function setNativeSelectValue(select, value) {
+    Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, 'value').set.call(select, value);
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+function submitForm() {
+    const active = getDeepActiveElement();
+    const forms = document.querySelectorAll('form');
+    const form = (active && active.form) || (active && active.closest && active.closest('form'))
+        || (forms.length === 1 ? forms[0] : null);
+
+    if (!form) {
+        updateHUD("❌", t(forms.length ? "Focus a field in the form first" : "No form on this page"), "status-error");
+        return;
+    }
+    // requestSubmit runs validation and fires "submit" so JS handlers still run
+    form.requestSubmit();
+    updateHUD("📨", t("Form submitted"), "status-success");
+}
+// ==========================
+
+// ===== Custom Commands =====
+let customCommands = [];
+const MACRO_STEP_DELAY_MS = 700;
+const MAX_MACRO_DEPTH = 5; // a macro that runs itself must not loop forever
+
+function loadCustomCommands(defs) {
+    customCommands = (defs || [])
+        .filter(def => {
+            const errors = validateCustomCommand(def);
+            if (errors.length) console.warn(`VoiceControl: Skipping custom command "${def.phrase}":`, errors);
+            return !errors.length;
+        })
+        .map(buildCustomCommand);
+}
+
+// Built-ins plus the user's own phrases and this site's packs, in one list for matching and help
+function getActiveCommands() {
+    return localizeCommands(commandRegistry, currentLang).concat(customCommands, sitePackCommands);
+}
+
+function fillTemplate(template, slots, encode) {
+    return template.replace(/\{(\w+)\}/g, (whole, name) => {
+        if (slots[name] === undefined) return whole;
+        return encode ? encodeURIComponent(slots[name]) : slots[name];
+    });
+}
+
+// "ctrl+shift+k" -> keydown/keyup with the matching modifier flags
+function pressShortcut(shortcut) {
+    const parts = shortcut.toLowerCase().split("+").map(p => p.trim());
+    const keyName = parts.pop();
+    const keyInfo = pressableKeys[keyName] || {
+        key: keyName.length === 1 ? keyName : keyName.charAt(0).toUpperCase() + keyName.slice(1),
+        code: keyName.length === 1 ? "Key" + keyName.toUpperCase() : keyName,
+        keyCode: keyName.length === 1 ? keyName.toUpperCase().charCodeAt(0) : 0
+    };
+
+    dispatchKey(getDeepActiveElement() || document.body, keyInfo, {
+        ctrlKey: parts.includes("ctrl") || parts.includes("control"),
+        altKey: parts.includes("alt") || parts.includes("option"),
+        shiftKey: parts.includes("shift"),
+        metaKey: parts.includes("meta") || parts.includes("cmd") || parts.includes("command")
+    });
+}
+
+// `depth` counts the macros this one was started from
+function runCustomAction(def, slots, depth = 0) {
+    const value = def.value.trim();
+
+    if (def.type === "url") {
+        const url = fillTemplate(value, slots, true);
+        if (def.newTab) {
+            sendBackgroundCommand({ command: "openSite", url }, t("Opening {name}", { name: url }));
+        } else {
+            updateHUD("✅", t("Navigating to {url}", { url }), "status-success");
+            setTimeout(() => window.location.href = url, 800);
+        }
+    } else if (def.type === "click") {
+        const target = document.querySelector(value);
+        if (!target) {
+            updateHUD("❌", t("Nothing matches {selector}", { selector: value }), "status-error");
+            return;
+        }
+        activateElement(target, def.phrase, false);
+    } else if (def.type === "sequence") {
+        runSequence(sequenceSteps(fillTemplate(value, slots, false)), depth);
+    } else if (def.type === "keys") {
+        pressShortcut(value);
+        updateHUD("⌨️", t("Pressed {key}", { key: value }), "status-success");
+    }
+}
+
+// Run each step through the normal command pipeline, spaced out so HUD and tabs keep up.
+// Steps run in later timers, so the nesting depth travels with them rather than in a global.
+function runSequence(steps, depth = 0) {
+    if (depth >= MAX_MACRO_DEPTH) {
+        updateHUD("❌", t("Macro nested too deeply"), "status-error");
+        return;
+    }
+
+    steps.forEach((step, i) => {
+        setTimeout(() => {
+            if (!runCommandText(step, step, depth + 1)) {
+                updateHUD("❌", t("Macro step not recognized: {step}", { step }), "status-error");
+            }
+        }, i * MACRO_STEP_DELAY_MS);
+    });
+}
+// ==========================
+
+// ===== Site Packs =====
+let sitePackCommands = [];
+let siteAliases = []; // [{ name, selector, pack }]
+
+function loadSitePacks() {
+    chrome.storage.sync.get(['disabledPacks'], (syncResult) => {
+        chrome.storage.local.get(['userPacks'], (localResult) => {
+            const packs = getSitePacksFor(location.hostname, localResult.userPacks, syncResult.disabledPacks);
+
+            sitePackCommands = [];
+            siteAliases = [];
+            packs.forEach(pack => {
+                (pack.commands || []).forEach((def, i) => {
+                    sitePackCommands.push(buildCustomCommand({ ...def, id: `${pack.id}:${i}` }, {
+                        id: `pack:${pack.id}:${i}`,
+                        category: pack.name,
+                        priority: 2 // the site's own vocabulary beats generic phrases
+                    }));
+                });
+                Object.entries(pack.aliases || {}).forEach(([name, selector]) => {
+                    siteAliases.push({ name: name.toLowerCase(), selector, pack: pack.name });
+                });
+            });
+
+            if (packs.length) {
+                console.log("VoiceControl: Site packs active:", packs.map(p => p.name).join(", "));
+            }
+        });
+    });
+}
+
+// A pack alias naming a visible element on this page, if the spoken name matches one
+function resolveSiteAlias(targetName) {
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+
+    siteAliases.forEach(alias => {
+        const score = scoreName(targetName, alias.name);
+        if (score < bestScore) return;
+        const element = Array.from(document.querySelectorAll(alias.selector)).find(el => el.offsetParent !== null);
+        if (element) {
+            best = { name: alias.name, element };
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+loadSitePacks();
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if ((namespace === 'sync' && changes.disabledPacks) || (namespace === 'local' && changes.userPacks)) {
+        loadSitePacks();
+    }
+});
+// ==========================
+
+// ===== Command History =====
+// The log itself lives in the service worker so it survives navigations and spans tabs
+let lastTargetName = null; // set by activateElement so history can say what was clicked
+const MAX_REPEATS = 20;
+
+function recordHistory(entry) {
+    chrome.runtime.sendMessage({ command: "recordHistory", entry }, () => {
+        void chrome.runtime.lastError; // history is best-effort
+    });
+}
+
+function repeatLastCommand(times) {
+    chrome.runtime.sendMessage({ command: "getHistory", limit: 50 }, (response) => {
+        const last = response && response.history
+            ? response.history.find(entry => entry.success && entry.commandText)
+            : null;
+        if (chrome.runtime.lastError || !last) {
+            updateHUD("❌", t("Nothing to repeat"), "status-error");
+            return;
+        }
+
+        const count = Math.min(times, MAX_REPEATS);
+        updateHUD("🔁", count > 1
+            ? t("Repeating \"{command}\" {count} times", { command: last.commandText, count })
+            : t("Repeating \"{command}\"", { command: last.commandText }), "status-success");
+        for (let i = 0; i < count; i++) {
+            setTimeout(() => runCommandText(last.commandText), i * MACRO_STEP_DELAY_MS);
+        }
+    });
+}
+
+// The worker picks the most recent undoable entry; page-level reversals happen here
+function undoLastCommand() {
+    chrome.runtime.sendMessage({ command: "takeUndo" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            updateHUD("❌", t("Extension not responding"), "status-error");
+            return;
+        }
+        if (response.status !== "ok") {
+            updateHUD("❌", replyText(response), "status-error");
+            speak(replyText(response));
+            return;
+        }
+        if (!response.undo) {
+            // Already handled by the worker (e.g. a closed tab was restored)
+            updateHUD("↩️", replyText(response), "status-success");
+            speak(replyText(response));
+            return;
+        }
+
+        const undo = response.undo;
+        if (undo.type === "scroll") {
+            if (response.url !== location.href) {
+                updateHUD("❌", t("That scroll was on another page"), "status-error");
+                return;
+            }
+            restoreScroll(undo);
+        } else if (undo.type === "navigation" || undo.type === "historyForward") {
+            setTimeout(() => window.history.back(), 800);
+        } else if (undo.type === "historyBack") {
+            setTimeout(() => window.history.forward(), 800);
+        }
+        updateHUD("↩️", t("Undid \"{command}\"", { command: response.commandText }), "status-success");
+    });
+}
+// ==========================
+
+// ===== Voice Prompts =====
+// A question waiting for a spoken answer ("which one?"). While a prompt is open
+// the answer is accepted without the wake word.
+let pendingPrompt = null;
+let promptTimeout = null;
+const PROMPT_TIMEOUT_MS = 10000;
+
+/**
+ * Ask the user something and route their next utterance to `onAnswer`.
+ * `onAnswer(text)` returns false if it did not understand, which keeps the prompt open.
+ * `options.icon` / `options.status` style the HUD, `options.retry` is said after a non-answer.
+ */
+function openPrompt(question, onAnswer, onClose, options = {}) {
+    closePrompt();
+    pendingPrompt = {
+        onAnswer,
+        onClose,
+        icon: options.icon || "❓",
+        status: options.status || "status-listening",
+        retry: options.retry || t("Sorry, say a number or cancel")
+    };
+    updateHUD(pendingPrompt.icon, question, pendingPrompt.status);
+    speak(question);
+
+    promptTimeout = setTimeout(() => {
+        closePrompt();
+        updateHUD("⌛", t("No answer, cancelled"), "status-error");
+    }, PROMPT_TIMEOUT_MS);
+}
+
+function closePrompt() {
+    clearTimeout(promptTimeout);
+    if (pendingPrompt && pendingPrompt.onClose) pendingPrompt.onClose();
+    pendingPrompt = null;
+}
+
+// Returns true when the utterance was consumed by the open prompt
+function answerPrompt(text) {
+    if (!pendingPrompt) return false;
+
+    const cancelWords = englishLocale.cancel.concat(getLocale(currentLang).cancel).map(normalizeSpeech);
+    if (cancelWords.includes(text)) {
+        closePrompt();
+        updateHUD("✅", t("Cancelled"), "status-success");
+        return true;
+    }
+
+    const prompt = pendingPrompt;
+    if (prompt.onAnswer(text) === false) {
+        // Not an answer — keep asking, but let a wake-word command through
+        updateHUD(prompt.icon, prompt.retry, prompt.status);
+        return false;
+    }
+    if (pendingPrompt === prompt) closePrompt();
+    return true;
+}
+
+let choiceLayer = null;
+
+// Number the tied candidates on the page and ask which one was meant
+function askWhichElement(entries, isFocus) {
+    askWhichOne(entries, (choice) => {
+        activateElement(choice.element, choice.name, isFocus);
+        if (!pendingPrompt) speak(t(isFocus ? "Focused {name}" : "Clicked {name}", { name: choice.name })); // else it's asking to confirm
+    });
+}
+
+// Put numbered badges on `entries` ({ element, name }) and hand the one the user names to `onChoice`
+function askWhichOne(entries, onChoice, question = t("Which one? Say 1 to {count}", { count: entries.length })) {
+    choiceLayer = document.createElement("div");
+    choiceLayer.id = "vc-choice-layer";
+
+    entries.forEach((entry, i) => {
+        const rect = getPageRect(entry.element);
+        const badge = document.createElement("span");
+        badge.className = "vc-link-badge vc-choice-badge";
+        badge.textContent = i + 1;
+        badge.style.left = Math.max(0, rect.left - 8) + "px";
+        badge.style.top = Math.max(0, rect.top - 8) + "px";
+
+        const outline = document.createElement("div");
+        outline.className = "vc-choice-outline";
+        outline.style.left = rect.left + "px";
+        outline.style.top = rect.top + "px";
+        outline.style.width = rect.width + "px";
+        outline.style.height = rect.height + "px";
+
+        choiceLayer.appendChild(outline);
+        choiceLayer.appendChild(badge);
+    });
+    document.body.appendChild(choiceLayer);
+
+    openPrompt(question, (answer) => {
+        // "number two", "the second one", or any reply with a number word in it ("le deux")
+        let number = parseSpokenNumber(answer.replace(/^(number|the|click|focus)\s+/, "").replace(/\s+one$/, ""));
+        if (number === null) {
+            number = answer.split(" ").map(parseSpokenNumber).find(n => n !== null);
+        }
+        const choice = number === -1 ? entries[entries.length - 1] : entries[number - 1];
+        if (!choice) return false;
+
+        onChoice(choice);
+    }, () => {
+        if (choiceLayer && choiceLayer.parentNode) choiceLayer.parentNode.removeChild(choiceLayer);
+        choiceLayer = null;
+    });
+}
+// ==========================
+
+// ===== Safety Checks =====
+// A stray phrase shouldn't lose work or spend money. Commands marked with `risk` (commands.js)
+// and clicks on delete/buy/send/submit controls wait for a spoken "confirm". Options can trust
+// a site (never ask), deny one (refuse risky actions outright) or turn voice clicking off there.
+const riskyNamePattern = new RegExp(
+    "(?<![\\p{L}\\p{M}])(" +
+    Object.values(commandLocales).flatMap(locale => locale.riskyWords || []).map(w => escapeRegex(normalizeSpeech(w))).join("|") +
+    ")(?![\\p{L}\\p{M}])", "u"
+);
+
+let contentEdited = false; // editors without a value to compare (contenteditable) report edits here
+
+document.addEventListener("input", (event) => {
+    if (event.target.isContentEditable) contentEdited = true;
+}, true);
+document.addEventListener("submit", () => {
+    contentEdited = false;
+}, true);
+
+function siteListed(sites) {
+    return sites.some(pattern => hostMatches(pattern, location.hostname));
+}
+
+// Whether leaving now would throw away something the user typed (search boxes don't count)
+function hasUnsavedChanges() {
+    if (contentEdited) return true;
+    return Array.from(document.querySelectorAll("input, textarea, select")).some(field => {
+        if (field.disabled || field.type === "search" || field.closest("[role='search']")) return false;
+        if (field.tagName === "SELECT") {
+            if (field.multiple) return Array.from(field.options).some(o => o.selected !== o.defaultSelected);
+            const initial = Array.from(field.options).findIndex(o => o.defaultSelected);
+            return field.selectedIndex !== Math.max(0, initial);
+        }
+        if (field.type === "checkbox" || field.type === "radio") return field.checked !== field.defaultChecked;
+        if (["hidden", "submit", "button", "reset", "image"].includes(field.type)) return false;
+        if (field.type === "file") return field.files.length > 0;
+        return field.value !== field.defaultValue;
+    });
+}
+
+function isSearchForm(form) {
+    return !!form.closest("[role='search']") || !!form.querySelector("input[type='search']");
+}
+
+// A submit button outside a search form
+function submitsForm(control) {
+    const isSubmit = (control.tagName === "BUTTON" && control.type === "submit")
+        || (control.tagName === "INPUT" && ["submit", "image"].includes(control.type));
+    const form = isSubmit && control.form;
+    return !!form && !isSearchForm(form);
+}
+
+function leavesPage(control) {
+    const link = control.closest("a[href]");
+    if (!link || link.target === "_blank") return false;
+    const href = link.getAttribute("href");
+    return !href.startsWith("#") && !/^javascript:/i.test(href);
+}
+
+// The question a click must have confirmed, or null when it is safe. Without a spoken `label`
+// (grid clicks) the question names the control by its accessible name.
+function clickRiskQuestion(el, label) {
+    const control = el.closest("button, input, a[href], [role='button'], [role='link'], [role='menuitem']") || el;
+    const name = normalizeSpeech([label || "", getAccessibleName(control), control.value || ""].join(" "));
+    if (riskyNamePattern.test(name) || submitsForm(control)) {
+        return t("Click \"{name}\"?", { name: label || getAccessibleName(control) || t("unnamed") });
+    }
+    if (leavesPage(control) && hasUnsavedChanges()) return t("You have unsaved changes on this page. Leave anyway?");
+    return null;
+}
+
+// The question a command must have confirmed, or null when it is safe right now
+function commandRiskQuestion(command) {
+    if (command.risk === "always") return t(command.confirmQuestion || "Are you sure?");
+    if (command.risk === "leave" && hasUnsavedChanges()) return t("You have unsaved changes on this page. Leave anyway?");
+    return null;
+}
+
+// Run a risky `action` now, after a spoken "confirm", or not at all, depending on the site
+function guardAction(question, action) {
+    if (siteListed(currentSafetyDenySites)) {
+        updateHUD("⛔", t("Not allowed by voice on this site"), "status-error");
+        speak(t("Not allowed by voice on this site"));
+        return;
+    }
+    if (!currentConfirmRisky || siteListed(currentSafetyAllowSites)) {
+        action();
+        return;
+    }
+
+    const confirmWords = englishLocale.confirm.concat(getLocale(currentLang).confirm || []).map(normalizeSpeech);
+    const retry = t("Say \"confirm\" or \"cancel\"");
+    openPrompt(question + " " + retry, (answer) => {
+        if (!confirmWords.includes(answer)) return false;
+        action();
+    }, null, { icon: "⚠️", status: "status-confirm", retry });
+}
+// ==========================
+
+// ===== Hint Labels =====
+// Numbered badges over every registry entry on screen, so "click 12" reaches controls with no
+// speakable name. Numbers stay put while the badges are up; controls scrolled or loaded into
+// view get the next free ones.
+let hintsVisible = false;
+let hintsLayer = null;
+let hintsRepositionTimeout = null;
+let lastHint = 0;
+
+// Page coordinates of an element, adding up iframe offsets for elements inside frames
+function getPageRect(el) {
+    const rect = el.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+
+    let win = el.ownerDocument.defaultView;
+    while (win && win !== window && win.frameElement) {
+        const frameRect = win.frameElement.getBoundingClientRect();
+        left += frameRect.left + win.frameElement.clientLeft;
+        top += frameRect.top + win.frameElement.clientTop;
+        win = win.parent;
+    }
+
+    return { left: left + window.scrollX, top: top + window.scrollY, width: rect.width, height: rect.height };
+}
+
+function renderHints() {
+    if (!hintsLayer) {
+        hintsLayer = document.createElement("div");
+        hintsLayer.id = "vc-hints-layer";
+        document.body.appendChild(hintsLayer);
+    }
+    hintsLayer.textContent = "";
+
+    const shown = getInteractiveElements().filter(entry => entry.onScreen && isUsable(entry.element));
+
+    // Number newcomers in reading order
+    shown.filter(entry => !entry.hint)
+        .map(entry => ({ entry, rect: entry.element.getBoundingClientRect() }))
+        .sort((a, b) => (a.rect.top - b.rect.top) || (a.rect.left - b.rect.left))
+        .forEach(({ entry }) => { entry.hint = ++lastHint; });
+
+    const fragment = document.createDocumentFragment();
+    shown.forEach(entry => {
+        const rect = getPageRect(entry.element);
+        if (!rect.width && !rect.height) return;
+
+        const badge = document.createElement("span");
+        badge.className = "vc-link-badge";
+        badge.textContent = entry.hint;
+        badge.style.left = Math.max(0, rect.left - 8) + "px";
+        badge.style.top = Math.max(0, rect.top - 8) + "px";
+        fragment.appendChild(badge);
+    });
+    hintsLayer.appendChild(fragment);
+}
+
+function showHints() {
+    hintsVisible = true;
+    startIndexing();
+    getInteractiveElements().forEach(entry => { entry.hint = 0; });
+    lastHint = 0;
+    renderHints();
+    // Frames and sticky headers move independently of the page, so refresh positions after scrolling
+    window.addEventListener("scroll", scheduleHintReposition, { passive: true });
+    window.addEventListener("resize", scheduleHintReposition);
+}
+
+function hideHints() {
+    hintsVisible = false;
+    window.removeEventListener("scroll", scheduleHintReposition);
+    window.removeEventListener("resize", scheduleHintReposition);
+    if (hintsLayer && hintsLayer.parentNode) {
+        hintsLayer.parentNode.removeChild(hintsLayer);
+    }
+    hintsLayer = null;
+    pauseIndexingIfIdle();
+}
+
+function scheduleHintReposition() {
+    clearTimeout(hintsRepositionTimeout);
+    hintsRepositionTimeout = setTimeout(() => {
+        if (hintsVisible) renderHints();
+    }, 150);
+}
+
+function findHint(number) {
+    return getInteractiveElements().find(entry => entry.hint === number) || null;
+}
+
+// Act on a numbered badge; false if no badge carries that number
+function activateHint(number, mode) {
+    if (!hintsVisible) return false;
+    const entry = findHint(number);
+    if (!entry) return false;
+
+    if (mode === "newTab") {
+        const link = entry.element.closest("a[href]");
+        if (!link) {
+            updateHUD("❌", t("{number} is not a link", { number }), "status-error");
+            return true;
+        }
+        sendBackgroundCommand({ command: "openSite", url: link.href }, t("Opening {number} in new tab", { number }));
+        return true;
+    }
+
+    activateElement(entry.element, entry.name || "#" + number, mode === "focus");
+    return true;
+}
+// ==========================
+
+// ===== Mouse Grid =====
+// For what the registry can't name (canvases, maps, custom widgets): a 3×3 grid over the
+// screen, where saying a cell's number zooms the grid into it until the point is precise
+// enough. The actions then send pointer and mouse events at the middle of the current area.
+const GRID_SIZE = 3;
+const GRID_MIN_CELL = 8; // px; smaller cells wouldn't be any more precise than the mouse
+const DRAG_STEPS = 10;
+
+let gridLayer = null;
+let gridRegion = null; // { left, top, width, height } in viewport pixels
+let gridHistory = []; // regions zoomed out of, for "zoom out"
+let gridDragStart = null; // point pinned by "drag from here"
+let hoverTarget = null; // element the pointer was last moved over, for the matching "out" events
+
+function showGrid() {
+    hideGrid();
+    gridLayer = document.createElement("div");
+    gridLayer.id = "vc-grid-layer";
+    document.body.appendChild(gridLayer);
+    gridRegion = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    gridHistory = [];
+    renderGrid();
+    document.addEventListener("keydown", handleGridEscape);
+    updateHUD("🔢", t("Say a number to zoom in, then \"click\""), "status-success");
+}
+
+function hideGrid() {
+    document.removeEventListener("keydown", handleGridEscape);
+    if (gridLayer && gridLayer.parentNode) gridLayer.parentNode.removeChild(gridLayer);
+    gridLayer = null;
+    gridRegion = null;
+    gridDragStart = null;
+}
+
+function handleGridEscape(e) {
+    if (e.key === "Escape") {
+        hideGrid();
+    }
+}
+
+function getGridCell(region, number) {
+    const width = region.width / GRID_SIZE;
+    const height = region.height / GRID_SIZE;
+    return {
+        left: region.left + ((number - 1) % GRID_SIZE) * width,
+        top: region.top + Math.floor((number - 1) / GRID_SIZE) * height,
+        width,
+        height
+    };
+}
+
+// Cells with their numbers over the current area, and the rest of the screen dimmed
+function renderGrid() {
+    gridLayer.textContent = "";
+    const area = document.createElement("div");
+    area.className = "vc-grid-area";
+    Object.assign(area.style, {
+        left: gridRegion.left + "px",
+        top: gridRegion.top + "px",
+        width: gridRegion.width + "px",
+        height: gridRegion.height + "px"
+    });
+
+    for (let number = 1; number <= GRID_SIZE * GRID_SIZE; number++) {
+        const cell = document.createElement("div");
+        cell.className = "vc-grid-cell";
+        const label = document.createElement("span");
+        label.className = "vc-link-badge vc-grid-number";
+        label.textContent = number;
+        cell.appendChild(label);
+        area.appendChild(cell);
+    }
+    gridLayer.appendChild(area);
+
+    if (gridDragStart) {
+        const marker = document.createElement("div");
+        marker.className = "vc-grid-marker";
+        marker.style.left = gridDragStart.x + "px";
+        marker.style.top = gridDragStart.y + "px";
+        gridLayer.appendChild(marker);
+    }
+}
+
+// False when the grid isn't up or there is no such cell
+function zoomGrid(number) {
+    if (!gridRegion || number < 1 || number > GRID_SIZE * GRID_SIZE) return false;
+
+    const cell = getGridCell(gridRegion, number);
+    if (cell.width / GRID_SIZE < GRID_MIN_CELL || cell.height / GRID_SIZE < GRID_MIN_CELL) {
+        updateHUD("🎯", t("As close as it goes, say \"click\""), "status-success");
+        return true;
+    }
+    gridHistory.push(gridRegion);
+    gridRegion = cell;
+    renderGrid();
+    updateHUD("🔍", t("Zoomed into {number}", { number }), "status-success");
+    return true;
+}
+
+function zoomOutGrid() {
+    if (!gridRegion) return false;
+    if (!gridHistory.length) {
+        updateHUD("❌", t("The grid already covers the screen"), "status-error");
+        return true;
+    }
+    gridRegion = gridHistory.pop();
+    renderGrid();
+    updateHUD("🔍", t("Zoomed out"), "status-success");
+    return true;
+}
+
+function gridPoint(region = gridRegion) {
+    return { x: region.left + region.width / 2, y: region.top + region.height / 2 };
+}
+
+// The element under a viewport point, looking through open shadow roots and same-origin frames;
+// `x`/`y` come back in that element's own document
+function elementAtPoint(x, y) {
+    let root = document;
+    let element = null;
+    for (;;) {
+        const hit = root.elementFromPoint(x, y);
+        if (!hit || hit === element) break;
+        element = hit;
+
+        if (hit.shadowRoot) {
+            root = hit.shadowRoot;
+        } else if (hit.tagName === "IFRAME" || hit.tagName === "FRAME") {
+            let frameDoc = null;
+            try {
+                frameDoc = hit.contentDocument;
+            } catch (e) { /* cross-origin */ }
+            if (!frameDoc) break;
+            const rect = hit.getBoundingClientRect();
+            x -= rect.left + hit.clientLeft;
+            y -= rect.top + hit.clientTop;
+            root = frameDoc;
+            element = null;
+        } else {
+            break;
+        }
+    }
+    return element ? { element, x, y } : null;
+}
+
+// Fire the pointer event and its mouse twin the way a real mouse does
+function firePointer(target, type, x, y, button = 0, detail = 0) {
+    const win = target.ownerDocument.defaultView;
+    const pressed = type.endsWith("down") || type === "move-pressed";
+    const init = {
+        bubbles: !/enter|leave/.test(type),
+        cancelable: !/enter|leave/.test(type),
+        composed: true,
+        view: win,
+        clientX: x,
+        clientY: y,
+        screenX: win.screenX + x,
+        screenY: win.screenY + y,
+        button,
+        buttons: pressed ? (button === 2 ? 2 : 1) : 0,
+        detail
+    };
+    const name = type === "move-pressed" ? "move" : type;
+
+    const pointer = new win.PointerEvent("pointer" + name, { ...init, pointerId: 1, pointerType: "mouse", isPrimary: true });
+    const allowed = target.dispatchEvent(pointer);
+    // A cancelled pointerdown suppresses the mouse events that follow it, as in the browser
+    if (allowed || name !== "down") target.dispatchEvent(new win.MouseEvent("mouse" + name, init));
+    return allowed;
+}
+
+// Move the pointer onto the element at a point, with over/out events for the element it leaves
+function movePointerTo(point, pressed = false) {
+    const hit = elementAtPoint(point.x, point.y);
+    if (!hit) return null;
+
+    if (hoverTarget !== hit.element) {
+        if (hoverTarget && hoverTarget.isConnected) {
+            firePointer(hoverTarget, "out", hit.x, hit.y);
+            firePointer(hoverTarget, "leave", hit.x, hit.y);
+        }
+        firePointer(hit.element, "over", hit.x, hit.y);
+        firePointer(hit.element, "enter", hit.x, hit.y);
+        hoverTarget = hit.element;
+    }
+    firePointer(hit.element, pressed ? "move-pressed" : "move", hit.x, hit.y);
+    return hit;
+}
+
+// The grid layer ignores the pointer (pointer-events: none), so hit tests see the page under it
+function clickAt(point, kind) {
+    const hit = movePointerTo(point);
+    if (!hit) return false;
+    const { element, x, y } = hit;
+    const win = element.ownerDocument.defaultView;
+    const button = kind === "right" ? 2 : 0;
+    const init = { bubbles: true, cancelable: true, composed: true, view: win, clientX: x, clientY: y, button };
+
+    const presses = kind === "double" ? 2 : 1;
+    for (let press = 1; press <= presses; press++) {
+        firePointer(element, "down", x, y, button, press);
+        if (press === 1 && button === 0) {
+            const focusable = element.closest("input, textarea, select, button, a[href], [tabindex], [contenteditable='true']");
+            if (focusable) focusable.focus({ preventScroll: true });
+        }
+        firePointer(element, "up", x, y, button, press);
+        if (button === 0) element.dispatchEvent(new win.MouseEvent("click", { ...init, detail: press }));
+    }
+    if (kind === "double") element.dispatchEvent(new win.MouseEvent("dblclick", { ...init, detail: 2 }));
+    if (kind === "right") element.dispatchEvent(new win.MouseEvent("contextmenu", { ...init, detail: 1 }));
+    return true;
+}
+
+// Press at `from`, move in steps (apps ignore a drag that jumps), release at `to`. A draggable
+// element gets the HTML drag-and-drop events as well.
+function dragBetween(from, to) {
+    const start = movePointerTo(from);
+    if (!start) return false;
+    firePointer(start.element, "down", start.x, start.y);
+
+    const source = start.element.closest("[draggable='true'], a[href], img");
+    const dataTransfer = source ? new DataTransfer() : null;
+    const fireDrag = (target, type, x, y) => target.dispatchEvent(new DragEvent(type, {
+        bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y, dataTransfer
+    }));
+    if (source) fireDrag(source, "dragstart", start.x, start.y);
+
+    let hit = start;
+    let dropTarget = null;
+    for (let step = 1; step <= DRAG_STEPS; step++) {
+        const point = {
+            x: from.x + (to.x - from.x) * step / DRAG_STEPS,
+            y: from.y + (to.y - from.y) * step / DRAG_STEPS
+        };
+        const previous = hit.element;
+        hit = movePointerTo(point, true) || hit;
+        if (source) {
+            if (hit.element !== previous) fireDrag(hit.element, "dragenter", hit.x, hit.y);
+            fireDrag(hit.element, "dragover", hit.x, hit.y);
+            dropTarget = hit.element;
+        }
+    }
+
+    if (source) {
+        fireDrag(dropTarget, "drop", hit.x, hit.y);
+        fireDrag(source, "dragend", hit.x, hit.y);
+    }
+    firePointer(hit.element, "up", hit.x, hit.y);
+    return true;
+}
+
+// The point an action happens at: inside cell `number` when one is said, else the middle of the grid
+function gridTarget(number) {
+    if (!gridRegion) return null;
+    if (number === undefined) return gridPoint();
+    if (number < 1 || number > GRID_SIZE * GRID_SIZE) return null;
+    return gridPoint(getGridCell(gridRegion, number));
+}
+
+const gridActionMessages = {
+    click: "Clicked",
+    double: "Double-clicked",
+    right: "Right-clicked",
+    hover: "Hovering"
+};
+
+// Clicks and drags through the grid pass the same no-click list and risk questions as clicks
+// by name, asked about whatever is under each point
+function guardPointerAction(points, action) {
+    if (siteListed(currentNoClickSites)) {
+        updateHUD("⛔", t("Voice clicking is turned off on this site"), "status-error");
+        return;
+    }
+    const question = points
+        .map(point => elementAtPoint(point.x, point.y))
+        .map(hit => hit && clickRiskQuestion(hit.element))
+        .find(Boolean);
+    if (question) {
+        guardAction(question, action);
+    } else {
+        action();
+    }
+}
+
+// "click", "double click 5", "right click", "hover"; false when the grid isn't up
+function gridAction(kind, number) {
+    const point = gridTarget(number);
+    if (!point) return false;
+    hideGrid();
+
+    const report = (done) => {
+        if (done) {
+            updateHUD("🖱️", t(gridActionMessages[kind]), "status-success");
+        } else {
+            updateHUD("❌", t("Nothing there to click"), "status-error");
+        }
+    };
+    if (kind === "hover") {
+        report(Boolean(movePointerTo(point)));
+    } else {
+        guardPointerAction([point], () => report(clickAt(point, kind)));
+    }
+    return true;
+}
+
+// Pins the drag's starting point and opens the whole screen again to pick where it goes
+function markDragStart() {
+    if (!gridRegion) return false;
+    gridDragStart = gridPoint();
+    gridRegion = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    gridHistory = [];
+    renderGrid();
+    updateHUD("📍", t("Now pick where to drop it"), "status-success");
+    return true;
+}
+
+// From the pinned point (or the middle of the grid) to cell `number`, or to the middle of the grid
+function dragTo(number) {
+    const to = gridTarget(number);
+    if (!to) return false;
+    if (!gridDragStart && number === undefined) {
+        updateHUD("❌", t("Say \"drag from here\" first"), "status-error");
+        return true;
+    }
+
+    const from = gridDragStart || gridPoint();
+    hideGrid();
+    guardPointerAction([from, to], () => {
+        if (dragBetween(from, to)) {
+            updateHUD("🖱️", t("Dragged"), "status-success");
+        } else {
+            updateHUD("❌", t("Nothing there to drag"), "status-error");
+        }
+    });
+    return true;
+}
+// ==========================
+
+// ===== Scrolling =====
+// Commands scroll whatever the user is working in: the scrollable container around the focus
+// (chat panes, editors), else the page, else the largest scrollable area on screen.
+const SCROLL_SIZE_FACTORS = { little: 0.4, lot: 2.5 };          // times the configured amount
+const PAGE_OVERLAP = 0.9;                                        // keep a line of context per page
+const AUTO_SCROLL_SPEEDS = [20, 40, 70, 110, 160, 240, 350];    // pixels per second
+const DEFAULT_AUTO_SCROLL_SPEED = 2;
+
+let autoScroll = null; // { target, direction, frame, last, carry }
+let autoScrollSpeed = DEFAULT_AUTO_SCROLL_SPEED;
+const scrolledContainers = new Map(); // undo ids -> containers scrolled on this page
+let nextContainerId = 1;
+
+function pageScroller() {
+    return document.scrollingElement || document.documentElement;
+}
+
+function canScroll(el, axis) {
+    if (el === pageScroller()) {
+        return axis === "x" ? el.scrollWidth > window.innerWidth : el.scrollHeight > window.innerHeight;
+    }
+    const style = window.getComputedStyle(el);
+    const overflow = axis === "x" ? style.overflowX : style.overflowY;
+    const room = axis === "x" ? el.scrollWidth - el.clientWidth : el.scrollHeight - el.clientHeight;
+    return room > 1 && /auto|scroll|overlay/.test(overflow);
+}
+
+function visibleArea(el) {
+    const rect = el.getBoundingClientRect();
+    const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+function getScrollTarget(axis = "y") {
+    let el = structureCursor && structureCursor.isConnected ? structureCursor : getDeepActiveElement();
+    if (el && el.ownerDocument !== document) el = null;
+    if (el && isTextField(el)) el = el.parentElement; // a focused textarea scrolls its own text, not the view
+
+    for (; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+        if (canScroll(el, axis)) return el;
+    }
+    if (canScroll(pageScroller(), axis)) return pageScroller();
+
+    let best = null;
+    let bestArea = 0;
+    document.querySelectorAll("body *").forEach(candidate => {
+        if (!canScroll(candidate, axis)) return;
+        const area = visibleArea(candidate);
+        if (area > bestArea) {
+            best = candidate;
+            bestArea = area;
+        }
+    });
+    return best || pageScroller();
+}
+
+// How far "one page" is for a target
+function viewHeight(target) {
+    return target === pageScroller() ? window.innerHeight : target.clientHeight;
+}
+
+function scrollTargetBy(top, left = 0) {
+    const target = getScrollTarget(left ? "x" : "y");
+    target.scrollBy({ top, left, behavior: 'smooth' });
+}
+
+function scrollTargetTo(edge) {
+    const target = getScrollTarget();
+    target.scrollTo({ top: edge === "top" ? 0 : target.scrollHeight, behavior: 'smooth' });
+}
+
+// Scroll distance for a spoken size ("little", "lot", "half") or a number of pages
+function scrollDistance(size, pages) {
+    if (pages) return pages * viewHeight(getScrollTarget()) * PAGE_OVERLAP;
+    if (size === "half") return viewHeight(getScrollTarget()) / 2;
+    return currentScrollAmount * (SCROLL_SIZE_FACTORS[size] || 1);
+}
+
+// Undo state for the scroll commands: where the target was, and which container it was
+function captureScroll(axis = "y") {
+    const target = getScrollTarget(axis);
+    let container = null;
+    if (target !== pageScroller()) {
+        container = nextContainerId++;
+        scrolledContainers.set(container, target);
+    }
+    return { type: "scroll", x: target.scrollLeft, y: target.scrollTop, container };
+}
+
+function restoreScroll(undo) {
+    const target = (undo.container && scrolledContainers.get(undo.container)) || window;
+    target.scrollTo({ left: undo.x, top: undo.y, behavior: 'smooth' });
+}
+
+function startAutoScroll(direction) {
+    stopAutoScroll();
+    autoScroll = { target: getScrollTarget(), direction, last: performance.now(), carry: 0 };
+    autoScroll.frame = requestAnimationFrame(stepAutoScroll);
+    updateHUD("⏬", t("Scrolling... say \"stop\" to stop"), "status-success");
+}
+
+function stepAutoScroll(now) {
+    if (!autoScroll) return;
+    const { target } = autoScroll;
+
+    // scrollTop is whole pixels, so slow speeds carry the fraction over to the next frame
+    autoScroll.carry += AUTO_SCROLL_SPEEDS[autoScrollSpeed] * (now - autoScroll.last) / 1000;
+    autoScroll.last = now;
+    const step = Math.floor(autoScroll.carry);
+    if (step >= 1) {
+        autoScroll.carry -= step;
+        const before = target.scrollTop;
+        target.scrollTop = before + step * autoScroll.direction;
+        if (target.scrollTop === before) {
+            const direction = autoScroll.direction;
+            stopAutoScroll();
+            updateHUD("✅", t(direction < 0 ? "Reached the top" : "Reached the end"), "status-success");
+            scheduleIdleHUD();
+            return;
+        }
+    }
+    autoScroll.frame = requestAnimationFrame(stepAutoScroll);
+}
+
+// False if nothing was auto-scrolling
+function stopAutoScroll() {
+    if (!autoScroll) return false;
+    cancelAnimationFrame(autoScroll.frame);
+    autoScroll = null;
+    return true;
+}
+
+function changeAutoScrollSpeed(delta) {
+    if (!autoScroll) return false;
+    autoScrollSpeed = Math.min(AUTO_SCROLL_SPEEDS.length - 1, Math.max(0, autoScrollSpeed + delta));
+    updateHUD("⏬", t("Scrolling speed {speed} of {max}", { speed: autoScrollSpeed + 1, max: AUTO_SCROLL_SPEEDS.length }), "status-success");
+    return true;
+}
+// ==========================
+
+// ===== Page Reading =====
+// Blocks of text are read one at a time through chrome.tts in the service worker, which
+// reports back when each one ends; the block being read is highlighted and kept in view.
+const READABLE_BLOCKS = "h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, dt, dd, td, th";
+const READING_RATE_STEP = 0.25;
+
+let readingQueue = [];      // [{ element, text }]
+let readingIndex = -1;
+let readingId = 0;          // ties tts events to the block they were spoken for
+let readingPaused = false;
+let readingRateFactor = 1;  // "faster"/"slower", on top of the rate set in options
+
+function isReadable(el) {
+    if (el.closest("#vc-hud-container, #vc-commands-overlay, #vc-hints-layer, nav, footer, aside, [aria-hidden='true']")) return false;
+    const style = window.getComputedStyle(el);
+    return style.display !== "none" && style.visibility !== "hidden" && el.getClientRects().length > 0;
+}
+
+function blockText(el) {
+    return (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+// The element holding the article: <article>/<main> if the page marks one up, otherwise
+// whichever element has the most paragraph text directly inside it
+function findMainContent() {
+    const marked = document.querySelector("article, main, [role='main']");
+    if (marked && blockText(marked).length > 200) return marked;
+
+    const scores = new Map();
+    document.querySelectorAll("p").forEach(p => {
+        if (!p.parentElement || !isReadable(p)) return;
+        scores.set(p.parentElement, (scores.get(p.parentElement) || 0) + blockText(p).length);
+    });
+
+    let best = document.body;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+        if (score > bestScore) {
+            best = el;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// Readable blocks under `root` in page order, skipping blocks that contain other blocks
+// (a <li> wrapping a <p> is read as the <p>)
+function collectBlocks(root, selector = READABLE_BLOCKS) {
+    return Array.from(root.querySelectorAll(selector))
+        .filter(el => !el.querySelector(selector) && isReadable(el))
+        .map(el => ({ element: el, text: blockText(el) }))
+        .filter(block => block.text);
+}
+
+function clearReadingHighlight() {
+    document.querySelectorAll(".vc-reading").forEach(el => el.classList.remove("vc-reading"));
+}
+
+function highlightBlock(el) {
+    clearReadingHighlight();
+    el.classList.add("vc-reading");
+
+    const rect = el.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        el.scrollIntoView({ behavior: "smooth", block: rect.height > window.innerHeight ? "start" : "center" });
+    }
+}
+
+// The language to read in: the page's own if it declares one
+function readingLang() {
+    return document.documentElement.lang || currentLang;
+}
+
+function speakBlock(index) {
+    if (index < 0) index = 0;
+    if (index >= readingQueue.length) {
+        stopReading();
+        updateHUD("✅", t("Finished reading"), "status-success");
+        scheduleIdleHUD();
+        return;
+    }
+
+    readingIndex = index;
+    readingPaused = false;
+    const block = readingQueue[index];
+    highlightBlock(block.element);
+    chrome.runtime.sendMessage({
+        command: "readAloud",
+        text: block.text,
+        lang: readingLang(),
+        rateFactor: readingRateFactor,
+        id: ++readingId
+    });
+}
+
+// Start reading `blocks` at `startIndex`, or say there is nothing to read
+function startReading(blocks, startIndex = 0, emptyMessage = t("Nothing to read here")) {
+    if (!blocks.length) {
+        updateHUD("❌", emptyMessage, "status-error");
+        return;
+    }
+    readingQueue = blocks;
+    updateHUD("🔊", t("Reading... say \"stop reading\" to stop"), "status-success");
+    speakBlock(startIndex);
+}
+
+function isReading() {
+    return readingIndex !== -1;
+}
+
+function stopReading() {
+    if (!isReading()) return false;
+    readingId++; // ignore whatever the engine reports for the block it was on
+    readingQueue = [];
+    readingIndex = -1;
+    readingPaused = false;
+    clearReadingHighlight();
+    chrome.runtime.sendMessage({ command: "stopReading" });
+    return true;
+}
+
+function readPage() {
+    startReading(collectBlocks(findMainContent()));
+}
+
+function readHeadings() {
+    const headings = collectBlocks(document.body, "h1, h2, h3, h4, h5, h6");
+    startReading(headings, 0, t("No headings on this page"));
+}
+
+// Links currently on screen; the whole page would usually be hundreds
+function readLinks() {
+    const links = collectBlocks(document.body, "a[href]").filter(({ element }) => {
+        const rect = element.getBoundingClientRect();
+        return rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+    startReading(links, 0, t("No links on screen"));
+}
+
+function readSelection() {
+    const selected = getSelectionInfo();
+    const text = selected.text.replace(/\s+/g, " ").trim();
+    const element = selected.element;
+    startReading(text && element ? [{ element, text }] : [], 0, t("Nothing is selected"));
+}
+
+// Index of the first block at or after the structure position or focused element, else the first one on screen
+function findBlockHere(blocks) {
+    const focused = structureCursor && structureCursor.isConnected ? structureCursor : getDeepActiveElement();
+    if (focused && focused !== document.body && focused.ownerDocument === document) {
+        const index = blocks.findIndex(({ element }) => element === focused || element.contains(focused)
+            || Boolean(focused.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING));
+        if (index !== -1) return index;
+    }
+    const index = blocks.findIndex(({ element }) => element.getBoundingClientRect().bottom > 0);
+    return index === -1 ? 0 : index;
+}
+
+function readFromHere() {
+    const blocks = collectBlocks(findMainContent());
+    startReading(blocks, findBlockHere(blocks));
+}
+
+// Jump a paragraph while reading; when not reading, start at the paragraph next to the screen
+function moveParagraph(offset) {
+    if (isReading()) {
+        if (readingIndex + offset < 0) {
+            updateHUD("❌", t("This is the first paragraph"), "status-error");
+            return;
+        }
+        speakBlock(readingIndex + offset);
+        return;
+    }
+    const blocks = collectBlocks(findMainContent());
+    startReading(blocks, Math.max(0, findBlockHere(blocks) + (offset > 0 ? 0 : -1)));
+}
+
+function pauseReading() {
+    if (!isReading() || readingPaused) return false;
+    readingPaused = true;
+    chrome.runtime.sendMessage({ command: "pauseReading" });
+    updateHUD("⏸️", t("Paused reading"), "status-listening");
+    return true;
+}
+
+function resumeReading() {
+    if (!isReading() || !readingPaused) return false;
+    readingPaused = false;
+    chrome.runtime.sendMessage({ command: "resumeReading" });
+    updateHUD("🔊", t("Reading..."), "status-success");
+    return true;
+}
+
+// "faster"/"slower": the engine can't change speed mid-utterance, so restart the block
+function changeReadingRate(direction) {
+    if (!isReading()) return false;
+    readingRateFactor = Math.min(2, Math.max(0.5, readingRateFactor + direction * READING_RATE_STEP));
+    updateHUD("🔊", t("Reading speed {percent}%", { percent: Math.round(readingRateFactor * 100) }), "status-success");
+    speakBlock(readingIndex);
+    return true;
+}
+
+// Reported by background.js for the block with `id`
+function handleReadingEvent({ id, type, message }) {
+    if (id !== readingId || !isReading()) return;
+
+    if (type === "end") {
+        speakBlock(readingIndex + 1);
+    } else if (type === "interrupted" || type === "cancelled") {
+        // Something else spoke over us (e.g. a command confirmation), so reading is over
+        stopReading();
+    } else if (type === "error") {
+        stopReading();
+        updateHUD("❌", message || t("Could not read aloud"), "status-error");
+    }
+}
+
+// Speech would otherwise carry on after leaving the page
+window.addEventListener("pagehide", stopReading);
+// ==========================
+
+// ===== Page Structure =====
+// Screen-reader-style browsing by headings, landmarks, form fields, tables and links, driven
+// by semantic HTML and ARIA roles. The current position is outlined by a focus ring and
+// described in the HUD; moving on starts from there (or from the focused element or screen).
+const structureSelectors = {
+    heading: "h1, h2, h3, h4, h5, h6, [role='heading']",
+    landmark: "main, nav, aside, header, footer, search, form, section, [role='main'], [role='navigation'], " +
+        "[role='banner'], [role='contentinfo'], [role='complementary'], [role='search'], [role='form'], [role='region']",
+    formField: "input:not([type='hidden']), select, textarea, [contenteditable=''], [contenteditable='true'], " +
+        "[role='textbox'], [role='searchbox'], [role='combobox'], [role='checkbox'], [role='radio'], " +
+        "[role='switch'], [role='slider'], [role='spinbutton'], [role='listbox']",
+    table: "table, [role='table'], [role='grid']",
+    link: "a[href], [role='link']"
+};
+
+// Spoken names of landmark roles, translated through t()
+const landmarkLabels = {
+    main: "Main content",
+    navigation: "Navigation",
+    banner: "Banner",
+    contentinfo: "Footer",
+    complementary: "Sidebar",
+    search: "Search",
+    form: "Form",
+    region: "Section"
+};
+
+let structureCursor = null;
+let focusRing = null;
+let focusRingRepositionTimeout = null;
+
+// The landmark role of an element, or null if it isn't one. Header/footer only count page-wide,
+// and forms/sections only when they have a name, as in the ARIA mapping.
+function landmarkRole(el) {
+    const role = el.getAttribute("role");
+    if (role) return landmarkLabels[role] ? role : null;
+
+    switch (el.tagName) {
+        case "MAIN": return "main";
+        case "NAV": return "navigation";
+        case "ASIDE": return "complementary";
+        case "SEARCH": return "search";
+        case "HEADER": return el.closest("article, aside, main, nav, section") ? null : "banner";
+        case "FOOTER": return el.closest("article, aside, main, nav, section") ? null : "contentinfo";
+        case "FORM": return landmarkName(el) ? "form" : null;
+        case "SECTION": return landmarkName(el) ? "region" : null;
+    }
+    return null;
+}
+
+// Landmarks are named by their label only; their text would be the whole region
+function landmarkName(el) {
+    const labelledBy = el.getAttribute("aria-labelledby");
+    const labelNode = labelledBy && document.getElementById(labelledBy);
+    const name = labelNode ? labelNode.textContent : el.getAttribute("aria-label");
+    return (name || "").replace(/\s+/g, " ").trim();
+}
+
+function headingLevel(el) {
+    const match = el.tagName.match(/^H([1-6])$/);
+    return match ? parseInt(match[1], 10) : parseInt(el.getAttribute("aria-level"), 10) || 2;
+}
+
+function isShown(el) {
+    if (el.closest("#vc-hud-container, #vc-commands-overlay, #vc-hints-layer, #vc-choice-layer, [aria-hidden='true']")) return false;
+    const style = window.getComputedStyle(el);
+    return style.visibility !== "hidden" && el.getClientRects().length > 0;
+}
+
+// Elements of a kind in page order
+function getStructure(kind) {
+    return Array.from(document.querySelectorAll(structureSelectors[kind])).filter(el => {
+        if (!isShown(el)) return false;
+        if (kind === "landmark") return landmarkRole(el) !== null;
+        if (kind === "table") return el.getAttribute("role") !== "presentation"; // layout tables
+        if (kind === "formField") return !el.disabled;
+        return true;
+    });
+}
+
+// What the HUD says about an element
+function describeStructure(el, kind) {
+    if (kind === "heading") {
+        return t("Heading level {level}: {name}", { level: headingLevel(el), name: blockText(el) });
+    }
+    if (kind === "landmark") {
+        const landmark = t(landmarkLabels[landmarkRole(el)]);
+        const name = landmarkName(el);
+        return name ? t("{landmark}: {name}", { landmark, name }) : landmark;
+    }
+    if (kind === "table") {
+        const caption = el.querySelector("caption");
+        const name = landmarkName(el) || (caption ? blockText(caption) : "");
+        const rows = el.querySelectorAll("tr, [role='row']").length;
+        return t("Table: {name}, {rows} rows", { name: name || t("untitled"), rows });
+    }
+    const name = getAccessibleName(el) || t("unnamed");
+    return kind === "link" ? t("Link: {name}", { name }) : t("Field: {name}", { name });
+}
+
+// Where "next" counts from: the last structure position, else the focused element
+function structureReference() {
+    if (structureCursor && structureCursor.isConnected) return structureCursor;
+    const focused = document.activeElement;
+    return focused && focused !== document.body && focused !== document.documentElement ? focused : null;
+}
+
+// The next (direction 1) or previous (-1) element of a kind; with no position yet, the first
+// one from the top of the screen down, or the last one above it
+function findStructure(kind, direction, predicate = () => true) {
+    const items = getStructure(kind).filter(predicate);
+    const reference = structureReference();
+
+    if (!reference) {
+        return direction > 0
+            ? items.find(el => el.getBoundingClientRect().top >= 0)
+            : items.reverse().find(el => el.getBoundingClientRect().top < 0);
+    }
+    if (direction > 0) {
+        return items.find(el => reference.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING);
+    }
+    // Before the reference, but not a container it is inside
+    return items.reverse().find(el => {
+        const position = reference.compareDocumentPosition(el);
+        return (position & Node.DOCUMENT_POSITION_PRECEDING) && !(position & Node.DOCUMENT_POSITION_CONTAINS);
+    });
+}
+
+function positionFocusRing() {
+    if (!focusRing || !structureCursor || !structureCursor.isConnected) return;
+    const rect = getPageRect(structureCursor);
+    focusRing.style.left = (rect.left - 4) + "px";
+    focusRing.style.top = (rect.top - 4) + "px";
+    focusRing.style.width = (rect.width + 8) + "px";
+    focusRing.style.height = (rect.height + 8) + "px";
+}
+
+function scheduleFocusRingReposition() {
+    clearTimeout(focusRingRepositionTimeout);
+    focusRingRepositionTimeout = setTimeout(positionFocusRing, 100);
+}
+
+function clearStructureCursor() {
+    structureCursor = null;
+    window.removeEventListener("resize", scheduleFocusRingReposition);
+    window.removeEventListener("scroll", scheduleFocusRingReposition);
+    document.removeEventListener("mousedown", clearStructureCursor, true);
+    if (focusRing && focusRing.parentNode) focusRing.parentNode.removeChild(focusRing);
+    focusRing = null;
+}
+
+// Make `el` the current position: ring it, bring it into view, focus it if it takes focus
+function moveStructureCursor(el, kind) {
+    if (!focusRing) {
+        focusRing = document.createElement("div");
+        focusRing.id = "vc-focus-ring";
+        document.body.appendChild(focusRing);
+        window.addEventListener("resize", scheduleFocusRingReposition);
+        window.addEventListener("scroll", scheduleFocusRingReposition, { passive: true });
+        // Clicking somewhere else means the user has moved on
+        document.addEventListener("mousedown", clearStructureCursor, true);
+    }
+    structureCursor = el;
+    positionFocusRing();
+
+    const rect = el.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        el.scrollIntoView({ behavior: "smooth", block: rect.height > window.innerHeight ? "start" : "center" });
+    }
+    if (kind === "formField" || kind === "link") el.focus({ preventScroll: true });
+
+    const description = describeStructure(el, kind);
+    updateHUD("🧭", description, "status-success");
+    speak(description);
+}
+
+// Shared by the next/previous commands; `noneMessage` is shown when the page runs out
+function moveToStructure(kind, direction, noneMessage, predicate) {
+    const el = findStructure(kind, direction, predicate);
+    if (!el) {
+        updateHUD("❌", noneMessage, "status-error");
+        return;
+    }
+    moveStructureCursor(el, kind);
+}
+
+function goToHeadingLevel(level) {
+    if (level < 1 || level > 6) return false;
+    moveToStructure("heading", 1, t("No more level {level} headings", { level }), el => headingLevel(el) === level);
+}
+
+// "go to main content", "go to navigation": the next landmark of that role, wrapping to the first
+function goToLandmark(role) {
+    const landmarks = getStructure("landmark").filter(el => landmarkRole(el) === role);
+    const next = findStructure("landmark", 1, el => landmarkRole(el) === role) || landmarks[0];
+    if (!next) {
+        updateHUD("❌", t("No {landmark} on this page", { landmark: t(landmarkLabels[role]) }), "status-error");
+        return;
+    }
+    moveStructureCursor(next, "landmark");
+}
+
+function listLandmarks() {
+    const landmarks = getStructure("landmark").slice(0, 20);
+    if (!landmarks.length) {
+        updateHUD("❌", t("This page has no landmarks"), "status-error");
+        return;
+    }
+    const entries = landmarks.map(element => ({ element, name: describeStructure(element, "landmark") }));
+    askWhichOne(entries, choice => moveStructureCursor(choice.element, "landmark"),
+        t("{count} landmarks: {list}. Which one?", {
+            count: entries.length,
+            list: entries.map((entry, i) => `${i + 1} ${entry.name}`).join(", ")
+        }));
+}
+
+// "go to section pricing": the heading or named landmark that best matches
+function goToSection(query) {
+    const candidates = getStructure("heading").map(element => ({ element, kind: "heading", name: blockText(element).toLowerCase() }))
+        .concat(getStructure("landmark").map(element => ({ element, kind: "landmark", name: landmarkName(element).toLowerCase() })));
+
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+    candidates.forEach(candidate => {
+        const score = scoreName(query, candidate.name);
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+
+    if (!best) {
+        updateHUD("❌", t("No section called {name}", { name: query }), "status-error");
+        return;
+    }
+    moveStructureCursor(best.element, best.kind);
+}
+// ==========================
+
+// ===== Find in Page =====
+// Matches are marked with CSS highlights rather than wrapper elements, so the page's own
+// scripts never see a change. A match has to sit inside one text node, which covers running text.
+const MAX_FIND_MATCHES = 1000;
+
+let findMatches = []; // Ranges in page order
+let findIndex = -1;
+
+// The words as a pattern where any run of whitespace matches any other
+function spokenTextPattern(text, flags) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    return new RegExp(words.map(escapeRegex).join("\\s+"), flags);
+}
+
+// Ranges of `text` in the shown text under `root`, in page order
+function findTextRanges(root, text, limit) {
+    const pattern = spokenTextPattern(text, "gi");
+    const ranges = [];
+
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement && !node.parentElement.closest("script, style, noscript, textarea")
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT
+    });
+    for (let node = walker.nextNode(); node && ranges.length < limit; node = walker.nextNode()) {
+        pattern.lastIndex = 0;
+        if (!pattern.test(node.data) || !isShown(node.parentElement)) continue; // style lookups only for hits
+
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(node.data)) && ranges.length < limit) {
+            const range = root.ownerDocument.createRange();
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            ranges.push(range);
+        }
+    }
+    return ranges;
+}
+
+function findInPage(text) {
+    clearFindHighlights();
+    findMatches = findTextRanges(document.body, text, MAX_FIND_MATCHES);
+
+    if (!findMatches.length) {
+        updateHUD("🔍", t("No matches for \"{text}\"", { text }), "status-error");
+        return;
+    }
+    CSS.highlights.set("vc-find", new Highlight(...findMatches));
+
+    // Like the browser's own find, start from what's on screen rather than the top of the page
+    const onScreen = findMatches.findIndex(range => range.getBoundingClientRect().bottom >= 0);
+    showFindMatch(onScreen === -1 ? 0 : onScreen);
+}
+
+function showFindMatch(index) {
+    findIndex = index;
+    const range = findMatches[index];
+    CSS.highlights.set("vc-find-current", new Highlight(range));
+    range.startContainer.parentElement.scrollIntoView({ behavior: "smooth", block: "center" });
+    updateHUD("🔍", t("Match {index} of {count}", { index: index + 1, count: findMatches.length }), "status-success");
+}
+
+// Wraps around at either end
+function moveFindMatch(step) {
+    if (!findMatches.length) {
+        updateHUD("🔍", t("Nothing found yet — say \"find\" and the words"), "status-error");
+        return;
+    }
+    showFindMatch((findIndex + step + findMatches.length) % findMatches.length);
+}
+
+function clearFindHighlights() {
+    CSS.highlights.delete("vc-find");
+    CSS.highlights.delete("vc-find-current");
+    findMatches = [];
+    findIndex = -1;
+}
+
+function stopFinding() {
+    if (!findMatches.length) {
+        updateHUD("🔍", t("Nothing is highlighted"), "status-error");
+        return;
+    }
+    clearFindHighlights();
+    updateHUD("✅", t("Highlights cleared"), "status-success");
+}
+// ==========================
+
+// ===== Selection =====
+// "select ..." works inside the focused text field when there is one, else on the page.
+// A page selection is also marked with a CSS highlight, which stays bright while the
+// page doesn't have focus (a command typed in the popup, say).
+const SNIPPET_LENGTH = 60;
+const BLOCK_SELECTOR = "p, li, blockquote, pre, h1, h2, h3, h4, h5, h6, td, th, dd, dt, figcaption, summary";
+
+let markedRange = null; // copy of the page selection we made, while it is still the selection
+
+// Long text cut down for the HUD and speech
+function snippet(text) {
+    const flat = text.replace(/\s+/g, " ").trim();
+    return flat.length > SNIPPET_LENGTH ? flat.slice(0, SNIPPET_LENGTH - 1) + "…" : flat;
+}
+
+// Inputs and textareas have their own selection; email and number inputs don't expose one
+function hasFieldSelection(el) {
+    return Boolean(el) && !el.isContentEditable && typeof el.selectionStart === "number";
+}
+
+// The selected text, with the `field` it is in or the page `range` it covers
+function getSelectionInfo() {
+    const field = getFocusedTextField();
+    if (hasFieldSelection(field)) {
+        return { text: field.value.slice(field.selectionStart, field.selectionEnd), field, element: field };
+    }
+
+    const selection = (field ? field.ownerDocument : document).getSelection();
+    const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+    const node = range && range.commonAncestorContainer;
+    return {
+        text: selection.toString(),
+        field: field && field.isContentEditable ? field : null,
+        range,
+        element: node ? (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement) : null
+    };
+}
+
+function selectInField(field, start, end) {
+    field.focus();
+    field.setSelectionRange(start, end);
+    announceSelection(field.value.slice(start, end));
+}
+
+function selectPageRange(range) {
+    const doc = range.startContainer.ownerDocument;
+    const selection = doc.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    markSelection(doc);
+
+    const node = range.startContainer;
+    (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement).scrollIntoView({ behavior: "smooth", block: "nearest" });
+    announceSelection(range.toString());
+}
+
+// Highlight the page selection as it is now (highlights only paint in their own document)
+function markSelection(doc) {
+    const selection = doc.getSelection();
+    if (doc !== document || !selection.rangeCount) return;
+    markedRange = selection.getRangeAt(0).cloneRange();
+    CSS.highlights.set("vc-selection", new Highlight(markedRange));
+}
+
+function clearSelectionMark() {
+    markedRange = null;
+    CSS.highlights.delete("vc-selection");
+}
+
+// Once the user selects something else by hand, our mark goes
+document.addEventListener("selectionchange", () => {
+    if (!markedRange) return;
+    const selection = document.getSelection();
+    const current = selection.rangeCount ? selection.getRangeAt(0) : null;
+    const same = current
+        && current.compareBoundaryPoints(Range.START_TO_START, markedRange) === 0
+        && current.compareBoundaryPoints(Range.END_TO_END, markedRange) === 0;
+    if (!same) clearSelectionMark();
+});
+
+function announceSelection(text) {
+    updateHUD("🖍️", t("Selected: {text}", { text: snippet(text) }), "status-success");
+}
+
+// The first match on screen, as "find" does, else the first one
+function firstOnScreen(ranges) {
+    return ranges.find(range => range.getBoundingClientRect().bottom >= 0) || ranges[0];
+}
+
+function selectText(phrase) {
+    const field = getFocusedTextField();
+    if (hasFieldSelection(field)) {
+        const match = field.value.match(spokenTextPattern(phrase, "i"));
+        if (!match) {
+            updateHUD("🔍", t("No matches for \"{text}\"", { text: phrase }), "status-error");
+            return;
+        }
+        selectInField(field, match.index, match.index + match[0].length);
+        return;
+    }
+
+    // An email or number input has no selection to set, so those search the page
+    const editable = field && field.isContentEditable ? field : null;
+    const ranges = findTextRanges(editable || document.body, phrase, MAX_FIND_MATCHES);
+    if (!ranges.length) {
+        updateHUD("🔍", t("No matches for \"{text}\"", { text: phrase }), "status-error");
+        return;
+    }
+    selectPageRange(firstOnScreen(ranges));
+}
+
+// From the start of `from` to the end of the first `to` after it
+function selectBetween(from, to) {
+    const field = getFocusedTextField();
+    if (hasFieldSelection(field)) {
+        const start = field.value.match(spokenTextPattern(from, "i"));
+        const endPattern = spokenTextPattern(to, "gi");
+        endPattern.lastIndex = start ? start.index : 0;
+        const end = start && endPattern.exec(field.value);
+        if (!end) {
+            updateHUD("🔍", t("No matches for \"{text}\"", { text: start ? to : from }), "status-error");
+            return;
+        }
+        selectInField(field, start.index, end.index + end[0].length);
+        return;
+    }
+
+    const root = field && field.isContentEditable ? field : document.body;
+    const starts = findTextRanges(root, from, MAX_FIND_MATCHES);
+    const ends = findTextRanges(root, to, MAX_FIND_MATCHES);
+    const endAfter = (start) => ends.find(end => start.compareBoundaryPoints(Range.START_TO_START, end) <= 0);
+    const start = firstOnScreen(starts.filter(endAfter));
+    if (!start) {
+        updateHUD("🔍", t("No matches for \"{text}\"", { text: starts.length ? to : from }), "status-error");
+        return;
+    }
+
+    const range = start.cloneRange();
+    const end = endAfter(start);
+    range.setEnd(end.endContainer, end.endOffset);
+    selectPageRange(range);
+}
+
+// Text offsets within `element` as a DOM range
+function rangeAtOffsets(element, start, end) {
+    const range = element.ownerDocument.createRange();
+    const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    range.selectNodeContents(element);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const length = node.data.length;
+        if (start >= offset && start <= offset + length) range.setStart(node, start - offset);
+        if (end >= offset && end <= offset + length) {
+            range.setEnd(node, end - offset);
+            break;
+        }
+        offset += length;
+    }
+    return range;
+}
+
+// [start, end) of the sentence around `offset`, without its trailing space
+function sentenceAround(text, offset) {
+    const segments = Array.from(new Intl.Segmenter(currentLang, { granularity: "sentence" }).segment(text));
+    const segment = segments.find(s => offset < s.index + s.segment.length) || segments[segments.length - 1];
+    if (!segment) return null;
+    return [segment.index, segment.index + segment.segment.trimEnd().length];
+}
+
+// "select paragraph" / "select sentence" around the caret, the selection or the focused element
+function selectBlock(kind) {
+    const field = getFocusedTextField();
+    if (hasFieldSelection(field)) {
+        const value = field.value;
+        const caret = field.selectionStart;
+        let bounds;
+        if (kind === "paragraph") {
+            const end = value.indexOf("\n", caret);
+            bounds = [value.lastIndexOf("\n", caret - 1) + 1, end === -1 ? value.length : end];
+        } else {
+            bounds = sentenceAround(value, caret);
+        }
+        if (!bounds || bounds[0] === bounds[1]) {
+            updateHUD("❌", t("Nothing to select here"), "status-error");
+            return;
+        }
+        selectInField(field, bounds[0], bounds[1]);
+        return;
+    }
+
+    // Where we are: the selection or caret, else the focus or reading position, else the top of the screen
+    const { range, field: editable } = getSelectionInfo();
+    let anchor = range ? range.startContainer : (editable || structureReference());
+    if (anchor && anchor.nodeType !== Node.ELEMENT_NODE) anchor = anchor.parentElement;
+    if (!anchor || anchor === document.body || anchor === document.documentElement) {
+        anchor = Array.from(document.querySelectorAll(BLOCK_SELECTOR))
+            .find(el => el.getBoundingClientRect().bottom > 0 && el.textContent.trim() && isShown(el));
+    }
+    let block = anchor && (anchor.closest(BLOCK_SELECTOR) || anchor);
+    if (block && editable && !editable.contains(block)) block = editable;
+    if (!block || !block.textContent.trim()) {
+        updateHUD("❌", t("Nothing to select here"), "status-error");
+        return;
+    }
+
+    if (kind === "paragraph") {
+        const whole = block.ownerDocument.createRange();
+        whole.selectNodeContents(block);
+        selectPageRange(whole);
+        return;
+    }
+
+    // Offset of the caret within the block's text
+    let offset = 0;
+    if (range && block.contains(range.startContainer)) {
+        const before = block.ownerDocument.createRange();
+        before.setStart(block, 0);
+        before.setEnd(range.startContainer, range.startOffset);
+        offset = before.toString().length;
+    }
+    const bounds = sentenceAround(block.textContent, offset);
+    if (!bounds) {
+        updateHUD("❌", t("Nothing to select here"), "status-error");
+        return;
+    }
+    selectPageRange(rangeAtOffsets(block, bounds[0], bounds[1]));
+}
+
+function extendSelection(words = 1) {
+    const info = getSelectionInfo();
+    if (!info.text && !info.field) {
+        updateHUD("❌", t("Nothing is selected"), "status-error");
+        return;
+    }
+
+    if (hasFieldSelection(info.field)) {
+        const field = info.field;
+        let end = field.selectionEnd;
+        for (let i = 0; i < words; i++) {
+            const next = field.value.slice(end).match(/^\s*\S+/);
+            if (!next) break;
+            end += next[0].length;
+        }
+        selectInField(field, field.selectionStart, end);
+        return;
+    }
+
+    const doc = info.field ? info.field.ownerDocument : document;
+    const selection = doc.getSelection();
+    for (let i = 0; i < words; i++) selection.modify("extend", "forward", "word");
+    markSelection(doc);
+    announceSelection(selection.toString());
+}
+// ==========================
+
+// ===== Clipboard =====
+// A voice command isn't a user gesture and the page may not have focus, so when the async
+// clipboard API refuses, fall back to execCommand("copy"), which clipboardWrite allows.
+function copyText(text) {
+    const write = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject();
+    return write.then(() => true, () => {
+        const previous = getDeepActiveElement();
+        const selection = document.getSelection();
+        const ranges = Array.from({ length: selection.rangeCount }, (_, i) => selection.getRangeAt(i));
+        const area = document.createElement("textarea");
+        area.value = text;
+        area.setAttribute("readonly", "");
+        area.style.cssText = "position: fixed; top: 0; left: 0; opacity: 0; pointer-events: none;";
+        document.body.appendChild(area);
+        area.select();
+        const copied = document.execCommand("copy");
+        area.remove();
+        if (previous && previous.focus) previous.focus({ preventScroll: true });
+        // area.select() took the page selection, which "copy that" and "cut" still need
+        if (ranges.length) {
+            selection.removeAllRanges();
+            ranges.forEach(range => selection.addRange(range));
+        }
+        return copied;
+    });
+}
+
+function copyPageLink() {
+    copyText(location.href).then(copied => {
+        if (copied) {
+            updateHUD("🔗", t("Copied page link"), "status-success");
+        } else {
+            updateHUD("❌", t("Couldn't copy to the clipboard"), "status-error");
+        }
+    });
+}
+
+// Confirm on the HUD and out loud, since a copy leaves nothing to see
+function confirmClipboard(template, text) {
+    const message = t(template, { text: snippet(text) });
+    updateHUD("📋", message, "status-success");
+    speak(message);
+}
+
+function copySelection() {
+    const { text } = getSelectionInfo();
+    if (!text) {
+        updateHUD("❌", t("Nothing is selected"), "status-error");
+        return;
+    }
+    copyText(text).then(copied => {
+        if (copied) {
+            confirmClipboard("Copied: {text}", text);
+        } else {
+            updateHUD("❌", t("Couldn't copy to the clipboard"), "status-error");
+        }
+    });
+}
+
+// Only editable text can be cut; on the page "cut" would just be "copy"
+function cutSelection() {
+    const { text, field, range } = getSelectionInfo();
+    if (!field) {
+        updateHUD("❌", t("Only text in a field can be cut"), "status-error");
+        return;
+    }
+    if (!text) {
+        updateHUD("❌", t("Nothing is selected"), "status-error");
+        return;
+    }
+
+    copyText(text).then(copied => {
+        if (!copied) {
+            updateHUD("❌", t("Couldn't copy to the clipboard"), "status-error");
+            return;
+        }
+        field.focus();
+        // Like insertText: the editing command keeps undo and framework listeners working
+        if (!field.ownerDocument.execCommand("delete")) {
+            if (hasFieldSelection(field)) {
+                const start = field.selectionStart;
+                setNativeValue(field, field.value.slice(0, start) + field.value.slice(field.selectionEnd));
+                field.setSelectionRange(start, start);
+            } else if (range) {
+                range.deleteContents();
+                field.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "deleteByCut" }));
+            }
+        }
+        commitField(field);
+        confirmClipboard("Cut: {text}", text);
+    });
+}
+
+// Reads the clipboard (clipboardRead) and types it at the caret; execCommand("paste") is the
+// fallback when the page doesn't have focus, though it can't tell us what went in
+function pasteClipboard() {
+    const field = getFocusedTextField();
+    if (!field) {
+        updateHUD("❌", t("Focus a text field first"), "status-error");
+        return;
+    }
+
+    const read = navigator.clipboard ? navigator.clipboard.readText() : Promise.reject();
+    read.then(text => {
+        if (!text) {
+            updateHUD("❌", t("The clipboard is empty"), "status-error");
+            return;
+        }
+        insertText(field, text);
+        commitField(field);
+        confirmClipboard("Pasted: {text}", text);
+    }, () => {
+        field.focus();
+        if (field.ownerDocument.execCommand("paste")) {
+            commitField(field);
+            updateHUD("📋", t("Pasted"), "status-success");
+            speak(t("Pasted"));
+        } else {
+            updateHUD("❌", t("Couldn't read the clipboard"), "status-error");
+        }
+    });
+}
+
+// "copy link <name>": outline the link the way a click does, then copy its address
+function copyLinkByName(name) {
+    const [best] = rankElements(name, false, el => Boolean(el.closest("a[href]")));
+    if (!best) {
+        updateHUD("❌", t("No link called {name}", { name }), "status-error");
+        return;
+    }
+
+    const link = best.entry.element.closest("a[href]");
+    const prevOutline = link.style.outline;
+    link.style.outline = "4px solid #3b82f6";
+    link.scrollIntoView({ behavior: "smooth", block: "center" });
+
+    setTimeout(() => {
+        link.style.outline = prevOutline;
+        copyText(link.href).then(copied => {
+            if (copied) {
+                confirmClipboard("Copied link: {text}", link.href);
+            } else {
+                updateHUD("❌", t("Couldn't copy to the clipboard"), "status-error");
+            }
+        });
+    }, 500);
+}
+// ==========================
+
+// ===== Media =====
+// Commands act on the page's <video>/<audio>: the one playing, else the biggest video on screen
+const VOLUME_STEP = 0.1;
+const DEFAULT_SKIP_SECONDS = 10;
+
+let pseudoFullscreenMedia = null; // a video stretched over the page when real fullscreen is refused
+
+function getMediaTarget() {
+    const media = [];
+    collectSearchRoots(document).forEach(root => {
+        root.querySelectorAll("video, audio").forEach(el => media.push(el));
+    });
+    if (!media.length) return null;
+
+    const playing = media.find(el => !el.paused && !el.ended);
+    if (playing) return playing;
+
+    const videos = media.filter(el => el.tagName === "VIDEO" && visibleArea(el) > 0)
+        .sort((a, b) => visibleArea(b) - visibleArea(a));
+    return videos[0] || media.find(el => el.tagName === "AUDIO") || media[0];
+}
+
+// Run `action` on the media target, or say there is none
+function withMedia(action) {
+    const media = getMediaTarget();
+    if (!media) {
+        updateHUD("❌", t("No video or audio on this page"), "status-error");
+        return;
+    }
+    action(media);
+}
+
+function playMedia() {
+    withMedia(media => {
+        media.play().then(() => {
+            updateHUD("▶️", t("Playing"), "status-success");
+        }).catch(() => {
+            // Autoplay rules can refuse play() without a click on the page
+            updateHUD("❌", t("The page blocked playback, click it once first"), "status-error");
+        });
+    });
+}
+
+function pauseMedia() {
+    withMedia(media => {
+        media.pause();
+        updateHUD("⏸️", t("Paused"), "status-success");
+    });
+}
+
+// "mute" with nothing to mute on the page mutes the tab instead
+function setMediaMuted(muted) {
+    const media = getMediaTarget();
+    if (!media) {
+        sendBackgroundCommand({ command: "muteTab", muted }, t(muted ? "Muting tab" : "Unmuting tab"));
+        return;
+    }
+    media.muted = muted;
+    updateHUD(muted ? "🔇" : "🔊", t(muted ? "Muted" : "Unmuted"), "status-success");
+}
+
+function setMediaVolume(volume) {
+    withMedia(media => {
+        media.volume = Math.min(1, Math.max(0, volume(media.volume)));
+        if (media.volume > 0) media.muted = false;
+        updateHUD("🔊", t("Volume {percent}%", { percent: Math.round(media.volume * 100) }), "status-success");
+    });
+}
+
+function skipMedia(seconds) {
+    withMedia(media => {
+        const end = Number.isFinite(media.duration) ? media.duration : Infinity;
+        media.currentTime = Math.min(end, Math.max(0, media.currentTime + seconds));
+        updateHUD(seconds < 0 ? "⏪" : "⏩", t(seconds < 0 ? "Back {seconds} seconds" : "Forward {seconds} seconds", { seconds: Math.abs(seconds) }), "status-success");
+    });
+}
+
+function setMediaSpeed(rate) {
+    if (!(rate >= 0.25 && rate <= 4)) {
+        updateHUD("❌", t("Speed must be between 0.25 and 4"), "status-error");
+        return;
+    }
+    withMedia(media => {
+        media.playbackRate = rate;
+        updateHUD("⏩", t("Speed {rate}×", { rate }), "status-success");
+    });
+}
+
+// Real fullscreen needs a click or key press on the page, which a voice command isn't.
+// When Chrome refuses, stretch the video over the page and make the window fullscreen instead.
+function enterMediaFullscreen() {
+    withMedia(media => {
+        const target = media.tagName === "VIDEO" ? media : media.closest("figure, div") || media;
+        target.requestFullscreen().then(() => {
+            updateHUD("⛶", t("Fullscreen"), "status-success");
+        }).catch(() => {
+            pseudoFullscreenMedia = target;
+            target.classList.add("vc-pseudo-fullscreen");
+            chrome.runtime.sendMessage({ command: "setWindowFullscreen", fullscreen: true });
+            updateHUD("⛶", t("Fullscreen — say \"exit fullscreen\" to leave"), "status-success");
+        });
+    });
+}
+
+function exitMediaFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (pseudoFullscreenMedia) {
+        pseudoFullscreenMedia.classList.remove("vc-pseudo-fullscreen");
+        pseudoFullscreenMedia = null;
+        chrome.runtime.sendMessage({ command: "setWindowFullscreen", fullscreen: false });
+    } else {
+        return false;
+    }
+    updateHUD("✅", t("Left fullscreen"), "status-success");
+}
+// ==========================
+
+// Strip politeness and the punctuation recognition sometimes adds around a phrase
+function normalizeCommandText(text) {
+    const polite = englishLocale.politeness.concat(getLocale(currentLang).politeness)
+        .map(word => escapeRegex(normalizeSpeech(word)))
+        .join("|");
+
+    return text
+        .replace(/^[\s,.!?¡¿।]+|[\s,.!?¡¿।]+$/g, "")
+        .replace(new RegExp(`^(${polite})\\s+`), "")
+        .replace(new RegExp(`\\s+(${polite})$`), "")
+        .replace(/\s+/g, " ");
+}
+
+// Run a wake-word-free command phrase; false if no command accepted it.
+// `depth` is how many macros deep the phrase was run from (0 when spoken).
+function runCommandText(commandText, transcript = commandText, depth = 0) {
+    return runMatches(matchCommands(commandText, getActiveCommands()), commandText, transcript, false, depth);
+}
+
+// Candidates come back best first; a handler returning false lets the next one try.
+// A risky candidate waits for "confirm", then carries on from itself with the checks done.
+function runMatches(matches, commandText, transcript, confirmed = false, depth = 0) {
+    for (let i = 0; i < matches.length; i++) {
+        const match = matches[i];
+        const command = match.command;
+
+        const question = confirmed ? null : commandRiskQuestion(command);
+        if (question) {
+            guardAction(question, () => {
+                if (!runMatches(matches.slice(i), commandText, transcript, true, depth)) {
+                    updateHUD("❌", t("Not recognized: {text}", { text: commandText }), "status-error");
+                }
+            });
+            return true;
+        }
+
+        const undo = command.undo ? command.undo(match.slots) : null;
+        lastTargetName = null;
+
+        if (command.handler(match.slots, { text: commandText, transcript, depth }) !== false) {
+            if (command.history !== false) {
+                recordHistory({ transcript, commandText, commandId: command.id, slots: match.slots, target: lastTargetName, success: true, undo });
+            }
+            return true;
+        }
+    }
+
+    recordHistory({ transcript, commandText, commandId: null, success: false });
+    return false;
+}
+
+// ===== Follow-up Session =====
+// After the wake word, bare commands are accepted until the follow-up window passes without
+// one or the user says "stop". The push-to-talk shortcut opens the same window with no wake
+// word at all, switching the mic on just for it if it was off.
+const PUSH_TO_TALK_SECONDS = 5; // minimum, so push-to-talk still works with follow-ups off
+
+let sessionActive = false;
+let sessionTimer = null;
+let sessionSeconds = 0;
+let pushToTalkMic = false; // the mic was switched on by push-to-talk and goes off with the session
+
+// Open the window, or restart its clock if it is already open
+function openSession(seconds = currentFollowUpSeconds) {
+    if (seconds <= 0) return;
+    sessionActive = true;
+    sessionSeconds = seconds;
+    clearTimeout(sessionTimer);
+    sessionTimer = setTimeout(expireSession, seconds * 1000);
+}
+
+function expireSession() {
+    // Don't cut off a "which one?" answer, dictation or the mouse grid in progress
+    if (pendingPrompt || dictationActive || gridRegion) {
+        openSession(sessionSeconds);
+        return;
+    }
+    if (endSession() && isListening) showIdleHUD();
+}
+
+// False if there was no window to end
+function endSession() {
+    if (!sessionActive) return false;
+    sessionActive = false;
+    clearTimeout(sessionTimer);
+    if (pushToTalkMic) {
+        pushToTalkMic = false;
+        stop();
+    }
+    return true;
+}
+
+function pushToTalk() {
+    if (voiceDisabledHere) return;
+    // A second press ends it early
+    if (sessionActive && pushToTalkMic) {
+        endSession();
+        return;
+    }
+    if (!isListening) {
+        pushToTalkMic = true;
+        start();
+    }
+    setupHUD();
+    openSession(Math.max(currentFollowUpSeconds, PUSH_TO_TALK_SECONDS));
+    showIdleHUD();
+}
+
+// The command part of an utterance that starts with the wake word, or null if it doesn't.
+// Only the start counts, so a sentence that merely mentions the wake word is ignored.
+function stripWakeWord(text) {
+    const match = text.match(new RegExp(`^[\\s,.!?¡¿।]*${escapeRegex(getWakeWord())}(?=$|[\\s,.!?।])`));
+    return match ? text.substring(match[0].length) : null;
+}
+// ==========================
+
+// The first of the recognizer's guesses that reads as a command, so a near miss at the
+// top ("scroll dawn") is rescued by a lower one ("scroll down"); otherwise the top guess
+function pickAlternative(transcript, alternatives) {
+    if (pendingPrompt || !alternatives || alternatives.length < 2) return transcript;
+    const match = alternatives.find(alt => readsAsCommand(alt.transcript));
+    return match ? match.transcript : transcript;
+}
+
+// Mirrors the gating in parseCommand without running anything
+function readsAsCommand(transcript) {
+    const text = normalizeSpeech(transcript);
+    const afterWakeWord = stripWakeWord(text);
+    // Without the wake word, dictated speech is text and speech outside a session isn't for us
+    if (afterWakeWord === null && (dictationActive || !sessionActive)) return false;
+    const commandText = normalizeCommandText(afterWakeWord !== null ? afterWakeWord : text);
+    return commandText !== "" && matchCommands(commandText, getActiveCommands()).length > 0;
+}
+
+// `alternatives` are the recognizer's guesses, best first (just the transcript when omitted).
+// `typed` text (the popup's console, the runCommand message) is addressed to us without the wake word.
+// Returns whether the utterance was taken as a command or an answer.
+function parseCommand(transcript, alternatives = [{ transcript }], typed = false) {
+    const chosen = pickAlternative(transcript, alternatives);
+    if (chosen !== transcript) console.log("VoiceControl: Using alternative:", chosen);
+    transcript = chosen;
+
+    const used = alternatives.find(alt => alt.transcript === transcript);
+    rememberHeard(alternatives, transcript);
+    if (!dictationActive) showHeardText(transcript, used ? used.confidence || 0 : 0);
+
+    const text = normalizeSpeech(transcript);
+    const afterWakeWord = stripWakeWord(text);
+
+    // An open prompt ("which one?") takes the reply with or without the wake word
+    if (pendingPrompt) {
+        if (answerPrompt(normalizeCommandText(afterWakeWord !== null ? afterWakeWord : text))) return true;
+    }
+
+    // While dictating, speech is text unless it is an editing command or starts with the wake word
+    if (dictationActive && afterWakeWord === null && !typed) {
+        handleDictation(transcript);
+        scheduleIdleHUD();
+        return true;
+    }
+
+    if (afterWakeWord === null && !sessionActive && !typed) {
+        console.log(`VoiceControl: Wake word '${getWakeWord()}' not at the start of:`, transcript);
+        return false; // Ignore speech that isn't addressed to us
+    }
+
+    // The wake word opens the follow-up window; the command may end it again ("stop")
+    if (afterWakeWord !== null) openSession(sessionActive ? sessionSeconds : currentFollowUpSeconds);
+
+    const commandText = normalizeCommandText(afterWakeWord !== null ? afterWakeWord : text);
+    if (!commandText) {
+        showIdleHUD(); // just the wake word: wait for the command
+        return afterWakeWord !== null;
+    }
+
+    const recognized = runCommandText(commandText, transcript);
+    if (recognized) {
+        if (sessionActive) openSession(sessionSeconds); // keep the conversation going
+    } else {
+        console.log("VoiceControl: Command not recognized:", commandText);
+        updateHUD("❌", t("Not recognized: {text}", { text: commandText }), "status-error");
+    }
+
+    scheduleIdleHUD();
+    return recognized;
+}
+
+// Reset to listening state after a few seconds if everything keeps going
+function scheduleIdleHUD() {
+    if (isListening) {
+        setTimeout(() => {
+            if (isListening && !pendingPrompt) {
+                showIdleHUD();
+            }
+        }, 3000);
+    }
+}
+
+
+// Typed commands and history replays go through the same pipeline as speech
+function runTypedCommand(text) {
+    if (voiceDisabledHere) return false;
+    setupHUD();
+    const recognized = parseCommand(text, [{ transcript: text }], true);
+    if (!isListening) scheduleHUDRemoval();
+    return recognized;
+}
+
+// With the mic off the HUD is only up for a typed command; it goes once any question is settled
+let hudRemovalTimeout = null;
+
+function scheduleHUDRemoval() {
+    clearTimeout(hudRemovalTimeout);
+    hudRemovalTimeout = setTimeout(() => {
+        if (isListening) return;
+        if (pendingPrompt) scheduleHUDRemoval();
+        else removeHUD();
+    }, 3000);
+}
+
+// Ensure the functions can be triggered via messages from popup/background
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "startListening") {
+        if (pushToTalkMic) {
+            // Keep the mic on after the push-to-talk window, as asked
+            pushToTalkMic = false;
+            reportListening(true);
+        } else {
+            start();
+        }
+        sendResponse({ status: voiceDisabledHere ? "disabled" : "started" });
+    } else if (request.action === "readingEvent") {
+        handleReadingEvent(request);
+        sendResponse({ status: "ok" });
+    } else if (request.action === "pushToTalk") {
+        pushToTalk();
+        sendResponse({ status: "ok" });
+    } else if (request.action === "stopListening") {
+        stop();
+        sendResponse({ status: "stopped" });
+    } else if (request.action === "getStatus") {
+        sendResponse({ listening: isListening });
+    } else if (request.action === "runCommand") {
+        sendResponse({ status: runTypedCommand(request.text) ? "ok" : "error" });
+    }
+    return true;
+});
+
+// Ask the service worker whether this page should pick up listening where the last one left off
+chrome.runtime.sendMessage({ command: "contentReady" }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.listen) start();
 });
 
 // Since extensions might inject this as a module or plain script, 
 // we attach to window as a fallback if `export` isn't accessible via standard message passing.
-window.voiceControl = { start, stop };
+// `hear` feeds a transcript straight in, as if it had been spoken, and `run` as if it had been typed (handy from the console)
+window.voiceControl = {
+    start,
+    stop,
+    hear: (text) => parseCommand(text),
+    run: runTypedCommand
+};
@@ -0,0 +1,1542 @@
+/**
+ * locales.js — VoiceControl Browser
+ * Command Vocabularies & Translations (loaded after commands.js)
+ *
+ * English is the source language: command patterns and help live in commands.js
+ * and every HUD/TTS message is written in English at its call site. Each other
+ * recognition language offered in options gets an entry here:
+ *
+ *   wakeWord     default wake word while the user hasn't chosen their own
+ *   numbers      number words accepted by {number} slots
+ *   scrollSizes  phrases accepted by {scrollSize} slots ("un poco") mapped to the English sizes
+ *   politeness   words dropped from the start or end of a command ("por favor")
+ *   cancel       answers that close a "which one?" prompt
+ *   confirm      answers that let a risky action go ahead
+ *   riskyWords   button and link words that need a "confirm" before a voice click ("eliminar");
+ *                checked in every language, since a page's language needn't be the user's
+ *   keys         spoken key names for "press ..." mapped to the English ones
+ *   commands     { commandId: { patterns, help } } — patterns use commands.js syntax
+ *                and must keep the same {slot} names as the English command
+ *   categories   overlay headings, keyed by the English category
+ *   messages     HUD/TTS text keyed by the English template, {name} placeholders kept
+ *
+ * Anything missing falls back to English, and English phrases keep working in
+ * every language (so macros and history entries recorded in English still run).
+ */
+
+const englishLocale = {
+    name: "English",
+    wakeWord: "hey browser",
+    numbers: {},
+    scrollSizes: {},
+    politeness: ["please", "can you", "could you"],
+    cancel: ["cancel", "never mind", "none", "stop"],
+    confirm: ["confirm", "yes", "do it", "go ahead"],
+    riskyWords: [
+        "delete", "remove", "erase", "destroy", "discard", "trash", "unsubscribe", "deactivate",
+        "buy", "purchase", "place order", "order now", "checkout", "pay", "send", "transfer", "publish", "submit"
+    ],
+    keys: {},
+    commands: {},
+    categories: {},
+    messages: {}
+};
+
+const commandLocales = {
+    "en-US": englishLocale,
+
+    "es-ES": {
+        name: "Español",
+        wakeWord: "oye navegador",
+        numbers: {
+            uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+            primero: 1, primera: 1, segundo: 2, segunda: 2, tercero: 3, tercera: 3, último: -1, última: -1
+        },
+        scrollSizes: {
+            "un poco": "little", "un poquito": "little", "mucho": "lot", "bastante": "lot",
+            "media página": "half", "media pantalla": "half"
+        },
+        politeness: ["por favor", "puedes"],
+        cancel: ["cancelar", "cancela", "ninguno", "olvídalo", "para"],
+        confirm: ["confirmar", "confirmo", "confirma", "sí", "hazlo", "adelante"],
+        riskyWords: [
+            "eliminar", "borrar", "suprimir", "descartar", "quitar", "darse de baja", "comprar",
+            "realizar pedido", "hacer pedido", "pagar", "tramitar", "enviar", "transferir", "publicar"
+        ],
+        keys: {
+            intro: "enter", entrar: "enter", tabulador: "tab", escape: "escape", espacio: "space",
+            retroceso: "backspace", suprimir: "delete", arriba: "up", abajo: "down",
+            izquierda: "left", derecha: "right", inicio: "home", fin: "end"
+        },
+        commands: {
+            repeat: { patterns: ["repite [eso]", "otra vez", "de nuevo"], help: "Repite el último comando" },
+            repeatTimes: { patterns: ["repite [eso] {number} veces", "hazlo {number} veces"], help: "Repite el último comando varias veces, p. ej. \"hazlo 5 veces\"" },
+            undo: { patterns: ["deshacer", "deshaz [eso]"], help: "Deshace el último desplazamiento, navegación o pestaña cerrada" },
+            stopListening: { patterns: ["deja de escuchar", "a dormir", "apaga [el] micrófono"], help: "Apaga el micrófono (también desactiva la escucha continua)" },
+            endSession: { patterns: ["para", "basta", "eso es todo", "listo", "olvídalo"], help: "Cierra la ventana de seguimiento; el siguiente comando vuelve a necesitar la palabra de activación" },
+            readPage: { patterns: ["lee [esta|la] página", "lee [el] artículo", "léelo", "lee en voz alta"], help: "Lee en voz alta el artículo principal, resaltando cada párrafo" },
+            readHeadings: { patterns: ["lee [los] títulos", "lee [los] encabezados"], help: "Lee los títulos de la página" },
+            readLinks: { patterns: ["lee [los] enlaces"], help: "Lee los enlaces que hay en pantalla" },
+            readSelection: { patterns: ["lee [la] selección", "lee [el] texto seleccionado"], help: "Lee el texto seleccionado" },
+            readFromHere: { patterns: ["lee desde aquí", "empieza a leer"], help: "Lee desde el elemento enfocado o desde lo alto de la pantalla" },
+            nextParagraph: { patterns: ["siguiente párrafo", "salta [este] párrafo"], help: "Lee el párrafo siguiente" },
+            previousParagraph: { patterns: ["párrafo anterior"], help: "Lee el párrafo anterior" },
+            pauseReading: { patterns: ["pausa", "pausa la lectura"], help: "Pausa la lectura" },
+            resumeReading: { patterns: ["reanuda", "reanuda la lectura", "sigue leyendo", "continúa"], help: "Sigue leyendo tras una pausa" },
+            stopReading: { patterns: ["deja de leer", "para de leer", "silencio"], help: "Deja de leer" },
+            readFaster: { patterns: ["más rápido", "lee más rápido"], help: "Lee más rápido" },
+            readSlower: { patterns: ["más despacio", "más lento", "lee más despacio"], help: "Lee más despacio" },
+            nextHeading: { patterns: ["siguiente (título|encabezado)"], help: "Va al siguiente título" },
+            previousHeading: { patterns: ["(título|encabezado) anterior"], help: "Va al título anterior" },
+            headingLevel: { patterns: ["(título|encabezado) [de] nivel {number}"], help: "Va al siguiente título de ese nivel, p. ej. \"título nivel 2\"" },
+            goToMain: { patterns: ["ve al contenido [principal]", "contenido principal"], help: "Va al contenido principal" },
+            goToNavigation: { patterns: ["ve a la navegación", "ve al menú"], help: "Va al (siguiente) menú de navegación" },
+            goToSearch: { patterns: ["ve a la búsqueda", "ve al buscador"], help: "Va a la zona de búsqueda del sitio" },
+            nextLandmark: { patterns: ["siguiente (región|zona)"], help: "Va a la siguiente región" },
+            previousLandmark: { patterns: ["(región|zona) anterior"], help: "Va a la región anterior" },
+            listLandmarks: { patterns: ["(lista|muestra) [las] regiones", "(lista|muestra) [las] zonas"], help: "Numera las regiones de la página y las lee; di un número para ir allí" },
+            goToSection: { patterns: ["ve a la sección {name}"], help: "Va al título o región con ese nombre, p. ej. \"ve a la sección precios\"" },
+            nextFormField: { patterns: ["siguiente campo"], help: "Va al siguiente campo del formulario" },
+            previousFormField: { patterns: ["campo anterior"], help: "Va al campo anterior" },
+            nextTable: { patterns: ["siguiente tabla"], help: "Va a la siguiente tabla" },
+            previousTable: { patterns: ["tabla anterior"], help: "Va a la tabla anterior" },
+            nextLink: { patterns: ["siguiente enlace"], help: "Va al siguiente enlace" },
+            previousLink: { patterns: ["enlace anterior"], help: "Va al enlace anterior" },
+            findText: { patterns: ["busca {text} en [la] [esta] página", "encuentra {text}"], help: "Resalta cada aparición del texto y salta a la primera" },
+            nextMatch: { patterns: ["siguiente resultado", "siguiente coincidencia"], help: "Salta a la siguiente aparición" },
+            previousMatch: { patterns: ["resultado anterior", "coincidencia anterior"], help: "Salta a la aparición anterior" },
+            clearFind: { patterns: ["(quita|borra) [los] resaltados", "deja de buscar"], help: "Quita el resaltado de la búsqueda" },
+            playMedia: { patterns: ["reproduce [el] [vídeo|video|audio]", "dale al play", "play"], help: "Reproduce el vídeo o audio de la página" },
+            pauseMedia: { patterns: ["pausa [el] [vídeo|video|audio]"], help: "Pausa el vídeo o audio" },
+            muteMedia: { patterns: ["silencia [el] [vídeo|video|audio]", "silencio"], help: "Silencia el vídeo, o la pestaña si no hay ninguno" },
+            unmuteMedia: { patterns: ["activa el sonido", "quita el silencio [del] [vídeo|video]"], help: "Quita el silencio del vídeo, o de la pestaña" },
+            volumeUp: { patterns: ["sube el volumen", "más alto"], help: "Sube el volumen" },
+            volumeDown: { patterns: ["baja el volumen", "más bajo"], help: "Baja el volumen" },
+            setVolume: { patterns: ["volumen [al] {number} [por] [ciento]"], help: "Pone el volumen en ese porcentaje, p. ej. \"volumen al 50\"" },
+            skipForward: { patterns: ["adelanta {number} segundos", "avanza {number} segundos", "adelanta", "avanza"], help: "Avanza, p. ej. \"adelanta 30 segundos\" (10 si no lo dices)" },
+            skipBack: { patterns: ["retrocede {number} segundos", "atrasa {number} segundos", "retrocede"], help: "Retrocede, p. ej. \"retrocede 10 segundos\"" },
+            mediaSpeed: { patterns: ["velocidad {decimal}", "velocidad {number}", "velocidad normal"], help: "Cambia la velocidad, p. ej. \"velocidad 1,5\" o \"velocidad normal\"" },
+            fullscreen: { patterns: ["pantalla completa"], help: "Muestra el vídeo a pantalla completa" },
+            exitFullscreen: { patterns: ["sal de [la] pantalla completa", "quita [la] pantalla completa"], help: "Sale de la pantalla completa" },
+            showCommands: { patterns: ["muestra [los] comandos", "muestra [la] ayuda", "ayuda"], help: "Muestra esta lista de comandos" },
+            hideCommands: { patterns: ["oculta [los] comandos", "cierra [los] comandos", "cierra [la] ayuda"], help: "Oculta la lista de comandos" },
+            whatDidYouHear: { patterns: ["qué has oído", "qué oíste", "qué entendiste", "muestra [las] alternativas"], help: "Muestra todas las formas en que se oyó lo último que dijiste, con la usada marcada" },
+            switchProfile: { patterns: ["cambia al perfil {name}", "usa el perfil {name}", "perfil {name}"], help: "Cambia a un perfil de ajustes guardado en las opciones, p. ej. \"cambia al perfil presentación\"" },
+            listProfiles: { patterns: ["lista [los] perfiles", "muestra [los] perfiles", "qué perfil estoy usando"], help: "Dice qué perfiles de ajustes hay y cuál está en uso" },
+            goTo: { patterns: ["ve a {site}", "abre {site}", "navega a {site}"], help: "Abre un sitio web, marcador o sitio que visitas, p. ej. \"ve a netflix\"" },
+            search: { patterns: ["busca {query}"], help: "Busca en la web con tu buscador predeterminado" },
+            searchEngine: { patterns: ["busca {query} en {engine}", "busca en {engine} {query}"], help: "Busca en un buscador concreto, p. ej. \"busca gatos en youtube\"" },
+            goBack: { patterns: ["atrás", "(ve|vuelve) atrás", "regresa"], help: "Vuelve a la página anterior" },
+            goForward: { patterns: ["adelante", "ve adelante"], help: "Avanza a la página siguiente" },
+            reload: { patterns: ["(recarga|actualiza) [la] página", "recargar", "actualizar"], help: "Recarga la página actual" },
+            scrollDown: { patterns: ["baja", "bajar", "desplázate hacia abajo", "desplaza hacia abajo"], help: "Desplaza hacia abajo la distancia configurada" },
+            scrollUp: { patterns: ["sube", "subir", "desplázate hacia arriba", "desplaza hacia arriba"], help: "Desplaza hacia arriba la distancia configurada" },
+            scrollDownBy: { patterns: ["baja {scrollSize}", "desplázate hacia abajo {scrollSize}"], help: "Baja un poco, mucho o media página" },
+            scrollUpBy: { patterns: ["sube {scrollSize}", "desplázate hacia arriba {scrollSize}"], help: "Sube un poco, mucho o media página" },
+            scrollDownPages: { patterns: ["baja {number} (página|páginas|pantallas)"], help: "Baja varias pantallas, p. ej. \"baja 3 páginas\"" },
+            scrollUpPages: { patterns: ["sube {number} (página|páginas|pantallas)"], help: "Sube varias pantallas" },
+            scrollLeft: { patterns: ["desplázate a la izquierda", "desplaza a la izquierda"], help: "Desplaza a la izquierda" },
+            scrollRight: { patterns: ["desplázate a la derecha", "desplaza a la derecha"], help: "Desplaza a la derecha" },
+            autoScrollDown: { patterns: ["sigue bajando", "desplazamiento automático"], help: "Baja sin parar hasta que digas \"para\"" },
+            autoScrollUp: { patterns: ["sigue subiendo"], help: "Sube sin parar hasta que digas \"para\"" },
+            stopAutoScroll: { patterns: ["deja de desplazarte", "para"], help: "Detiene el desplazamiento" },
+            scrollFaster: { patterns: ["más rápido", "desplázate más rápido"], help: "Acelera el desplazamiento" },
+            scrollSlower: { patterns: ["más despacio", "más lento"], help: "Frena el desplazamiento" },
+            scrollTop: { patterns: ["(ve|ir) al principio", "arriba del todo"], help: "Va al principio de la página" },
+            scrollBottom: { patterns: ["(ve|ir) al final", "abajo del todo"], help: "Va al final de la página" },
+            newTab: { patterns: ["nueva pestaña", "abre [una] (nueva|otra) pestaña"], help: "Abre una pestaña vacía" },
+            closeTab: { patterns: ["cierra [esta|la] pestaña"], help: "Cierra la pestaña actual" },
+            nextTab: { patterns: ["pestaña siguiente", "siguiente pestaña"], help: "Pasa a la pestaña siguiente" },
+            previousTab: { patterns: ["pestaña anterior", "anterior pestaña"], help: "Pasa a la pestaña anterior" },
+            switchTabNumber: { patterns: ["(ve|cambia) a [la] pestaña {number}", "pestaña {number}"], help: "Pasa a la pestaña en esa posición" },
+            switchTabTitle: { patterns: ["(ve|cambia) a [la] pestaña {title}"], help: "Pasa a la pestaña cuyo título contiene esas palabras" },
+            openInNewTab: { patterns: ["abre {site} en [una] (nueva|otra) pestaña"], help: "Abre un sitio web en una pestaña nueva" },
+            reopenTab: { patterns: ["(reabre|recupera) [la] pestaña cerrada"], help: "Reabre la última pestaña cerrada" },
+            pinTab: { patterns: ["fija [esta|la] pestaña"], help: "Fija la pestaña actual" },
+            unpinTab: { patterns: ["(suelta|desfija) [esta|la] pestaña"], help: "Deja de fijar la pestaña actual" },
+            muteTab: { patterns: ["silencia [esta|la] pestaña"], help: "Silencia la pestaña actual" },
+            unmuteTab: { patterns: ["activa el sonido [de] [la] [pestaña]", "quita el silencio"], help: "Vuelve a activar el sonido de la pestaña" },
+            duplicateTab: { patterns: ["duplica [esta|la] pestaña"], help: "Abre una copia de la pestaña actual" },
+            closeOtherTabs: { patterns: ["cierra [todas] las otras pestañas", "cierra las demás pestañas"], help: "Cierra todas las pestañas de la ventana menos esta (las fijadas se quedan)" },
+            closeTabsToRight: { patterns: ["cierra [las] pestañas de la derecha", "cierra [las] pestañas a la derecha"], help: "Cierra las pestañas que hay después de esta" },
+            saveSession: { patterns: ["guarda [la] sesión como {name}", "guarda [estas] pestañas como {name}"], help: "Guarda las pestañas de esta ventana con un nombre, p. ej. \"guarda la sesión como impuestos\"" },
+            listSessions: { patterns: ["(lista|muestra) [mis] sesiones [guardadas]"], help: "Dice los nombres de tus sesiones guardadas" },
+            openSession: { patterns: ["(abre|restaura|carga) [la] sesión {name}"], help: "Abre las pestañas de una sesión guardada en una ventana nueva" },
+            closeSession: { patterns: ["cierra [esta] [la] sesión"], help: "Guarda la sesión de esta ventana y cierra la ventana" },
+            newWindow: { patterns: ["nueva ventana", "abre [una] nueva ventana"], help: "Abre una ventana nueva" },
+            newIncognitoWindow: { patterns: ["nueva ventana (incógnito|privada)", "abre [una] ventana (incógnito|privada)"], help: "Abre una ventana de incógnito" },
+            closeWindow: { patterns: ["cierra [esta] [la] ventana"], help: "Cierra esta ventana con todas sus pestañas" },
+            bookmarkPage: { patterns: ["guarda [esta] página en marcadores", "añade [un] marcador", "marcador"], help: "Guarda la página actual en marcadores" },
+            openBookmark: { patterns: ["abre [el] marcador {name}", "ve al marcador {name}"], help: "Abre un marcador por su nombre" },
+            showDownloads: { patterns: ["(muestra|abre) [las] descargas"], help: "Abre la página de descargas" },
+            openLastDownload: { patterns: ["abre [la] última descarga"], help: "Abre el último archivo descargado (o lo muestra en su carpeta)" },
+            zoomIn: { patterns: ["acerca", "aumenta [el] zoom", "amplía"], help: "Agranda la página" },
+            zoomOut: { patterns: ["aleja", "reduce [el] zoom"], help: "Achica la página" },
+            zoomReset: { patterns: ["restablece [el] zoom", "tamaño normal", "tamaño real"], help: "Vuelve al zoom normal" },
+            copyPageLink: { patterns: ["copia [el] (enlace|link|dirección) [de] [la] [esta] página", "copia [el] enlace"], help: "Copia la dirección de esta página al portapapeles" },
+            click: { patterns: ["(pulsa|clic) [en] {element}", "haz clic [en] {element}"], help: "Pulsa un enlace, botón o elemento por su nombre, p. ej. \"pulsa iniciar sesión\"" },
+            focus: { patterns: ["enfoca {element}", "ve al campo {element}"], help: "Sitúa el cursor en un campo o elemento por su nombre" },
+            showHints: { patterns: ["muestra [los] números", "numera [los] elementos"], help: "Pone un número en cada elemento pulsable" },
+            hideHints: { patterns: ["(oculta|quita) [los] números"], help: "Quita los números" },
+            clickHint: { patterns: ["(pulsa|clic) [en] [el] [número] {number}", "haz clic [en] [el] [número] {number}"], help: "Pulsa el elemento con ese número" },
+            focusHint: { patterns: ["enfoca [el] [número] {number}"], help: "Sitúa el cursor en el elemento con ese número" },
+            openHintInNewTab: { patterns: ["abre [el] [número] {number} en [una] (nueva|otra) pestaña"], help: "Abre el enlace con ese número en una pestaña nueva" },
+            showGrid: { patterns: ["(muestra|abre) [la] cuadrícula", "cuadrícula [del] ratón"], help: "Divide la pantalla en celdas numeradas para pulsar sitios sin nombre" },
+            hideGrid: { patterns: ["(cancela|oculta|cierra|quita) [la] cuadrícula"], help: "Quita la cuadrícula (Escape hace lo mismo)" },
+            gridZoom: { patterns: ["[celda|casilla] {number}"], help: "Con la cuadrícula, acerca esa celda" },
+            gridZoomOut: { patterns: ["aleja", "cuadrícula atrás"], help: "Con la cuadrícula, vuelve a la zona más grande" },
+            gridClick: { patterns: ["(pulsa|clic)", "haz clic", "(pulsa|clic) [en] [la] [celda] {number}"], help: "Con la cuadrícula, pulsa en su centro (o en el de una celda)" },
+            gridDoubleClick: { patterns: ["doble clic", "doble clic [en] [la] [celda] {number}"], help: "Con la cuadrícula, haz doble clic ahí" },
+            gridRightClick: { patterns: ["clic derecho", "clic derecho [en] [la] [celda] {number}"], help: "Con la cuadrícula, haz clic derecho ahí" },
+            gridHover: { patterns: ["pasa [el] ratón [por] [encima]", "pasa [el] ratón por [la] [celda] {number}"], help: "Con la cuadrícula, mueve el ratón ahí" },
+            gridDragFrom: { patterns: ["arrastra desde aquí", "empieza a arrastrar"], help: "Con la cuadrícula, fija dónde empieza el arrastre y elige dónde acaba" },
+            gridDragTo: { patterns: ["arrastra (a|hasta) [la] [celda] {number}", "suelta [aquí]", "suéltalo [aquí]"], help: "Con la cuadrícula, arrastra desde el punto fijado (o el centro) hasta esa celda" },
+            check: { patterns: ["marca {element}"], help: "Marca una casilla o botón de opción por su etiqueta" },
+            uncheck: { patterns: ["desmarca {element}"], help: "Desmarca una casilla por su etiqueta" },
+            selectOption: { patterns: ["(selecciona|elige) {option} en {element}", "(selecciona|elige) {option}"], help: "Elige una opción de una lista, p. ej. \"elige canadá en país\"" },
+            pressKey: { patterns: ["pulsa [la] tecla {key}", "presiona [la] [tecla] {key}"], help: "Pulsa intro, tabulador, escape, retroceso, espacio o una flecha" },
+            submitForm: { patterns: ["envía [el] formulario", "enviar"], help: "Envía el formulario en el que estás" },
+            type: { patterns: ["escribe {text}"], help: "Escribe texto en el campo activo; la puntuación se puede dictar" },
+            startDictation: { patterns: ["(empieza|inicia|comienza) [el] dictado", "dictar"], help: "Escribe todo lo que digas en el campo activo" },
+            stopDictation: { patterns: ["(termina|detén|para) [el] dictado", "deja de dictar"], help: "Sale del modo dictado" },
+            deleteLastWord: { patterns: ["borra [la] última palabra", "borra palabra"], help: "Borra la palabra anterior al cursor" },
+            undoTyping: { patterns: ["deshaz [lo] escrito", "deshacer", "borra eso"], help: "Deshace la última edición del campo" },
+            redoTyping: { patterns: ["rehacer", "rehaz"], help: "Rehace la última edición deshecha" },
+            selectAll: { patterns: ["selecciona todo", "seleccionar todo"], help: "Selecciona todo el texto del campo o de la página" },
+            clearField: { patterns: ["(borra|vacía) [el] campo", "borra todo"], help: "Vacía el campo activo" },
+            selectParagraph: { patterns: ["selecciona [el] [este] párrafo"], help: "Selecciona el párrafo (o la línea, en un campo) donde está el cursor" },
+            selectSentence: { patterns: ["selecciona [la] [esta] frase", "selecciona [la] [esta] oración"], help: "Selecciona la frase donde está el cursor" },
+            selectBetween: { patterns: ["selecciona desde {start} hasta {end}", "selecciona de {start} a {end}"], help: "Selecciona todo entre dos frases, p. ej. \"selecciona desde estimado hasta saludos\"" },
+            selectText: { patterns: ["selecciona {text}"], help: "Selecciona una frase en el campo activo o en la página" },
+            extendSelection: { patterns: ["amplía [la] selección [una] palabra", "amplía [la] selección {number} palabras"], help: "Añade la siguiente palabra (o palabras) a la selección" },
+            copySelection: { patterns: ["copia", "copia (eso|esto|lo)", "cópialo", "copia [la] selección"], help: "Copia el texto seleccionado" },
+            cutSelection: { patterns: ["corta", "corta (eso|esto|lo)", "córtalo", "corta [la] selección"], help: "Corta el texto seleccionado del campo" },
+            paste: { patterns: ["pega", "pega (eso|aquí)", "pégalo"], help: "Pega el portapapeles en el cursor" },
+            copyLink: { patterns: ["copia [el] enlace [a|de] {name}"], help: "Copia la dirección de un enlace por su nombre, p. ej. \"copia el enlace precios\"" }
+        },
+        categories: {
+            "Navigation": "Navegación",
+            "Scrolling": "Desplazamiento",
+            "Tabs": "Pestañas",
+            "Browser": "Navegador",
+            "Interaction & Forms": "Interacción y formularios",
+            "Page Structure": "Estructura de la página",
+            "Dictation": "Dictado",
+            "Selection & Clipboard": "Selección y portapapeles",
+            "Reading": "Lectura",
+            "Media": "Multimedia",
+            "History": "Historial",
+            "System": "Sistema",
+            "Custom Commands": "Comandos personalizados"
+        },
+        messages: {
+            "Listening...": "Escuchando...",
+            "Network error": "Error de red",
+            "Mic access denied": "Acceso al micrófono denegado",
+            "Local engine did not respond": "El motor local no respondió",
+            "Error: {error}": "Error: {error}",
+            "Dictating... say \"stop dictation\" to finish": "Dictando... di \"termina el dictado\" para acabar",
+            "Extension not responding": "La extensión no responde",
+            "Finding {name}": "Buscando {name}",
+            "Navigating to {url}": "Abriendo {url}",
+            "Opening {name}": "Abriendo {name}",
+            "Searching {engine} for {query}": "Buscando {query} en {engine}",
+            "Focused: {name}": "Enfocado: {name}",
+            "Clicked: {name}": "Pulsado: {name}",
+            "Focus a text field first": "Primero sitúate en un campo de texto",
+            "Typed: {text}": "Escrito: {text}",
+            "Dictation started": "Dictado iniciado",
+            "Dictation stopped": "Dictado terminado",
+            "Dictation field was removed": "El campo del dictado ha desaparecido",
+            "Pressed {key}": "Tecla {key} pulsada",
+            "{name} is already checked": "{name} ya está marcado",
+            "{name} is already unchecked": "{name} ya está desmarcado",
+            "No option \"{option}\"": "No hay ninguna opción \"{option}\"",
+            "Selected {option}": "Seleccionado {option}",
+            "Focus a field in the form first": "Primero sitúate en un campo del formulario",
+            "No form on this page": "No hay ningún formulario en esta página",
+            "Form submitted": "Formulario enviado",
+            "Nothing matches {selector}": "Nada coincide con {selector}",
+            "Macro nested too deeply": "Macro anidada demasiadas veces",
+            "Macro step not recognized: {step}": "Paso de la macro no reconocido: {step}",
+            "Nothing to repeat": "No hay nada que repetir",
+            "Repeating \"{command}\"": "Repitiendo \"{command}\"",
+            "Repeating \"{command}\" {count} times": "Repitiendo \"{command}\" {count} veces",
+            "That scroll was on another page": "Ese desplazamiento fue en otra página",
+            "Undid \"{command}\"": "Deshecho \"{command}\"",
+            "No answer, cancelled": "Sin respuesta, cancelado",
+            "Cancelled": "Cancelado",
+            "Sorry, say a number or cancel": "Perdona, di un número o cancelar",
+            "Which one? Say 1 to {count}": "¿Cuál? Di un número del 1 al {count}",
+            "Focused {name}": "Enfocado {name}",
+            "Clicked {name}": "Pulsado {name}",
+            "{number} is not a link": "{number} no es un enlace",
+            "Opening {number} in new tab": "Abriendo {number} en una pestaña nueva",
+            "Not recognized: {text}": "No reconocido: {text}",
+            "Stopped listening": "He dejado de escuchar",
+            "Reading... say \"stop reading\" to stop": "Leyendo... di \"deja de leer\" para parar",
+            "Reading...": "Leyendo...",
+            "Finished reading": "Lectura terminada",
+            "Nothing to read here": "Aquí no hay nada que leer",
+            "No headings on this page": "Esta página no tiene títulos",
+            "No links on screen": "No hay enlaces en pantalla",
+            "Nothing is selected": "No hay nada seleccionado",
+            "This is the first paragraph": "Este es el primer párrafo",
+            "Paused reading": "Lectura en pausa",
+            "Stopped reading": "Lectura detenida",
+            "Reading speed {percent}%": "Velocidad de lectura {percent}%",
+            "Could not read aloud": "No se pudo leer en voz alta",
+            "Heading level {level}: {name}": "Título de nivel {level}: {name}",
+            "{landmark}: {name}": "{landmark}: {name}",
+            "Table: {name}, {rows} rows": "Tabla: {name}, {rows} filas",
+            "untitled": "sin título",
+            "unnamed": "sin nombre",
+            "Link: {name}": "Enlace: {name}",
+            "Field: {name}": "Campo: {name}",
+            "Main content": "Contenido principal",
+            "Navigation": "Navegación",
+            "Banner": "Cabecera",
+            "Footer": "Pie de página",
+            "Sidebar": "Barra lateral",
+            "Search": "Búsqueda",
+            "Form": "Formulario",
+            "Section": "Sección",
+            "No more headings": "No hay más títulos",
+            "No earlier headings": "No hay títulos anteriores",
+            "No more level {level} headings": "No hay más títulos de nivel {level}",
+            "No more landmarks": "No hay más regiones",
+            "No earlier landmarks": "No hay regiones anteriores",
+            "No more form fields": "No hay más campos",
+            "No earlier form fields": "No hay campos anteriores",
+            "No more tables": "No hay más tablas",
+            "No earlier tables": "No hay tablas anteriores",
+            "No more links": "No hay más enlaces",
+            "No earlier links": "No hay enlaces anteriores",
+            "No {landmark} on this page": "Esta página no tiene {landmark}",
+            "This page has no landmarks": "Esta página no tiene regiones",
+            "{count} landmarks: {list}. Which one?": "{count} regiones: {list}. ¿Cuál?",
+            "No section called {name}": "No hay ninguna sección llamada {name}",
+            "Scrolled down {count} pages": "Bajadas {count} páginas",
+            "Scrolled up {count} pages": "Subidas {count} páginas",
+            "Scrolled left": "Desplazado a la izquierda",
+            "Scrolled right": "Desplazado a la derecha",
+            "Scrolling... say \"stop\" to stop": "Desplazando... di \"para\" para detenerlo",
+            "Reached the top": "Llegaste al principio",
+            "Reached the end": "Llegaste al final",
+            "Stopped scrolling": "Desplazamiento detenido",
+            "Scrolling speed {speed} of {max}": "Velocidad de desplazamiento {speed} de {max}",
+            "No video or audio on this page": "No hay vídeo ni audio en esta página",
+            "Playing": "Reproduciendo",
+            "The page blocked playback, click it once first": "La página bloqueó la reproducción; haz clic en ella una vez primero",
+            "Paused": "En pausa",
+            "Muted": "Silenciado",
+            "Unmuted": "Sonido activado",
+            "Volume {percent}%": "Volumen {percent}%",
+            "Back {seconds} seconds": "Atrás {seconds} segundos",
+            "Forward {seconds} seconds": "Adelante {seconds} segundos",
+            "Speed must be between 0.25 and 4": "La velocidad debe estar entre 0,25 y 4",
+            "Speed {rate}×": "Velocidad {rate}×",
+            "Fullscreen": "Pantalla completa",
+            "Fullscreen — say \"exit fullscreen\" to leave": "Pantalla completa: di \"sal de la pantalla completa\" para salir",
+            "Left fullscreen": "Fuera de pantalla completa",
+            "Go ahead — say a command (\"stop\" to finish)": "Adelante, di un comando (\"para\" para terminar)",
+            "Done — say the wake word when you need me": "Listo, di la palabra de activación cuando me necesites",
+            "Showing commands": "Mostrando comandos",
+            "Hiding commands": "Ocultando comandos",
+            "Nothing heard yet": "Aún no he oído nada",
+            "Switched to the {name} profile": "Perfil {name} activado",
+            "No profile called {name}": "No hay ningún perfil llamado {name}",
+            "No profiles saved yet": "Aún no hay perfiles guardados",
+            "Profiles: {names}": "Perfiles: {names}",
+            "Profiles: {names}. Using {name}": "Perfiles: {names}. En uso: {name}",
+            "VoiceControl is turned off on this site": "VoiceControl está desactivado en este sitio",
+            "Heard: {alternatives}": "Oído: {alternatives}",
+            "Voice clicking is turned off on this site": "Los clics por voz están desactivados en este sitio",
+            "Click \"{name}\"?": "¿Hacer clic en \"{name}\"?",
+            "You have unsaved changes on this page. Leave anyway?": "Tienes cambios sin guardar en esta página. ¿Salir de todos modos?",
+            "Are you sure?": "¿Seguro?",
+            "Close this tab?": "¿Cerrar esta pestaña?",
+            "Submit this form?": "¿Enviar este formulario?",
+            "Not allowed by voice on this site": "No se permite por voz en este sitio",
+            "Say \"confirm\" or \"cancel\"": "Di \"confirmar\" o \"cancelar\"",
+            "Opening new window": "Abriendo ventana nueva",
+            "Opening incognito window": "Abriendo ventana de incógnito",
+            "Closing window": "Cerrando ventana",
+            "Close this window and all its tabs?": "¿Cerrar esta ventana y todas sus pestañas?",
+            "Bookmarking": "Guardando marcador",
+            "Looking for bookmark {name}": "Buscando el marcador {name}",
+            "Opening downloads": "Abriendo descargas",
+            "Opening last download": "Abriendo la última descarga",
+            "Zooming in": "Acercando",
+            "Zooming out": "Alejando",
+            "Resetting zoom": "Restableciendo el zoom",
+            "No matches for \"{text}\"": "No se encontró \"{text}\"",
+            "Match {index} of {count}": "Resultado {index} de {count}",
+            "Nothing found yet — say \"find\" and the words": "Aún no hay búsqueda: di \"encuentra\" y las palabras",
+            "Nothing is highlighted": "No hay nada resaltado",
+            "Highlights cleared": "Resaltado quitado",
+            "Copied page link": "Enlace de la página copiado",
+            "Selected: {text}": "Seleccionado: {text}",
+            "Nothing to select here": "No hay nada que seleccionar aquí",
+            "Copied: {text}": "Copiado: {text}",
+            "Cut: {text}": "Cortado: {text}",
+            "Pasted: {text}": "Pegado: {text}",
+            "Pasted": "Pegado",
+            "Only text in a field can be cut": "Solo se puede cortar texto de un campo",
+            "The clipboard is empty": "El portapapeles está vacío",
+            "Couldn't read the clipboard": "No se pudo leer el portapapeles",
+            "Copied link: {text}": "Enlace copiado: {text}",
+            "No link called {name}": "No hay ningún enlace llamado {name}",
+            "Say a number to zoom in, then \"click\"": "Di un número para acercar y luego \"clic\"",
+            "Grid closed": "Cuadrícula cerrada",
+            "As close as it goes, say \"click\"": "No se puede acercar más, di \"clic\"",
+            "Zoomed into {number}": "Acercado a {number}",
+            "The grid already covers the screen": "La cuadrícula ya cubre la pantalla",
+            "Zoomed out": "Alejado",
+            "Clicked": "Pulsado",
+            "Double-clicked": "Doble clic hecho",
+            "Right-clicked": "Clic derecho hecho",
+            "Hovering": "Ratón encima",
+            "Nothing there to click": "No hay nada ahí que pulsar",
+            "Now pick where to drop it": "Ahora elige dónde soltarlo",
+            "Say \"drag from here\" first": "Primero di \"arrastra desde aquí\"",
+            "Dragged": "Arrastrado",
+            "Nothing there to drag": "No hay nada ahí que arrastrar",
+            "Closing tabs": "Cerrando pestañas",
+            "Saving session": "Guardando sesión",
+            "Checking sessions": "Consultando sesiones",
+            "Opening session {name}": "Abriendo sesión {name}",
+            "Closing session": "Cerrando sesión",
+            "Close all other tabs?": "¿Cerrar todas las demás pestañas?",
+            "Close the tabs to the right?": "¿Cerrar las pestañas de la derecha?",
+            "Save this session and close its window?": "¿Guardar esta sesión y cerrar su ventana?",
+            "No tabs here that can be saved": "Aquí no hay pestañas que se puedan guardar",
+            "Saved {count} tabs as {name}": "{count} pestañas guardadas como {name}",
+            "No saved sessions yet": "Aún no hay sesiones guardadas",
+            "Sessions: {names}": "Sesiones: {names}",
+            "No session called {name}": "No hay ninguna sesión llamada {name}",
+            "Opened session {name}": "Sesión {name} abierta",
+            "This window isn't a saved session": "Esta ventana no es una sesión guardada",
+            "Closing session {name}": "Cerrando sesión {name}",
+            "No other tabs to close": "No hay otras pestañas que cerrar",
+            "No tabs to the right": "No hay pestañas a la derecha",
+            "Closed {count} tabs": "{count} pestañas cerradas",
+            "Could not save the session": "No se pudo guardar la sesión",
+            "Could not open the session": "No se pudo abrir la sesión",
+            "Could not close the session": "No se pudo cerrar la sesión",
+            "Could not close the tabs": "No se pudieron cerrar las pestañas",
+            "No window to save": "No hay ninguna ventana que guardar",
+            "Could not read the sessions": "No se pudieron leer las sesiones",
+            "No session to close": "No hay ninguna sesión que cerrar",
+            "No tabs to close": "No hay pestañas que cerrar",
+            "Couldn't copy to the clipboard": "No se pudo copiar al portapapeles",
+            "Opened new window": "Ventana nueva abierta",
+            "Opened incognito window": "Ventana de incógnito abierta",
+            "Incognito windows are turned off": "Las ventanas de incógnito están desactivadas",
+            "Could not open a window": "No se pudo abrir una ventana",
+            "No window to close": "No hay ventana que cerrar",
+            "No window to make fullscreen": "No hay ventana que poner en pantalla completa",
+            "This page can't be bookmarked": "Esta página no se puede guardar en marcadores",
+            "Already bookmarked": "Ya está en marcadores",
+            "Bookmarked {title}": "Guardado en marcadores: {title}",
+            "Could not bookmark this page": "No se pudo guardar esta página en marcadores",
+            "No bookmark called {name}": "No hay ningún marcador llamado {name}",
+            "Opening bookmark {title}": "Abriendo el marcador {title}",
+            "Could not open that bookmark": "No se pudo abrir ese marcador",
+            "No tab to open it in": "No hay pestaña donde abrirlo",
+            "Opened downloads": "Descargas abiertas",
+            "No downloads yet": "Aún no hay descargas",
+            "Opening {file}": "Abriendo {file}",
+            "Showing {file} in its folder": "Mostrando {file} en su carpeta",
+            "Could not open the download": "No se pudo abrir la descarga",
+            "No tab to zoom": "No hay pestaña que ampliar",
+            "Zoom reset": "Zoom restablecido",
+            "Zoom {percent}%": "Zoom {percent}%",
+            "Already zoomed in all the way": "Ya está al máximo de zoom",
+            "Already zoomed out all the way": "Ya está al mínimo de zoom",
+            "This page can't be zoomed": "Esta página no se puede ampliar",
+            "Going back": "Volviendo atrás",
+            "Going forward": "Yendo adelante",
+            "Reloading": "Recargando",
+            "Scrolled down": "Desplazado hacia abajo",
+            "Scrolled up": "Desplazado hacia arriba",
+            "Scrolled to top": "Al principio de la página",
+            "Scrolled to bottom": "Al final de la página",
+            "Opening new tab": "Abriendo pestaña nueva",
+            "Closing tab": "Cerrando pestaña",
+            "Switching tab": "Cambiando de pestaña",
+            "Switching to last tab": "Cambiando a la última pestaña",
+            "Switching to tab {number}": "Cambiando a la pestaña {number}",
+            "Switching to {title}": "Cambiando a {title}",
+            "Reopening closed tab": "Reabriendo pestaña cerrada",
+            "Pinning tab": "Fijando pestaña",
+            "Unpinning tab": "Soltando pestaña",
+            "Muting tab": "Silenciando pestaña",
+            "Unmuting tab": "Activando el sonido de la pestaña",
+            "Duplicating tab": "Duplicando pestaña",
+            "Showing {count} numbers": "Mostrando {count} números",
+            "Numbers hidden": "Números ocultos",
+            "Undone": "Deshecho",
+            "Redone": "Rehecho",
+            "Selected all": "Todo seleccionado",
+            "Field cleared": "Campo vaciado",
+            "Voice Commands": "Comandos de voz",
+            "Say \"hide commands\" or press Escape to close this menu.": "Di \"oculta los comandos\" o pulsa Escape para cerrar este menú.",
+            "Nothing to undo": "No hay nada que deshacer",
+            "Reopened closed tab": "Pestaña cerrada reabierta",
+            "Could not reopen the tab": "No se pudo reabrir la pestaña",
+            "The last action was in another tab": "La última acción fue en otra pestaña",
+            "That command is no longer in the history": "Ese comando ya no está en el historial",
+            "History cleared": "Historial borrado",
+            "Ran {command}": "Ejecutado {command}",
+            "Could not run {command}": "No se pudo ejecutar {command}",
+            "There is no tab {number}": "No existe la pestaña {number}",
+            "No tab matching {title}": "Ninguna pestaña coincide con {title}",
+            "No tab specified": "No se indicó ninguna pestaña",
+            "Switched to {title}": "Ahora en {title}",
+            "No tab to switch to": "No hay otra pestaña",
+            "This is the only tab": "Esta es la única pestaña",
+            "Next tab": "Pestaña siguiente",
+            "Previous tab": "Pestaña anterior",
+            "Opened new tab": "Pestaña nueva abierta",
+            "No tab to close": "No hay ninguna pestaña que cerrar",
+            "No site given": "No se indicó ningún sitio",
+            "Could not open {url}": "No se pudo abrir {url}",
+            "Opened {url}": "Abierto {url}",
+            "No closed tab to reopen": "No hay pestañas cerradas que reabrir",
+            "No tab to pin": "No hay ninguna pestaña que fijar",
+            "Pinned tab": "Pestaña fijada",
+            "Unpinned tab": "Pestaña soltada",
+            "No tab to mute": "No hay ninguna pestaña que silenciar",
+            "Muted tab": "Pestaña silenciada",
+            "Unmuted tab": "Sonido de la pestaña activado",
+            "No tab to duplicate": "No hay ninguna pestaña que duplicar",
+            "Duplicated tab": "Pestaña duplicada"
+        }
+    },
+
+    "fr-FR": {
+        name: "Français",
+        wakeWord: "dis navigateur",
+        numbers: {
+            un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9, dix: 10,
+            premier: 1, première: 1, deuxième: 2, seconde: 2, troisième: 3, dernier: -1, dernière: -1
+        },
+        scrollSizes: {
+            "un peu": "little", "un petit peu": "little", "beaucoup": "lot",
+            "d'une demi-page": "half", "une demi-page": "half", "d'un demi-écran": "half"
+        },
+        politeness: ["s'il te plaît", "s'il vous plaît", "peux-tu", "est-ce que tu peux"],
+        cancel: ["annuler", "annule", "aucun", "laisse tomber", "stop"],
+        confirm: ["confirmer", "confirme", "oui", "vas-y", "allez-y"],
+        riskyWords: [
+            "supprimer", "effacer", "retirer", "jeter", "désabonner", "désinscrire", "acheter",
+            "commander", "payer", "paiement", "envoyer", "virement", "publier", "valider"
+        ],
+        keys: {
+            "entrée": "enter", tabulation: "tab", tab: "tab", "échap": "escape", "échappement": "escape",
+            espace: "space", "retour arrière": "backspace", supprimer: "delete", haut: "up", bas: "down",
+            gauche: "left", droite: "right", "début": "home", fin: "end"
+        },
+        commands: {
+            repeat: { patterns: ["répète", "recommence", "encore une fois", "encore"], help: "Relance la dernière commande" },
+            repeatTimes: { patterns: ["répète {number} fois", "fais [le] {number} fois"], help: "Relance la dernière commande plusieurs fois, p. ex. « fais-le 5 fois »" },
+            undo: { patterns: ["annule", "annule ça", "annuler"], help: "Annule le dernier défilement, la dernière navigation ou le dernier onglet fermé" },
+            stopListening: { patterns: ["arrête d'écouter", "arrête l'écoute", "éteins [le] micro"], help: "Coupe le micro (désactive aussi l'écoute permanente)" },
+            endSession: { patterns: ["stop", "arrête", "c'est tout", "terminé", "laisse tomber"], help: "Ferme la fenêtre de suite ; la commande suivante demande de nouveau le mot d'activation" },
+            readPage: { patterns: ["lis [cette|la] page", "lis l'article", "lis à voix haute"], help: "Lit à voix haute l'article principal en surlignant chaque paragraphe" },
+            readHeadings: { patterns: ["lis les titres"], help: "Lit les titres de la page" },
+            readLinks: { patterns: ["lis les liens"], help: "Lit les liens à l'écran" },
+            readSelection: { patterns: ["lis [la] sélection", "lis le texte sélectionné"], help: "Lit le texte sélectionné" },
+            readFromHere: { patterns: ["lis à partir d'ici", "commence à lire"], help: "Lit à partir de l'élément actif ou du haut de l'écran" },
+            nextParagraph: { patterns: ["paragraphe suivant", "saute [ce] paragraphe"], help: "Lit le paragraphe suivant" },
+            previousParagraph: { patterns: ["paragraphe précédent"], help: "Lit le paragraphe précédent" },
+            pauseReading: { patterns: ["pause", "mets en pause"], help: "Met la lecture en pause" },
+            resumeReading: { patterns: ["reprends", "reprends la lecture", "continue à lire"], help: "Reprend la lecture après une pause" },
+            stopReading: { patterns: ["arrête de lire", "arrête la lecture", "tais-toi"], help: "Arrête la lecture" },
+            readFaster: { patterns: ["plus vite", "lis plus vite"], help: "Lit plus vite" },
+            readSlower: { patterns: ["plus lentement", "lis plus lentement"], help: "Lit plus lentement" },
+            nextHeading: { patterns: ["titre suivant"], help: "Va au titre suivant" },
+            previousHeading: { patterns: ["titre précédent"], help: "Va au titre précédent" },
+            headingLevel: { patterns: ["titre [de] niveau {number}"], help: "Va au titre suivant de ce niveau, p. ex. \"titre niveau 2\"" },
+            goToMain: { patterns: ["va au contenu [principal]", "contenu principal"], help: "Va au contenu principal" },
+            goToNavigation: { patterns: ["va à la navigation", "va au menu"], help: "Va au menu de navigation (suivant)" },
+            goToSearch: { patterns: ["va à la recherche"], help: "Va à la zone de recherche du site" },
+            nextLandmark: { patterns: ["région suivante", "zone suivante"], help: "Va à la région suivante" },
+            previousLandmark: { patterns: ["région précédente", "zone précédente"], help: "Va à la région précédente" },
+            listLandmarks: { patterns: ["(liste|affiche) les régions", "(liste|affiche) les zones"], help: "Numérote les régions de la page et les lit ; dites un numéro pour y aller" },
+            goToSection: { patterns: ["va à la section {name}"], help: "Va au titre ou à la région portant ce nom, p. ex. \"va à la section tarifs\"" },
+            nextFormField: { patterns: ["champ suivant"], help: "Va au champ de formulaire suivant" },
+            previousFormField: { patterns: ["champ précédent"], help: "Va au champ précédent" },
+            nextTable: { patterns: ["tableau suivant"], help: "Va au tableau suivant" },
+            previousTable: { patterns: ["tableau précédent"], help: "Va au tableau précédent" },
+            nextLink: { patterns: ["lien suivant"], help: "Va au lien suivant" },
+            previousLink: { patterns: ["lien précédent"], help: "Va au lien précédent" },
+            findText: { patterns: ["cherche {text} dans [la] [cette] page", "trouve {text}"], help: "Surligne chaque occurrence du texte et va à la première" },
+            nextMatch: { patterns: ["résultat suivant", "occurrence suivante"], help: "Va à l'occurrence suivante" },
+            previousMatch: { patterns: ["résultat précédent", "occurrence précédente"], help: "Va à l'occurrence précédente" },
+            clearFind: { patterns: ["(efface|enlève) [les] surlignages", "arrête de chercher"], help: "Enlève le surlignage de la recherche" },
+            playMedia: { patterns: ["lecture", "lance la vidéo", "joue [la] [vidéo|musique]"], help: "Lance la vidéo ou l'audio de la page" },
+            pauseMedia: { patterns: ["mets la vidéo en pause", "pause [la] [vidéo|musique]"], help: "Met la vidéo ou l'audio en pause" },
+            muteMedia: { patterns: ["coupe le son de la vidéo", "muet"], help: "Coupe le son de la vidéo, ou de l'onglet s'il n'y en a pas" },
+            unmuteMedia: { patterns: ["remets le son de la vidéo", "remets le son"], help: "Rétablit le son de la vidéo, ou de l'onglet" },
+            volumeUp: { patterns: ["monte le son", "plus fort"], help: "Monte le volume" },
+            volumeDown: { patterns: ["baisse le son", "moins fort"], help: "Baisse le volume" },
+            setVolume: { patterns: ["volume [à] {number} [pour] [cent]"], help: "Règle le volume en pourcentage, p. ex. \"volume à 50\"" },
+            skipForward: { patterns: ["avance de {number} secondes", "avance"], help: "Avance, p. ex. \"avance de 30 secondes\" (10 par défaut)" },
+            skipBack: { patterns: ["recule de {number} secondes", "recule"], help: "Recule, p. ex. \"recule de 10 secondes\"" },
+            mediaSpeed: { patterns: ["vitesse {decimal}", "vitesse {number}", "vitesse normale"], help: "Règle la vitesse, p. ex. \"vitesse 1,5\" ou \"vitesse normale\"" },
+            fullscreen: { patterns: ["plein écran", "mets en plein écran"], help: "Affiche la vidéo en plein écran" },
+            exitFullscreen: { patterns: ["quitte le plein écran", "sors du plein écran"], help: "Quitte le plein écran" },
+            showCommands: { patterns: ["(affiche|montre) [les] commandes", "aide"], help: "Affiche cette liste de commandes" },
+            hideCommands: { patterns: ["(masque|cache|ferme) [les] commandes", "ferme l'aide"], help: "Masque la liste de commandes" },
+            whatDidYouHear: { patterns: ["qu'as-tu entendu", "qu'est-ce que tu as entendu", "montre [les] alternatives"], help: "Montre toutes les façons dont votre dernière phrase a été entendue, celle retenue cochée" },
+            switchProfile: { patterns: ["passe au profil {name}", "utilise le profil {name}", "profil {name}"], help: "Passe à un profil de réglages enregistré dans les options, p. ex. \"passe au profil présentation\"" },
+            listProfiles: { patterns: ["liste [les] profils", "montre [les] profils", "quel profil j'utilise", "quel profil est actif"], help: "Dit quels profils de réglages existent et lequel est utilisé" },
+            goTo: { patterns: ["va (sur|à) {site}", "ouvre {site}", "aller sur {site}"], help: "Ouvre un site, un favori ou un site que tu visites, p. ex. « va sur netflix »" },
+            search: { patterns: ["(cherche|recherche) {query}"], help: "Recherche sur le web avec le moteur par défaut" },
+            searchEngine: { patterns: ["(cherche|recherche) {query} sur {engine}"], help: "Recherche sur un moteur précis, p. ex. « cherche chats sur youtube »" },
+            goBack: { patterns: ["retour", "reviens en arrière", "page précédente"], help: "Revient à la page précédente" },
+            goForward: { patterns: ["avance", "page suivante"], help: "Avance à la page suivante" },
+            reload: { patterns: ["(recharge|actualise|rafraîchis) [la] page", "recharger", "actualiser"], help: "Recharge la page" },
+            scrollDown: { patterns: ["descends", "défile vers le bas", "vers le bas"], help: "Fait défiler vers le bas de la distance réglée" },
+            scrollUp: { patterns: ["monte", "défile vers le haut", "vers le haut"], help: "Fait défiler vers le haut de la distance réglée" },
+            scrollDownBy: { patterns: ["descends {scrollSize}", "défile vers le bas {scrollSize}"], help: "Descend un peu, beaucoup ou d'une demi-page" },
+            scrollUpBy: { patterns: ["monte {scrollSize}", "défile vers le haut {scrollSize}"], help: "Monte un peu, beaucoup ou d'une demi-page" },
+            scrollDownPages: { patterns: ["descends [de] {number} (page|pages|écrans)"], help: "Descend de plusieurs écrans, p. ex. \"descends de 3 pages\"" },
+            scrollUpPages: { patterns: ["monte [de] {number} (page|pages|écrans)"], help: "Monte de plusieurs écrans" },
+            scrollLeft: { patterns: ["défile vers la gauche", "vers la gauche"], help: "Fait défiler vers la gauche" },
+            scrollRight: { patterns: ["défile vers la droite", "vers la droite"], help: "Fait défiler vers la droite" },
+            autoScrollDown: { patterns: ["continue à descendre", "défilement automatique"], help: "Descend en continu jusqu'à ce que vous disiez \"stop\"" },
+            autoScrollUp: { patterns: ["continue à monter"], help: "Monte en continu jusqu'à ce que vous disiez \"stop\"" },
+            stopAutoScroll: { patterns: ["arrête de défiler", "stop"], help: "Arrête le défilement" },
+            scrollFaster: { patterns: ["plus vite", "défile plus vite"], help: "Accélère le défilement" },
+            scrollSlower: { patterns: ["plus lentement", "défile plus lentement"], help: "Ralentit le défilement" },
+            scrollTop: { patterns: ["(va|remonte) tout en haut", "(haut|début) de [la] page"], help: "Va en haut de la page" },
+            scrollBottom: { patterns: ["(va|descends) tout en bas", "(bas|fin) de [la] page"], help: "Va en bas de la page" },
+            newTab: { patterns: ["nouvel onglet", "ouvre un nouvel onglet"], help: "Ouvre un onglet vide" },
+            closeTab: { patterns: ["ferme [cet] onglet", "ferme l'onglet"], help: "Ferme l'onglet actuel" },
+            nextTab: { patterns: ["onglet suivant"], help: "Passe à l'onglet suivant" },
+            previousTab: { patterns: ["onglet précédent"], help: "Passe à l'onglet précédent" },
+            switchTabNumber: { patterns: ["(va|passe) à l'onglet {number}", "onglet {number}"], help: "Passe à l'onglet à cette position" },
+            switchTabTitle: { patterns: ["(va|passe) à l'onglet {title}"], help: "Passe à l'onglet dont le titre contient ces mots" },
+            openInNewTab: { patterns: ["ouvre {site} dans un nouvel onglet"], help: "Ouvre un site dans un nouvel onglet" },
+            reopenTab: { patterns: ["(rouvre|restaure) l'onglet fermé"], help: "Rouvre le dernier onglet fermé" },
+            pinTab: { patterns: ["épingle [cet] onglet", "épingle l'onglet"], help: "Épingle l'onglet actuel" },
+            unpinTab: { patterns: ["désépingle [cet] onglet", "désépingle l'onglet"], help: "Désépingle l'onglet actuel" },
+            muteTab: { patterns: ["coupe le son [de] [l'onglet]", "mets l'onglet en sourdine"], help: "Coupe le son de l'onglet actuel" },
+            unmuteTab: { patterns: ["(remets|réactive) le son [de] [l'onglet]"], help: "Rétablit le son de l'onglet actuel" },
+            duplicateTab: { patterns: ["duplique [cet] onglet", "duplique l'onglet"], help: "Ouvre une copie de l'onglet actuel" },
+            closeOtherTabs: { patterns: ["ferme [tous] les autres onglets"], help: "Ferme tous les onglets de la fenêtre sauf celui-ci (les onglets épinglés restent)" },
+            closeTabsToRight: { patterns: ["ferme [les] onglets (à|de) droite"], help: "Ferme les onglets situés après celui-ci" },
+            saveSession: { patterns: ["enregistre [la] session sous {name}", "enregistre [ces] onglets sous {name}"], help: "Garde les onglets de cette fenêtre sous un nom, p. ex. « enregistre la session sous impôts »" },
+            listSessions: { patterns: ["(liste|montre) [mes] sessions [enregistrées]"], help: "Dit les noms de vos sessions enregistrées" },
+            openSession: { patterns: ["(ouvre|restaure|charge) [la] session {name}"], help: "Ouvre les onglets d'une session enregistrée dans une nouvelle fenêtre" },
+            closeSession: { patterns: ["ferme [cette] [la] session"], help: "Enregistre la session de cette fenêtre et ferme la fenêtre" },
+            newWindow: { patterns: ["nouvelle fenêtre", "ouvre [une] nouvelle fenêtre"], help: "Ouvre une nouvelle fenêtre" },
+            newIncognitoWindow: { patterns: ["nouvelle fenêtre (privée|incognito)", "ouvre [une] fenêtre (privée|incognito)", "navigation privée"], help: "Ouvre une fenêtre de navigation privée" },
+            closeWindow: { patterns: ["ferme [cette] [la] fenêtre"], help: "Ferme cette fenêtre et tous ses onglets" },
+            bookmarkPage: { patterns: ["ajoute [cette] [la] page aux favoris", "mets en favori", "ajoute [un] favori"], help: "Ajoute la page actuelle aux favoris" },
+            openBookmark: { patterns: ["ouvre [le] favori {name}", "va au favori {name}"], help: "Ouvre un favori par son nom" },
+            showDownloads: { patterns: ["(affiche|ouvre|montre) [les] téléchargements"], help: "Ouvre la page des téléchargements" },
+            openLastDownload: { patterns: ["ouvre [le] dernier téléchargement"], help: "Ouvre le dernier fichier téléchargé (ou l'affiche dans son dossier)" },
+            zoomIn: { patterns: ["zoome", "agrandis", "zoom avant"], help: "Agrandit la page" },
+            zoomOut: { patterns: ["dézoome", "rétrécis", "zoom arrière"], help: "Réduit la page" },
+            zoomReset: { patterns: ["réinitialise [le] zoom", "taille normale", "taille réelle"], help: "Remet le zoom par défaut" },
+            copyPageLink: { patterns: ["copie [le] lien [de] [la] [cette] page", "copie l'adresse [de] [la] [cette] page", "copie [le] lien"], help: "Copie l'adresse de cette page dans le presse-papiers" },
+            click: { patterns: ["clique [sur] {element}"], help: "Clique sur un lien, un bouton ou un élément par son nom, p. ex. « clique sur connexion »" },
+            focus: { patterns: ["focus sur {element}", "place le curseur (dans|sur) {element}"], help: "Place le curseur dans un champ ou un élément par son nom" },
+            showHints: { patterns: ["(affiche|montre) les numéros", "numérote [les] éléments"], help: "Affiche un numéro sur chaque élément cliquable" },
+            hideHints: { patterns: ["(masque|cache|enlève) les numéros"], help: "Retire les numéros" },
+            clickHint: { patterns: ["clique [sur] [le] [numéro] {number}"], help: "Clique sur l'élément portant ce numéro" },
+            focusHint: { patterns: ["focus sur [le] [numéro] {number}"], help: "Place le curseur sur l'élément portant ce numéro" },
+            openHintInNewTab: { patterns: ["ouvre [le] [numéro] {number} dans un nouvel onglet"], help: "Ouvre le lien portant ce numéro dans un nouvel onglet" },
+            showGrid: { patterns: ["(affiche|ouvre) [la] grille", "grille [de] [la] souris"], help: "Découpe l'écran en cases numérotées pour cliquer là où rien n'a de nom" },
+            hideGrid: { patterns: ["(annule|masque|ferme|quitte) [la] grille"], help: "Retire la grille (Échap fait de même)" },
+            gridZoom: { patterns: ["[case] {number}"], help: "Avec la grille, zoome sur cette case" },
+            gridZoomOut: { patterns: ["dézoome", "zoom arrière", "grille retour"], help: "Avec la grille, revient à la zone plus grande" },
+            gridClick: { patterns: ["clique", "clique [sur] [la] [case] {number}"], help: "Avec la grille, clique en son milieu (ou au milieu d'une case)" },
+            gridDoubleClick: { patterns: ["double-clique", "double clic", "double-clique [sur] [la] [case] {number}"], help: "Avec la grille, double-clique à cet endroit" },
+            gridRightClick: { patterns: ["clic droit", "clic droit [sur] [la] [case] {number}"], help: "Avec la grille, fait un clic droit à cet endroit" },
+            gridHover: { patterns: ["survole", "survole [la] [case] {number}"], help: "Avec la grille, place la souris à cet endroit" },
+            gridDragFrom: { patterns: ["glisse depuis ici", "commence à glisser"], help: "Avec la grille, fixe le départ du glisser et choisit l'arrivée" },
+            gridDragTo: { patterns: ["glisse (à|vers|jusqu'à) [la] [case] {number}", "dépose [ici]", "lâche [ici]"], help: "Avec la grille, glisse du point fixé (ou du milieu) jusqu'à cette case" },
+            check: { patterns: ["coche {element}"], help: "Coche une case ou un bouton radio par son libellé" },
+            uncheck: { patterns: ["décoche {element}"], help: "Décoche une case par son libellé" },
+            selectOption: { patterns: ["(sélectionne|choisis) {option} dans {element}", "(sélectionne|choisis) {option}"], help: "Choisit une option d'une liste, p. ex. « choisis canada dans pays »" },
+            pressKey: { patterns: ["appuie sur [la] [touche] {key}"], help: "Appuie sur entrée, tabulation, échap, retour arrière, espace ou une flèche" },
+            submitForm: { patterns: ["(envoie|soumets|valide) [le] formulaire"], help: "Envoie le formulaire en cours" },
+            type: { patterns: ["(écris|tape|saisis) {text}"], help: "Écrit du texte dans le champ actif ; la ponctuation peut être dictée" },
+            startDictation: { patterns: ["(commence|démarre) [la] dictée", "dicte"], help: "Écrit tout ce que tu dis dans le champ actif" },
+            stopDictation: { patterns: ["(arrête|termine) [la] dictée", "fin de [la] dictée"], help: "Quitte le mode dictée" },
+            deleteLastWord: { patterns: ["(efface|supprime) [le] dernier mot"], help: "Efface le mot avant le curseur" },
+            undoTyping: { patterns: ["annule la saisie", "annule", "efface ça"], help: "Annule la dernière modification du champ" },
+            redoTyping: { patterns: ["rétablis", "refais"], help: "Rétablit la dernière modification annulée" },
+            selectAll: { patterns: ["sélectionne tout", "tout sélectionner"], help: "Sélectionne tout le texte du champ ou de la page" },
+            clearField: { patterns: ["(efface|vide) [le] champ", "efface tout"], help: "Vide le champ actif" },
+            selectParagraph: { patterns: ["sélectionne [le] [ce] paragraphe"], help: "Sélectionne le paragraphe (ou la ligne, dans un champ) autour du curseur" },
+            selectSentence: { patterns: ["sélectionne [la] [cette] phrase"], help: "Sélectionne la phrase autour du curseur" },
+            selectBetween: { patterns: ["sélectionne de {start} à {end}", "sélectionne depuis {start} jusqu'à {end}"], help: "Sélectionne tout d'une phrase à une autre, p. ex. « sélectionne de madame à cordialement »" },
+            selectText: { patterns: ["sélectionne {text}"], help: "Sélectionne une phrase dans le champ actif ou sur la page" },
+            extendSelection: { patterns: ["étends [la] sélection [d'un] mot", "étends [la] sélection de {number} mots"], help: "Ajoute le mot suivant (ou les mots suivants) à la sélection" },
+            copySelection: { patterns: ["copie", "copie (ça|ceci|la)", "copie [la] sélection"], help: "Copie le texte sélectionné" },
+            cutSelection: { patterns: ["coupe", "coupe (ça|ceci|la)", "coupe [la] sélection"], help: "Coupe le texte sélectionné du champ" },
+            paste: { patterns: ["colle", "colle (ça|ici)"], help: "Colle le presse-papiers au curseur" },
+            copyLink: { patterns: ["copie [le] lien {name}", "copie le lien vers {name}"], help: "Copie l'adresse d'un lien par son nom, p. ex. « copie le lien tarifs »" }
+        },
+        categories: {
+            "Navigation": "Navigation",
+            "Scrolling": "Défilement",
+            "Tabs": "Onglets",
+            "Browser": "Navigateur",
+            "Interaction & Forms": "Interaction et formulaires",
+            "Page Structure": "Structure de la page",
+            "Dictation": "Dictée",
+            "Selection & Clipboard": "Sélection et presse-papiers",
+            "Reading": "Lecture",
+            "Media": "Médias",
+            "History": "Historique",
+            "System": "Système",
+            "Custom Commands": "Commandes personnalisées"
+        },
+        messages: {
+            "Listening...": "À l'écoute...",
+            "Network error": "Erreur réseau",
+            "Mic access denied": "Accès au micro refusé",
+            "Local engine did not respond": "Le moteur local ne répond pas",
+            "Error: {error}": "Erreur : {error}",
+            "Dictating... say \"stop dictation\" to finish": "Dictée en cours... dites \"arrête la dictée\" pour terminer",
+            "Extension not responding": "L'extension ne répond pas",
+            "Finding {name}": "Recherche de {name}",
+            "Navigating to {url}": "Ouverture de {url}",
+            "Opening {name}": "Ouverture de {name}",
+            "Searching {engine} for {query}": "Recherche de {query} sur {engine}",
+            "Focused: {name}": "Focus : {name}",
+            "Clicked: {name}": "Clic : {name}",
+            "Focus a text field first": "Placez-vous d'abord dans un champ de texte",
+            "Typed: {text}": "Saisi : {text}",
+            "Dictation started": "Dictée commencée",
+            "Dictation stopped": "Dictée terminée",
+            "Dictation field was removed": "Le champ de la dictée a disparu",
+            "Pressed {key}": "Touche {key} appuyée",
+            "{name} is already checked": "{name} est déjà coché",
+            "{name} is already unchecked": "{name} est déjà décoché",
+            "No option \"{option}\"": "Aucune option \"{option}\"",
+            "Selected {option}": "{option} sélectionné",
+            "Focus a field in the form first": "Placez-vous d'abord dans un champ du formulaire",
+            "No form on this page": "Aucun formulaire sur cette page",
+            "Form submitted": "Formulaire envoyé",
+            "Nothing matches {selector}": "Rien ne correspond à {selector}",
+            "Macro nested too deeply": "Macro trop imbriquée",
+            "Macro step not recognized: {step}": "Étape de macro non reconnue : {step}",
+            "Nothing to repeat": "Rien à répéter",
+            "Repeating \"{command}\"": "Répétition de \"{command}\"",
+            "Repeating \"{command}\" {count} times": "Répétition de \"{command}\" {count} fois",
+            "That scroll was on another page": "Ce défilement était sur une autre page",
+            "Undid \"{command}\"": "Annulé : \"{command}\"",
+            "No answer, cancelled": "Pas de réponse, annulé",
+            "Cancelled": "Annulé",
+            "Sorry, say a number or cancel": "Désolé, dites un numéro ou annuler",
+            "Which one? Say 1 to {count}": "Lequel ? Dites un numéro de 1 à {count}",
+            "Focused {name}": "Focus sur {name}",
+            "Clicked {name}": "Clic sur {name}",
+            "{number} is not a link": "{number} n'est pas un lien",
+            "Opening {number} in new tab": "Ouverture de {number} dans un nouvel onglet",
+            "Not recognized: {text}": "Non reconnu : {text}",
+            "Stopped listening": "Écoute arrêtée",
+            "Reading... say \"stop reading\" to stop": "Lecture... dites \"arrête de lire\" pour arrêter",
+            "Reading...": "Lecture...",
+            "Finished reading": "Lecture terminée",
+            "Nothing to read here": "Rien à lire ici",
+            "No headings on this page": "Aucun titre sur cette page",
+            "No links on screen": "Aucun lien à l'écran",
+            "Nothing is selected": "Rien n'est sélectionné",
+            "This is the first paragraph": "C'est le premier paragraphe",
+            "Paused reading": "Lecture en pause",
+            "Stopped reading": "Lecture arrêtée",
+            "Reading speed {percent}%": "Vitesse de lecture {percent} %",
+            "Could not read aloud": "Impossible de lire à voix haute",
+            "Heading level {level}: {name}": "Titre de niveau {level} : {name}",
+            "{landmark}: {name}": "{landmark} : {name}",
+            "Table: {name}, {rows} rows": "Tableau : {name}, {rows} lignes",
+            "untitled": "sans titre",
+            "unnamed": "sans nom",
+            "Link: {name}": "Lien : {name}",
+            "Field: {name}": "Champ : {name}",
+            "Main content": "Contenu principal",
+            "Navigation": "Navigation",
+            "Banner": "Bannière",
+            "Footer": "Pied de page",
+            "Sidebar": "Barre latérale",
+            "Search": "Recherche",
+            "Form": "Formulaire",
+            "Section": "Section",
+            "No more headings": "Plus de titres",
+            "No earlier headings": "Aucun titre avant",
+            "No more level {level} headings": "Plus de titres de niveau {level}",
+            "No more landmarks": "Plus de régions",
+            "No earlier landmarks": "Aucune région avant",
+            "No more form fields": "Plus de champs",
+            "No earlier form fields": "Aucun champ avant",
+            "No more tables": "Plus de tableaux",
+            "No earlier tables": "Aucun tableau avant",
+            "No more links": "Plus de liens",
+            "No earlier links": "Aucun lien avant",
+            "No {landmark} on this page": "Pas de {landmark} sur cette page",
+            "This page has no landmarks": "Cette page n'a pas de régions",
+            "{count} landmarks: {list}. Which one?": "{count} régions : {list}. Laquelle ?",
+            "No section called {name}": "Aucune section nommée {name}",
+            "Scrolled down {count} pages": "Descendu de {count} pages",
+            "Scrolled up {count} pages": "Monté de {count} pages",
+            "Scrolled left": "Défilé vers la gauche",
+            "Scrolled right": "Défilé vers la droite",
+            "Scrolling... say \"stop\" to stop": "Défilement... dites \"stop\" pour arrêter",
+            "Reached the top": "Haut de la page atteint",
+            "Reached the end": "Fin de la page atteinte",
+            "Stopped scrolling": "Défilement arrêté",
+            "Scrolling speed {speed} of {max}": "Vitesse de défilement {speed} sur {max}",
+            "No video or audio on this page": "Aucune vidéo ni audio sur cette page",
+            "Playing": "Lecture",
+            "The page blocked playback, click it once first": "La page a bloqué la lecture ; cliquez-y une fois d'abord",
+            "Paused": "En pause",
+            "Muted": "Son coupé",
+            "Unmuted": "Son rétabli",
+            "Volume {percent}%": "Volume {percent} %",
+            "Back {seconds} seconds": "Recul de {seconds} secondes",
+            "Forward {seconds} seconds": "Avance de {seconds} secondes",
+            "Speed must be between 0.25 and 4": "La vitesse doit être entre 0,25 et 4",
+            "Speed {rate}×": "Vitesse {rate}×",
+            "Fullscreen": "Plein écran",
+            "Fullscreen — say \"exit fullscreen\" to leave": "Plein écran : dites \"quitte le plein écran\" pour en sortir",
+            "Left fullscreen": "Plein écran quitté",
+            "Go ahead — say a command (\"stop\" to finish)": "Allez-y, dites une commande (\"stop\" pour finir)",
+            "Done — say the wake word when you need me": "Terminé, dites le mot d'activation quand vous aurez besoin de moi",
+            "Showing commands": "Affichage des commandes",
+            "Hiding commands": "Masquage des commandes",
+            "Nothing heard yet": "Rien entendu pour l'instant",
+            "Switched to the {name} profile": "Profil {name} activé",
+            "No profile called {name}": "Aucun profil nommé {name}",
+            "No profiles saved yet": "Aucun profil enregistré pour l'instant",
+            "Profiles: {names}": "Profils : {names}",
+            "Profiles: {names}. Using {name}": "Profils : {names}. Actif : {name}",
+            "VoiceControl is turned off on this site": "VoiceControl est désactivé sur ce site",
+            "Heard: {alternatives}": "Entendu : {alternatives}",
+            "Voice clicking is turned off on this site": "Les clics à la voix sont désactivés sur ce site",
+            "Click \"{name}\"?": "Cliquer sur « {name} » ?",
+            "You have unsaved changes on this page. Leave anyway?": "Cette page contient des modifications non enregistrées. Quitter quand même ?",
+            "Are you sure?": "Vous êtes sûr ?",
+            "Close this tab?": "Fermer cet onglet ?",
+            "Submit this form?": "Envoyer ce formulaire ?",
+            "Not allowed by voice on this site": "Interdit à la voix sur ce site",
+            "Say \"confirm\" or \"cancel\"": "Dites « confirmer » ou « annuler »",
+            "Opening new window": "Ouverture d'une nouvelle fenêtre",
+            "Opening incognito window": "Ouverture d'une fenêtre privée",
+            "Closing window": "Fermeture de la fenêtre",
+            "Close this window and all its tabs?": "Fermer cette fenêtre et tous ses onglets ?",
+            "Bookmarking": "Ajout aux favoris",
+            "Looking for bookmark {name}": "Recherche du favori {name}",
+            "Opening downloads": "Ouverture des téléchargements",
+            "Opening last download": "Ouverture du dernier téléchargement",
+            "Zooming in": "Zoom avant",
+            "Zooming out": "Zoom arrière",
+            "Resetting zoom": "Réinitialisation du zoom",
+            "No matches for \"{text}\"": "Aucun résultat pour « {text} »",
+            "Match {index} of {count}": "Résultat {index} sur {count}",
+            "Nothing found yet — say \"find\" and the words": "Aucune recherche : dites « trouve » suivi des mots",
+            "Nothing is highlighted": "Rien n'est surligné",
+            "Highlights cleared": "Surlignage effacé",
+            "Copied page link": "Lien de la page copié",
+            "Selected: {text}": "Sélectionné : {text}",
+            "Nothing to select here": "Rien à sélectionner ici",
+            "Copied: {text}": "Copié : {text}",
+            "Cut: {text}": "Coupé : {text}",
+            "Pasted: {text}": "Collé : {text}",
+            "Pasted": "Collé",
+            "Only text in a field can be cut": "Seul le texte d'un champ peut être coupé",
+            "The clipboard is empty": "Le presse-papiers est vide",
+            "Couldn't read the clipboard": "Impossible de lire le presse-papiers",
+            "Copied link: {text}": "Lien copié : {text}",
+            "No link called {name}": "Aucun lien nommé {name}",
+            "Say a number to zoom in, then \"click\"": "Dites un numéro pour zoomer, puis « clique »",
+            "Grid closed": "Grille fermée",
+            "As close as it goes, say \"click\"": "Impossible de zoomer plus, dites « clique »",
+            "Zoomed into {number}": "Zoom sur {number}",
+            "The grid already covers the screen": "La grille couvre déjà l'écran",
+            "Zoomed out": "Zoom arrière",
+            "Clicked": "Cliqué",
+            "Double-clicked": "Double-clic fait",
+            "Right-clicked": "Clic droit fait",
+            "Hovering": "Souris placée",
+            "Nothing there to click": "Rien à cliquer ici",
+            "Now pick where to drop it": "Choisissez maintenant où le déposer",
+            "Say \"drag from here\" first": "Dites d'abord « glisse depuis ici »",
+            "Dragged": "Glissé",
+            "Nothing there to drag": "Rien à glisser ici",
+            "Closing tabs": "Fermeture des onglets",
+            "Saving session": "Enregistrement de la session",
+            "Checking sessions": "Recherche des sessions",
+            "Opening session {name}": "Ouverture de la session {name}",
+            "Closing session": "Fermeture de la session",
+            "Close all other tabs?": "Fermer tous les autres onglets ?",
+            "Close the tabs to the right?": "Fermer les onglets à droite ?",
+            "Save this session and close its window?": "Enregistrer cette session et fermer sa fenêtre ?",
+            "No tabs here that can be saved": "Aucun onglet à enregistrer ici",
+            "Saved {count} tabs as {name}": "{count} onglets enregistrés sous {name}",
+            "No saved sessions yet": "Aucune session enregistrée pour l'instant",
+            "Sessions: {names}": "Sessions : {names}",
+            "No session called {name}": "Aucune session nommée {name}",
+            "Opened session {name}": "Session {name} ouverte",
+            "This window isn't a saved session": "Cette fenêtre n'est pas une session enregistrée",
+            "Closing session {name}": "Fermeture de la session {name}",
+            "No other tabs to close": "Aucun autre onglet à fermer",
+            "No tabs to the right": "Aucun onglet à droite",
+            "Closed {count} tabs": "{count} onglets fermés",
+            "Could not save the session": "Impossible d'enregistrer la session",
+            "Could not open the session": "Impossible d'ouvrir la session",
+            "Could not close the session": "Impossible de fermer la session",
+            "Could not close the tabs": "Impossible de fermer les onglets",
+            "No window to save": "Aucune fenêtre à enregistrer",
+            "Could not read the sessions": "Impossible de lire les sessions",
+            "No session to close": "Aucune session à fermer",
+            "No tabs to close": "Aucun onglet à fermer",
+            "Couldn't copy to the clipboard": "Impossible de copier dans le presse-papiers",
+            "Opened new window": "Nouvelle fenêtre ouverte",
+            "Opened incognito window": "Fenêtre privée ouverte",
+            "Incognito windows are turned off": "Les fenêtres privées sont désactivées",
+            "Could not open a window": "Impossible d'ouvrir une fenêtre",
+            "No window to close": "Aucune fenêtre à fermer",
+            "No window to make fullscreen": "Aucune fenêtre à mettre en plein écran",
+            "This page can't be bookmarked": "Cette page ne peut pas être ajoutée aux favoris",
+            "Already bookmarked": "Déjà dans les favoris",
+            "Bookmarked {title}": "Ajouté aux favoris : {title}",
+            "Could not bookmark this page": "Impossible d'ajouter cette page aux favoris",
+            "No bookmark called {name}": "Aucun favori nommé {name}",
+            "Opening bookmark {title}": "Ouverture du favori {title}",
+            "Could not open that bookmark": "Impossible d'ouvrir ce favori",
+            "No tab to open it in": "Aucun onglet où l'ouvrir",
+            "Opened downloads": "Téléchargements ouverts",
+            "No downloads yet": "Aucun téléchargement pour l'instant",
+            "Opening {file}": "Ouverture de {file}",
+            "Showing {file} in its folder": "{file} affiché dans son dossier",
+            "Could not open the download": "Impossible d'ouvrir le téléchargement",
+            "No tab to zoom": "Aucun onglet à zoomer",
+            "Zoom reset": "Zoom réinitialisé",
+            "Zoom {percent}%": "Zoom {percent} %",
+            "Already zoomed in all the way": "Zoom déjà au maximum",
+            "Already zoomed out all the way": "Zoom déjà au minimum",
+            "This page can't be zoomed": "Impossible de zoomer sur cette page",
+            "Going back": "Retour en arrière",
+            "Going forward": "Page suivante",
+            "Reloading": "Rechargement",
+            "Scrolled down": "Défilement vers le bas",
+            "Scrolled up": "Défilement vers le haut",
+            "Scrolled to top": "Haut de la page",
+            "Scrolled to bottom": "Bas de la page",
+            "Opening new tab": "Ouverture d'un nouvel onglet",
+            "Closing tab": "Fermeture de l'onglet",
+            "Switching tab": "Changement d'onglet",
+            "Switching to last tab": "Passage au dernier onglet",
+            "Switching to tab {number}": "Passage à l'onglet {number}",
+            "Switching to {title}": "Passage à {title}",
+            "Reopening closed tab": "Réouverture de l'onglet fermé",
+            "Pinning tab": "Épinglage de l'onglet",
+            "Unpinning tab": "Désépinglage de l'onglet",
+            "Muting tab": "Coupure du son",
+            "Unmuting tab": "Rétablissement du son",
+            "Duplicating tab": "Duplication de l'onglet",
+            "Showing {count} numbers": "{count} numéros affichés",
+            "Numbers hidden": "Numéros masqués",
+            "Undone": "Annulé",
+            "Redone": "Rétabli",
+            "Selected all": "Tout est sélectionné",
+            "Field cleared": "Champ vidé",
+            "Voice Commands": "Commandes vocales",
+            "Say \"hide commands\" or press Escape to close this menu.": "Dites \"masque les commandes\" ou appuyez sur Échap pour fermer ce menu.",
+            "Nothing to undo": "Rien à annuler",
+            "Reopened closed tab": "Onglet fermé rouvert",
+            "Could not reopen the tab": "Impossible de rouvrir l'onglet",
+            "The last action was in another tab": "La dernière action a eu lieu dans un autre onglet",
+            "That command is no longer in the history": "Cette commande n'est plus dans l'historique",
+            "History cleared": "Historique effacé",
+            "Ran {command}": "{command} exécuté",
+            "Could not run {command}": "Impossible d'exécuter {command}",
+            "There is no tab {number}": "Il n'y a pas d'onglet {number}",
+            "No tab matching {title}": "Aucun onglet ne correspond à {title}",
+            "No tab specified": "Aucun onglet indiqué",
+            "Switched to {title}": "Onglet {title}",
+            "No tab to switch to": "Aucun autre onglet",
+            "This is the only tab": "C'est le seul onglet",
+            "Next tab": "Onglet suivant",
+            "Previous tab": "Onglet précédent",
+            "Opened new tab": "Nouvel onglet ouvert",
+            "No tab to close": "Aucun onglet à fermer",
+            "No site given": "Aucun site indiqué",
+            "Could not open {url}": "Impossible d'ouvrir {url}",
+            "Opened {url}": "{url} ouvert",
+            "No closed tab to reopen": "Aucun onglet fermé à rouvrir",
+            "No tab to pin": "Aucun onglet à épingler",
+            "Pinned tab": "Onglet épinglé",
+            "Unpinned tab": "Onglet désépinglé",
+            "No tab to mute": "Aucun onglet à rendre muet",
+            "Muted tab": "Son de l'onglet coupé",
+            "Unmuted tab": "Son de l'onglet rétabli",
+            "No tab to duplicate": "Aucun onglet à dupliquer",
+            "Duplicated tab": "Onglet dupliqué"
+        }
+    },
+
+    "hi-IN": {
+        name: "हिन्दी",
+        wakeWord: "हे ब्राउज़र",
+        numbers: {
+            "एक": 1, "दो": 2, "तीन": 3, "चार": 4, "पांच": 5, "पाँच": 5, "छह": 6, "छः": 6, "सात": 7, "आठ": 8,
+            "नौ": 9, "दस": 10, "पहला": 1, "पहले": 1, "दूसरा": 2, "दूसरे": 2, "तीसरा": 3, "तीसरे": 3,
+            "आख़िरी": -1, "अंतिम": -1
+        },
+        scrollSizes: {
+            "थोड़ा": "little", "थोड़ा सा": "little", "बहुत": "lot", "ज़्यादा": "lot",
+            "आधा पेज": "half", "आधी स्क्रीन": "half"
+        },
+        politeness: ["कृपया", "प्लीज़", "ज़रा"],
+        cancel: ["रद्द करो", "रद्द", "रहने दो", "कोई नहीं", "छोड़ो"],
+        confirm: ["पुष्टि करो", "हाँ", "हां", "कर दो", "ठीक है"],
+        riskyWords: [
+            "हटाएँ", "हटाएं", "मिटाएँ", "मिटाएं", "डिलीट", "ख़रीदें", "खरीदें", "ऑर्डर", "भुगतान",
+            "भेजें", "ट्रांसफ़र", "प्रकाशित"
+        ],
+        keys: {
+            "एंटर": "enter", "टैब": "tab", "एस्केप": "escape", "स्पेस": "space", "बैकस्पेस": "backspace",
+            "डिलीट": "delete", "ऊपर": "up", "नीचे": "down", "बाएँ": "left", "बाएं": "left",
+            "दाएँ": "right", "दाएं": "right", "होम": "home", "एंड": "end"
+        },
+        commands: {
+            repeat: { patterns: ["फिर से", "दोबारा", "दोहराओ"], help: "पिछली कमांड फिर से चलाएँ" },
+            repeatTimes: { patterns: ["{number} बार (दोहराओ|करो)"], help: "पिछली कमांड कई बार चलाएँ, जैसे \"5 बार करो\"" },
+            undo: { patterns: ["पूर्ववत करो", "वापस लो", "अनडू"], help: "पिछला स्क्रॉल, नेविगेशन या बंद टैब वापस लाएँ" },
+            stopListening: { patterns: ["सुनना बंद करो", "माइक बंद करो", "सो जाओ"], help: "माइक बंद करें (हमेशा सुनने वाला मोड भी बंद होता है)" },
+            endSession: { patterns: ["रुको", "बस", "बस इतना ही", "हो गया", "रहने दो"], help: "फ़ॉलो-अप समय ख़त्म करें, अगली कमांड के लिए फिर से वेक वर्ड बोलें" },
+            readPage: { patterns: ["(यह|पूरा) पेज पढ़ो", "पेज पढ़ो", "लेख पढ़ो"], help: "पेज का मुख्य लेख पढ़कर सुनाएँ, हर पैराग्राफ़ को हाइलाइट करते हुए" },
+            readHeadings: { patterns: ["हेडिंग पढ़ो", "शीर्षक पढ़ो"], help: "पेज के शीर्षक पढ़ें" },
+            readLinks: { patterns: ["लिंक पढ़ो"], help: "स्क्रीन पर दिख रहे लिंक पढ़ें" },
+            readSelection: { patterns: ["चुना हुआ पढ़ो", "चुना हुआ टेक्स्ट पढ़ो", "चयन पढ़ो"], help: "चुना हुआ टेक्स्ट पढ़ें" },
+            readFromHere: { patterns: ["यहाँ से पढ़ो", "पढ़ना शुरू करो"], help: "फ़ोकस वाले एलिमेंट या स्क्रीन के ऊपर से पढ़ें" },
+            nextParagraph: { patterns: ["अगला पैराग्राफ़", "पैराग्राफ़ छोड़ो"], help: "अगला पैराग्राफ़ पढ़ें" },
+            previousParagraph: { patterns: ["पिछला पैराग्राफ़"], help: "पिछला पैराग्राफ़ पढ़ें" },
+            pauseReading: { patterns: ["रोको", "पढ़ना रोको"], help: "पढ़ना रोकें" },
+            resumeReading: { patterns: ["फिर से शुरू करो", "पढ़ते रहो"], help: "रुकने के बाद पढ़ना जारी रखें" },
+            stopReading: { patterns: ["पढ़ना बंद करो", "चुप हो जाओ"], help: "पढ़ना बंद करें" },
+            readFaster: { patterns: ["तेज़", "तेज़ पढ़ो"], help: "तेज़ पढ़ें" },
+            readSlower: { patterns: ["धीरे", "धीरे पढ़ो"], help: "धीरे पढ़ें" },
+            nextHeading: { patterns: ["अगली (हेडिंग|शीर्षक)"], help: "अगली हेडिंग पर जाएँ" },
+            previousHeading: { patterns: ["पिछली (हेडिंग|शीर्षक)"], help: "पिछली हेडिंग पर जाएँ" },
+            headingLevel: { patterns: ["लेवल {number} (हेडिंग|शीर्षक)", "(हेडिंग|शीर्षक) लेवल {number}"], help: "उस लेवल की अगली हेडिंग पर जाएँ, जैसे \"हेडिंग लेवल 2\"" },
+            goToMain: { patterns: ["मुख्य (सामग्री|कंटेंट) पर जाओ", "मुख्य (सामग्री|कंटेंट)"], help: "मुख्य सामग्री पर जाएँ" },
+            goToNavigation: { patterns: ["(नेविगेशन|मेन्यू) पर जाओ"], help: "(अगले) नेविगेशन मेन्यू पर जाएँ" },
+            goToSearch: { patterns: ["सर्च बॉक्स पर जाओ", "खोज पर जाओ"], help: "साइट के सर्च वाले हिस्से पर जाएँ" },
+            nextLandmark: { patterns: ["अगला (हिस्सा|क्षेत्र)"], help: "अगले हिस्से पर जाएँ" },
+            previousLandmark: { patterns: ["पिछला (हिस्सा|क्षेत्र)"], help: "पिछले हिस्से पर जाएँ" },
+            listLandmarks: { patterns: ["(हिस्से|क्षेत्र) दिखाओ"], help: "पेज के हिस्सों पर नंबर लगाकर पढ़ें, फिर वहाँ जाने के लिए नंबर बोलें" },
+            goToSection: { patterns: ["{name} सेक्शन पर जाओ", "सेक्शन {name} पर जाओ"], help: "उस नाम की हेडिंग या हिस्से पर जाएँ, जैसे \"प्राइसिंग सेक्शन पर जाओ\"" },
+            nextFormField: { patterns: ["अगला (फ़ील्ड|खाना)"], help: "फ़ॉर्म के अगले फ़ील्ड पर जाएँ" },
+            previousFormField: { patterns: ["पिछला (फ़ील्ड|खाना)"], help: "पिछले फ़ील्ड पर जाएँ" },
+            nextTable: { patterns: ["अगली (टेबल|तालिका)"], help: "अगली टेबल पर जाएँ" },
+            previousTable: { patterns: ["पिछली (टेबल|तालिका)"], help: "पिछली टेबल पर जाएँ" },
+            nextLink: { patterns: ["अगला लिंक"], help: "अगले लिंक पर जाएँ" },
+            previousLink: { patterns: ["पिछला लिंक"], help: "पिछले लिंक पर जाएँ" },
+            findText: { patterns: ["पेज पर {text} ढूँढो", "{text} ढूँढो", "{text} ढूंढो"], help: "टेक्स्ट जहाँ-जहाँ है उसे हाइलाइट करें और पहले पर जाएँ" },
+            nextMatch: { patterns: ["अगला नतीजा", "अगला मिलान"], help: "अगले मिलान पर जाएँ" },
+            previousMatch: { patterns: ["पिछला नतीजा", "पिछला मिलान"], help: "पिछले मिलान पर जाएँ" },
+            clearFind: { patterns: ["हाइलाइट हटाओ", "ढूँढना बंद करो"], help: "खोज की हाइलाइट हटाएँ" },
+            playMedia: { patterns: ["(वीडियो|गाना) चलाओ", "चलाओ", "प्ले करो"], help: "पेज का वीडियो या ऑडियो चलाएँ" },
+            pauseMedia: { patterns: ["(वीडियो|गाना) रोको", "पॉज़ करो"], help: "वीडियो या ऑडियो रोकें" },
+            muteMedia: { patterns: ["वीडियो म्यूट करो", "म्यूट करो"], help: "वीडियो म्यूट करें, वीडियो न हो तो टैब" },
+            unmuteMedia: { patterns: ["वीडियो अनम्यूट करो", "अनम्यूट करो"], help: "वीडियो अनम्यूट करें, वीडियो न हो तो टैब" },
+            volumeUp: { patterns: ["आवाज़ बढ़ाओ", "आवाज़ तेज़ करो"], help: "आवाज़ बढ़ाएँ" },
+            volumeDown: { patterns: ["आवाज़ घटाओ", "आवाज़ कम करो"], help: "आवाज़ घटाएँ" },
+            setVolume: { patterns: ["आवाज़ {number} [प्रतिशत] [करो]", "वॉल्यूम {number} [प्रतिशत] [करो]"], help: "आवाज़ प्रतिशत में तय करें, जैसे \"आवाज़ 50 करो\"" },
+            skipForward: { patterns: ["{number} सेकंड आगे [करो|जाओ]", "आगे करो"], help: "आगे बढ़ें, जैसे \"30 सेकंड आगे करो\" (न बताएँ तो 10)" },
+            skipBack: { patterns: ["{number} सेकंड पीछे [करो|जाओ]", "पीछे करो"], help: "पीछे जाएँ, जैसे \"10 सेकंड पीछे करो\"" },
+            mediaSpeed: { patterns: ["स्पीड {decimal} [करो]", "स्पीड {number} [करो]", "नॉर्मल स्पीड"], help: "चलने की गति बदलें, जैसे \"स्पीड 1.5 करो\" या \"नॉर्मल स्पीड\"" },
+            fullscreen: { patterns: ["फ़ुल स्क्रीन [करो]"], help: "वीडियो फ़ुल स्क्रीन दिखाएँ" },
+            exitFullscreen: { patterns: ["फ़ुल स्क्रीन बंद करो", "फ़ुल स्क्रीन से बाहर निकलो"], help: "फ़ुल स्क्रीन से बाहर आएँ" },
+            showCommands: { patterns: ["कमांड दिखाओ", "मदद", "सहायता"], help: "कमांड की यह सूची दिखाएँ" },
+            hideCommands: { patterns: ["कमांड छिपाओ", "कमांड बंद करो", "मदद बंद करो"], help: "कमांड की सूची छिपाएँ" },
+            whatDidYouHear: { patterns: ["तुमने क्या सुना", "क्या सुना", "विकल्प दिखाओ"], help: "आपकी पिछली बात किन-किन तरह सुनी गई, सब दिखाएँ; जिस पर काम हुआ उस पर ✓" },
+            switchProfile: { patterns: ["{name} प्रोफ़ाइल पर जाओ", "{name} प्रोफ़ाइल इस्तेमाल करो", "प्रोफ़ाइल {name}"], help: "विकल्पों में सहेजी गई सेटिंग्स प्रोफ़ाइल पर जाएँ, जैसे \"प्रेज़ेंटेशन प्रोफ़ाइल पर जाओ\"" },
+            listProfiles: { patterns: ["प्रोफ़ाइल की सूची", "प्रोफ़ाइल दिखाओ", "कौन सी प्रोफ़ाइल चल रही है"], help: "बताएँ कि कौन-कौन सी सेटिंग्स प्रोफ़ाइल हैं और कौन सी इस्तेमाल में है" },
+            goTo: { patterns: ["{site} (पर|पे) जाओ", "{site} खोलो"], help: "कोई वेबसाइट, बुकमार्क या देखी हुई साइट खोलें, जैसे \"नेटफ्लिक्स खोलो\"" },
+            search: { patterns: ["{query} खोजो", "{query} सर्च करो"], help: "डिफ़ॉल्ट सर्च इंजन से खोजें" },
+            searchEngine: { patterns: ["{engine} (पर|पे) {query} खोजो", "{engine} (पर|पे) {query} सर्च करो"], help: "किसी खास सर्च इंजन पर खोजें, जैसे \"यूट्यूब पर बिल्ली खोजो\"" },
+            goBack: { patterns: ["(पीछे|वापस) जाओ", "पीछे"], help: "पिछले पेज पर जाएँ" },
+            goForward: { patterns: ["आगे जाओ", "आगे"], help: "अगले पेज पर जाएँ" },
+            reload: { patterns: ["[पेज] (रीलोड|रिफ्रेश) करो"], help: "पेज फिर से लोड करें" },
+            scrollDown: { patterns: ["नीचे स्क्रॉल करो", "नीचे जाओ", "नीचे"], help: "तय दूरी तक नीचे स्क्रॉल करें" },
+            scrollUp: { patterns: ["ऊपर स्क्रॉल करो", "ऊपर जाओ", "ऊपर"], help: "तय दूरी तक ऊपर स्क्रॉल करें" },
+            scrollDownBy: { patterns: ["{scrollSize} नीचे जाओ", "{scrollSize} नीचे स्क्रॉल करो"], help: "थोड़ा, बहुत या आधा पेज नीचे स्क्रॉल करें" },
+            scrollUpBy: { patterns: ["{scrollSize} ऊपर जाओ", "{scrollSize} ऊपर स्क्रॉल करो"], help: "थोड़ा, बहुत या आधा पेज ऊपर स्क्रॉल करें" },
+            scrollDownPages: { patterns: ["{number} पेज नीचे जाओ", "{number} पेज नीचे स्क्रॉल करो"], help: "कई स्क्रीन नीचे जाएँ, जैसे \"3 पेज नीचे जाओ\"" },
+            scrollUpPages: { patterns: ["{number} पेज ऊपर जाओ", "{number} पेज ऊपर स्क्रॉल करो"], help: "कई स्क्रीन ऊपर जाएँ" },
+            scrollLeft: { patterns: ["बाएँ स्क्रॉल करो", "बाएँ जाओ"], help: "बाएँ स्क्रॉल करें" },
+            scrollRight: { patterns: ["दाएँ स्क्रॉल करो", "दाएँ जाओ"], help: "दाएँ स्क्रॉल करें" },
+            autoScrollDown: { patterns: ["नीचे स्क्रॉल करते रहो", "स्क्रॉल करते रहो"], help: "\"रुको\" कहने तक लगातार नीचे स्क्रॉल करें" },
+            autoScrollUp: { patterns: ["ऊपर स्क्रॉल करते रहो"], help: "\"रुको\" कहने तक लगातार ऊपर स्क्रॉल करें" },
+            stopAutoScroll: { patterns: ["स्क्रॉल करना बंद करो", "रुको"], help: "स्क्रॉल करना रोकें" },
+            scrollFaster: { patterns: ["तेज़", "तेज़ स्क्रॉल करो"], help: "स्क्रॉल तेज़ करें" },
+            scrollSlower: { patterns: ["धीरे", "धीरे स्क्रॉल करो"], help: "स्क्रॉल धीमा करें" },
+            scrollTop: { patterns: ["सबसे ऊपर जाओ", "पेज की शुरुआत पर जाओ"], help: "पेज की शुरुआत पर जाएँ" },
+            scrollBottom: { patterns: ["सबसे नीचे जाओ", "पेज के अंत पर जाओ"], help: "पेज के अंत पर जाएँ" },
+            newTab: { patterns: ["नया टैब [खोलो]"], help: "नया खाली टैब खोलें" },
+            closeTab: { patterns: ["[यह] टैब बंद करो"], help: "यह टैब बंद करें" },
+            nextTab: { patterns: ["अगला टैब"], help: "अगले टैब पर जाएँ" },
+            previousTab: { patterns: ["पिछला टैब"], help: "पिछले टैब पर जाएँ" },
+            switchTabNumber: { patterns: ["टैब {number} (पर|पे) जाओ", "टैब {number}"], help: "उस नंबर वाले टैब पर जाएँ" },
+            switchTabTitle: { patterns: ["{title} (वाले|वाला) टैब (पर|पे) जाओ"], help: "उस टैब पर जाएँ जिसके शीर्षक में ये शब्द हों" },
+            openInNewTab: { patterns: ["{site} नए टैब में खोलो"], help: "वेबसाइट नए टैब में खोलें" },
+            reopenTab: { patterns: ["बंद टैब दोबारा खोलो", "बंद किया टैब वापस लाओ"], help: "हाल में बंद किया टैब फिर से खोलें" },
+            pinTab: { patterns: ["[यह] टैब पिन करो"], help: "यह टैब पिन करें" },
+            unpinTab: { patterns: ["[यह] टैब अनपिन करो"], help: "यह टैब अनपिन करें" },
+            muteTab: { patterns: ["[यह] टैब म्यूट करो", "आवाज़ बंद करो"], help: "इस टैब की आवाज़ बंद करें" },
+            unmuteTab: { patterns: ["[यह] टैब अनम्यूट करो", "आवाज़ चालू करो"], help: "इस टैब की आवाज़ चालू करें" },
+            duplicateTab: { patterns: ["[यह] टैब डुप्लीकेट करो"], help: "इस टैब की कॉपी खोलें" },
+            closeOtherTabs: { patterns: ["बाकी [सारे] टैब बंद करो", "दूसरे [सारे] टैब बंद करो"], help: "इस विंडो में इस टैब के अलावा सारे टैब बंद करें (पिन किए टैब रहेंगे)" },
+            closeTabsToRight: { patterns: ["दाईं (ओर|तरफ़|तरफ) के टैब बंद करो"], help: "इस टैब के बाद वाले टैब बंद करें" },
+            saveSession: { patterns: ["सेशन {name} [के] नाम से सेव करो", "इन टैब को {name} नाम से सेव करो"], help: "इस विंडो के टैब एक नाम से रखें, जैसे \"सेशन टैक्स नाम से सेव करो\"" },
+            listSessions: { patterns: ["[मेरे] सेशन (बताओ|दिखाओ)", "सेव किए सेशन बताओ"], help: "सेव किए सेशन के नाम सुनाएँ" },
+            openSession: { patterns: ["{name} सेशन खोलो", "सेशन {name} खोलो"], help: "सेव किए सेशन के टैब नई विंडो में खोलें" },
+            closeSession: { patterns: ["[यह] सेशन बंद करो"], help: "इस विंडो का सेशन सेव करके विंडो बंद करें" },
+            newWindow: { patterns: ["नई विंडो [खोलो]"], help: "नई विंडो खोलें" },
+            newIncognitoWindow: { patterns: ["नई (इनकॉग्निटो|प्राइवेट) विंडो [खोलो]", "इनकॉग्निटो विंडो [खोलो]"], help: "नई इनकॉग्निटो विंडो खोलें" },
+            closeWindow: { patterns: ["[यह] विंडो बंद करो"], help: "यह विंडो और उसके सारे टैब बंद करें" },
+            bookmarkPage: { patterns: ["[इस] पेज को बुकमार्क करो", "बुकमार्क करो"], help: "इस पेज को बुकमार्क करें" },
+            openBookmark: { patterns: ["बुकमार्क {name} खोलो", "{name} बुकमार्क खोलो"], help: "नाम से बुकमार्क खोलें" },
+            showDownloads: { patterns: ["डाउनलोड (दिखाओ|खोलो)"], help: "डाउनलोड का पेज खोलें" },
+            openLastDownload: { patterns: ["आख़िरी डाउनलोड खोलो", "पिछला डाउनलोड खोलो"], help: "सबसे नई डाउनलोड की गई फ़ाइल खोलें (या उसका फ़ोल्डर दिखाएँ)" },
+            zoomIn: { patterns: ["ज़ूम इन [करो]", "बड़ा करो"], help: "पेज बड़ा करें" },
+            zoomOut: { patterns: ["ज़ूम आउट [करो]", "छोटा करो"], help: "पेज छोटा करें" },
+            zoomReset: { patterns: ["ज़ूम रीसेट [करो]", "सामान्य आकार"], help: "ज़ूम सामान्य करें" },
+            copyPageLink: { patterns: ["[इस] पेज का लिंक कॉपी करो", "लिंक कॉपी करो"], help: "इस पेज का पता क्लिपबोर्ड पर कॉपी करें" },
+            click: { patterns: ["{element} (पर|पे) क्लिक करो"], help: "नाम से लिंक, बटन या एलिमेंट पर क्लिक करें, जैसे \"साइन इन पर क्लिक करो\"" },
+            focus: { patterns: ["{element} (पर|पे) फोकस करो"], help: "नाम से किसी फील्ड या एलिमेंट पर फोकस करें" },
+            showHints: { patterns: ["नंबर दिखाओ"], help: "हर क्लिक करने लायक एलिमेंट पर नंबर लगाएँ" },
+            hideHints: { patterns: ["नंबर (छिपाओ|हटाओ)"], help: "नंबर हटाएँ" },
+            clickHint: { patterns: ["[नंबर] {number} (पर|पे) क्लिक करो"], help: "उस नंबर वाले एलिमेंट पर क्लिक करें" },
+            focusHint: { patterns: ["[नंबर] {number} (पर|पे) फोकस करो"], help: "उस नंबर वाले एलिमेंट पर फोकस करें" },
+            openHintInNewTab: { patterns: ["[नंबर] {number} नए टैब में खोलो"], help: "उस नंबर वाला लिंक नए टैब में खोलें" },
+            showGrid: { patterns: ["[माउस] ग्रिड (दिखाओ|खोलो)"], help: "स्क्रीन को नंबर वाले खानों में बाँटें, ताकि बिना नाम वाली जगहों पर क्लिक हो सके" },
+            hideGrid: { patterns: ["ग्रिड हटाओ", "ग्रिड बंद करो", "ग्रिड रद्द करो"], help: "माउस ग्रिड हटाएँ (Escape से भी)" },
+            gridZoom: { patterns: ["[खाना] {number}"], help: "ग्रिड खुला हो तो उस खाने में ज़ूम करें" },
+            gridZoomOut: { patterns: ["ज़ूम आउट [करो]", "ग्रिड पीछे"], help: "ग्रिड खुला हो तो बड़े हिस्से पर लौटें" },
+            gridClick: { patterns: ["क्लिक करो", "[खाना] {number} (पर|पे) क्लिक करो"], help: "ग्रिड खुला हो तो उसके (या किसी खाने के) बीच में क्लिक करें" },
+            gridDoubleClick: { patterns: ["डबल क्लिक करो", "[खाना] {number} (पर|पे) डबल क्लिक करो"], help: "ग्रिड खुला हो तो वहाँ डबल क्लिक करें" },
+            gridRightClick: { patterns: ["राइट क्लिक करो", "[खाना] {number} (पर|पे) राइट क्लिक करो"], help: "ग्रिड खुला हो तो वहाँ राइट क्लिक करें" },
+            gridHover: { patterns: ["होवर करो", "माउस ले जाओ", "माउस [खाना] {number} (पर|पे) ले जाओ"], help: "ग्रिड खुला हो तो माउस वहाँ ले जाएँ" },
+            gridDragFrom: { patterns: ["यहाँ से खींचो"], help: "ग्रिड खुला हो तो खींचना यहाँ से शुरू करें और छोड़ने की जगह चुनें" },
+            gridDragTo: { patterns: ["[खाना] {number} तक खींचो", "[यहाँ] छोड़ो"], help: "ग्रिड खुला हो तो तय बिंदु (या बीच) से उस खाने तक खींचें" },
+            check: { patterns: ["{element} (चेक|टिक) करो"], help: "लेबल से चेकबॉक्स या रेडियो बटन चुनें" },
+            uncheck: { patterns: ["{element} (अनचेक|अनटिक) करो"], help: "लेबल से चेकबॉक्स हटाएँ" },
+            selectOption: { patterns: ["{element} में {option} चुनो", "{option} चुनो"], help: "ड्रॉपडाउन से विकल्प चुनें, जैसे \"देश में कनाडा चुनो\"" },
+            pressKey: { patterns: ["{key} [बटन] दबाओ"], help: "एंटर, टैब, एस्केप, बैकस्पेस, स्पेस या तीर वाली कुंजी दबाएँ" },
+            submitForm: { patterns: ["[फॉर्म] सबमिट करो"], help: "जिस फॉर्म में हैं उसे सबमिट करें" },
+            type: { patterns: ["{text} लिखो", "{text} टाइप करो"], help: "फोकस वाले फील्ड में टेक्स्ट लिखें; विराम चिह्न बोले जा सकते हैं" },
+            startDictation: { patterns: ["डिक्टेशन शुरू करो", "बोलकर लिखो"], help: "आप जो भी बोलें वह फील्ड में लिखा जाए" },
+            stopDictation: { patterns: ["(डिक्टेशन|लिखना) बंद करो"], help: "डिक्टेशन मोड से बाहर निकलें" },
+            deleteLastWord: { patterns: ["[आख़िरी] शब्द मिटाओ"], help: "कर्सर से पहले वाला शब्द मिटाएँ" },
+            undoTyping: { patterns: ["लिखा हुआ पूर्ववत करो", "पूर्ववत करो"], help: "फील्ड का पिछला बदलाव पूर्ववत करें" },
+            redoTyping: { patterns: ["फिर से करो"], help: "पूर्ववत किया बदलाव फिर से करें" },
+            selectAll: { patterns: ["सब चुनो", "सब सेलेक्ट करो"], help: "फील्ड या पेज का सारा टेक्स्ट चुनें" },
+            clearField: { patterns: ["फील्ड साफ़ करो", "सब मिटाओ"], help: "फोकस वाला फील्ड खाली करें" },
+            selectParagraph: { patterns: ["[यह] पैराग्राफ़ चुनो", "[यह] पैराग्राफ चुनो"], help: "कर्सर वाला पैराग्राफ़ (फील्ड में, लाइन) चुनें" },
+            selectSentence: { patterns: ["[यह] वाक्य चुनो"], help: "कर्सर वाला वाक्य चुनें" },
+            selectBetween: { patterns: ["{start} से {end} तक चुनो"], help: "एक वाक्यांश से दूसरे तक सब चुनें, जैसे \"नमस्ते से धन्यवाद तक चुनो\"" },
+            selectText: { patterns: ["{text} सेलेक्ट करो", "{text} चुनो"], help: "फोकस वाले फील्ड या पेज पर कोई वाक्यांश चुनें" },
+            extendSelection: { patterns: ["चयन [एक] शब्द बढ़ाओ", "चयन {number} शब्द बढ़ाओ"], help: "अगला शब्द (या शब्द) चयन में जोड़ें" },
+            copySelection: { patterns: ["कॉपी करो", "(इसे|यह) कॉपी करो"], help: "चुना हुआ टेक्स्ट कॉपी करें" },
+            cutSelection: { patterns: ["कट करो", "(इसे|यह) कट करो"], help: "चुना हुआ टेक्स्ट फील्ड से काटें" },
+            paste: { patterns: ["पेस्ट करो", "(इसे|यहाँ) पेस्ट करो"], help: "क्लिपबोर्ड का टेक्स्ट कर्सर पर चिपकाएँ" },
+            copyLink: { patterns: ["{name} (का|वाला) लिंक कॉपी करो"], help: "किसी लिंक का पता उसके नाम से कॉपी करें, जैसे \"प्राइसिंग का लिंक कॉपी करो\"" }
+        },
+        categories: {
+            "Navigation": "नेविगेशन",
+            "Scrolling": "स्क्रॉलिंग",
+            "Tabs": "टैब",
+            "Browser": "ब्राउज़र",
+            "Interaction & Forms": "क्लिक और फॉर्म",
+            "Page Structure": "पेज की संरचना",
+            "Dictation": "डिक्टेशन",
+            "Selection & Clipboard": "चयन और क्लिपबोर्ड",
+            "Reading": "पढ़ना",
+            "Media": "मीडिया",
+            "History": "इतिहास",
+            "System": "सिस्टम",
+            "Custom Commands": "आपकी कमांड"
+        },
+        messages: {
+            "Listening...": "सुन रहा हूँ...",
+            "Network error": "नेटवर्क त्रुटि",
+            "Mic access denied": "माइक की अनुमति नहीं मिली",
+            "Local engine did not respond": "लोकल इंजन ने जवाब नहीं दिया",
+            "Error: {error}": "त्रुटि: {error}",
+            "Dictating... say \"stop dictation\" to finish": "बोलकर लिख रहे हैं... खत्म करने के लिए \"डिक्टेशन बंद करो\" कहें",
+            "Extension not responding": "एक्सटेंशन जवाब नहीं दे रहा",
+            "Finding {name}": "{name} ढूँढ रहे हैं",
+            "Navigating to {url}": "{url} पर जा रहे हैं",
+            "Opening {name}": "{name} खोल रहे हैं",
+            "Searching {engine} for {query}": "{engine} पर {query} खोज रहे हैं",
+            "Focused: {name}": "फोकस: {name}",
+            "Clicked: {name}": "क्लिक किया: {name}",
+            "Focus a text field first": "पहले किसी टेक्स्ट फील्ड पर फोकस करें",
+            "Typed: {text}": "लिखा: {text}",
+            "Dictation started": "डिक्टेशन शुरू",
+            "Dictation stopped": "डिक्टेशन बंद",
+            "Dictation field was removed": "डिक्टेशन वाला फील्ड हट गया",
+            "Pressed {key}": "{key} दबाया",
+            "{name} is already checked": "{name} पहले से चेक है",
+            "{name} is already unchecked": "{name} पहले से अनचेक है",
+            "No option \"{option}\"": "\"{option}\" नाम का कोई विकल्प नहीं है",
+            "Selected {option}": "{option} चुना",
+            "Focus a field in the form first": "पहले फॉर्म के किसी फील्ड पर फोकस करें",
+            "No form on this page": "इस पेज पर कोई फॉर्म नहीं है",
+            "Form submitted": "फॉर्म सबमिट हो गया",
+            "Nothing matches {selector}": "{selector} से कुछ मेल नहीं खाता",
+            "Macro nested too deeply": "मैक्रो बहुत गहराई तक जुड़ा है",
+            "Macro step not recognized: {step}": "मैक्रो का चरण समझ नहीं आया: {step}",
+            "Nothing to repeat": "दोहराने के लिए कुछ नहीं",
+            "Repeating \"{command}\"": "\"{command}\" दोहरा रहे हैं",
+            "Repeating \"{command}\" {count} times": "\"{command}\" {count} बार दोहरा रहे हैं",
+            "That scroll was on another page": "वह स्क्रॉल किसी दूसरे पेज पर था",
+            "Undid \"{command}\"": "\"{command}\" पूर्ववत किया",
+            "No answer, cancelled": "कोई जवाब नहीं, रद्द किया",
+            "Cancelled": "रद्द किया",
+            "Sorry, say a number or cancel": "माफ़ कीजिए, कोई नंबर बोलें या रद्द करें",
+            "Which one? Say 1 to {count}": "कौन सा? 1 से {count} तक कोई नंबर बोलें",
+            "Focused {name}": "{name} पर फोकस किया",
+            "Clicked {name}": "{name} पर क्लिक किया",
+            "{number} is not a link": "{number} कोई लिंक नहीं है",
+            "Opening {number} in new tab": "{number} नए टैब में खोल रहे हैं",
+            "Not recognized: {text}": "समझ नहीं आया: {text}",
+            "Stopped listening": "सुनना बंद किया",
+            "Reading... say \"stop reading\" to stop": "पढ़ रहा हूँ... रोकने के लिए \"पढ़ना बंद करो\" कहें",
+            "Reading...": "पढ़ रहा हूँ...",
+            "Finished reading": "पढ़ना पूरा हुआ",
+            "Nothing to read here": "यहाँ पढ़ने को कुछ नहीं है",
+            "No headings on this page": "इस पेज पर कोई शीर्षक नहीं है",
+            "No links on screen": "स्क्रीन पर कोई लिंक नहीं है",
+            "Nothing is selected": "कुछ भी चुना नहीं गया है",
+            "This is the first paragraph": "यह पहला पैराग्राफ़ है",
+            "Paused reading": "पढ़ना रुका",
+            "Stopped reading": "पढ़ना बंद किया",
+            "Reading speed {percent}%": "पढ़ने की गति {percent}%",
+            "Could not read aloud": "पढ़कर नहीं सुना सका",
+            "Heading level {level}: {name}": "लेवल {level} हेडिंग: {name}",
+            "{landmark}: {name}": "{landmark}: {name}",
+            "Table: {name}, {rows} rows": "टेबल: {name}, {rows} पंक्तियाँ",
+            "untitled": "बिना शीर्षक",
+            "unnamed": "बिना नाम",
+            "Link: {name}": "लिंक: {name}",
+            "Field: {name}": "फ़ील्ड: {name}",
+            "Main content": "मुख्य सामग्री",
+            "Navigation": "नेविगेशन",
+            "Banner": "बैनर",
+            "Footer": "फ़ुटर",
+            "Sidebar": "साइडबार",
+            "Search": "सर्च",
+            "Form": "फ़ॉर्म",
+            "Section": "सेक्शन",
+            "No more headings": "और हेडिंग नहीं हैं",
+            "No earlier headings": "पहले कोई हेडिंग नहीं है",
+            "No more level {level} headings": "लेवल {level} की और हेडिंग नहीं हैं",
+            "No more landmarks": "और हिस्से नहीं हैं",
+            "No earlier landmarks": "पहले कोई हिस्सा नहीं है",
+            "No more form fields": "और फ़ील्ड नहीं हैं",
+            "No earlier form fields": "पहले कोई फ़ील्ड नहीं है",
+            "No more tables": "और टेबल नहीं हैं",
+            "No earlier tables": "पहले कोई टेबल नहीं है",
+            "No more links": "और लिंक नहीं हैं",
+            "No earlier links": "पहले कोई लिंक नहीं है",
+            "No {landmark} on this page": "इस पेज पर {landmark} नहीं है",
+            "This page has no landmarks": "इस पेज पर कोई हिस्सा चिह्नित नहीं है",
+            "{count} landmarks: {list}. Which one?": "{count} हिस्से: {list}. कौन सा?",
+            "No section called {name}": "{name} नाम का कोई सेक्शन नहीं है",
+            "Scrolled down {count} pages": "{count} पेज नीचे गए",
+            "Scrolled up {count} pages": "{count} पेज ऊपर गए",
+            "Scrolled left": "बाएँ स्क्रॉल किया",
+            "Scrolled right": "दाएँ स्क्रॉल किया",
+            "Scrolling... say \"stop\" to stop": "स्क्रॉल कर रहा हूँ... रोकने के लिए \"रुको\" कहें",
+            "Reached the top": "सबसे ऊपर पहुँच गए",
+            "Reached the end": "आख़िर तक पहुँच गए",
+            "Stopped scrolling": "स्क्रॉल करना रोका",
+            "Scrolling speed {speed} of {max}": "स्क्रॉल की गति {max} में से {speed}",
+            "No video or audio on this page": "इस पेज पर कोई वीडियो या ऑडियो नहीं है",
+            "Playing": "चल रहा है",
+            "The page blocked playback, click it once first": "पेज ने चलाने से रोका, पहले एक बार पेज पर क्लिक करें",
+            "Paused": "रुका हुआ",
+            "Muted": "म्यूट किया",
+            "Unmuted": "अनम्यूट किया",
+            "Volume {percent}%": "आवाज़ {percent}%",
+            "Back {seconds} seconds": "{seconds} सेकंड पीछे",
+            "Forward {seconds} seconds": "{seconds} सेकंड आगे",
+            "Speed must be between 0.25 and 4": "गति 0.25 और 4 के बीच होनी चाहिए",
+            "Speed {rate}×": "गति {rate}×",
+            "Fullscreen": "फ़ुल स्क्रीन",
+            "Fullscreen — say \"exit fullscreen\" to leave": "फ़ुल स्क्रीन — बाहर आने के लिए \"फ़ुल स्क्रीन बंद करो\" कहें",
+            "Left fullscreen": "फ़ुल स्क्रीन बंद किया",
+            "Go ahead — say a command (\"stop\" to finish)": "बोलिए, कोई कमांड कहें (ख़त्म करने के लिए \"रुको\")",
+            "Done — say the wake word when you need me": "ठीक है, ज़रूरत हो तो वेक वर्ड बोलें",
+            "Showing commands": "कमांड दिखा रहे हैं",
+            "Hiding commands": "कमांड छिपा रहे हैं",
+            "Nothing heard yet": "अभी तक कुछ नहीं सुना",
+            "Switched to the {name} profile": "{name} प्रोफ़ाइल चालू की",
+            "No profile called {name}": "{name} नाम की कोई प्रोफ़ाइल नहीं है",
+            "No profiles saved yet": "अभी कोई प्रोफ़ाइल सहेजी नहीं गई",
+            "Profiles: {names}": "प्रोफ़ाइल: {names}",
+            "Profiles: {names}. Using {name}": "प्रोफ़ाइल: {names}. अभी {name} चल रही है",
+            "VoiceControl is turned off on this site": "इस साइट पर VoiceControl बंद है",
+            "Heard: {alternatives}": "सुना: {alternatives}",
+            "Voice clicking is turned off on this site": "इस साइट पर आवाज़ से क्लिक करना बंद है",
+            "Click \"{name}\"?": "\"{name}\" पर क्लिक करें?",
+            "You have unsaved changes on this page. Leave anyway?": "इस पेज पर बिना सहेजे बदलाव हैं। फिर भी छोड़ें?",
+            "Are you sure?": "पक्का?",
+            "Close this tab?": "यह टैब बंद करें?",
+            "Submit this form?": "यह फ़ॉर्म भेजें?",
+            "Not allowed by voice on this site": "इस साइट पर आवाज़ से इसकी अनुमति नहीं है",
+            "Say \"confirm\" or \"cancel\"": "\"पुष्टि करो\" या \"रद्द करो\" कहें",
+            "Opening new window": "नई विंडो खोल रहे हैं",
+            "Opening incognito window": "इनकॉग्निटो विंडो खोल रहे हैं",
+            "Closing window": "विंडो बंद कर रहे हैं",
+            "Close this window and all its tabs?": "यह विंडो और उसके सारे टैब बंद करें?",
+            "Bookmarking": "बुकमार्क कर रहे हैं",
+            "Looking for bookmark {name}": "बुकमार्क {name} ढूँढ रहे हैं",
+            "Opening downloads": "डाउनलोड खोल रहे हैं",
+            "Opening last download": "आख़िरी डाउनलोड खोल रहे हैं",
+            "Zooming in": "ज़ूम इन कर रहे हैं",
+            "Zooming out": "ज़ूम आउट कर रहे हैं",
+            "Resetting zoom": "ज़ूम रीसेट कर रहे हैं",
+            "No matches for \"{text}\"": "\"{text}\" नहीं मिला",
+            "Match {index} of {count}": "{count} में से {index}",
+            "Nothing found yet — say \"find\" and the words": "अभी कुछ नहीं ढूँढा — शब्द बोलकर \"ढूँढो\" कहें",
+            "Nothing is highlighted": "कुछ भी हाइलाइट नहीं है",
+            "Highlights cleared": "हाइलाइट हटा दी",
+            "Copied page link": "पेज का लिंक कॉपी किया",
+            "Selected: {text}": "चुना: {text}",
+            "Nothing to select here": "यहाँ चुनने को कुछ नहीं है",
+            "Copied: {text}": "कॉपी किया: {text}",
+            "Cut: {text}": "काटा: {text}",
+            "Pasted: {text}": "चिपकाया: {text}",
+            "Pasted": "चिपकाया",
+            "Only text in a field can be cut": "सिर्फ़ फील्ड का टेक्स्ट काटा जा सकता है",
+            "The clipboard is empty": "क्लिपबोर्ड खाली है",
+            "Couldn't read the clipboard": "क्लिपबोर्ड पढ़ा नहीं जा सका",
+            "Copied link: {text}": "लिंक कॉपी किया: {text}",
+            "No link called {name}": "{name} नाम का कोई लिंक नहीं है",
+            "Say a number to zoom in, then \"click\"": "ज़ूम करने के लिए नंबर बोलें, फिर \"क्लिक करो\"",
+            "Grid closed": "ग्रिड बंद",
+            "As close as it goes, say \"click\"": "इससे ज़्यादा ज़ूम नहीं होगा, \"क्लिक करो\" बोलें",
+            "Zoomed into {number}": "{number} में ज़ूम किया",
+            "The grid already covers the screen": "ग्रिड पहले से पूरी स्क्रीन पर है",
+            "Zoomed out": "ज़ूम आउट किया",
+            "Clicked": "क्लिक किया",
+            "Double-clicked": "डबल क्लिक किया",
+            "Right-clicked": "राइट क्लिक किया",
+            "Hovering": "माउस वहाँ है",
+            "Nothing there to click": "वहाँ क्लिक करने को कुछ नहीं है",
+            "Now pick where to drop it": "अब चुनें कि कहाँ छोड़ना है",
+            "Say \"drag from here\" first": "पहले \"यहाँ से खींचो\" बोलें",
+            "Dragged": "खींच दिया",
+            "Nothing there to drag": "वहाँ खींचने को कुछ नहीं है",
+            "Closing tabs": "टैब बंद कर रहे हैं",
+            "Saving session": "सेशन सेव कर रहे हैं",
+            "Checking sessions": "सेशन देख रहे हैं",
+            "Opening session {name}": "सेशन {name} खोल रहे हैं",
+            "Closing session": "सेशन बंद कर रहे हैं",
+            "Close all other tabs?": "बाकी सारे टैब बंद करें?",
+            "Close the tabs to the right?": "दाईं ओर के टैब बंद करें?",
+            "Save this session and close its window?": "यह सेशन सेव करके इसकी विंडो बंद करें?",
+            "No tabs here that can be saved": "यहाँ सेव करने लायक कोई टैब नहीं है",
+            "Saved {count} tabs as {name}": "{count} टैब {name} नाम से सेव किए",
+            "No saved sessions yet": "अभी कोई सेशन सेव नहीं है",
+            "Sessions: {names}": "सेशन: {names}",
+            "No session called {name}": "{name} नाम का कोई सेशन नहीं है",
+            "Opened session {name}": "सेशन {name} खोला",
+            "This window isn't a saved session": "यह विंडो कोई सेव किया सेशन नहीं है",
+            "Closing session {name}": "सेशन {name} बंद कर रहे हैं",
+            "No other tabs to close": "बंद करने को कोई और टैब नहीं है",
+            "No tabs to the right": "दाईं ओर कोई टैब नहीं है",
+            "Closed {count} tabs": "{count} टैब बंद किए",
+            "Could not save the session": "सेशन सेव नहीं हो सका",
+            "Could not open the session": "सेशन खुल नहीं सका",
+            "Could not close the session": "सेशन बंद नहीं हो सका",
+            "Could not close the tabs": "टैब बंद नहीं हो सके",
+            "No window to save": "सेव करने के लिए कोई विंडो नहीं",
+            "Could not read the sessions": "सेशन पढ़े नहीं जा सके",
+            "No session to close": "बंद करने के लिए कोई सेशन नहीं",
+            "No tabs to close": "बंद करने के लिए कोई टैब नहीं",
+            "Couldn't copy to the clipboard": "क्लिपबोर्ड पर कॉपी नहीं हो सका",
+            "Opened new window": "नई विंडो खोली",
+            "Opened incognito window": "इनकॉग्निटो विंडो खोली",
+            "Incognito windows are turned off": "इनकॉग्निटो विंडो बंद हैं",
+            "Could not open a window": "विंडो नहीं खुल सकी",
+            "No window to close": "बंद करने को कोई विंडो नहीं",
+            "No window to make fullscreen": "फ़ुलस्क्रीन करने को कोई विंडो नहीं",
+            "This page can't be bookmarked": "यह पेज बुकमार्क नहीं हो सकता",
+            "Already bookmarked": "पहले से बुकमार्क है",
+            "Bookmarked {title}": "{title} बुकमार्क किया",
+            "Could not bookmark this page": "यह पेज बुकमार्क नहीं हो सका",
+            "No bookmark called {name}": "{name} नाम का कोई बुकमार्क नहीं",
+            "Opening bookmark {title}": "बुकमार्क {title} खोल रहे हैं",
+            "Could not open that bookmark": "वह बुकमार्क नहीं खुल सका",
+            "No tab to open it in": "खोलने के लिए कोई टैब नहीं",
+            "Opened downloads": "डाउनलोड खोले",
+            "No downloads yet": "अभी तक कोई डाउनलोड नहीं",
+            "Opening {file}": "{file} खोल रहे हैं",
+            "Showing {file} in its folder": "{file} उसके फ़ोल्डर में दिखा रहे हैं",
+            "Could not open the download": "डाउनलोड नहीं खुल सका",
+            "No tab to zoom": "ज़ूम करने को कोई टैब नहीं",
+            "Zoom reset": "ज़ूम रीसेट किया",
+            "Zoom {percent}%": "ज़ूम {percent}%",
+            "Already zoomed in all the way": "ज़ूम पहले से सबसे ज़्यादा है",
+            "Already zoomed out all the way": "ज़ूम पहले से सबसे कम है",
+            "This page can't be zoomed": "यह पेज ज़ूम नहीं हो सकता",
+            "Going back": "पीछे जा रहे हैं",
+            "Going forward": "आगे जा रहे हैं",
+            "Reloading": "रीलोड कर रहे हैं",
+            "Scrolled down": "नीचे स्क्रॉल किया",
+            "Scrolled up": "ऊपर स्क्रॉल किया",
+            "Scrolled to top": "पेज की शुरुआत पर",
+            "Scrolled to bottom": "पेज के अंत पर",
+            "Opening new tab": "नया टैब खोल रहे हैं",
+            "Closing tab": "टैब बंद कर रहे हैं",
+            "Switching tab": "टैब बदल रहे हैं",
+            "Switching to last tab": "आख़िरी टैब पर जा रहे हैं",
+            "Switching to tab {number}": "टैब {number} पर जा रहे हैं",
+            "Switching to {title}": "{title} पर जा रहे हैं",
+            "Reopening closed tab": "बंद टैब फिर से खोल रहे हैं",
+            "Pinning tab": "टैब पिन कर रहे हैं",
+            "Unpinning tab": "टैब अनपिन कर रहे हैं",
+            "Muting tab": "टैब म्यूट कर रहे हैं",
+            "Unmuting tab": "टैब अनम्यूट कर रहे हैं",
+            "Duplicating tab": "टैब डुप्लीकेट कर रहे हैं",
+            "Showing {count} numbers": "{count} नंबर दिखा रहे हैं",
+            "Numbers hidden": "नंबर छिपा दिए",
+            "Undone": "पूर्ववत किया",
+            "Redone": "फिर से किया",
+            "Selected all": "सब चुना",
+            "Field cleared": "फील्ड साफ़ किया",
+            "Voice Commands": "वॉइस कमांड",
+            "Say \"hide commands\" or press Escape to close this menu.": "यह सूची बंद करने के लिए \"कमांड छिपाओ\" कहें या Escape दबाएँ।",
+            "Nothing to undo": "पूर्ववत करने को कुछ नहीं",
+            "Reopened closed tab": "बंद टैब फिर से खोला",
+            "Could not reopen the tab": "टैब फिर से नहीं खुल सका",
+            "The last action was in another tab": "पिछला काम किसी दूसरे टैब में हुआ था",
+            "That command is no longer in the history": "वह कमांड अब इतिहास में नहीं है",
+            "History cleared": "इतिहास साफ़ कर दिया",
+            "Ran {command}": "{command} चलाया",
+            "Could not run {command}": "{command} नहीं चल सका",
+            "There is no tab {number}": "टैब {number} मौजूद नहीं है",
+            "No tab matching {title}": "{title} से मेल खाता कोई टैब नहीं",
+            "No tab specified": "कोई टैब नहीं बताया",
+            "Switched to {title}": "{title} पर आ गए",
+            "No tab to switch to": "बदलने के लिए कोई टैब नहीं",
+            "This is the only tab": "यही अकेला टैब है",
+            "Next tab": "अगला टैब",
+            "Previous tab": "पिछला टैब",
+            "Opened new tab": "नया टैब खोला",
+            "No tab to close": "बंद करने के लिए कोई टैब नहीं",
+            "No site given": "कोई साइट नहीं बताई",
+            "Could not open {url}": "{url} नहीं खुल सका",
+            "Opened {url}": "{url} खोला",
+            "No closed tab to reopen": "फिर से खोलने के लिए कोई बंद टैब नहीं",
+            "No tab to pin": "पिन करने के लिए कोई टैब नहीं",
+            "Pinned tab": "टैब पिन किया",
+            "Unpinned tab": "टैब अनपिन किया",
+            "No tab to mute": "म्यूट करने के लिए कोई टैब नहीं",
+            "Muted tab": "टैब म्यूट किया",
+            "Unmuted tab": "टैब अनम्यूट किया",
+            "No tab to duplicate": "डुप्लीकेट करने के लिए कोई टैब नहीं",
+            "Duplicated tab": "टैब डुप्लीकेट किया"
+        }
+    }
+};
+
+// Recognizers disagree on Devanagari nukta forms (precomposed or with a combining
+// nukta) and native digits; fold both so phrases written here match either
+function normalizeSpeech(text) {
+    return text
+        .normalize("NFD")
+        .replace(/\u093C/g, "")
+        .normalize("NFC")
+        .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/[’`]/g, "'")
+        .toLowerCase();
+}
+
+// Like normalizeSpeech, but {slot} names keep their case so they still name typed slots
+function normalizePattern(pattern) {
+    return pattern.split(/(\{\w+\})/).map((part, i) => i % 2 ? part : normalizeSpeech(part)).join("");
+}
+
+// Exact match first, then any entry for the same base language ("fr-CA" → "fr-FR")
+function getLocale(lang) {
+    if (commandLocales[lang]) return commandLocales[lang];
+    const base = (lang || "").split("-")[0];
+    const key = Object.keys(commandLocales).find(code => code.split("-")[0] === base);
+    return key ? commandLocales[key] : englishLocale;
+}
+
+// True for a wake word nobody chose: one of the languages' defaults
+function isDefaultWakeWord(wakeWord) {
+    const spoken = normalizeSpeech(wakeWord || "").trim();
+    return !spoken || Object.values(commandLocales).some(locale => normalizeSpeech(locale.wakeWord) === spoken);
+}
+
+// Fill {name} placeholders in the message's translation (or the English original)
+function translate(text, vars, lang) {
+    const template = getLocale(lang).messages[text] || text;
+    if (!vars) return template;
+    return template.replace(/\{(\w+)\}/g, (whole, name) => vars[name] !== undefined ? vars[name] : whole);
+}
+
+function translateCategory(category, lang) {
+    return getLocale(lang).categories[category] || category;
+}
+
+// Every language's number words are accepted by {number} slots compiled from here on
+Object.values(commandLocales).forEach(locale => {
+    Object.entries(locale.numbers).forEach(([word, value]) => {
+        spokenNumbers[normalizeSpeech(word)] = value;
+    });
+});
+typedSlots.number.pattern = "\\d+|" + Object.keys(spokenNumbers).map(escapeRegex).join("|");
+
+// ...and likewise their scroll sizes for {scrollSize}
+Object.values(commandLocales).forEach(locale => {
+    Object.entries(locale.scrollSizes || {}).forEach(([phrase, size]) => {
+        spokenScrollSizes[normalizeSpeech(phrase)] = size;
+    });
+});
+typedSlots.scrollSize.pattern = phrasePattern(Object.keys(spokenScrollSizes));
+
+const localizedCommandCache = {};
+
+/**
+ * The built-in commands as heard in `lang`: translated patterns and help for
+ * the overlay, with the English patterns still compiled in behind them.
+ */
+function localizeCommands(commands, lang) {
+    const locale = getLocale(lang);
+    if (locale === englishLocale) return commands;
+    if (localizedCommandCache[lang]) return localizedCommandCache[lang];
+
+    localizedCommandCache[lang] = commands.map(command => {
+        const translation = locale.commands[command.id];
+        if (!translation) return command;
+
+        const patterns = translation.patterns.map(normalizePattern);
+        return {
+            ...command,
+            patterns,
+            help: translation.help || command.help,
+            compiled: patterns.map(compilePattern).concat(command.compiled)
+        };
+    });
+    return localizedCommandCache[lang];
+}
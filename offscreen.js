@@ -0,0 +1,115 @@
+/**
+ * offscreen.js — VoiceControl Browser
+ * Local Recognizer Host (offscreen document created by background.js)
+ *
+ * Opens the microphone and feeds 16 kHz mono samples to an on-device engine, so no
+ * audio leaves the machine. Models are tens of megabytes, so none ships with the
+ * extension: drop an adapter at engines/local-engine.js (plus whatever model files it
+ * loads) that defines
+ *
+ *   self.VoiceControlLocalEngine = {
+ *       async load({ lang, baseUrl }) → engine
+ *   };
+ *   engine.accept(samples)   → optional { transcript, isFinal } (streaming engines, e.g. Vosk)
+ *   engine.flush(samples)    → optional { transcript } for the whole utterance (batch engines, e.g. Whisper)
+ *
+ * Either method may return a promise. `baseUrl` points at the engines/ folder.
+ *
+ * The microphone must have been allowed once for the extension itself — the
+ * "Allow microphone" button in options does that; an offscreen page can't prompt.
+ */
+
+let engine = null;
+let engineLang = null;
+let capture = null;
+
+function report(type, detail) {
+    chrome.runtime.sendMessage({ command: "localRecognizerEvent", type, detail }).catch(() => {});
+}
+
+function reportResult(result, isFinal) {
+    if (!result || !String(result.transcript || "").trim()) return;
+    const transcript = String(result.transcript).trim();
+    report("transcript", {
+        transcript,
+        isFinal: result.isFinal !== undefined ? result.isFinal : isFinal,
+        alternatives: result.alternatives || [{ transcript, confidence: result.confidence }]
+    });
+}
+
+// The level meter only needs a few updates a second, each one is a message through the worker
+const LEVEL_REPORT_MS = 150;
+let lastLevelReport = 0;
+
+function reportLevel(level) {
+    const now = Date.now();
+    if (now - lastLevelReport < LEVEL_REPORT_MS) return;
+    lastLevelReport = now;
+    report("level", { level });
+}
+
+function loadEngineScript() {
+    if (self.VoiceControlLocalEngine) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = LOCAL_ENGINE_SCRIPT;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`No local engine installed (${LOCAL_ENGINE_SCRIPT})`));
+        document.head.appendChild(script);
+    });
+}
+
+async function loadEngine(lang) {
+    if (engine && engineLang === lang) return;
+    await loadEngineScript();
+    engine = await self.VoiceControlLocalEngine.load({ lang, baseUrl: chrome.runtime.getURL("engines/") });
+    engineLang = lang;
+}
+
+async function startCapture(lang) {
+    await loadEngine(lang);
+
+    // Already capturing for another tab: the worker has re-pointed the results, just confirm
+    if (!capture) {
+        try {
+            capture = await createMicCapture({
+                onsamples: async (samples) => {
+                    if (engine.accept) reportResult(await engine.accept(samples), false);
+                },
+                onutterance: async (samples) => {
+                    if (engine.flush) reportResult(await engine.flush(samples), true);
+                },
+                onlevel: reportLevel
+            });
+        } catch (err) {
+            const error = new Error("Allow the microphone from the VoiceControl options page");
+            error.code = "not-allowed";
+            throw error;
+        }
+    }
+    report("start");
+}
+
+function stopCapture() {
+    if (capture) capture.stop();
+    capture = null;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== "offscreen") return;
+
+    if (message.action === "start") {
+        startCapture(message.lang)
+            .then(() => sendResponse({ status: "ok" }))
+            .catch(err => {
+                console.warn("VoiceControl: Local engine failed", err);
+                sendResponse({ status: "error", code: err.code || "unavailable", message: err.message });
+            });
+        return true;
+    }
+
+    if (message.action === "stop") {
+        stopCapture();
+        sendResponse({ status: "ok" });
+    }
+});
@@ -8,12 +8,36 @@ document.addEventListener("DOMContentLoaded", () => {
     const wakeWordInput = document.getElementById("wakeWord");
     const languageSelect = document.getElementById("language");
     const ttsEnabledCheckbox = document.getElementById("ttsEnabled");
+    const ttsVoiceSelect = document.getElementById("ttsVoice");
+    const ttsTestBtn = document.getElementById("ttsTest");
+    const ttsRateSlider = document.getElementById("ttsRate");
+    const ttsRateVal = document.getElementById("ttsRateVal");
+    const ttsPitchSlider = document.getElementById("ttsPitch");
+    const ttsPitchVal = document.getElementById("ttsPitchVal");
     const scrollAmountSlider = document.getElementById("scrollAmount");
     const scrollAmountVal = document.getElementById("scrollAmountVal");
+    const followUpSlider = document.getElementById("followUpSeconds");
+    const followUpVal = document.getElementById("followUpSecondsVal");
+    const pushToTalkShortcut = document.getElementById("pushToTalkShortcut");
+    const changeShortcutBtn = document.getElementById("changeShortcut");
     const hudPositionSelect = document.getElementById("hudPosition");
     const hudOpacitySlider = document.getElementById("hudOpacity");
     const hudOpacityVal = document.getElementById("hudOpacityVal");
     const saveStatus = document.getElementById("save-status");
+    const defaultTldInput = document.getElementById("defaultTld");
+    const defaultEngineSelect = document.getElementById("defaultEngine");
+    const searchEnginesInput = document.getElementById("searchEngines");
+    const engineErrors = document.getElementById("engine-errors");
+    const recognizerSelect = document.getElementById("recognizer");
+    const recognizerEndpointInput = document.getElementById("recognizerEndpoint");
+    const recognizerEndpointRow = document.getElementById("recognizerEndpointRow");
+    const micAccessRow = document.getElementById("micAccessRow");
+    const micAccessBtn = document.getElementById("micAccess");
+    const micAccessStatus = document.getElementById("micAccessStatus");
+    const fakeTranscriptRow = document.getElementById("fakeTranscriptRow");
+    const fakeTranscriptInput = document.getElementById("fakeTranscript");
+    const confirmRiskyCheckbox = document.getElementById("confirmRiskyActions");
+    const siteListInputs = ["safetyAllowSites", "safetyDenySites", "noClickSites"].map(id => document.getElementById(id));
 
     let statusTimeout;
 
@@ -22,57 +46,201 @@ document.addEventListener("DOMContentLoaded", () => {
         wakeWord: "hey browser",
         language: "en-US",
         ttsEnabled: true,
+        ttsVoice: "",
+        ttsRate: 1.2,
+        ttsPitch: 1.0,
         scrollAmount: 400,
+        followUpSeconds: 8,
         hudPosition: "bottom-right",
-        hudOpacity: 0.88
+        hudOpacity: 0.88,
+        defaultTld: "com",
+        searchEngines: defaultSearchEngines,
+        defaultEngine: "Google",
+        recognizer: "webspeech",
+        recognizerEndpoint: "",
+        confirmRiskyActions: true,
+        safetyAllowSites: [],
+        safetyDenySites: [],
+        noClickSites: []
+    };
+
+    // Only show the settings the chosen engine uses
+    const updateRecognizerRows = () => {
+        recognizerEndpointRow.hidden = recognizerSelect.value !== "http";
+        micAccessRow.hidden = recognizerSelect.value !== "local";
+        fakeTranscriptRow.hidden = recognizerSelect.value !== "fake";
+    };
+
+    // Rebuild the default-engine choices from the engines list, keeping the selection if it still exists
+    const populateEngineSelect = (enginesText, selected) => {
+        const engines = parseSearchEngines(enginesText);
+        defaultEngineSelect.textContent = "";
+        engines.forEach(engine => {
+            const option = document.createElement("option");
+            option.value = engine.name;
+            option.textContent = engine.name;
+            defaultEngineSelect.appendChild(option);
+        });
+        const match = engines.find(e => e.name.toLowerCase() === (selected || "").toLowerCase());
+        if (match) defaultEngineSelect.value = match.name;
+    };
+
+    // Nothing ships in engines/, so the on-device choice is only offered once an adapter is installed
+    // (or still shows, flagged, when it is the saved choice and the adapter has gone)
+    const populateRecognizerSelect = (selected) => {
+        hasLocalEngine().then(installed => {
+            Object.entries(recognizerBackends).forEach(([value, label]) => {
+                if (value === "local" && !installed && selected !== "local") return;
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = value === "local" && !installed ? label + " — no engine installed, see README" : label;
+                recognizerSelect.appendChild(option);
+            });
+            recognizerSelect.value = selected;
+            updateRecognizerRows();
+        });
+    };
+
+    // Voices depend on the OS and installed engines, so list whatever this Chrome has
+    const populateVoiceSelect = (selected) => {
+        chrome.tts.getVoices((voices) => {
+            voices.forEach(voice => {
+                const option = document.createElement("option");
+                option.value = voice.voiceName;
+                option.textContent = voice.lang ? `${voice.voiceName} (${voice.lang})` : voice.voiceName;
+                ttsVoiceSelect.appendChild(option);
+            });
+            ttsVoiceSelect.value = voices.some(voice => voice.voiceName === selected) ? selected : "";
+        });
     };
 
     // Load settings
     chrome.storage.sync.get(defaultSettings, (items) => {
-        wakeWordInput.value = items.wakeWord;
         languageSelect.value = items.language;
+        // Untouched wake words follow the language, so show the one that is actually listened for
+        wakeWordInput.value = isDefaultWakeWord(items.wakeWord) ? getLocale(items.language).wakeWord : items.wakeWord;
+        wakeWordInput.placeholder = "e.g. " + getLocale(items.language).wakeWord;
         ttsEnabledCheckbox.checked = items.ttsEnabled;
+        populateVoiceSelect(items.ttsVoice);
+        ttsRateSlider.value = items.ttsRate;
+        ttsRateVal.textContent = items.ttsRate;
+        ttsPitchSlider.value = items.ttsPitch;
+        ttsPitchVal.textContent = items.ttsPitch;
 
         scrollAmountSlider.value = items.scrollAmount;
         scrollAmountVal.textContent = items.scrollAmount;
 
+        followUpSlider.value = items.followUpSeconds;
+        followUpVal.textContent = items.followUpSeconds;
+
         hudPositionSelect.value = items.hudPosition;
 
         hudOpacitySlider.value = items.hudOpacity;
         hudOpacityVal.textContent = items.hudOpacity;
+
+        defaultTldInput.value = items.defaultTld;
+        searchEnginesInput.value = items.searchEngines;
+        populateEngineSelect(items.searchEngines, items.defaultEngine);
+
+        populateRecognizerSelect(items.recognizer);
+        recognizerEndpointInput.value = items.recognizerEndpoint;
+
+        confirmRiskyCheckbox.checked = items.confirmRiskyActions;
+        siteListInputs.forEach(input => {
+            input.value = items[input.id].join("\n");
+        });
+    });
+
+    chrome.storage.local.get({ fakeTranscript: "" }, (items) => {
+        fakeTranscriptInput.value = items.fakeTranscript;
     });
 
     // Save settings function
     const saveSettings = () => {
         const settings = {
-            wakeWord: wakeWordInput.value.trim().toLowerCase() || "hey browser",
+            wakeWord: wakeWordInput.value.trim().toLowerCase() || getLocale(languageSelect.value).wakeWord,
             language: languageSelect.value,
             ttsEnabled: ttsEnabledCheckbox.checked,
+            ttsVoice: ttsVoiceSelect.value,
+            ttsRate: parseFloat(ttsRateSlider.value),
+            ttsPitch: parseFloat(ttsPitchSlider.value),
             scrollAmount: parseInt(scrollAmountSlider.value, 10),
+            followUpSeconds: parseInt(followUpSlider.value, 10),
             hudPosition: hudPositionSelect.value,
-            hudOpacity: parseFloat(hudOpacitySlider.value)
+            hudOpacity: parseFloat(hudOpacitySlider.value),
+            defaultTld: defaultTldInput.value.trim().toLowerCase().replace(/^\.+/, "") || "com",
+            defaultEngine: defaultEngineSelect.value,
+            recognizer: recognizerSelect.value,
+            recognizerEndpoint: recognizerEndpointInput.value.trim(),
+            confirmRiskyActions: confirmRiskyCheckbox.checked
         };
-
-        chrome.storage.sync.set(settings, () => {
-            // Show saved status
-            saveStatus.classList.add("show");
-            clearTimeout(statusTimeout);
-            statusTimeout = setTimeout(() => {
-                saveStatus.classList.remove("show");
-            }, 2000);
+        siteListInputs.forEach(input => {
+            settings[input.id] = parseSiteList(input.value);
         });
+
+        chrome.storage.sync.set(settings, () => showSaveStatus("Settings saved!"));
+    };
+
+    const showSaveStatus = (message) => {
+        saveStatus.textContent = message;
+        saveStatus.classList.add("show");
+        clearTimeout(statusTimeout);
+        statusTimeout = setTimeout(() => {
+            saveStatus.classList.remove("show");
+        }, 2000);
     };
 
+    // One site per line; pasted URLs are cut down to their host so they match like typed ones
+    const parseSiteList = (text) => text.split("\n")
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean)
+        .map(line => line.replace(/^[a-z]+:\/\//, "").split(/[/?#]/)[0]);
+
     // Listeners for live value updates and auto-saving
     wakeWordInput.addEventListener("change", saveSettings);
-    languageSelect.addEventListener("change", saveSettings);
+    languageSelect.addEventListener("change", () => {
+        const wakeWord = getLocale(languageSelect.value).wakeWord;
+        if (isDefaultWakeWord(wakeWordInput.value)) wakeWordInput.value = wakeWord;
+        wakeWordInput.placeholder = "e.g. " + wakeWord;
+        saveSettings();
+    });
     ttsEnabledCheckbox.addEventListener("change", saveSettings);
+    ttsVoiceSelect.addEventListener("change", saveSettings);
+
+    ttsRateSlider.addEventListener("input", (e) => {
+        ttsRateVal.textContent = e.target.value;
+    });
+    ttsRateSlider.addEventListener("change", saveSettings);
+
+    ttsPitchSlider.addEventListener("input", (e) => {
+        ttsPitchVal.textContent = e.target.value;
+    });
+    ttsPitchSlider.addEventListener("change", saveSettings);
+
+    // Speak through the service worker so the sample sounds exactly like the real thing
+    ttsTestBtn.addEventListener("click", () => {
+        chrome.runtime.sendMessage({ command: "readAloud", text: "This is how VoiceControl sounds.", lang: languageSelect.value });
+    });
 
     scrollAmountSlider.addEventListener("input", (e) => {
         scrollAmountVal.textContent = e.target.value;
     });
     scrollAmountSlider.addEventListener("change", saveSettings);
 
+    followUpSlider.addEventListener("input", (e) => {
+        followUpVal.textContent = e.target.value;
+    });
+    followUpSlider.addEventListener("change", saveSettings);
+
+    // Chrome owns the shortcut itself; we can only show it and link to its editor
+    chrome.commands.getAll((commands) => {
+        const pushToTalk = commands.find(command => command.name === "push-to-talk");
+        if (pushToTalk && pushToTalk.shortcut) pushToTalkShortcut.textContent = pushToTalk.shortcut;
+    });
+    changeShortcutBtn.addEventListener("click", () => {
+        chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+
     hudPositionSelect.addEventListener("change", saveSettings);
 
     hudOpacitySlider.addEventListener("input", (e) => {
@@ -80,4 +248,830 @@ document.addEventListener("DOMContentLoaded", () => {
     });
     hudOpacitySlider.addEventListener("change", saveSettings);
 
+    defaultTldInput.addEventListener("change", saveSettings);
+    defaultEngineSelect.addEventListener("change", saveSettings);
+
+    // Engines are only saved when every line parses, so a typo can't wipe the list
+    searchEnginesInput.addEventListener("change", () => {
+        const errors = [];
+        const engines = parseSearchEngines(searchEnginesInput.value, errors);
+        if (!engines.length && !errors.length) errors.push("Add at least one search engine.");
+
+        engineErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            engineErrors.appendChild(li);
+        });
+        if (errors.length) return;
+
+        populateEngineSelect(searchEnginesInput.value, defaultEngineSelect.value);
+        chrome.storage.sync.set({ searchEngines: searchEnginesInput.value.trim() }, saveSettings);
+    });
+
+    recognizerSelect.addEventListener("change", () => {
+        updateRecognizerRows();
+        saveSettings();
+    });
+
+    // The service worker posts audio to the server; host access spares the server from sending CORS headers
+    recognizerEndpointInput.addEventListener("change", () => {
+        let origin;
+        try {
+            origin = new URL(recognizerEndpointInput.value.trim()).origin;
+        } catch (err) {
+            if (recognizerEndpointInput.value.trim()) {
+                showSaveStatus("Server URL is not valid");
+                return;
+            }
+        }
+        if (origin) chrome.permissions.request({ origins: [origin + "/*"] }).catch(() => {});
+        saveSettings();
+    });
+
+    // An offscreen document can't show the permission prompt, so ask from this (extension) page
+    micAccessBtn.addEventListener("click", async () => {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach(track => track.stop());
+            micAccessStatus.textContent = "Microphone allowed.";
+        } catch (err) {
+            micAccessStatus.textContent = "Microphone blocked — allow it from the address bar, then try again.";
+        }
+    });
+
+    confirmRiskyCheckbox.addEventListener("change", saveSettings);
+    siteListInputs.forEach(input => input.addEventListener("change", saveSettings));
+
+    fakeTranscriptInput.addEventListener("change", () => {
+        chrome.storage.local.set({ fakeTranscript: fakeTranscriptInput.value }, () => showSaveStatus("Settings saved!"));
+    });
+
+    // ===== Custom Commands =====
+    const customList = document.getElementById("custom-list");
+    const customForm = document.getElementById("custom-form");
+    const customPhrase = document.getElementById("customPhrase");
+    const customType = document.getElementById("customType");
+    const customValue = document.getElementById("customValue");
+    const customValueLabel = document.getElementById("customValueLabel");
+    const customNewTab = document.getElementById("customNewTab");
+    const customNewTabRow = document.getElementById("customNewTabRow");
+    const customErrors = document.getElementById("custom-errors");
+    const customSave = document.getElementById("customSave");
+    const customCancel = document.getElementById("customCancel");
+    const customExport = document.getElementById("customExport");
+    const customImport = document.getElementById("customImport");
+    const customImportFile = document.getElementById("customImportFile");
+
+    let customCommandDefs = [];
+    let editingId = null;
+
+    const valueHints = {
+        url: { label: "URL", placeholder: "https://jira.example.com/search?q={query}" },
+        click: { label: "CSS selector", placeholder: "#compose-button" },
+        sequence: { label: "Commands (one per line)", placeholder: "open mail.google.com in new tab\nopen calendar.google.com in new tab" },
+        keys: { label: "Shortcut", placeholder: "ctrl+shift+k" }
+    };
+
+    const updateValueHint = () => {
+        const hint = valueHints[customType.value];
+        customValueLabel.textContent = hint.label;
+        customValue.placeholder = hint.placeholder;
+        customNewTabRow.hidden = customType.value !== "url";
+    };
+
+    const showErrors = (errors) => {
+        customErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            customErrors.appendChild(li);
+        });
+    };
+
+    const resetForm = () => {
+        editingId = null;
+        customForm.reset();
+        customSave.textContent = "Add command";
+        customCancel.hidden = true;
+        showErrors([]);
+        updateValueHint();
+    };
+
+    const renderCustomList = () => {
+        customList.textContent = "";
+
+        if (!customCommandDefs.length) {
+            const empty = document.createElement("li");
+            empty.className = "custom-empty";
+            empty.textContent = "No custom commands yet.";
+            customList.appendChild(empty);
+            return;
+        }
+
+        customCommandDefs.forEach(def => {
+            const item = document.createElement("li");
+            item.className = "custom-item";
+
+            const info = document.createElement("div");
+            info.className = "custom-item-info";
+            const phrase = document.createElement("code");
+            phrase.textContent = def.phrase;
+            const action = document.createElement("span");
+            action.className = "custom-item-action";
+            action.textContent = describeCustomCommand(def);
+            info.append(phrase, action);
+
+            const buttons = document.createElement("div");
+            buttons.className = "button-row";
+            const editBtn = document.createElement("button");
+            editBtn.className = "btn btn-small";
+            editBtn.textContent = "Edit";
+            editBtn.addEventListener("click", () => editCustomCommand(def.id));
+            const deleteBtn = document.createElement("button");
+            deleteBtn.className = "btn btn-small btn-danger";
+            deleteBtn.textContent = "Delete";
+            deleteBtn.addEventListener("click", () => deleteCustomCommand(def.id));
+            buttons.append(editBtn, deleteBtn);
+
+            item.append(info, buttons);
+            customList.appendChild(item);
+        });
+    };
+
+    const saveCustomCommands = (message) => {
+        chrome.storage.sync.set({ customCommands: customCommandDefs }, () => {
+            if (chrome.runtime.lastError) {
+                showErrors([chrome.runtime.lastError.message]);
+                return;
+            }
+            renderCustomList();
+            showSaveStatus(message);
+        });
+    };
+
+    const editCustomCommand = (id) => {
+        const def = customCommandDefs.find(d => d.id === id);
+        if (!def) return;
+        editingId = id;
+        customPhrase.value = def.phrase;
+        customType.value = def.type;
+        customValue.value = def.value;
+        customNewTab.checked = Boolean(def.newTab);
+        customSave.textContent = "Save changes";
+        customCancel.hidden = false;
+        showErrors([]);
+        updateValueHint();
+        customPhrase.focus();
+    };
+
+    const deleteCustomCommand = (id) => {
+        customCommandDefs = customCommandDefs.filter(d => d.id !== id);
+        if (editingId === id) resetForm();
+        saveCustomCommands("Command deleted");
+    };
+
+    // Same phrase twice would make one of them unreachable
+    const findDuplicate = (def, others) =>
+        others.find(other => other.id !== def.id && other.phrase.trim().toLowerCase() === def.phrase.trim().toLowerCase());
+
+    customForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+
+        const def = {
+            id: editingId || Date.now().toString(36),
+            phrase: customPhrase.value.trim().toLowerCase(),
+            type: customType.value,
+            value: customValue.value.trim(),
+            newTab: customType.value === "url" && customNewTab.checked
+        };
+
+        const errors = validateCustomCommand(def);
+        if (findDuplicate(def, customCommandDefs)) errors.push(`"${def.phrase}" is already a custom command.`);
+        if (errors.length) {
+            showErrors(errors);
+            return;
+        }
+
+        const index = customCommandDefs.findIndex(d => d.id === def.id);
+        if (index === -1) {
+            customCommandDefs.push(def);
+        } else {
+            customCommandDefs[index] = def;
+        }
+        const message = editingId ? "Command updated" : "Command added";
+        resetForm();
+        saveCustomCommands(message);
+    });
+
+    customType.addEventListener("change", updateValueHint);
+    customCancel.addEventListener("click", resetForm);
+
+    customExport.addEventListener("click", () => {
+        const blob = new Blob([JSON.stringify({ customCommands: customCommandDefs }, null, 2)], { type: "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = "voicecontrol-commands.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    customImport.addEventListener("click", () => customImportFile.click());
+
+    customImportFile.addEventListener("change", async () => {
+        const file = customImportFile.files[0];
+        customImportFile.value = "";
+        if (!file) return;
+
+        let imported;
+        try {
+            const parsed = JSON.parse(await file.text());
+            // Accept both the export format and a bare array
+            imported = Array.isArray(parsed) ? parsed : parsed.customCommands;
+            if (!Array.isArray(imported)) throw new Error("Expected a list of commands.");
+        } catch (err) {
+            showErrors(["Could not read " + file.name + ": " + err.message]);
+            return;
+        }
+
+        const errors = [];
+        const merged = customCommandDefs.slice();
+        imported.forEach((raw, i) => {
+            const def = {
+                id: raw.id ? String(raw.id) : Date.now().toString(36) + i,
+                phrase: String(raw.phrase || "").trim().toLowerCase(),
+                type: raw.type,
+                value: String(raw.value || "").trim(),
+                newTab: Boolean(raw.newTab)
+            };
+            const problems = validateCustomCommand(def);
+            // An imported phrase replaces an existing one with the same words
+            const existing = merged.findIndex(d => d.phrase === def.phrase);
+            if (problems.length) {
+                errors.push(`#${i + 1} "${def.phrase}": ${problems.join(" ")}`);
+            } else if (existing !== -1) {
+                merged[existing] = { ...def, id: merged[existing].id };
+            } else {
+                merged.push(def);
+            }
+        });
+
+        showErrors(errors);
+        customCommandDefs = merged;
+        saveCustomCommands(`Imported ${imported.length - errors.length} of ${imported.length} commands`);
+    });
+
+    // ===== Site Packs =====
+    const packList = document.getElementById("pack-list");
+    const packJson = document.getElementById("packJson");
+    const packErrors = document.getElementById("pack-errors");
+    const packSave = document.getElementById("packSave");
+    const packExample = document.getElementById("packExample");
+
+    let userPacks = [];
+    let disabledPacks = [];
+
+    const examplePack = {
+        id: "intranet",
+        name: "Team Intranet",
+        hosts: ["intranet.example.com"],
+        commands: [
+            { phrase: "new ticket", type: "click", value: "#create-ticket" },
+            { phrase: "find ticket {id}", type: "url", value: "https://intranet.example.com/tickets/{id}" }
+        ],
+        aliases: { "main menu": "nav .menu-toggle" }
+    };
+
+    const showPackErrors = (errors) => {
+        packErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            packErrors.appendChild(li);
+        });
+    };
+
+    const renderPackList = () => {
+        packList.textContent = "";
+
+        builtinSitePacks.concat(userPacks).forEach(pack => {
+            const isBuiltin = builtinSitePacks.includes(pack);
+            const item = document.createElement("li");
+            item.className = "custom-item";
+
+            const info = document.createElement("div");
+            info.className = "custom-item-info";
+            const title = document.createElement("strong");
+            title.textContent = pack.name;
+            const badge = document.createElement("span");
+            badge.className = "pack-badge";
+            badge.textContent = isBuiltin ? "built-in" : "custom";
+            title.appendChild(badge);
+            const details = document.createElement("span");
+            details.className = "custom-item-action";
+            const commandCount = (pack.commands || []).length;
+            const aliasCount = Object.keys(pack.aliases || {}).length;
+            details.textContent = `${pack.hosts.join(", ")} · ${commandCount} commands · ${aliasCount} aliases`;
+            info.append(title, details);
+
+            const buttons = document.createElement("div");
+            buttons.className = "button-row";
+
+            const toggle = document.createElement("label");
+            toggle.className = "switch";
+            toggle.title = "Enable pack";
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = !disabledPacks.includes(pack.id);
+            checkbox.addEventListener("change", () => {
+                disabledPacks = checkbox.checked
+                    ? disabledPacks.filter(id => id !== pack.id)
+                    : disabledPacks.concat(pack.id);
+                chrome.storage.sync.set({ disabledPacks }, () => showSaveStatus(`${pack.name} ${checkbox.checked ? "enabled" : "disabled"}`));
+            });
+            const slider = document.createElement("span");
+            slider.className = "slider round";
+            toggle.append(checkbox, slider);
+            buttons.appendChild(toggle);
+
+            if (!isBuiltin) {
+                const editBtn = document.createElement("button");
+                editBtn.className = "btn btn-small";
+                editBtn.textContent = "Edit";
+                editBtn.addEventListener("click", () => {
+                    packJson.value = JSON.stringify(pack, null, 2);
+                    packSave.textContent = "Save pack";
+                    packJson.focus();
+                });
+                const deleteBtn = document.createElement("button");
+                deleteBtn.className = "btn btn-small btn-danger";
+                deleteBtn.textContent = "Delete";
+                deleteBtn.addEventListener("click", () => {
+                    userPacks = userPacks.filter(p => p.id !== pack.id);
+                    chrome.storage.local.set({ userPacks }, () => {
+                        renderPackList();
+                        showSaveStatus("Pack deleted");
+                    });
+                });
+                buttons.append(editBtn, deleteBtn);
+            }
+
+            item.append(info, buttons);
+            packList.appendChild(item);
+        });
+    };
+
+    packSave.addEventListener("click", () => {
+        let pack;
+        try {
+            pack = JSON.parse(packJson.value);
+        } catch (err) {
+            showPackErrors(["Not valid JSON: " + err.message]);
+            return;
+        }
+
+        const errors = validateSitePack(pack);
+        if (errors.length) {
+            showPackErrors(errors);
+            return;
+        }
+
+        // Same id replaces the existing pack, so editing is just saving again
+        const index = userPacks.findIndex(p => p.id === pack.id);
+        if (index === -1) {
+            userPacks.push(pack);
+        } else {
+            userPacks[index] = pack;
+        }
+
+        chrome.storage.local.set({ userPacks }, () => {
+            showPackErrors([]);
+            packJson.value = "";
+            packSave.textContent = "Add pack";
+            renderPackList();
+            showSaveStatus(index === -1 ? "Pack added" : "Pack updated");
+        });
+    });
+
+    packExample.addEventListener("click", () => {
+        packJson.value = JSON.stringify(examplePack, null, 2);
+    });
+
+    // ===== Per-Site Settings =====
+    const siteList = document.getElementById("site-list");
+    const siteForm = document.getElementById("site-form");
+    const siteHost = document.getElementById("siteHost");
+    const siteLanguage = document.getElementById("siteLanguage");
+    const siteScrollAmount = document.getElementById("siteScrollAmount");
+    const siteHudPosition = document.getElementById("siteHudPosition");
+    const siteDisabled = document.getElementById("siteDisabled");
+    const siteErrors = document.getElementById("site-errors");
+    const siteSave = document.getElementById("siteSave");
+    const siteCancel = document.getElementById("siteCancel");
+
+    let siteSettings = [];
+    let editingSite = -1;
+
+    // Same choices as the global settings, after "Same as above"
+    [[languageSelect, siteLanguage], [hudPositionSelect, siteHudPosition]].forEach(([source, target]) => {
+        Array.from(source.options).forEach(option => target.appendChild(option.cloneNode(true)));
+    });
+    const optionLabel = (select, value) => {
+        const option = Array.from(select.options).find(o => o.value === value);
+        return option ? option.textContent : value;
+    };
+
+    const showSiteErrors = (errors) => {
+        siteErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            siteErrors.appendChild(li);
+        });
+    };
+
+    const describeSiteSetting = (entry) => {
+        if (entry.disabled) return "VoiceControl off";
+        return [
+            entry.language && optionLabel(languageSelect, entry.language),
+            entry.scrollAmount && `scroll ${entry.scrollAmount}px`,
+            entry.hudPosition && "HUD " + optionLabel(hudPositionSelect, entry.hudPosition).toLowerCase()
+        ].filter(Boolean).join(" · ") || "No changes";
+    };
+
+    const resetSiteForm = () => {
+        editingSite = -1;
+        siteForm.reset();
+        siteSave.textContent = "Add site";
+        siteCancel.hidden = true;
+        showSiteErrors([]);
+    };
+
+    const renderSiteList = () => {
+        siteList.textContent = "";
+
+        if (!siteSettings.length) {
+            const empty = document.createElement("li");
+            empty.className = "custom-empty";
+            empty.textContent = "Every site uses the settings above.";
+            siteList.appendChild(empty);
+            return;
+        }
+
+        siteSettings.forEach((entry, index) => {
+            const item = document.createElement("li");
+            item.className = "custom-item";
+
+            const info = document.createElement("div");
+            info.className = "custom-item-info";
+            const site = document.createElement("code");
+            site.textContent = entry.site;
+            const details = document.createElement("span");
+            details.className = "custom-item-action";
+            details.textContent = describeSiteSetting(entry);
+            info.append(site, details);
+
+            const buttons = document.createElement("div");
+            buttons.className = "button-row";
+            const editBtn = document.createElement("button");
+            editBtn.className = "btn btn-small";
+            editBtn.textContent = "Edit";
+            editBtn.addEventListener("click", () => editSiteSetting(index));
+            const deleteBtn = document.createElement("button");
+            deleteBtn.className = "btn btn-small btn-danger";
+            deleteBtn.textContent = "Delete";
+            deleteBtn.addEventListener("click", () => {
+                siteSettings.splice(index, 1);
+                if (editingSite === index) resetSiteForm();
+                saveSiteSettings("Site removed");
+            });
+            buttons.append(editBtn, deleteBtn);
+
+            item.append(info, buttons);
+            siteList.appendChild(item);
+        });
+    };
+
+    const saveSiteSettings = (message) => {
+        chrome.storage.sync.set({ siteSettings }, () => {
+            if (chrome.runtime.lastError) {
+                showSiteErrors([chrome.runtime.lastError.message]);
+                return;
+            }
+            renderSiteList();
+            showSaveStatus(message);
+        });
+    };
+
+    const editSiteSetting = (index) => {
+        const entry = siteSettings[index];
+        editingSite = index;
+        siteHost.value = entry.site;
+        siteLanguage.value = entry.language || "";
+        siteScrollAmount.value = entry.scrollAmount || "";
+        siteHudPosition.value = entry.hudPosition || "";
+        siteDisabled.checked = Boolean(entry.disabled);
+        siteSave.textContent = "Save changes";
+        siteCancel.hidden = false;
+        showSiteErrors([]);
+        siteHost.focus();
+    };
+
+    siteForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+
+        // Only what differs from the global settings is stored
+        const entry = { site: parseSiteList(siteHost.value)[0] || "" };
+        if (siteLanguage.value) entry.language = siteLanguage.value;
+        if (siteScrollAmount.value) entry.scrollAmount = parseInt(siteScrollAmount.value, 10);
+        if (siteHudPosition.value) entry.hudPosition = siteHudPosition.value;
+        if (siteDisabled.checked) entry.disabled = true;
+
+        const errors = validateSiteSetting(entry);
+        if (errors.length) {
+            showSiteErrors(errors);
+            return;
+        }
+
+        if (editingSite === -1) {
+            siteSettings.push(entry);
+        } else {
+            siteSettings[editingSite] = entry;
+        }
+        const message = editingSite === -1 ? "Site added" : "Site updated";
+        resetSiteForm();
+        saveSiteSettings(message);
+    });
+
+    siteCancel.addEventListener("click", resetSiteForm);
+
+    // ===== Profiles =====
+    const profileList = document.getElementById("profile-list");
+    const profileForm = document.getElementById("profile-form");
+    const profileName = document.getElementById("profileName");
+    const profileErrors = document.getElementById("profile-errors");
+
+    const renderProfileList = (profiles, activeProfile) => {
+        profileList.textContent = "";
+
+        if (!profiles.length) {
+            const empty = document.createElement("li");
+            empty.className = "custom-empty";
+            empty.textContent = "No profiles yet.";
+            profileList.appendChild(empty);
+            return;
+        }
+
+        profiles.forEach(profile => {
+            const item = document.createElement("li");
+            item.className = "custom-item";
+
+            const info = document.createElement("div");
+            info.className = "custom-item-info";
+            const title = document.createElement("strong");
+            title.textContent = profile.name;
+            if (profile.name === activeProfile) {
+                const badge = document.createElement("span");
+                badge.className = "pack-badge";
+                badge.textContent = "in use";
+                title.appendChild(badge);
+            }
+            const details = document.createElement("span");
+            details.className = "custom-item-action";
+            const { language = "en-US", wakeWord } = profile.settings;
+            const spokenWakeWord = isDefaultWakeWord(wakeWord || "") ? getLocale(language).wakeWord : wakeWord;
+            details.textContent = `${optionLabel(languageSelect, language)} · wake word "${spokenWakeWord}"`;
+            info.append(title, details);
+
+            const buttons = document.createElement("div");
+            buttons.className = "button-row";
+            const useBtn = document.createElement("button");
+            useBtn.className = "btn btn-small";
+            useBtn.textContent = "Use";
+            // The fields above show the old settings, so load the page again with the profile's
+            useBtn.addEventListener("click", () => switchProfile(profile.name).then(() => location.reload()));
+            const deleteBtn = document.createElement("button");
+            deleteBtn.className = "btn btn-small btn-danger";
+            deleteBtn.textContent = "Delete";
+            deleteBtn.addEventListener("click", () => {
+                const remaining = profiles.filter(p => p !== profile);
+                const active = activeProfile === profile.name ? "" : activeProfile;
+                chrome.storage.sync.set({ profiles: remaining, activeProfile: active }, () => {
+                    renderProfileList(remaining, active);
+                    showSaveStatus("Profile deleted");
+                });
+            });
+            buttons.append(useBtn, deleteBtn);
+
+            item.append(info, buttons);
+            profileList.appendChild(item);
+        });
+    };
+
+    const loadProfiles = () => {
+        chrome.storage.sync.get({ profiles: [], activeProfile: "" }, (items) => {
+            renderProfileList(items.profiles, items.activeProfile);
+        });
+    };
+
+    profileForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const name = profileName.value.trim();
+        profileErrors.textContent = "";
+        if (!name) {
+            const li = document.createElement("li");
+            li.textContent = "Give the profile a name.";
+            profileErrors.appendChild(li);
+            return;
+        }
+
+        const profile = await saveProfile(name);
+        profileForm.reset();
+        loadProfiles();
+        showSaveStatus(`Saved as "${profile.name}"`);
+    });
+
+    // ===== Tab Sessions =====
+    const sessionList = document.getElementById("session-list");
+    const sessionErrors = document.getElementById("session-errors");
+
+    const showSessionErrors = (errors) => {
+        sessionErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            sessionErrors.appendChild(li);
+        });
+    };
+
+    const saveSessions = (sessions, status) => {
+        chrome.storage.local.set({ tabSessions: sessions }, () => {
+            renderSessionList(sessions);
+            showSaveStatus(status);
+        });
+    };
+
+    const renderSessionList = (sessions) => {
+        sessionList.textContent = "";
+
+        if (!sessions.length) {
+            const empty = document.createElement("li");
+            empty.className = "custom-empty";
+            empty.textContent = "No sessions yet.";
+            sessionList.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement("li");
+            item.className = "custom-item";
+
+            const info = document.createElement("div");
+            info.className = "custom-item-info";
+            const title = document.createElement("strong");
+            title.textContent = session.name;
+            const details = document.createElement("span");
+            details.className = "custom-item-action";
+            const hosts = [...new Set(session.tabs.map(tab => {
+                try {
+                    return new URL(tab.url).hostname;
+                } catch (err) {
+                    return tab.url;
+                }
+            }))];
+            details.textContent = `${session.tabs.length} tabs · ${hosts.slice(0, 3).join(", ")}${hosts.length > 3 ? ", …" : ""}`;
+            details.title = session.tabs.map(tab => tab.title || tab.url).join("\n");
+            info.append(title, details);
+
+            const buttons = document.createElement("div");
+            buttons.className = "button-row";
+            const renameBtn = document.createElement("button");
+            renameBtn.className = "btn btn-small";
+            renameBtn.textContent = "Rename";
+            renameBtn.addEventListener("click", () => {
+                const name = (prompt("New name for this session", session.name) || "").trim();
+                if (!name || name === session.name) return;
+                // Spoken names ignore case and punctuation, so "Taxes" and "taxes!" would clash
+                const key = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+                if (sessions.some(other => other !== session && key(other.name) === key(name))) {
+                    showSessionErrors([`There is already a session called "${name}".`]);
+                    return;
+                }
+                showSessionErrors([]);
+                saveSessions(sessions.map(s => (s === session ? { ...s, name } : s)), "Session renamed");
+                // Windows it is open in should save back under the new name on "close session"
+                chrome.storage.session.get({ sessionWindows: {} }, ({ sessionWindows }) => {
+                    Object.keys(sessionWindows).forEach(windowId => {
+                        if (sessionWindows[windowId] === session.name) sessionWindows[windowId] = name;
+                    });
+                    chrome.storage.session.set({ sessionWindows });
+                });
+            });
+            const exportBtn = document.createElement("button");
+            exportBtn.className = "btn btn-small";
+            exportBtn.textContent = "Export";
+            exportBtn.addEventListener("click", () => {
+                const blob = new Blob([JSON.stringify(session, null, 2)], { type: "application/json" });
+                const link = document.createElement("a");
+                link.href = URL.createObjectURL(blob);
+                link.download = `session-${session.name.replace(/[^\p{L}\p{N}]+/gu, "-")}.json`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            });
+            const deleteBtn = document.createElement("button");
+            deleteBtn.className = "btn btn-small btn-danger";
+            deleteBtn.textContent = "Delete";
+            deleteBtn.addEventListener("click", () => {
+                saveSessions(sessions.filter(s => s !== session), "Session deleted");
+            });
+            buttons.append(renameBtn, exportBtn, deleteBtn);
+
+            item.append(info, buttons);
+            sessionList.appendChild(item);
+        });
+    };
+
+    // Sessions are saved by voice, maybe while this page is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes.tabSessions) renderSessionList(changes.tabSessions.newValue || []);
+    });
+
+    // ===== Configuration File =====
+    const configErrors = document.getElementById("config-errors");
+    const configExport = document.getElementById("configExport");
+    const configImport = document.getElementById("configImport");
+    const configImportFile = document.getElementById("configImportFile");
+
+    const showConfigErrors = (errors) => {
+        configErrors.textContent = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            configErrors.appendChild(li);
+        });
+    };
+
+    configExport.addEventListener("click", async () => {
+        const blob = new Blob([JSON.stringify(await exportConfig(), null, 2)], { type: "application/json" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = "voicecontrol-config.json";
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    configImport.addEventListener("click", () => configImportFile.click());
+
+    configImportFile.addEventListener("change", async () => {
+        const file = configImportFile.files[0];
+        configImportFile.value = "";
+        if (!file) return;
+
+        let config;
+        try {
+            config = JSON.parse(await file.text());
+        } catch (err) {
+            showConfigErrors(["Could not read " + file.name + ": " + err.message]);
+            return;
+        }
+
+        // Nothing is changed unless the whole file checks out
+        const errors = validateConfig(config);
+        if (errors.length) {
+            showConfigErrors(errors);
+            return;
+        }
+        if (!confirm(`Replace all your VoiceControl settings with the ones in ${file.name}?`)) return;
+
+        try {
+            await importConfig(config);
+        } catch (err) {
+            showConfigErrors(["Could not import " + file.name + ": " + err.message]);
+            return;
+        }
+        location.reload();
+    });
+
+    chrome.storage.sync.get({ disabledPacks: [] }, (syncItems) => {
+        chrome.storage.local.get({ userPacks: [] }, (localItems) => {
+            disabledPacks = syncItems.disabledPacks;
+            userPacks = localItems.userPacks;
+            renderPackList();
+        });
+    });
+
+    chrome.storage.sync.get({ customCommands: [] }, (items) => {
+        customCommandDefs = items.customCommands;
+        renderCustomList();
+    });
+
+    chrome.storage.sync.get({ siteSettings: [] }, (items) => {
+        siteSettings = items.siteSettings;
+        renderSiteList();
+    });
+    chrome.storage.local.get({ tabSessions: [] }, (items) => {
+        renderSessionList(items.tabSessions);
+    });
+    loadProfiles();
+    updateValueHint();
 });
@@ -7,6 +7,17 @@ document.addEventListener("DOMContentLoaded", async () => {
     const micToggleBtn = document.getElementById("mic-toggle");
     const statusText = document.getElementById("status-text");
     const settingsBtn = document.getElementById("settings-btn");
+    const alwaysListeningToggle = document.getElementById("always-listening");
+    const historyList = document.getElementById("history-list");
+    const historyClearBtn = document.getElementById("history-clear");
+    const HISTORY_SHOWN = 10;
+    const consoleForm = document.getElementById("console-form");
+    const consoleInput = document.getElementById("console-input");
+    const consoleSuggestions = document.getElementById("console-suggestions");
+    const consoleResult = document.getElementById("console-result");
+    const siteOffNotice = document.getElementById("site-off");
+    const profilePicker = document.getElementById("profile-picker");
+    const profileSelect = document.getElementById("profile-select");
 
     // Retrieve the state for the current tab
     let isListening = false;
@@ -19,54 +30,196 @@ document.addEventListener("DOMContentLoaded", async () => {
     // First, find the active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-    // Check global/tab state to set initial UI
-    chrome.storage.local.get([`listening_${tab.id}`], (result) => {
-        isListening = result[`listening_${tab.id}`] || false;
+    // The service worker asks the page itself, so this is right even for on-demand injected tabs
+    async function refreshState() {
+        const state = await chrome.runtime.sendMessage({ command: "getListeningState", tabId: tab.id });
+        isListening = state.listening;
+        alwaysListeningToggle.checked = state.alwaysListening;
         updateUI(isListening);
+    }
+    refreshState();
+
+    // Mic state can change underneath us (voice "stop listening", mic denied, tab switch)
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'local' && (changes.alwaysListening || changes[`listening_${tab.id}`])) {
+            refreshState();
+        }
+        if (namespace === 'local' && changes.commandHistory) renderHistory();
+        if (namespace === 'sync' && (changes.profiles || changes.activeProfile)) renderProfiles();
+        if (namespace === 'sync' && changes.siteSettings) refreshSiteSettings();
+        if (namespace === 'sync' && (changes.language || changes.customCommands)) loadSuggestions();
+    });
+
+    function isRestrictedPage() {
+        return !tab.url || tab.url.startsWith("chrome://") || tab.url.startsWith("edge://") || tab.url.startsWith("about:");
+    }
+
+    // A site can have VoiceControl turned off in the per-site settings (settings.js)
+    async function refreshSiteSettings() {
+        const { siteSettings } = await chrome.storage.sync.get({ siteSettings: [] });
+        const disabled = Boolean(tab.url && !isRestrictedPage() && getSiteSettings(new URL(tab.url).hostname, siteSettings).disabled);
+        siteOffNotice.hidden = !disabled;
+        micToggleBtn.disabled = disabled;
+    }
+    refreshSiteSettings();
+
+    async function renderProfiles() {
+        const { profiles, activeProfile } = await chrome.storage.sync.get({ profiles: [], activeProfile: "" });
+        profilePicker.hidden = !profiles.length;
+        profileSelect.textContent = "";
+
+        // No profile picked yet, or the one in use was deleted
+        if (!profiles.some(profile => profile.name === activeProfile)) {
+            const none = document.createElement("option");
+            none.value = "";
+            none.textContent = "—";
+            profileSelect.appendChild(none);
+        }
+        profiles.forEach(profile => {
+            const option = document.createElement("option");
+            option.value = profile.name;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = profiles.some(profile => profile.name === activeProfile) ? activeProfile : "";
+    }
+    renderProfiles();
+
+    profileSelect.addEventListener("change", async () => {
+        if (profileSelect.value) await switchProfile(profileSelect.value);
     });
 
     micToggleBtn.addEventListener("click", async () => {
         // Prevent toggle if it's a restricted page (like chrome:// or new tab)
-        if (!tab.url || tab.url.startsWith("chrome://") || tab.url.startsWith("edge://") || tab.url.startsWith("about:")) {
+        if (isRestrictedPage()) {
             alert("VoiceControl cannot run on browser settings pages or empty tabs. Please navigate to a standard website first.");
             return;
         }
 
         const nextListeningState = !isListening;
 
-        // Tell content script to start/stop
-        const action = nextListeningState ? "startListening" : "stopListening";
-
-        try {
-            await chrome.tabs.sendMessage(tab.id, { action });
-        } catch (err) {
-            // Content script not injected yet — inject it now and retry
-            console.debug("VoiceControl: Injecting content script into tab...");
-            try {
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    files: ["content.js"]
-                });
-                await chrome.scripting.insertCSS({
-                    target: { tabId: tab.id },
-                    files: ["styles/content.css"]
+        // Turning the mic off in always-listening mode means turning that mode off
+        const response = !nextListeningState && alwaysListeningToggle.checked
+            ? await chrome.runtime.sendMessage({ command: "setAlwaysListening", enabled: false })
+            : await chrome.runtime.sendMessage({ command: "setListening", tabId: tab.id, listening: nextListeningState });
+
+        if (!response || response.status !== "ok") {
+            console.error("Failed to reach content script:", response && response.message);
+            alert("Could not connect to this page. Make sure you're on a regular website (not a browser settings page).");
+            return;
+        }
+
+        refreshState();
+    });
+
+    alwaysListeningToggle.addEventListener("change", async () => {
+        await chrome.runtime.sendMessage({ command: "setAlwaysListening", enabled: alwaysListeningToggle.checked });
+        refreshState();
+    });
+
+    // Recent commands from every tab, each one re-runnable in the current tab
+    async function renderHistory() {
+        const { history } = await chrome.runtime.sendMessage({ command: "getHistory", limit: HISTORY_SHOWN });
+        historyList.textContent = "";
+
+        if (!history.length) {
+            const empty = document.createElement("li");
+            empty.className = "history-empty";
+            empty.textContent = "Nothing yet";
+            historyList.appendChild(empty);
+            return;
+        }
+
+        history.forEach(entry => {
+            const item = document.createElement("li");
+            item.className = "history-item";
+            item.title = [entry.transcript, entry.target && "→ " + entry.target, entry.url].filter(Boolean).join("\n");
+
+            const status = document.createElement("span");
+            status.className = "history-status " + (entry.success ? "ok" : "failed");
+            status.textContent = entry.success ? "✓" : "✗";
+
+            const text = document.createElement("span");
+            text.className = "history-text";
+            text.textContent = entry.commandText || entry.transcript;
+
+            const time = document.createElement("span");
+            time.className = "history-time";
+            time.textContent = new Date(entry.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+            item.append(status, text, time);
+
+            if (entry.success && entry.commandText) {
+                const replay = document.createElement("button");
+                replay.className = "history-replay";
+                replay.textContent = "▶";
+                replay.title = "Run again";
+                replay.addEventListener("click", async () => {
+                    if (isRestrictedPage()) return;
+                    await chrome.runtime.sendMessage({ command: "replayHistory", id: entry.id, tabId: tab.id });
+                    renderHistory();
                 });
-                // Small delay to let the script initialize
-                await new Promise(r => setTimeout(r, 200));
-                await chrome.tabs.sendMessage(tab.id, { action });
-            } catch (injectErr) {
-                console.error("Failed to inject content script:", injectErr);
-                alert("Could not connect to this page. Make sure you're on a regular website (not a browser settings page).");
-                return;
+                item.appendChild(replay);
             }
+
+            historyList.appendChild(item);
+        });
+    }
+    renderHistory();
+
+    historyClearBtn.addEventListener("click", async () => {
+        await chrome.runtime.sendMessage({ command: "clearHistory" });
+        renderHistory();
+    });
+
+    // Typed commands: the same pipeline as speech, with the known phrases offered as you type
+    async function loadSuggestions() {
+        const { language, customCommands, disabledPacks } = await chrome.storage.sync.get({ language: "en-US", customCommands: [], disabledPacks: [] });
+        const { userPacks } = await chrome.storage.local.get({ userPacks: [] });
+        const hostname = tab.url ? new URL(tab.url).hostname : "";
+
+        const patterns = localizeCommands(commandRegistry, language)
+            .filter(command => !command.hidden)
+            .flatMap(command => command.patterns)
+            .concat(customCommands.map(def => def.phrase.trim().toLowerCase()))
+            .concat(getSitePacksFor(hostname, userPacks, disabledPacks).flatMap(pack => (pack.commands || []).map(def => def.phrase)));
+
+        consoleSuggestions.textContent = "";
+        new Set(patterns.flatMap(patternPhrases)).forEach(phrase => {
+            const option = document.createElement("option");
+            option.value = phrase;
+            consoleSuggestions.appendChild(option);
+        });
+    }
+    loadSuggestions();
+
+    // Picking "go to [site]" selects "[site]" so typing replaces it
+    consoleInput.addEventListener("input", (e) => {
+        if (e.inputType && e.inputType !== "insertReplacementText") return;
+        const slot = consoleInput.value.match(/\[\w+\]/);
+        if (slot) consoleInput.setSelectionRange(slot.index, slot.index + slot[0].length);
+    });
+
+    consoleForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const text = consoleInput.value.trim();
+        if (!text) return;
+        if (isRestrictedPage()) {
+            showConsoleResult(false, "Commands can't run on this page");
+            return;
         }
 
-        // Update state and UI after successful message
-        isListening = nextListeningState;
-        chrome.storage.local.set({ [`listening_${tab.id}`]: isListening });
-        updateUI(isListening);
+        const response = await chrome.runtime.sendMessage({ command: "runCommand", tabId: tab.id, text });
+        const success = Boolean(response && response.status === "ok");
+        showConsoleResult(success, response ? response.message : "Could not connect to this page");
+        if (success) consoleInput.value = "";
     });
 
+    function showConsoleResult(success, message) {
+        consoleResult.className = "console-result " + (success ? "ok" : "failed");
+        consoleResult.textContent = (success ? "✓ " : "✗ ") + message;
+    }
+
     function updateUI(listening) {
         if (listening) {
             micToggleBtn.classList.add("active");
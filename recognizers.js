@@ -0,0 +1,461 @@
+/**
+ * recognizers.js — VoiceControl Browser
+ * Speech Recognition Backends (loaded before content.js, and by offscreen.html)
+ *
+ * Every backend has the same shape, so content.js never cares where the text comes from:
+ *
+ *   const recognizer = createRecognizer("webspeech", { lang: "en-US" });
+ *   recognizer.onstart = () => {};
+ *   recognizer.ontranscript = ({ transcript, isFinal, alternatives }) => {};
+ *   recognizer.onlevel = ({ level }) => {};   // mic input 0–1, a few times a second
+ *   recognizer.onerror = ({ error, message }) => {};
+ *   recognizer.onend = () => {};
+ *   recognizer.start();
+ *   recognizer.stop();
+ *
+ * `alternatives` lists the recognizer's guesses best first, as { transcript, confidence };
+ * confidence is 0–1, or 0/undefined when the backend doesn't say.
+ *
+ * Error codes follow the Web Speech API ("no-speech", "network", "not-allowed",
+ * "aborted", "audio-capture") plus "unavailable" when a backend can't run at all.
+ *
+ * Backends:
+ *   webspeech  Chrome's built-in recognition (audio is sent to Google)
+ *   local      an on-device engine hosted in an offscreen document (see offscreen.js)
+ *   http       your own server, see "HTTP recognizer protocol" in the README
+ *   fake       plays back a typed script, for trying commands without a microphone
+ */
+
+const recognizerBackends = {
+    webspeech: "Chrome speech recognition (online)",
+    local: "On-device engine (offline)",
+    http: "Custom server (HTTP)",
+    fake: "Test script (no microphone)"
+};
+
+// Where offscreen.js loads the on-device engine adapter from; none ships with the extension
+const LOCAL_ENGINE_SCRIPT = "engines/local-engine.js";
+
+// Whether an adapter has been installed, without which the local backend can't run
+function hasLocalEngine() {
+    return fetch(chrome.runtime.getURL(LOCAL_ENGINE_SCRIPT), { method: "HEAD" }).then(response => response.ok, () => false);
+}
+
+// The backend whose events arrive through the service worker (local and http)
+let relayedRecognizer = null;
+
+const MAX_ALTERNATIVES = 5; // guesses asked for per result, so a near miss can still match a command
+
+function emitRecognizerEvent(recognizer, type, detail) {
+    const handler = recognizer["on" + type];
+    if (handler) handler(detail);
+}
+
+function recognizerError(recognizer, error, message) {
+    emitRecognizerEvent(recognizer, "error", { error, message: message || "" });
+}
+
+// Results from the offscreen engine and the HTTP endpoint are forwarded here by background.js
+if (chrome.runtime && chrome.runtime.onMessage) {
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action !== "recognizerEvent") return;
+        if (relayedRecognizer && relayedRecognizer.kind === message.source) {
+            emitRecognizerEvent(relayedRecognizer, message.type, message.detail);
+        }
+    });
+}
+
+// ===== Web Speech =====
+function createWebSpeechRecognizer(options) {
+    const recognizer = { kind: "webspeech", lang: options.lang };
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    let recognition = null;
+    let meter = null; // our own look at the mic, only for the level meter
+    let meterFailed = false; // recognition doesn't need it, so don't keep asking
+    let stopped = false;
+
+    const stopMeter = () => {
+        if (meter) meter.stop();
+        meter = null;
+    };
+
+    const build = () => {
+        recognition = new SpeechRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true; // interim results drive the live transcript
+        recognition.maxAlternatives = MAX_ALTERNATIVES;
+
+        recognition.onstart = () => emitRecognizerEvent(recognizer, "start");
+        recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                const alternatives = Array.from(result).map(alt => ({
+                    transcript: alt.transcript.trim(),
+                    confidence: alt.confidence
+                }));
+                emitRecognizerEvent(recognizer, "transcript", {
+                    transcript: alternatives[0].transcript,
+                    isFinal: result.isFinal,
+                    alternatives
+                });
+            }
+        };
+        recognition.onerror = (event) => recognizerError(recognizer, event.error, event.message);
+        // The meter stays open across the page's auto-restarts and closes on stop()
+        recognition.onend = () => emitRecognizerEvent(recognizer, "end");
+    };
+
+    recognizer.start = async () => {
+        if (!SpeechRecognition) {
+            recognizerError(recognizer, "unavailable", "Speech recognition isn't supported in this browser");
+            return;
+        }
+        stopped = false;
+
+        // Only feeds the level meter; a page policy or a busy device can refuse our own
+        // capture while Chrome's recognition still hears the mic
+        if (!meter && !meterFailed) {
+            try {
+                meter = await createMicCapture({
+                    onlevel: level => emitRecognizerEvent(recognizer, "level", { level })
+                });
+            } catch (err) {
+                meterFailed = true;
+                console.warn("VoiceControl: No mic level meter", err);
+            }
+            if (stopped) {
+                // stop() came while the mic was opening; end without ever starting
+                stopMeter();
+                emitRecognizerEvent(recognizer, "end");
+                return;
+            }
+        }
+        if (!recognition) build();
+
+        recognition.lang = recognizer.lang;
+        recognition.start();
+    };
+
+    recognizer.stop = () => {
+        stopped = true;
+        stopMeter();
+        if (recognition) recognition.stop();
+    };
+
+    return recognizer;
+}
+
+// ===== Microphone Capture =====
+// Used by the backends that do their own recognition: the HTTP backend in the page,
+// and the local engine in the offscreen document.
+const CAPTURE_SAMPLE_RATE = 16000;
+const SPEECH_LEVEL = 0.015;      // RMS level that counts as speech
+const SILENCE_MS = 700;          // quiet time that ends an utterance
+const PREROLL_MS = 300;          // audio kept from before speech started, so first syllables survive
+const MAX_UTTERANCE_MS = 15000;
+const FULL_SCALE_LEVEL = 0.2;    // RMS level shown as a full meter
+
+function downsample(input, ratio) {
+    const length = Math.floor(input.length / ratio);
+    const output = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const from = Math.floor(i * ratio);
+        const to = Math.min(input.length, Math.floor((i + 1) * ratio));
+        let sum = 0;
+        for (let j = from; j < to; j++) sum += input[j];
+        output[i] = sum / Math.max(1, to - from);
+    }
+    return output;
+}
+
+function concatSamples(chunks) {
+    const output = new Float32Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+/**
+ * Opens the microphone and splits it into utterances with a simple level-based
+ * voice detector. All samples are 16 kHz mono floats.
+ *
+ * @param {Object} handlers
+ * @param {Function} [handlers.onsamples] - every chunk heard during speech (pre-roll included)
+ * @param {Function} [handlers.onutterance] - the whole utterance once the speaker pauses
+ * @param {Function} [handlers.onlevel] - the input level, 0–1, for every chunk
+ * @returns {Promise<{stop: Function}>} rejects when the microphone can't be opened
+ */
+async function createMicCapture({ onsamples, onutterance, onlevel }) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+    });
+    const context = new AudioContext();
+    const source = context.createMediaStreamSource(stream);
+    const processor = context.createScriptProcessor(4096, 1, 1);
+    const ratio = context.sampleRate / CAPTURE_SAMPLE_RATE;
+
+    let preroll = [];
+    let utterance = null;
+    let quietMs = 0;
+    let spokenMs = 0;
+
+    processor.onaudioprocess = (event) => {
+        const input = event.inputBuffer.getChannelData(0);
+        const samples = downsample(input, ratio);
+        const chunkMs = input.length / context.sampleRate * 1000;
+
+        let sumSquares = 0;
+        for (let i = 0; i < input.length; i++) sumSquares += input[i] * input[i];
+        const rms = Math.sqrt(sumSquares / input.length);
+        const speaking = rms >= SPEECH_LEVEL;
+        if (onlevel) onlevel(Math.min(1, rms / FULL_SCALE_LEVEL));
+
+        if (!utterance) {
+            preroll.push(samples);
+            if (preroll.length * chunkMs > PREROLL_MS) preroll.shift();
+            if (!speaking) return;
+
+            utterance = preroll;
+            preroll = [];
+            quietMs = 0;
+            spokenMs = 0;
+            if (onsamples) utterance.forEach(chunk => onsamples(chunk));
+            return;
+        }
+
+        utterance.push(samples);
+        if (onsamples) onsamples(samples);
+        spokenMs += chunkMs;
+        quietMs = speaking ? 0 : quietMs + chunkMs;
+
+        if (quietMs >= SILENCE_MS || spokenMs >= MAX_UTTERANCE_MS) {
+            const finished = concatSamples(utterance);
+            utterance = null;
+            if (onutterance) onutterance(finished);
+        }
+    };
+
+    // A ScriptProcessor only runs while connected to an output; it writes silence
+    source.connect(processor);
+    processor.connect(context.destination);
+
+    return {
+        stop() {
+            processor.disconnect();
+            source.disconnect();
+            stream.getTracks().forEach(track => track.stop());
+            context.close();
+        }
+    };
+}
+
+// 16-bit PCM WAV, the format every speech server accepts
+function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);              // PCM
+    view.setUint16(22, 1, true);              // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);              // block align
+    view.setUint16(34, 16, true);             // bits per sample
+    writeString(36, "data");
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, i) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+    return buffer;
+}
+
+// Extension messages are JSON, so audio travels as base64
+function bytesToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// ===== HTTP Endpoint =====
+// Each utterance is posted by the service worker (which is not bound by the page's CORS rules);
+// results come back through "recognizerEvent" messages, interim ones included when the server streams.
+function createHttpRecognizer(options) {
+    const recognizer = { kind: "http", lang: options.lang };
+    let capture = null;
+
+    const transcribe = (samples) => {
+        chrome.runtime.sendMessage({
+            command: "transcribeAudio",
+            endpoint: options.endpoint,
+            lang: recognizer.lang,
+            audio: bytesToBase64(encodeWav(samples, CAPTURE_SAMPLE_RATE))
+        }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                recognizerError(recognizer, "network", "Recognizer service unavailable");
+            } else if (response.status === "error") {
+                recognizerError(recognizer, "network", response.message);
+            }
+        });
+    };
+
+    recognizer.start = async () => {
+        if (!options.endpoint) {
+            recognizerError(recognizer, "unavailable", "No recognizer server set in options");
+            return;
+        }
+        if (capture) return;
+
+        try {
+            capture = await createMicCapture({
+                onutterance: transcribe,
+                onlevel: level => emitRecognizerEvent(recognizer, "level", { level })
+            });
+        } catch (err) {
+            recognizerError(recognizer, "not-allowed", err.message);
+            return;
+        }
+        relayedRecognizer = recognizer;
+        emitRecognizerEvent(recognizer, "start");
+    };
+
+    recognizer.stop = () => {
+        if (!capture) return;
+        capture.stop();
+        capture = null;
+        emitRecognizerEvent(recognizer, "end");
+    };
+
+    return recognizer;
+}
+
+// ===== Local Engine =====
+// The engine runs in an offscreen document owned by the service worker, so a model is
+// loaded once per browser session rather than once per tab.
+function createLocalRecognizer(options) {
+    const recognizer = { kind: "local", lang: options.lang };
+    let running = false;
+
+    recognizer.start = () => {
+        if (running) return;
+        relayedRecognizer = recognizer;
+
+        chrome.runtime.sendMessage({ command: "startLocalRecognizer", lang: recognizer.lang }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                recognizerError(recognizer, "unavailable", "Local engine unavailable");
+            } else if (response.status === "error") {
+                recognizerError(recognizer, response.code || "unavailable", response.message);
+            } else {
+                running = true; // "start" itself arrives from the engine once the mic is open
+            }
+        });
+    };
+
+    recognizer.stop = () => {
+        if (!running) return;
+        running = false;
+        chrome.runtime.sendMessage({ command: "stopLocalRecognizer" }, () => {
+            void chrome.runtime.lastError;
+        });
+        emitRecognizerEvent(recognizer, "end");
+    };
+
+    return recognizer;
+}
+
+// ===== Test Script =====
+// Plays back `options.script` one line at a time, word by word as interim results like a
+// real recognizer would, so commands and the HUD can be tried without a microphone.
+// `hear(text)` injects a single final transcript at any time.
+const FAKE_WORD_MS = 150;
+const FAKE_LINE_GAP_MS = 2000;
+const FAKE_SPEECH_LEVEL = 0.5; // what the level meter shows while a line is being "spoken"
+
+function createFakeRecognizer(options) {
+    const recognizer = { kind: "fake", lang: options.lang };
+    const lines = (options.script || "")
+        .split("\n")
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"));
+    let timers = [];
+    let running = false;
+
+    const later = (ms, fn) => timers.push(setTimeout(fn, ms));
+
+    recognizer.hear = (text) => {
+        emitRecognizerEvent(recognizer, "transcript", {
+            transcript: text,
+            isFinal: true,
+            alternatives: [{ transcript: text, confidence: 1 }]
+        });
+    };
+
+    recognizer.start = () => {
+        if (running) return;
+        running = true;
+        later(0, () => emitRecognizerEvent(recognizer, "start"));
+
+        let at = FAKE_LINE_GAP_MS;
+        lines.forEach(line => {
+            const words = line.split(/\s+/);
+            words.slice(0, -1).forEach((word, i) => {
+                const partial = words.slice(0, i + 1).join(" ");
+                later(at + i * FAKE_WORD_MS, () => {
+                    emitRecognizerEvent(recognizer, "level", { level: FAKE_SPEECH_LEVEL });
+                    emitRecognizerEvent(recognizer, "transcript", {
+                        transcript: partial,
+                        isFinal: false,
+                        alternatives: [{ transcript: partial, confidence: 0 }]
+                    });
+                });
+            });
+            later(at + words.length * FAKE_WORD_MS, () => {
+                emitRecognizerEvent(recognizer, "level", { level: 0 });
+                recognizer.hear(line);
+            });
+            at += words.length * FAKE_WORD_MS + FAKE_LINE_GAP_MS;
+        });
+    };
+
+    recognizer.stop = () => {
+        if (!running) return;
+        running = false;
+        timers.forEach(clearTimeout);
+        timers = [];
+        setTimeout(() => emitRecognizerEvent(recognizer, "end"), 0);
+    };
+
+    return recognizer;
+}
+
+/**
+ * Creates a recognizer for one of the `recognizerBackends`.
+ *
+ * @param {string} kind - "webspeech", "local", "http" or "fake"; unknown values fall back to "webspeech"
+ * @param {Object} options
+ * @param {string} options.lang - BCP 47 language, e.g. "en-US"
+ * @param {string} [options.endpoint] - URL for the http backend
+ * @param {string} [options.script] - transcript lines for the fake backend
+ */
+function createRecognizer(kind, options) {
+    switch (kind) {
+        case "local": return createLocalRecognizer(options);
+        case "http": return createHttpRecognizer(options);
+        case "fake": return createFakeRecognizer(options);
+        default: return createWebSpeechRecognizer(options);
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * generate-readme.js — VoiceControl Browser
+ * Regenerates the command tables in README.md from the registry in commands.js
+ *
+ * Usage: node scripts/generate-readme.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getCommandHelp } = require("../commands.js");
+
+const readmePath = path.join(__dirname, "..", "README.md");
+const START = "<!-- commands:start -->";
+const END = "<!-- commands:end -->";
+
+function escapeCell(text) {
+    return text.replace(/\|/g, "\\|");
+}
+
+const tables = getCommandHelp().map(group => [
+    `### ${group.category}`,
+    "| Command | Action |",
+    "| --- | --- |",
+    ...group.commands.map(cmd => `| ${cmd.phrases.map(p => "`" + escapeCell(p) + "`").join(" / ")} | ${escapeCell(cmd.help)} |`)
+].join("\n")).join("\n\n");
+
+const readme = fs.readFileSync(readmePath, "utf8");
+const startIndex = readme.indexOf(START);
+const endIndex = readme.indexOf(END);
+if (startIndex === -1 || endIndex === -1) {
+    console.error(`README.md is missing the ${START} / ${END} markers.`);
+    process.exit(1);
+}
+
+const updated = readme.slice(0, startIndex + START.length) + "\n" + tables + "\n" + readme.slice(endIndex);
+fs.writeFileSync(readmePath, updated);
+console.log("README.md command tables updated.");
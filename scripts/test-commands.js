@@ -0,0 +1,86 @@
+/**
+ * test-commands.js — VoiceControl Browser
+ * Checks command matching and custom command validation without a browser
+ *
+ * Usage: node scripts/test-commands.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// The scripts share globals in the page, so load them into one context the same way
+const context = vm.createContext({ console });
+["commands.js", "locales.js"].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, { filename: file });
+});
+// Top-level const/let stay out of the context object, so read them through the context itself
+const readGlobal = (name) => vm.runInContext(name, context);
+const validateCustomCommand = readGlobal("validateCustomCommand");
+
+const tests = [];
+function test(name, run) {
+    tests.push({ name, run });
+}
+
+test("a macro that runs its own phrase is rejected", () => {
+    const errors = validateCustomCommand({ phrase: "morning", type: "sequence", value: "open mail; morning" });
+    assert.ok(errors.some(error => error.includes("runs this command again")), errors.join("\n"));
+});
+
+test("a macro step that fills the phrase's slots counts as running itself", () => {
+    const errors = validateCustomCommand({ phrase: "look up {topic}", type: "sequence", value: "scroll down\nlook up cats" });
+    assert.ok(errors.some(error => error.includes("look up cats")), errors.join("\n"));
+});
+
+test("a macro of other commands is accepted", () => {
+    const errors = validateCustomCommand({ phrase: "morning", type: "sequence", value: "open mail; scroll down" });
+    assert.strictEqual(errors.length, 0, errors.join("\n"));
+});
+
+test("a phrase in a non-Latin script can be saved and heard", () => {
+    const def = { id: "mail", phrase: "मेल फ़ोल्डर खोलो", type: "url", value: "https://mail.example.com" };
+    const errors = validateCustomCommand(def);
+    assert.strictEqual(errors.length, 0, errors.join("\n"));
+
+    const heard = readGlobal("normalizeSpeech")("मेल फ़ोल्डर खोलो");
+    assert.strictEqual(readGlobal("matchCommands")(heard, [readGlobal("buildCustomCommand")(def)]).length, 1);
+});
+
+test("a phrase of slots and punctuation alone is rejected", () => {
+    const errors = validateCustomCommand({ phrase: "{site} !", type: "url", value: "https://{site}" });
+    assert.ok(errors.some(error => error.includes("at least one word")), errors.join("\n"));
+});
+
+// What handleDictation (content.js) does with a final phrase while dictating
+function dictationCommand(text, lang) {
+    const commands = readGlobal("localizeCommands")(readGlobal("commandRegistry"), lang).filter(c => c.dictation);
+    const [match] = readGlobal("matchCommands")(readGlobal("normalizeSpeech")(text), commands);
+    return match ? match.command.id : null;
+}
+
+test("dictation editing commands work in the page's language", () => {
+    assert.strictEqual(dictationCommand("Detén el dictado", "es-ES"), "stopDictation");
+    assert.strictEqual(dictationCommand("borra la última palabra", "es-ES"), "deleteLastWord");
+    assert.strictEqual(dictationCommand("Arrête la dictée", "fr-FR"), "stopDictation");
+    assert.strictEqual(dictationCommand("आख़िरी शब्द मिटाओ", "hi-IN"), "deleteLastWord");
+    assert.strictEqual(dictationCommand("stop dictation", "fr-FR"), "stopDictation");
+});
+
+test("ordinary dictated text is not taken for a command", () => {
+    assert.strictEqual(dictationCommand("el dictado de hoy fue largo", "es-ES"), null);
+});
+
+let failed = 0;
+tests.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log("ok   " + name);
+    } catch (err) {
+        failed++;
+        console.log("FAIL " + name + "\n     " + err.message.split("\n").join("\n     "));
+    }
+});
+console.log(`${tests.length - failed}/${tests.length} passed`);
+process.exit(failed ? 1 : 0);
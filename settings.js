@@ -0,0 +1,138 @@
+/**
+ * settings.js — VoiceControl Browser
+ * Per-Site Settings, Profiles and Configuration Files (loaded after commands.js and sitepacks.js)
+ *
+ * Per-site settings override the global ones on matching hosts, stored in
+ * chrome.storage.sync as `siteSettings`:
+ *
+ *   [{ "site": "youtube.com", "language": "fr-FR", "scrollAmount": 600, "hudPosition": "top-left" },
+ *    { "site": "mybank.com", "disabled": true }]
+ *
+ * Every field but `site` is optional; later entries win where several match.
+ * `disabled` turns VoiceControl off on the site altogether.
+ *
+ * A profile is a named copy of the global settings (`profiles`, with the name of
+ * the one in use as `activeProfile`); switching to it writes them back.
+ */
+
+const siteSettingFields = {
+    language: "Language",
+    scrollAmount: "Scroll amount",
+    hudPosition: "HUD position",
+    disabled: "Voice off"
+};
+
+const hudPositions = ["bottom-right", "bottom-left", "top-right", "top-left"];
+
+// The settings a profile keeps; site lists, custom commands and packs are shared by every profile
+const profileSettingKeys = [
+    "wakeWord", "language", "ttsEnabled", "ttsVoice", "ttsRate", "ttsPitch",
+    "scrollAmount", "followUpSeconds", "hudPosition", "hudOpacity",
+    "defaultTld", "searchEngines", "defaultEngine", "recognizer", "recognizerEndpoint",
+    "confirmRiskyActions"
+];
+
+// Local-storage parts of the configuration (too big for sync); history and tab state stay behind
+const configLocalKeys = ["userPacks", "fakeTranscript", "tabSessions"];
+const CONFIG_FORMAT = "voicecontrol-config";
+
+// This host's overrides merged in list order; {} when none apply
+function getSiteSettings(hostname, siteSettings) {
+    return (siteSettings || [])
+        .filter(entry => entry && entry.site && hostMatches(entry.site, hostname))
+        .reduce((merged, entry) => {
+            Object.keys(siteSettingFields).forEach(key => {
+                if (entry[key] !== undefined && entry[key] !== "") merged[key] = entry[key];
+            });
+            return merged;
+        }, {});
+}
+
+// Returns readable problems; empty means the entry is usable
+function validateSiteSetting(entry) {
+    const errors = [];
+    if (!entry || typeof entry.site !== "string" || !entry.site.trim()) {
+        return ["Each site needs a host, e.g. youtube.com."];
+    }
+    if (entry.language !== undefined && entry.language !== "" && typeof entry.language !== "string") {
+        errors.push(`${entry.site}: language must be a code like "fr-FR".`);
+    }
+    if (entry.scrollAmount !== undefined && entry.scrollAmount !== "" && !(Number(entry.scrollAmount) > 0)) {
+        errors.push(`${entry.site}: scroll amount must be a number of pixels.`);
+    }
+    if (entry.hudPosition !== undefined && entry.hudPosition !== "" && !hudPositions.includes(entry.hudPosition)) {
+        errors.push(`${entry.site}: HUD position must be one of ${hudPositions.join(", ")}.`);
+    }
+    return errors;
+}
+
+// Profile names are matched the way they are spoken: case, spacing and punctuation don't count
+function findProfile(profiles, name) {
+    const key = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+    return (profiles || []).find(profile => key(profile.name) === key(name)) || null;
+}
+
+// Keeps the current global settings as `name`, replacing a profile of the same name
+async function saveProfile(name) {
+    const { profiles } = await chrome.storage.sync.get({ profiles: [] });
+    const settings = await chrome.storage.sync.get(profileSettingKeys);
+    const existing = findProfile(profiles, name);
+    const profile = { name: existing ? existing.name : name.trim(), settings };
+
+    await chrome.storage.sync.set({
+        profiles: existing ? profiles.map(p => (p === existing ? profile : p)) : profiles.concat(profile),
+        activeProfile: profile.name
+    });
+    return profile;
+}
+
+// Writes the profile's settings back as the global ones; null if there is no such profile
+async function switchProfile(name) {
+    const { profiles } = await chrome.storage.sync.get({ profiles: [] });
+    const profile = findProfile(profiles, name);
+    if (!profile) return null;
+    await chrome.storage.sync.set({ ...profile.settings, activeProfile: profile.name });
+    return profile;
+}
+
+// Everything a team would share: all of sync storage plus the local parts listed above
+async function exportConfig() {
+    const sync = await chrome.storage.sync.get(null);
+    const local = await chrome.storage.local.get(configLocalKeys);
+    return { format: CONFIG_FORMAT, version: 1, exported: new Date().toISOString(), sync, local };
+}
+
+function validateConfig(config) {
+    if (!config || config.format !== CONFIG_FORMAT) return ["This is not a VoiceControl configuration file."];
+
+    const errors = [];
+    if (!config.sync || typeof config.sync !== "object" || Array.isArray(config.sync)) errors.push("Missing the \"sync\" settings.");
+    if (config.local && (typeof config.local !== "object" || Array.isArray(config.local))) errors.push("\"local\" must be an object.");
+    if (errors.length) return errors;
+
+    (Array.isArray(config.sync.siteSettings) ? config.sync.siteSettings : []).forEach(entry => {
+        errors.push(...validateSiteSetting(entry));
+    });
+    (config.sync.customCommands || []).forEach((def, i) => {
+        validateCustomCommand(def).forEach(problem => errors.push(`Custom command #${i + 1}: ${problem}`));
+    });
+    if (config.local && config.local.tabSessions !== undefined && !Array.isArray(config.local.tabSessions)) {
+        errors.push("\"tabSessions\" must be a list.");
+    }
+    (config.local && config.local.userPacks || []).forEach(pack => {
+        validateSitePack(pack).forEach(problem => errors.push(`Pack ${pack && pack.id}: ${problem}`));
+    });
+    return errors;
+}
+
+// Replaces the whole configuration with the file's; check it with validateConfig first
+async function importConfig(config) {
+    await chrome.storage.sync.clear();
+    await chrome.storage.sync.set(config.sync);
+    await chrome.storage.local.remove(configLocalKeys);
+    const local = {};
+    configLocalKeys.forEach(key => {
+        if (config.local && config.local[key] !== undefined) local[key] = config.local[key];
+    });
+    await chrome.storage.local.set(local);
+}
@@ -0,0 +1,150 @@
+/**
+ * sitepacks.js — VoiceControl Browser
+ * Per-Site Command Packs (loaded after commands.js)
+ *
+ * A pack adds commands and element aliases that only apply on matching hosts:
+ *
+ *   {
+ *     "id": "youtube",
+ *     "name": "YouTube",
+ *     "hosts": ["youtube.com"],
+ *     "commands": [{ "phrase": "next video", "type": "click", "value": ".ytp-next-button" }],
+ *     "aliases": { "search box": "input#search" }
+ *   }
+ *
+ * Commands use the same shape and action types as custom commands. Aliases map
+ * a spoken name to a CSS selector, so "click search box" finds the right element
+ * even when the page gives it no usable label.
+ *
+ * Host patterns: "example.com" matches example.com and any subdomain of it;
+ * "*.example.com" matches subdomains only.
+ */
+
+const builtinSitePacks = [
+    {
+        id: "youtube",
+        name: "YouTube",
+        hosts: ["youtube.com"],
+        commands: [
+            { phrase: "next video", type: "click", value: ".ytp-next-button" },
+            { phrase: "like [this] [video]", type: "click", value: "like-button-view-model button, #segmented-like-button button" },
+            { phrase: "subscribe", type: "click", value: "#subscribe-button button, ytd-subscribe-button-renderer button" },
+            { phrase: "skip ad", type: "click", value: ".ytp-skip-ad-button, .ytp-ad-skip-button, .ytp-ad-skip-button-modern" },
+            { phrase: "(captions|subtitles)", type: "click", value: ".ytp-subtitles-button" },
+            { phrase: "theater mode", type: "click", value: ".ytp-size-button" }
+        ],
+        aliases: {
+            "search": "input#search, input[name='search_query']",
+            "search box": "input#search, input[name='search_query']"
+        }
+    },
+    {
+        id: "gmail",
+        name: "Gmail",
+        hosts: ["mail.google.com"],
+        commands: [
+            { phrase: "compose", type: "click", value: "[gh='cm']" },
+            { phrase: "archive", type: "click", value: "[data-tooltip='Archive']" },
+            { phrase: "reply", type: "click", value: "[data-tooltip='Reply']" },
+            { phrase: "reply all", type: "click", value: "[data-tooltip='Reply all']" },
+            { phrase: "forward [email]", type: "click", value: "[data-tooltip='Forward']" },
+            { phrase: "delete [email]", type: "click", value: "[data-tooltip='Delete']" },
+            { phrase: "mark as read", type: "click", value: "[data-tooltip='Mark as read']" }
+        ],
+        aliases: {
+            "search mail": "input[name='q']",
+            "send": "[data-tooltip^='Send']"
+        }
+    },
+    {
+        id: "github",
+        name: "GitHub",
+        hosts: ["github.com"],
+        commands: [
+            { phrase: "[go to] code", type: "click", value: "#code-tab" },
+            { phrase: "[go to] issues", type: "click", value: "#issues-tab" },
+            { phrase: "[go to] pull requests", type: "click", value: "#pull-requests-tab" },
+            { phrase: "[go to] actions", type: "click", value: "#actions-tab" },
+            { phrase: "search github", type: "keys", value: "/" }
+        ],
+        aliases: {
+            "star": "form[action$='/star'] button, .starring-container button",
+            "fork": "#fork-button"
+        }
+    }
+];
+
+function hostMatches(pattern, hostname) {
+    const host = hostname.toLowerCase().replace(/^www\./, "");
+    const p = pattern.trim().toLowerCase();
+    if (p.startsWith("*.")) return host.endsWith(p.slice(1));
+    const bare = p.replace(/^www\./, "");
+    return host === bare || host.endsWith("." + bare);
+}
+
+// Returns readable problems with the path to each one; empty means the pack is usable
+function validateSitePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+        return ["Pack must be a JSON object."];
+    }
+    if (typeof pack.id !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(pack.id)) {
+        errors.push('"id" must be a short name using letters, numbers, "-" or "_".');
+    } else if (builtinSitePacks.some(builtin => builtin.id === pack.id)) {
+        errors.push(`"id" "${pack.id}" is taken by a built-in pack.`);
+    }
+    if (typeof pack.name !== "string" || !pack.name.trim()) {
+        errors.push('"name" is required.');
+    }
+
+    if (!Array.isArray(pack.hosts) || !pack.hosts.length) {
+        errors.push('"hosts" must be a non-empty list, e.g. ["example.com"].');
+    } else {
+        pack.hosts.forEach((host, i) => {
+            if (typeof host !== "string" || !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(host.trim())) {
+                errors.push(`hosts[${i}]: "${host}" is not a host name like "example.com" or "*.example.com".`);
+            }
+        });
+    }
+
+    if (pack.commands !== undefined && !Array.isArray(pack.commands)) {
+        errors.push('"commands" must be a list.');
+    } else {
+        (pack.commands || []).forEach((command, i) => {
+            if (!command || typeof command !== "object") {
+                errors.push(`commands[${i}] must be an object with phrase, type and value.`);
+                return;
+            }
+            validateCustomCommand(command).forEach(problem => {
+                errors.push(`commands[${i}] "${command.phrase || ""}": ${problem}`);
+            });
+        });
+    }
+
+    if (pack.aliases !== undefined && (typeof pack.aliases !== "object" || Array.isArray(pack.aliases))) {
+        errors.push('"aliases" must be an object of "spoken name": "css selector".');
+    } else {
+        Object.entries(pack.aliases || {}).forEach(([name, selector]) => {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (err) {
+                errors.push(`aliases["${name}"]: "${selector}" is not a valid CSS selector.`);
+            }
+        });
+    }
+
+    if (!(pack.commands || []).length && !Object.keys(pack.aliases || {}).length) {
+        errors.push("Pack needs at least one command or alias.");
+    }
+
+    return errors;
+}
+
+// Enabled packs (built-in and user-authored) that apply to `hostname`
+function getSitePacksFor(hostname, userPacks, disabledPacks) {
+    return builtinSitePacks
+        .concat((userPacks || []).filter(pack => !validateSitePack(pack).length))
+        .filter(pack => !(disabledPacks || []).includes(pack.id))
+        .filter(pack => pack.hosts.some(host => hostMatches(host, hostname)));
+}